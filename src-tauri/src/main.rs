@@ -1,13 +1,123 @@
 // Prevents additional console window on Windows in release, DO NOT REMOVE!!
 #![cfg_attr(not(debug_assertions), windows_subsystem = "windows")]
 
+use std::io::{ErrorKind, Read, Write};
+use std::net::TcpListener;
+use std::time::{Duration, Instant};
+use tauri_plugin_opener::OpenerExt;
+
+/// Opens an OAuth 2.0 authorization URL in the system browser and waits for the
+/// provider to redirect to the loopback address (RFC 8252).
+/// Returns the redirect's path and query, e.g. "/callback?code=...&state=...".
+#[tauri::command]
+async fn oauth_loopback(
+    app: tauri::AppHandle,
+    auth_url: String,
+    port: u16,
+    timeout_secs: u64,
+) -> Result<String, String> {
+    // Listen before opening the browser so the redirect cannot arrive first
+    let listener = TcpListener::bind(("127.0.0.1", port))
+        .map_err(|e| format!("Cannot listen on 127.0.0.1:{}: {}", port, e))?;
+    listener.set_nonblocking(true).map_err(|e| e.to_string())?;
+
+    app.opener()
+        .open_url(auth_url, None::<&str>)
+        .map_err(|e| format!("Cannot open the browser: {}", e))?;
+
+    tauri::async_runtime::spawn_blocking(move || {
+        wait_for_redirect(listener, Duration::from_secs(timeout_secs))
+    })
+    .await
+    .map_err(|e| e.to_string())?
+}
+
+/// Accepts connections until one carries an authorization response (code or error).
+fn wait_for_redirect(listener: TcpListener, timeout: Duration) -> Result<String, String> {
+    let deadline = Instant::now() + timeout;
+    loop {
+        match listener.accept() {
+            Ok((mut stream, _)) => {
+                stream.set_nonblocking(false).ok();
+                stream.set_read_timeout(Some(Duration::from_secs(5))).ok();
+                let mut buffer = [0u8; 8192];
+                let size = stream.read(&mut buffer).unwrap_or(0);
+                let request = String::from_utf8_lossy(&buffer[..size]);
+                // Request line: "GET /callback?code=... HTTP/1.1"
+                let target = request.split_whitespace().nth(1).unwrap_or("").to_string();
+                let done = target.contains("code=") || target.contains("error=");
+
+                let (status, body) = if done {
+                    ("200 OK", "<html><body><h3>Sign-in complete</h3><p>You can close this window and return to Just REST Client.</p></body></html>")
+                } else {
+                    ("404 Not Found", "")
+                };
+                let response = format!(
+                    "HTTP/1.1 {}\r\nContent-Type: text/html; charset=utf-8\r\nContent-Length: {}\r\nConnection: close\r\n\r\n{}",
+                    status,
+                    body.len(),
+                    body
+                );
+                stream.write_all(response.as_bytes()).ok();
+                if done {
+                    return Ok(target);
+                }
+            }
+            Err(ref e) if e.kind() == ErrorKind::WouldBlock => {
+                if Instant::now() >= deadline {
+                    return Err("Timed out waiting for the sign-in to finish".to_string());
+                }
+                std::thread::sleep(Duration::from_millis(100));
+            }
+            Err(e) => return Err(e.to_string()),
+        }
+    }
+}
+
+/// Returns one of the app's environment variables for a {{$env NAME}} template.
+/// Returns None if it is not set or not valid Unicode.
+#[tauri::command]
+fn get_env_var(name: String) -> Option<String> {
+    std::env::var(name).ok()
+}
+
+// Keychain entries are stored under the app identifier
+const KEYCHAIN_SERVICE: &str = "com.chester.just-rest-client";
+
+/// Reads a secret from the OS keychain (macOS Keychain, Windows Credential
+/// Manager or the Secret Service on Linux). Returns None if there is no entry.
+#[tauri::command]
+fn keychain_get(account: String) -> Result<Option<String>, String> {
+    let entry = keyring::Entry::new(KEYCHAIN_SERVICE, &account).map_err(|e| e.to_string())?;
+    match entry.get_password() {
+        Ok(secret) => Ok(Some(secret)),
+        Err(keyring::Error::NoEntry) => Ok(None),
+        Err(e) => Err(format!("Cannot read from the OS keychain: {}", e)),
+    }
+}
+
+/// Stores a secret in the OS keychain, replacing any previous value.
+#[tauri::command]
+fn keychain_set(account: String, secret: String) -> Result<(), String> {
+    keyring::Entry::new(KEYCHAIN_SERVICE, &account)
+        .and_then(|entry| entry.set_password(&secret))
+        .map_err(|e| format!("Cannot write to the OS keychain: {}", e))
+}
+
 fn main() {
     tauri::Builder::default()
         .plugin(tauri_plugin_shell::init())
+        .plugin(tauri_plugin_opener::init())
         .plugin(tauri_plugin_http::init())
         .plugin(tauri_plugin_dialog::init())
         .plugin(tauri_plugin_fs::init())
+        .plugin(tauri_plugin_websocket::init())
+        .invoke_handler(tauri::generate_handler![
+            oauth_loopback,
+            get_env_var,
+            keychain_get,
+            keychain_set
+        ])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
 }
-
@@ -24,7 +24,7 @@ export default defineConfig({
 
   // Ensure proper handling of ES modules
   optimizeDeps: {
-    include: ['@tauri-apps/plugin-http']
+    include: ['@tauri-apps/plugin-http', '@tauri-apps/plugin-websocket']
   },
 
   // Clear the screen on dev server start
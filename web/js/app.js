@@ -21,7 +21,18 @@ import {
     getActiveGroups,
     setActiveGroup,
     getAllGroups,
-    addGroupName
+    addGroupName,
+    getHistory,
+    deleteHistoryEntry,
+    clearHistory,
+    searchHistory,
+    getGroupSettings,
+    saveGroupSettings,
+    saveTextFile,
+    getSecretKeys,
+    setSecretKey,
+    getParentGroup,
+    setParentGroup
 } from './storage.js';
 
 import { 
@@ -29,35 +40,152 @@ import {
     setVariable, 
     variableStore, // Need this initial export to set default variables
     loadInitialVariables, // Function to load variables from storage in variables.js
-    getFlattenedVariables,
-    setActiveGroupForScripts
+    setActiveGroupForScripts,
+    getGroupChain,
+    getVariableSources,
+    VARIABLE_TYPES,
+    getValueType,
+    parseVariableValue,
+    formatVariableValue,
+    getVariableScopes,
+    withRequestVariables,
+    clearTempVariables
 } from './variable.js';
 
 import { 
     executePostScript,
-    executePreScript
+    executePreScript,
+    stopScripts,
+    onScriptsRunning
 } from './scripting.js';
 
 import { 
-    executeRequest
+    executeRequest,
+    resolveTimeout,
+    tauriFetch
 } from './request.js';
 
+import { applyTemplate } from './template.js';
+
+import {
+    buildGraphQLBody,
+    fetchGraphQLSchema,
+    createSchemaIndex,
+    unwrapTypeName,
+    formatTypeRef,
+    getFieldSuggestions
+} from './graphql.js';
+
+import {
+    connectWebSocket,
+    parseSubprotocols,
+    parseMessageData
+} from './websocket.js';
+
+import {
+    isPostmanCollection,
+    isPostmanEnvironment,
+    convertPostmanCollection,
+    convertPostmanEnvironment
+} from './postman.js';
+
+import { isCurlCommand, parseCurlCommand } from './curl.js';
+
+import { CODEGEN_TARGETS, generateCode } from './codegen.js';
+
+import { parseSpecText, fetchSpecText, convertOpenApiSpec, diffOperations } from './openapi.js';
+
+import { parseHttpFile, generateHttpFile } from './httpfile.js';
+
+import {
+    AUTH_TYPES,
+    createAuth,
+    getGroupAuth,
+    saveGroupAuth,
+    resolveAuth,
+    redactAuth,
+    getAuthParams,
+    resolveAwsCredentials,
+    appendQueryParams,
+    describeAuth
+} from './auth.js';
+
+import {
+    GRANT_TYPES,
+    getDefaultRedirectUri,
+    isTokenExpired,
+    fetchNewToken,
+    getStoredToken,
+    getAccessToken,
+    listTokens,
+    deleteToken
+} from './oauth.js';
+
+import {
+    MASK,
+    initSecrets,
+    isSecretsLocked,
+    isSecretsUnlocked,
+    usesPassphrase,
+    unlockWithPassphrase,
+    unlockWithKeychain,
+    redactSecrets,
+    redactValues
+} from './secrets.js';
+
+import {
+    DYNAMIC_VARIABLES,
+    loadEnvironment,
+    getEnvironmentValues,
+    getDotenv,
+    setDotenv,
+    parseDotenv
+} from './dynamicvars.js';
+
+import {
+    runCollection,
+    runIterations
+} from './runner.js';
+
+import {
+    parseDataFile,
+    toCSV
+} from './datafile.js';
+
+import {
+    createTestHarness,
+    formatTestResults
+} from './assertions.js';
+
 // --- Global Variable Management Initialization (Moved from original app.js section) ---
 
 // Execute the variable module's initialization logic
 loadInitialVariables(loadVariableStore, saveVariableStore);
 
 
+// Short labels of the variable types shown next to each variable
+const VARIABLE_TYPE_LABELS = { string: 'str', number: 'num', boolean: 'bool', json: 'json' };
+
 // --- 5. APP.JS Logic (Controller & UI) ---
 
 const app = {
     currentRequest: {
         id: null,
         title: 'New Request',
+        type: 'http',
         url: '',
         method: 'GET',
         rawHeaders: [{ key: '', value: '' }],
+        variables: [{ key: '', value: '' }], // Request-local variables, override group values
         body: '',
+        bodyMode: 'raw',
+        formFields: [{ key: '', value: '', type: 'text' }],
+        graphql: { query: '', variables: '' },
+        subprotocols: '',
+        stream: false,
+        timeout: null, // Seconds; null uses the group's timeout (see resolveTimeout in request.js)
+        dataFile: null, // { name, content, rowCount } for iteration runs
+        auth: { type: 'inherit' }, // See auth.js; 'inherit' uses the group's auth
         preScriptId: '',
         postScriptId: '',
         group: DEFAULT_GROUP
@@ -90,7 +218,46 @@ const app = {
     // CodeMirror editor instances
     codeMirrorEditors: {
         preScript: null,
-        postScript: null
+        postScript: null,
+        graphqlQuery: null
+    },
+    
+    // Index of the last introspected GraphQL schema (see graphql.js)
+    graphqlSchema: null,
+    
+    // Open WebSocket connection (see websocket.js) and its message log
+    wsConnection: null,
+    wsLog: [],
+    
+    // AbortController for the in-flight request (used to stop streams)
+    streamController: null,
+
+    // AbortController that cancels the whole send (scripts, request, script http() calls)
+    sendController: null,
+    
+    // Code generator dialog: selected target, whether {{variables}} are substituted
+    // and whether secret values are included
+    codegen: {
+        target: 'curl',
+        resolveVariables: true,
+        revealSecrets: false
+    },
+
+    // Secret variables shown in clear text in the sidebar, and the last request
+    // summary (re-rendered when secrets are revealed in the Result tab)
+    revealedVariables: new Set(),
+    lastRequestDetails: null,
+    
+    // Converted spec and its differences to the last import, while the OpenAPI dialog is open
+    openApiImport: null,
+    
+    // Collection runner state: selected group, ordered request list and active run
+    runner: {
+        group: null,
+        request: null, // Set when running the builder's request instead of a group
+        order: [], // [{ id, enabled }]
+        controller: null,
+        results: []
     },
     
     // Custom confirm dialog
@@ -124,7 +291,7 @@ const app = {
     
     // Custom input dialog
     inputDialog: {
-        show(title, message, placeholder, onConfirm) {
+        show(title, message, placeholder, onConfirm, type = 'text') {
             const dialog = document.getElementById('input-dialog');
             const titleEl = document.getElementById('input-dialog-title');
             const messageEl = document.getElementById('input-dialog-message');
@@ -135,6 +302,7 @@ const app = {
             titleEl.textContent = title;
             messageEl.textContent = message;
             inputEl.placeholder = placeholder || '';
+            inputEl.type = type; // 'password' for passphrases
             inputEl.value = '';
             dialog.classList.remove('hidden');
             
@@ -177,6 +345,27 @@ const app = {
         }
     },
     
+    // Result dialog listing what an import converted and what it could not
+    reportDialog: {
+        show(title, summary, warnings = []) {
+            document.getElementById('report-dialog-title').textContent = title;
+            document.getElementById('report-dialog-summary').textContent = summary;
+            document.getElementById('report-dialog-warnings-section').classList.toggle('hidden', warnings.length === 0);
+
+            const list = document.getElementById('report-dialog-warnings');
+            list.innerHTML = '';
+            warnings.forEach(warning => {
+                const item = document.createElement('li');
+                item.textContent = warning;
+                list.appendChild(item);
+            });
+
+            const dialog = document.getElementById('report-dialog');
+            dialog.classList.remove('hidden');
+            document.getElementById('report-dialog-close').onclick = () => dialog.classList.add('hidden');
+        }
+    },
+    
     // About dialog (also serves as splash screen)
     showAbout() {
         const dialog = document.getElementById('about-dialog');
@@ -192,96 +381,259 @@ const app = {
         }
     },
     
-    // Generate cURL command
-    generateCurlCommand() {
-        const url = app.elements.urlInput.value || '';
+    // Snapshot of the builder's request for code generation; resolveVariables
+    // substitutes {{variables}} from the active group, otherwise they are kept
+    buildCodegenRequest(resolveVariables) {
+        const notes = [];
+        const trace = { dynamicValues: [], warnings: [] };
+        const resolve = (str) => {
+            if (!resolveVariables) return str || '';
+            const hadDynamicValues = trace.dynamicValues.length > 0;
+            const warningCount = trace.warnings.length;
+            const value = applyTemplate(str || '', app.activeGroups.variables, trace);
+            if (!hadDynamicValues && trace.dynamicValues.length > 0) {
+                notes.push('Dynamic variables such as {{$uuid}} were evaluated for this snippet; each send generates new values.');
+            }
+            notes.push(...trace.warnings.slice(warningCount));
+            return value;
+        };
         const method = app.elements.methodSelect.value;
-        const headers = app.currentRequest.rawHeaders.filter(h => h.key);
-        const body = app.elements.bodyTextarea.value;
-        
-        // Apply variable templating
-        const processedUrl = app.applyTemplateToString(url);
-        const processedBody = body ? app.applyTemplateToString(body) : '';
-        
-        let curlCommand = `curl -X ${method}`;
-        
-        // Add URL
-        curlCommand += ` '${processedUrl}'`;
-        
-        // Add headers
-        headers.forEach(header => {
-            const key = app.applyTemplateToString(header.key);
-            const value = app.applyTemplateToString(header.value);
-            curlCommand += ` \\\n  -H '${key}: ${value}'`;
-        });
-        
-        // Add body
-        if (processedBody && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-            // Escape single quotes in body
-            const escapedBody = processedBody.replace(/'/g, "'\\''");
-            curlCommand += ` \\\n  -d '${escapedBody}'`;
+        const bodyMode = app.currentRequest.bodyMode || 'raw';
+        const sendsBody = (method === 'POST' || method === 'PUT' || method === 'PATCH') && bodyMode !== 'none';
+
+        // Multipart lets the client set Content-Type with the boundary
+        const headers = app.currentRequest.rawHeaders
+            .filter(h => h.key)
+            .filter(h => !(sendsBody && bodyMode === 'multipart' && h.key.toLowerCase() === 'content-type'))
+            .map(h => ({ key: resolve(h.key), value: resolve(h.value) }));
+
+        // Auth is added as executeRequest adds it: headers set explicitly win
+        let { auth } = resolveAuth(app.currentRequest.auth, app.currentRequest.group || app.activeGroups.requests);
+        if (auth.type === 'oauth2') {
+            // Uses the active variable group's current token; it is not renewed here
+            const token = getStoredToken(auth, app.activeGroups.variables, app.applyTemplateToString);
+            if (token) {
+                auth = { ...auth, accessToken: token.accessToken, tokenType: token.tokenType };
+                if (isTokenExpired(token)) notes.push('The OAuth 2.0 access token has expired; get a new token before running this code.');
+            } else {
+                notes.push('No OAuth 2.0 token yet; use "Get New Token" to include the Authorization header.');
+            }
         }
-        
-        return curlCommand;
+        if (auth.type === 'awsv4') {
+            notes.push('AWS Signature v4 signatures expire after a few minutes and are not generated here; sign the request with an AWS SDK.');
+        }
+        let resolveAuthValue = resolve;
+        if (auth.type === 'basic' && !resolveVariables && /{{.*?}}/.test(`${auth.username}${auth.password}`)) {
+            // Base64 credentials cannot keep placeholders
+            resolveAuthValue = (str) => app.applyTemplateToString(str || '');
+            notes.push('The Basic auth credentials were resolved to encode the Authorization header.');
+        }
+        const authParams = getAuthParams(auth, resolveAuthValue);
+        authParams.headers
+            .filter(h => !headers.some(existing => existing.key.toLowerCase() === h.key.toLowerCase()))
+            .forEach(h => headers.push(h));
+        const url = appendQueryParams(resolve(app.elements.urlInput.value), authParams.query);
+
+        const request = { method, url, headers, bodyMode: 'none', body: '', formFields: [], notes };
+        if (!sendsBody) {
+            return request;
+        }
+
+        if (bodyMode === 'urlencoded' || bodyMode === 'multipart') {
+            request.bodyMode = bodyMode;
+            request.formFields = app.currentRequest.formFields
+                .filter(f => f.key)
+                .map(f => ({
+                    key: resolve(f.key),
+                    value: resolve(f.value),
+                    type: bodyMode === 'multipart' && f.type === 'file' ? 'file' : 'text',
+                    fileName: f.file ? f.file.name : (f.fileName || 'file')
+                }));
+        } else if (bodyMode === 'graphql') {
+            const graphql = app.currentRequest.graphql;
+            request.bodyMode = 'raw';
+            try {
+                request.body = buildGraphQLBody(resolve(graphql.query), resolve(graphql.variables));
+            } catch (error) {
+                request.body = JSON.stringify({ query: resolve(graphql.query) });
+                notes.push(error.message);
+            }
+            if (!headers.some(h => h.key.toLowerCase() === 'content-type')) {
+                headers.push({ key: 'Content-Type', value: 'application/json' });
+            }
+        } else {
+            request.bodyMode = 'raw';
+            request.body = resolve(app.elements.bodyTextarea.value);
+        }
+        return request;
     },
     
+    // Puts the {{placeholders}} of secret variables back in place of their values
+    redactCodegenRequest(request) {
+        const redact = (str) => redactSecrets(str, key => `{{${key}}}`);
+        const redacted = {
+            ...request,
+            url: redact(request.url),
+            headers: request.headers.map(h => ({ ...h, value: redact(h.value) })),
+            body: redact(request.body),
+            formFields: request.formFields.map(f => ({ ...f, value: redact(f.value) }))
+        };
+        if (JSON.stringify(redacted) !== JSON.stringify(request)) {
+            redacted.notes = [...request.notes, 'Secret variables are shown as {{placeholders}}; check "Include secrets" to insert their values.'];
+        }
+        return redacted;
+    },
+
     applyTemplateToString(str) {
-        if (!str) return str;
-        const vars = getFlattenedVariables(app.activeGroups.variables);
-        return str.replace(/\{\{(\w+)\}\}/g, (match, varName) => {
-            return vars[varName] !== undefined ? vars[varName] : match;
-        });
+        return applyTemplate(str, app.activeGroups.variables);
+    },
+
+    // Reads the {{$env NAME}} values used by the builder's request, its auth
+    // and the active variables, so applyTemplateToString() can resolve them
+    loadEnvironment(auth = app.currentRequest.auth) {
+        const group = app.currentRequest.group || app.activeGroups.requests;
+        return loadEnvironment(
+            app.elements.urlInput.value,
+            app.currentRequest,
+            resolveAuth(auth, group).auth,
+            getVariableScopes(app.activeGroups.variables).map(scope => scope.variables)
+        );
     },
     
-    showCurlDialog() {
-        const dialog = document.getElementById('curl-dialog');
-        const commandEl = document.getElementById('curl-command');
-        const copyBtn = document.getElementById('curl-copy');
-        const closeBtn = document.getElementById('curl-close');
-        
-        const curlCommand = app.generateCurlCommand();
-        commandEl.textContent = curlCommand;
+    showCodeDialog() {
+        const dialog = document.getElementById('code-dialog');
+        const targetSelect = document.getElementById('code-target-select');
+        const resolveCheckbox = document.getElementById('code-resolve-checkbox');
+        const revealCheckbox = document.getElementById('code-reveal-checkbox');
+        const commandEl = document.getElementById('code-output');
+        const copyBtn = document.getElementById('code-copy');
+
+        if (targetSelect.options.length === 0) {
+            targetSelect.innerHTML = CODEGEN_TARGETS.map(t => `<option value="${t.id}">${t.label}</option>`).join('');
+        }
+        targetSelect.value = app.codegen.target;
+        resolveCheckbox.checked = app.codegen.resolveVariables;
+
+        revealCheckbox.checked = app.codegen.revealSecrets;
+
+        const render = () => {
+            app.codegen.target = targetSelect.value;
+            app.codegen.resolveVariables = resolveCheckbox.checked;
+            app.codegen.revealSecrets = revealCheckbox.checked;
+            // The request's own variables apply as they do when sending
+            let request = withRequestVariables(app.currentRequest.variables,
+                () => app.buildCodegenRequest(app.codegen.resolveVariables));
+            if (!app.codegen.revealSecrets) request = app.redactCodegenRequest(request);
+            commandEl.textContent = generateCode(app.codegen.target, request);
+        };
+        render();
+        // Renders again once any {{$env NAME}} values are read
+        app.loadEnvironment().then(render);
+        targetSelect.onchange = render;
+        resolveCheckbox.onchange = render;
+        revealCheckbox.onchange = render;
         dialog.classList.remove('hidden');
-        
-        // Remove old listeners
-        const newCopyBtn = copyBtn.cloneNode(true);
-        const newCloseBtn = closeBtn.cloneNode(true);
-        copyBtn.parentNode.replaceChild(newCopyBtn, copyBtn);
-        closeBtn.parentNode.replaceChild(newCloseBtn, closeBtn);
-        
-        // Add new listeners
-        newCopyBtn.onclick = async () => {
+
+        copyBtn.onclick = async () => {
             try {
-                await navigator.clipboard.writeText(curlCommand);
-                newCopyBtn.textContent = 'Copied!';
-                newCopyBtn.classList.remove('bg-blue-600', 'hover:bg-blue-700');
-                newCopyBtn.classList.add('bg-green-600', 'hover:bg-green-700');
+                await navigator.clipboard.writeText(commandEl.textContent);
+                copyBtn.textContent = 'Copied!';
+                copyBtn.classList.remove('bg-blue-600', 'hover:bg-blue-700');
+                copyBtn.classList.add('bg-green-600', 'hover:bg-green-700');
                 setTimeout(() => {
-                    newCopyBtn.textContent = 'Copy to Clipboard';
-                    newCopyBtn.classList.remove('bg-green-600', 'hover:bg-green-700');
-                    newCopyBtn.classList.add('bg-blue-600', 'hover:bg-blue-700');
+                    copyBtn.textContent = 'Copy to Clipboard';
+                    copyBtn.classList.remove('bg-green-600', 'hover:bg-green-700');
+                    copyBtn.classList.add('bg-blue-600', 'hover:bg-blue-700');
                 }, 2000);
             } catch (error) {
                 alert('Failed to copy to clipboard');
             }
         };
-        
-        newCloseBtn.onclick = () => {
+
+        document.getElementById('code-close').onclick = () => {
+            dialog.classList.add('hidden');
+        };
+    },
+
+    showCurlImportDialog(initialCommand = '') {
+        const dialog = document.getElementById('curl-import-dialog');
+        const input = document.getElementById('curl-import-input');
+        const errorEl = document.getElementById('curl-import-error');
+
+        input.value = initialCommand;
+        errorEl.classList.add('hidden');
+        dialog.classList.remove('hidden');
+        input.focus();
+
+        document.getElementById('curl-import-ok').onclick = () => {
+            try {
+                app.applyCurlCommand(input.value);
+                dialog.classList.add('hidden');
+            } catch (error) {
+                errorEl.textContent = error.message;
+                errorEl.classList.remove('hidden');
+            }
+        };
+        document.getElementById('curl-import-cancel').onclick = () => {
             dialog.classList.add('hidden');
         };
     },
 
+    // Loads a cURL command into the builder as a new, unsaved request (throws if it cannot be parsed)
+    applyCurlCommand(command) {
+        const parsed = parseCurlCommand(command);
+        const warnings = [...parsed.warnings];
+        const supportedMethods = [...app.elements.methodSelect.options].map(o => o.value);
+        let method = parsed.method;
+        if (!supportedMethods.includes(method)) {
+            warnings.push(`Method ${method} is not supported by the request builder; GET was used instead.`);
+            method = 'GET';
+        }
+
+        app.newRequest();
+        let title = `${method} ${parsed.url}`;
+        try {
+            title = `${method} ${new URL(parsed.url).pathname}`;
+        } catch (e) {
+            // Keep the full URL (e.g. it starts with a {{variable}})
+        }
+        app.currentRequest.title = title;
+        app.currentRequest.url = parsed.url;
+        app.currentRequest.method = method;
+        app.currentRequest.rawHeaders = [...parsed.rawHeaders, { key: '', value: '' }];
+        app.currentRequest.body = parsed.body;
+        app.currentRequest.bodyMode = parsed.bodyMode;
+        if (parsed.formFields.length > 0) {
+            app.currentRequest.formFields = parsed.formFields;
+        }
+        app.elements.requestTitleInput.value = title;
+        app.elements.urlInput.value = parsed.url;
+        app.elements.methodSelect.value = method;
+        app.elements.bodyTextarea.value = parsed.body;
+        app.renderHeaders();
+        app.renderBodyMode();
+
+        if (warnings.length > 0) {
+            app.reportDialog.show('cURL Command Imported', 'The request was created, but some parts of the command need attention:', warnings);
+        }
+    },
+
     elements: {
         // Request Inputs
         urlInput: document.getElementById('url-input'),
+        requestTypeSelect: document.getElementById('request-type-select'),
         methodSelect: document.getElementById('method-select'),
         headersContainer: document.getElementById('headers-container'),
         bodyTextarea: document.getElementById('body-textarea'),
+        bodyModeSelect: document.getElementById('body-mode-select'),
+        formFieldsContainer: document.getElementById('form-fields-container'),
         requestTitleInput: document.getElementById('request-title-input'),
         
         // Scripting
         scriptNameInput: document.getElementById('script-name-input'),
         preScriptNameInput: document.getElementById('pre-script-name-input'),
+        scriptTimeoutInput: document.getElementById('script-timeout-input'),
+        preScriptTimeoutInput: document.getElementById('pre-script-timeout-input'),
         preScriptSelect: document.getElementById('pre-script-select'),
         preScriptEditor: document.getElementById('pre-script-editor'),
         postScriptSelect: document.getElementById('post-script-select'),
@@ -291,6 +643,7 @@ const app = {
         variablesList: document.getElementById('variables-list'),
         requestsList: document.getElementById('requests-list'),
         scriptsList: document.getElementById('scripts-list'),
+        historyList: document.getElementById('history-list'),
 
         // Response Outputs
         responseStatus: document.getElementById('response-status'),
@@ -299,23 +652,55 @@ const app = {
 
     // --- UI Rendering ---
 
+    // Escapes text inserted into innerHTML templates (values may contain quotes and tags)
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
     renderVariableStore() {
         const varStore = getVariableStore();
         const activeGroup = app.activeGroups.variables;
         const vars = varStore[activeGroup] || {};
+        const sources = getVariableSources(activeGroup);
+        const secretKeys = getSecretKeys(activeGroup);
+        document.getElementById('secrets-unlock-btn').classList.toggle('hidden', !isSecretsLocked());
+        app.renderParentGroupSelect();
         
-        app.elements.variablesList.innerHTML = Object.entries(vars).length > 0
-            ? Object.entries(vars).map(([key, value]) => `
+        const items = Object.entries(vars).map(([key, value]) => {
+            const secret = secretKeys.includes(key);
+            const type = getValueType(value);
+            const shownValue = secret && !app.revealedVariables.has(key) ? MASK : app.escapeHtml(formatVariableValue(value));
+            // JSON values are edited pretty-printed in a larger box (secrets stay on one masked line)
+            const editText = app.escapeHtml(formatVariableValue(value, secret ? undefined : 2));
+            const valueEditor = secret
+                ? `<input type="password" class="edit-var-value flex-1 p-2 border rounded-lg text-xs font-mono" value="${editText}" placeholder="Value">`
+                : `<textarea rows="${type === 'json' ? 6 : 1}" class="edit-var-value flex-1 p-2 border rounded-lg text-xs font-mono" placeholder="Value">${editText}</textarea>`;
+            const overrides = sources[key].overrides;
+            const badge = overrides.length > 0
+                ? `<span class="text-xs text-orange-600 whitespace-nowrap" title="Hides the value from ${overrides.join(', ')}">overrides ${overrides[0]}</span>`
+                : (activeGroup !== DEFAULT_GROUP ? '<span class="text-xs text-gray-400">local</span>' : '');
+            return `
                 <div class="variable-item bg-gray-100 p-2 rounded-lg hover:bg-gray-200 transition" data-var-key="${key}">
                     <div class="variable-display flex justify-between items-center cursor-pointer">
                         <span class="font-mono text-xs text-gray-700 font-semibold">${key}</span>
-                        <span class="font-mono text-xs text-blue-600 truncate flex-1 mx-2">${value}</span>
+                        <span class="variable-type-badge text-xs text-gray-500 bg-white border rounded px-1 ml-2" title="${type} value">${VARIABLE_TYPE_LABELS[type]}</span>
+                        <span class="font-mono text-xs text-blue-600 truncate flex-1 mx-2">${shownValue}</span>
+                        ${badge}
+                        ${secret ? `<button data-reveal-var="${key}" class="reveal-var-btn text-gray-500 hover:text-gray-700 ml-2 text-xs" title="Show or hide the value">${app.revealedVariables.has(key) ? 'Hide' : 'Show'}</button>` : ''}
+                        <button data-secret-var="${key}" class="secret-var-btn ${secret ? 'text-yellow-600' : 'text-gray-400'} hover:text-yellow-700 ml-2 text-xs" title="${secret ? 'Secret: encrypted, masked and not exported. Click to make it a normal variable' : 'Make secret'}">${secret ? '🔒' : '🔓'}</button>
                         <button data-delete-var="${key}" class="delete-var-btn text-red-500 hover:text-red-700 ml-2 text-xs">X</button>
             </div>
                     <div class="variable-edit hidden mt-2">
-                        <div class="flex space-x-2">
-                            <input type="text" class="edit-var-key flex-1 p-2 border rounded-lg text-xs font-mono" value="${key}" placeholder="Key">
-                            <input type="text" class="edit-var-value flex-1 p-2 border rounded-lg text-xs font-mono" value="${value}" placeholder="Value">
+                        <div class="flex space-x-2 items-start">
+                            <input type="text" class="edit-var-key w-1/4 p-2 border rounded-lg text-xs font-mono" value="${key}" placeholder="Key">
+                            <select class="edit-var-type p-2 border rounded-lg text-xs" title="Value type">
+                                ${VARIABLE_TYPES.map(t => `<option value="${t}" ${t === type ? 'selected' : ''}>${t}</option>`).join('')}
+                            </select>
+                            ${valueEditor}
                         </div>
                         <div class="flex space-x-2 mt-2">
                             <button class="save-var-btn flex-1 bg-green-500 text-white px-3 py-1 rounded text-xs hover:bg-green-600 transition">Save</button>
@@ -323,10 +708,182 @@ const app = {
                         </div>
                     </div>
                 </div>
-            `).join('')
+            `;
+        });
+
+        // Variables of the groups up the chain that this group does not override
+        Object.entries(sources)
+            .filter(([key, entry]) => entry.source !== activeGroup)
+            .forEach(([key, entry]) => {
+                const secret = getSecretKeys(entry.source).includes(key);
+                const shownValue = secret && !app.revealedVariables.has(key) ? MASK : app.escapeHtml(formatVariableValue(entry.value));
+                items.push(`
+                <div class="inherited-var-item bg-gray-50 p-2 rounded-lg border border-dashed flex justify-between items-center" title="Inherited from ${entry.source}">
+                    <span class="font-mono text-xs text-gray-500 font-semibold">${key}</span>
+                    <span class="font-mono text-xs text-gray-500 truncate flex-1 mx-2">${shownValue}</span>
+                    <span class="text-xs text-gray-400 whitespace-nowrap">from ${entry.source}</span>
+                    ${secret ? `<button data-reveal-var="${key}" class="reveal-var-btn text-gray-500 hover:text-gray-700 ml-2 text-xs" title="Show or hide the value">${app.revealedVariables.has(key) ? 'Hide' : 'Show'}</button>` : ''}
+                    <button data-override-var="${key}" class="override-var-btn text-blue-600 hover:text-blue-800 ml-2 text-xs" title="Set a value for ${activeGroup}">Override</button>
+                </div>
+            `);
+            });
+
+        // Secret variables have no value until the secrets are unlocked
+        if (isSecretsLocked()) {
+            const lockedKeys = new Map(); // Key → nearest group that marks it secret
+            getGroupChain(activeGroup).forEach(group => {
+                getSecretKeys(group)
+                    .filter(key => !(key in sources) && !lockedKeys.has(key))
+                    .forEach(key => lockedKeys.set(key, group));
+            });
+            lockedKeys.forEach((group, key) => items.push(`
+                <div class="bg-gray-100 p-2 rounded-lg flex justify-between items-center" title="Unlock the secrets to use this variable">
+                    <span class="font-mono text-xs text-gray-700 font-semibold">${key}</span>
+                    <span class="text-xs text-yellow-700">🔒 Locked${group !== activeGroup ? ` (from ${group})` : ''}</span>
+                </div>
+            `));
+        }
+        
+        app.elements.variablesList.innerHTML = items.length > 0
+            ? items.join('')
             : '<p class="text-gray-500 text-xs">No variables in this group.</p>';
     },
-    
+
+    // "Inherits from" choices: any group except the active group and groups inheriting from it
+    renderParentGroupSelect() {
+        const activeGroup = app.activeGroups.variables;
+        const row = document.getElementById('variables-parent-row');
+        row.classList.toggle('hidden', activeGroup === DEFAULT_GROUP);
+        if (activeGroup === DEFAULT_GROUP) return;
+
+        const parent = getParentGroup(activeGroup) || DEFAULT_GROUP;
+        const choices = getAllGroups('variables')
+            .filter(g => g !== activeGroup && !getGroupChain(g).includes(activeGroup));
+        const select = document.getElementById('variables-parent-select');
+        select.innerHTML = choices.map(g =>
+            `<option value="${app.escapeHtml(g)}" ${g === parent ? 'selected' : ''}>${app.escapeHtml(g)}</option>`
+        ).join('');
+        document.getElementById('variables-chain').textContent = getGroupChain(activeGroup).join(' → ');
+    },
+
+    setParentVariableGroup(parent) {
+        const activeGroup = app.activeGroups.variables;
+        if (getGroupChain(parent).includes(activeGroup)) {
+            alert(`"${parent}" already inherits from "${activeGroup}".`);
+        } else {
+            setParentGroup(activeGroup, parent);
+        }
+        app.renderVariableStore();
+    },
+
+    // Starts a local value for an inherited variable in the add form
+    overrideVariable(key) {
+        const source = getVariableSources(app.activeGroups.variables)[key];
+        const secret = source && getSecretKeys(source.source).includes(key);
+        const secretCheckbox = document.getElementById('var-secret-checkbox');
+        const valueInput = document.getElementById('var-value-input');
+        document.getElementById('var-key-input').value = key;
+        document.getElementById('var-type-select').value = source ? getValueType(source.value) : 'string';
+        secretCheckbox.checked = !!secret;
+        valueInput.type = secret ? 'password' : 'text';
+        valueInput.value = source && !secret ? formatVariableValue(source.value) : '';
+        valueInput.focus();
+    },
+
+    // Asks for the passphrase (or uses the OS keychain), then calls onUnlocked
+    unlockSecrets(onUnlocked = () => {}) {
+        const finish = () => {
+            app.renderVariableStore();
+            app.restoreRequestCredentials();
+            onUnlocked();
+        };
+        if (!usesPassphrase()) {
+            unlockWithKeychain()
+                .then(finish)
+                .catch(error => alert(`Cannot unlock the secret variables: ${error.message}`));
+            return;
+        }
+        const choosing = !isSecretsLocked();
+        app.inputDialog.show(
+            choosing ? 'Choose a Passphrase' : 'Unlock Secrets',
+            choosing
+                ? 'Secret variables are encrypted with this passphrase. It is not stored and cannot be recovered.'
+                : 'Enter the passphrase that encrypts your secret variables.',
+            'Passphrase',
+            async (passphrase) => {
+                try {
+                    await unlockWithPassphrase(passphrase);
+                    finish();
+                } catch (error) {
+                    alert(error.message);
+                }
+            },
+            'password'
+        );
+    },
+
+    // Credentials typed into an auth are stored encrypted, so saving them needs the secrets key
+    hasTypedCredentials(auths) {
+        return auths.some(auth => auth && redactAuth(auth).removed);
+    },
+
+    // A request loaded while locked has no stored credentials; adds them once unlocked
+    restoreRequestCredentials() {
+        const auth = app.currentRequest.auth;
+        const saved = getAllRequests().find(r => r.id === app.currentRequest.id);
+        if (!auth || !saved || !saved.auth || saved.auth.type !== auth.type) return;
+        Object.entries(redactAuth(saved.auth).credentials).forEach(([field, value]) => {
+            if (!auth[field]) auth[field] = value;
+        });
+        app.renderAuth();
+    },
+
+    // Marks a variable of the active group as secret (or normal again)
+    toggleSecretVariable(key) {
+        const group = app.activeGroups.variables;
+        const secret = !getSecretKeys(group).includes(key);
+        const apply = () => {
+            setSecretKey(group, key, secret);
+            app.revealedVariables.delete(key);
+            saveVariableStore(getVariableStore()); // Moves the value to the encrypted (or plain) store
+            app.renderVariableStore();
+        };
+        if (secret && !isSecretsUnlocked()) {
+            app.unlockSecrets(apply);
+        } else {
+            apply();
+        }
+    },
+
+    // Reference list of the {{$dynamic}} variables and the loaded .env file
+    renderDynamicVariables() {
+        document.getElementById('dynamic-variables-list').innerHTML = DYNAMIC_VARIABLES.map(v => `
+            <div class="flex justify-between space-x-2">
+                <span class="font-mono text-gray-700">${v.usage.replace(/</g, '&lt;')}</span>
+                <span class="text-gray-500 text-right">${v.description}</span>
+            </div>
+        `).join('');
+
+        const dotenv = getDotenv();
+        document.getElementById('dotenv-status').textContent = dotenv
+            ? `${dotenv.fileName} (${Object.keys(dotenv.values).length} keys)`
+            : 'No .env file loaded';
+        document.getElementById('dotenv-clear-btn').classList.toggle('hidden', !dotenv);
+    },
+
+    loadDotenvFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            // The values are copied; load the file again after editing it
+            setDotenv({ fileName: file.name, values: parseDotenv(e.target.result) });
+            app.renderDynamicVariables();
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    },
+
     editVariable(key) {
         const item = document.querySelector(`.variable-item[data-var-key="${key}"]`);
         if (item) {
@@ -342,7 +899,14 @@ const app = {
         if (!item) return;
         
         const newKey = item.querySelector('.edit-var-key').value.trim();
-        const newValue = item.querySelector('.edit-var-value').value.trim();
+        const type = item.querySelector('.edit-var-type').value;
+        let newValue;
+        try {
+            newValue = parseVariableValue(item.querySelector('.edit-var-value').value.trim(), type);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
         
         if (!newKey) {
             alert('Variable key cannot be empty');
@@ -352,9 +916,13 @@ const app = {
         const activeGroup = app.activeGroups.variables;
         const varStore = getVariableStore();
         
-        // If key changed, delete old and add new
+        // If key changed, delete old and add new (a secret stays secret)
         if (newKey !== key) {
             delete varStore[activeGroup][key];
+            if (getSecretKeys(activeGroup).includes(key)) {
+                setSecretKey(activeGroup, key, false);
+                setSecretKey(activeGroup, newKey, true);
+            }
         }
         
         varStore[activeGroup][newKey] = newValue;
@@ -379,7 +947,7 @@ const app = {
         const varSelect = document.getElementById('variables-group-select');
         console.log('Variable groups:', varGroups, 'Active:', app.activeGroups.variables);
         varSelect.innerHTML = varGroups.map(g => 
-            `<option value="${g}" ${g === app.activeGroups.variables ? 'selected' : ''}>${g}</option>`
+            `<option value="${app.escapeHtml(g)}" ${g === app.activeGroups.variables ? 'selected' : ''}>${app.escapeHtml(g)}</option>`
         ).join('');
         
         // Render Requests Group Selector
@@ -387,7 +955,7 @@ const app = {
         const reqSelect = document.getElementById('requests-group-select');
         console.log('Request groups:', reqGroups, 'Active:', app.activeGroups.requests);
         reqSelect.innerHTML = reqGroups.map(g => 
-            `<option value="${g}" ${g === app.activeGroups.requests ? 'selected' : ''}>${g}</option>`
+            `<option value="${app.escapeHtml(g)}" ${g === app.activeGroups.requests ? 'selected' : ''}>${app.escapeHtml(g)}</option>`
         ).join('');
         
         // Render Scripts Group Selector
@@ -395,7 +963,7 @@ const app = {
         const scriptSelect = document.getElementById('scripts-group-select');
         console.log('Script groups:', scriptGroups, 'Active:', app.activeGroups.scripts);
         scriptSelect.innerHTML = scriptGroups.map(g => 
-            `<option value="${g}" ${g === app.activeGroups.scripts ? 'selected' : ''}>${g}</option>`
+            `<option value="${app.escapeHtml(g)}" ${g === app.activeGroups.scripts ? 'selected' : ''}>${app.escapeHtml(g)}</option>`
         ).join('');
     },
     
@@ -406,6 +974,7 @@ const app = {
         
         if (type === 'variables') {
             app.renderVariableStore();
+            app.renderAuth(); // OAuth 2.0 tokens are kept per variable group
         } else if (type === 'requests') {
             app.renderCollections();
         } else if (type === 'scripts') {
@@ -479,100 +1048,943 @@ const app = {
         });
     },
 
-    renderCollections() {
-        // Render Requests List (filtered by active group)
-        const allRequests = getAllRequests();
-        const activeRequestGroup = app.activeGroups.requests;
-        const requests = allRequests.filter(r => r.group === activeRequestGroup);
-        
-        app.elements.requestsList.innerHTML = requests.length > 0
-            ? requests.map(r => `
-                <div class="w-full p-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition text-sm flex justify-between items-center">
-                    <button data-load-request="${r.id}" class="load-request-btn flex-1 text-left flex justify-between items-center">
-                        <span>${r.title}</span>
-                        <span class="text-xs font-mono text-gray-500">${r.method}</span>
-                    </button>
-                    <button data-delete-request="${r.id}" class="delete-request-btn text-red-500 hover:text-red-700 ml-2 text-xs px-2">X</button>
-                </div>
-            `).join('')
-            : '<p class="text-gray-500 text-xs">No requests in this group.</p>';
+    // --- Request Variables ---
 
-        // Render Scripts List and Select (filtered by active group)
-        const allScripts = getAllScripts();
-        const activeScriptGroup = app.activeGroups.scripts;
-        const scripts = allScripts.filter(s => s.group === activeScriptGroup);
-        
-        app.elements.scriptsList.innerHTML = scripts.length > 0
-            ? scripts.map(s => `
-                <div class="w-full p-2 bg-purple-100 hover:bg-purple-200 rounded-lg transition text-sm flex justify-between items-center">
-                    <button data-load-script="${s.id}" class="load-script-btn flex-1 text-left">
-                        <span>${s.name}</span>
-                    </button>
-                    <button data-delete-script="${s.id}" class="delete-script-btn text-red-500 hover:text-red-700 ml-2 text-xs px-2">X</button>
-                </div>
-            `).join('')
-            : '<p class="text-gray-500 text-xs">No scripts in this group.</p>';
+    renderRequestVariables() {
+        const container = document.getElementById('request-variables-container');
+        container.innerHTML = '';
+        app.currentRequest.variables.forEach((v, index) => app.addRequestVariableRow(index));
+    },
 
-        // Separate pre and post scripts - use ALL scripts for dropdowns (not filtered by group)
-        const preScripts = allScripts.filter(s => s.type === 'pre-request');
-        const postScripts = allScripts.filter(s => s.type !== 'pre-request');
-        
-        app.elements.preScriptSelect.innerHTML = '<option value="">-- No Pre-Script Selected --</option>' + 
-            preScripts.map(s => `<option value="${s.id}" ${s.id === app.currentRequest.preScriptId ? 'selected' : ''}>${s.name} (${s.group})</option>`).join('');
-        
-        app.elements.postScriptSelect.innerHTML = '<option value="">-- No Post-Script Selected --</option>' + 
-            postScripts.map(s => `<option value="${s.id}" ${s.id === app.currentRequest.postScriptId ? 'selected' : ''}>${s.name} (${s.group})</option>`).join('');
+    addRequestVariableRow(index) {
+        const v = app.currentRequest.variables[index];
+        const div = document.createElement('div');
+        div.className = 'flex space-x-2';
+        div.innerHTML = `
+            <input type="text" value="${v.key}" placeholder="Key" oninput="window.app.updateRequestVariable(${index}, 'key', this.value)" 
+                class="w-1/3 p-2 border rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500">
+            <input type="text" value="${v.value}" placeholder="Value" oninput="window.app.updateRequestVariable(${index}, 'value', this.value)" 
+                class="flex-1 p-2 border rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500">
+            <button onclick="window.app.removeRequestVariable(${index})" 
+                class="bg-red-100 text-red-600 p-2 rounded-lg hover:bg-red-200 transition text-sm">Remove</button>
+        `;
+        document.getElementById('request-variables-container').appendChild(div);
+    },
 
-        // Update script editor fields based on currentScript
-        if (app.codeMirrorEditors.postScript) {
-            app.codeMirrorEditors.postScript.setValue(app.currentScript.code || '');
-        } else {
-            app.elements.postScriptEditor.value = app.currentScript.code;
+    updateRequestVariable(index, field, value) {
+        const variables = app.currentRequest.variables;
+        variables[index][field] = value;
+        // Like headers, a filled last row gets an empty row after it
+        if (index === variables.length - 1 && variables[index].key && variables[index].value) {
+            variables.push({ key: '', value: '' });
+            app.addRequestVariableRow(variables.length - 1);
         }
-        app.elements.scriptNameInput.value = app.currentScript.name;
-        
-        if (app.codeMirrorEditors.preScript) {
-            app.codeMirrorEditors.preScript.setValue(app.currentPreScript.code || '');
-        } else {
-            app.elements.preScriptEditor.value = app.currentPreScript.code;
+    },
+
+    removeRequestVariable(index) {
+        app.currentRequest.variables.splice(index, 1);
+        if (app.currentRequest.variables.length === 0) {
+            app.currentRequest.variables.push({ key: '', value: '' });
         }
-        app.elements.preScriptNameInput.value = app.currentPreScript.name;
+        app.renderRequestVariables();
     },
-    
-    // --- Tab Switching Logic (same as original) ---
 
-    switchSidebarTab(tabName) {
-        app.currentSidebarTab = tabName;
+    // --- Authorization ---
 
-        // 1. Update Buttons
-        document.querySelectorAll('.tab-button').forEach(button => {
-            button.classList.remove('active', 'bg-blue-600', 'text-white');
-            button.classList.add('text-gray-600', 'hover:bg-gray-100');
-            if (button.getAttribute('data-tab') === tabName) {
-                button.classList.add('active', 'bg-blue-600', 'text-white');
-                button.classList.remove('text-gray-600', 'hover:bg-gray-100');
-            }
-        });
+    renderAuth() {
+        if (!app.currentRequest.auth) {
+            app.currentRequest.auth = createAuth('inherit');
+        }
+        const typeSelect = document.getElementById('auth-type-select');
+        if (typeSelect.options.length === 0) {
+            typeSelect.innerHTML = AUTH_TYPES.map(t => `<option value="${t.id}">${t.label}</option>`).join('');
+        }
+        typeSelect.value = app.currentRequest.auth.type;
+        app.renderAuthFields(
+            document.getElementById('auth-fields'),
+            app.currentRequest.auth,
+            app.currentRequest.group || app.activeGroups.requests
+        );
+    },
 
-        // 2. Update Panels
-        document.querySelectorAll('.tab-panel').forEach(panel => {
-            if (panel.getAttribute('data-panel') === tabName) {
-                panel.classList.remove('hidden');
-            } else {
-                panel.classList.add('hidden');
+    // Renders the inputs of an auth type; the inputs edit the auth object in place
+    renderAuthFields(container, auth, groupName) {
+        container.innerHTML = '';
+        const inputClass = 'flex-1 p-2 border rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500';
+        const addRow = (...elements) => {
+            const row = document.createElement('div');
+            row.className = 'flex space-x-2';
+            row.append(...elements);
+            container.appendChild(row);
+        };
+        const input = (field, placeholder, type = 'text') => {
+            const el = document.createElement('input');
+            el.type = type;
+            el.value = auth[field] || '';
+            el.placeholder = placeholder;
+            el.className = inputClass;
+            el.oninput = () => { auth[field] = el.value; };
+            return el;
+        };
+        const choice = (field, options, fallback) => {
+            const el = document.createElement('select');
+            el.className = 'p-2 border rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500';
+            el.innerHTML = options.map(o => `<option value="${o.id}">${o.label}</option>`).join('');
+            el.value = auth[field] || fallback;
+            el.onchange = () => { auth[field] = el.value; };
+            return el;
+        };
+
+        if (auth.type === 'inherit') {
+            const note = document.createElement('p');
+            note.className = 'text-xs text-gray-500';
+            const description = describeAuth(getGroupAuth(groupName));
+            note.textContent = description
+                ? `Uses the auth of the group "${groupName}": ${description}. `
+                : `The group "${groupName}" has no auth. `;
+            const editLink = document.createElement('button');
+            editLink.className = 'text-blue-600 hover:text-blue-800';
+            editLink.textContent = 'Edit group auth';
+            editLink.onclick = () => app.showGroupAuthDialog(groupName);
+            note.appendChild(editLink);
+            container.appendChild(note);
+        } else if (auth.type === 'basic') {
+            addRow(input('username', 'Username'), input('password', 'Password', 'password'));
+        } else if (auth.type === 'bearer') {
+            addRow(input('token', 'Token (e.g., {{token}})'));
+        } else if (auth.type === 'apikey') {
+            const location = choice('in', [{ id: 'header', label: 'Header' }, { id: 'query', label: 'Query Param' }], 'header');
+            addRow(input('key', 'Name (e.g., X-API-Key)'), input('value', 'Value (e.g., {{apiKey}})'), location);
+        } else if (auth.type === 'oauth2') {
+            const grantType = auth.grantType || 'client_credentials';
+            const grant = choice('grantType', GRANT_TYPES, 'client_credentials');
+            grant.onchange = () => {
+                auth.grantType = grant.value;
+                app.renderAuthFields(container, auth, groupName);
+            };
+            const clientAuthentication = choice('clientAuthentication', [
+                { id: 'basic', label: 'Client credentials in header' },
+                { id: 'body', label: 'Client credentials in body' }
+            ], 'basic');
+            addRow(grant, clientAuthentication);
+            addRow(input('tokenUrl', 'Token URL (e.g., {{authServer}}/oauth/token)'));
+            if (grantType === 'authorization_code') {
+                addRow(input('authUrl', 'Authorization URL'));
+                addRow(input('redirectUri', `Redirect URI (default: ${getDefaultRedirectUri()})`));
             }
-        });
-        
-        // 3. Refresh content when switching to variables tab
-        if (tabName === 'variables') {
-            app.renderVariableStore();
+            addRow(input('clientId', 'Client ID'), input('clientSecret', 'Client Secret (optional)', 'password'));
+            if (grantType === 'password') {
+                addRow(input('username', 'Username'), input('password', 'Password', 'password'));
+            } else if (grantType === 'refresh_token') {
+                addRow(input('refreshToken', 'Refresh Token (e.g., {{refreshToken}})'));
+            }
+            addRow(input('scope', 'Scope (space-separated, optional)'));
+
+            const status = document.createElement('p');
+            status.className = 'text-xs text-gray-500';
+            status.textContent = app.describeOAuthToken(auth);
+            const getTokenBtn = document.createElement('button');
+            getTokenBtn.className = 'bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition text-xs';
+            getTokenBtn.textContent = 'Get New Token';
+            getTokenBtn.onclick = () => app.getNewOAuthToken(auth, status);
+            const manageBtn = document.createElement('button');
+            manageBtn.className = 'text-xs text-blue-600 hover:text-blue-800';
+            manageBtn.textContent = 'Manage Tokens';
+            manageBtn.onclick = () => app.showOAuthTokens();
+            const actions = document.createElement('div');
+            actions.className = 'flex items-center space-x-3';
+            actions.append(getTokenBtn, manageBtn);
+            container.append(actions, status);
+        } else if (auth.type === 'awsv4') {
+            addRow(input('accessKeyId', 'Access Key ID (e.g., {{awsAccessKeyId}})'), input('secretAccessKey', 'Secret Access Key', 'password'));
+            addRow(input('sessionToken', 'Session Token (optional)'));
+            addRow(input('region', 'Region (e.g., us-east-1)'), input('service', 'Service (e.g., execute-api, s3)'));
         }
     },
-    
-    switchMainTab(tabName) {
-        app.currentMainTab = tabName;
 
-        // 1. Update Buttons
+    // --- OAuth 2.0 ---
+
+    // Token state of an oauth2 auth for the active variable group
+    describeOAuthToken(auth) {
+        const group = app.activeGroups.variables;
+        const token = getStoredToken(auth, group, app.applyTemplateToString);
+        if (!token) {
+            return `No token for the variable group "${group}" yet; one is requested when the request is sent.`;
+        }
+        const scope = token.scope ? ` Scope: ${token.scope}.` : '';
+        if (!token.expiresAt) {
+            return `Token for "${group}" does not expire.${scope}`;
+        }
+        const time = new Date(token.expiresAt).toLocaleString();
+        if (!isTokenExpired(token)) {
+            return `Token for "${group}" is valid until ${time}.${scope}`;
+        }
+        return token.refreshToken || auth.grantType !== 'authorization_code'
+            ? `Token for "${group}" expired ${time}; it is renewed when the request is sent.${scope}`
+            : `Token for "${group}" expired ${time}; use "Get New Token" to sign in again.${scope}`;
+    },
+
+    async getNewOAuthToken(auth, statusEl) {
+        statusEl.className = 'text-xs text-gray-500';
+        statusEl.textContent = auth.grantType === 'authorization_code'
+            ? 'Waiting for the sign-in to finish in the browser...'
+            : 'Requesting a token...';
+        try {
+            await app.loadEnvironment(auth);
+            await fetchNewToken(auth, app.activeGroups.variables, {
+                resolve: app.applyTemplateToString,
+                fetchFn: tauriFetch || fetch
+            });
+            statusEl.textContent = app.describeOAuthToken(auth);
+        } catch (error) {
+            statusEl.className = 'text-xs text-red-600';
+            statusEl.textContent = error.message;
+        }
+    },
+
+    showOAuthTokens() {
+        app.renderOAuthTokens();
+        document.getElementById('oauth-tokens-dialog').classList.remove('hidden');
+    },
+
+    renderOAuthTokens() {
+        const tokens = listTokens();
+        const list = document.getElementById('oauth-tokens-list');
+        // Token fields come from the token endpoint's response, so they are escaped
+        const esc = app.escapeHtml;
+        list.innerHTML = tokens.length > 0
+            ? tokens.map(({ group, token }, index) => {
+                const expired = isTokenExpired(token);
+                const expiry = token.expiresAt
+                    ? `<span class="${expired ? 'text-red-600' : 'text-green-600'}">${expired ? 'Expired' : 'Valid until'} ${new Date(token.expiresAt).toLocaleString()}</span>`
+                    : '<span class="text-gray-500">No expiry</span>';
+                const grant = GRANT_TYPES.find(g => g.id === token.grantType);
+                return `
+                <div class="p-3 bg-gray-50 border rounded-lg text-xs space-y-1">
+                    <div class="flex justify-between items-center">
+                        <span class="font-semibold text-gray-700">${esc(token.clientId || '(no client id)')} <span class="font-normal text-gray-500">@ ${esc(token.tokenUrl)}</span></span>
+                        <span class="bg-gray-200 text-gray-700 px-2 py-0.5 rounded">${esc(group)}</span>
+                    </div>
+                    <div class="text-gray-600">Grant: ${esc(grant ? grant.label : token.grantType)} &middot; Scope: ${esc(token.scope || '(none)')} &middot; Refresh token: ${token.refreshToken ? 'yes' : 'no'}</div>
+                    <div>${expiry} <span class="text-gray-400">&middot; obtained ${new Date(token.obtainedAt).toLocaleString()}</span></div>
+                    <div class="flex justify-between items-center space-x-2">
+                        <code class="font-mono text-gray-700 truncate" title="${esc(`${token.tokenType} ${token.accessToken}`)}">${esc(`${token.tokenType} ${token.accessToken.slice(0, 24)}`)}${token.accessToken.length > 24 ? '...' : ''}</code>
+                        <div class="space-x-2 whitespace-nowrap">
+                            <button data-copy-token="${index}" class="text-blue-600 hover:text-blue-800">Copy</button>
+                            <button data-delete-token="${index}" class="text-red-500 hover:text-red-700">Delete</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            }).join('')
+            : '<p class="text-gray-500 text-sm">No OAuth 2.0 tokens stored. Tokens appear here after "Get New Token" or after sending a request that uses OAuth 2.0.</p>';
+    },
+
+
+    showGroupAuthDialog(groupName = app.activeGroups.requests) {
+        const dialog = document.getElementById('group-auth-dialog');
+        const typeSelect = document.getElementById('group-auth-type-select');
+        const fields = document.getElementById('group-auth-fields');
+        let draft = { ...getGroupAuth(groupName) };
+
+        document.getElementById('group-auth-title').textContent = `Auth for group "${groupName}"`;
+        typeSelect.innerHTML = AUTH_TYPES
+            .filter(t => t.id !== 'inherit')
+            .map(t => `<option value="${t.id}">${t.label}</option>`)
+            .join('');
+        typeSelect.value = draft.type;
+        app.renderAuthFields(fields, draft, groupName);
+        typeSelect.onchange = () => {
+            draft = createAuth(typeSelect.value);
+            app.renderAuthFields(fields, draft, groupName);
+        };
+
+        document.getElementById('group-auth-save').onclick = () => {
+            const save = () => {
+                saveGroupAuth(groupName, draft);
+                dialog.classList.add('hidden');
+                app.renderAuth();
+            };
+            if (app.hasTypedCredentials([draft]) && !isSecretsUnlocked()) {
+                app.unlockSecrets(save);
+            } else {
+                save();
+            }
+        };
+        document.getElementById('group-auth-cancel').onclick = () => {
+            dialog.classList.add('hidden');
+        };
+        dialog.classList.remove('hidden');
+    },
+
+    // --- Body Mode & Form Fields ---
+
+    renderBodyMode() {
+        const mode = app.currentRequest.bodyMode || 'raw';
+        app.elements.bodyModeSelect.value = mode;
+        app.elements.bodyTextarea.classList.toggle('hidden', mode !== 'raw');
+        document.getElementById('form-fields-section').classList.toggle('hidden', mode !== 'urlencoded' && mode !== 'multipart');
+        document.getElementById('body-none-note').classList.toggle('hidden', mode !== 'none');
+        document.getElementById('graphql-section').classList.toggle('hidden', mode !== 'graphql');
+        if (mode === 'urlencoded' || mode === 'multipart') {
+            app.renderFormFields();
+        }
+        app.renderGraphQLEditors();
+    },
+
+    renderFormFields() {
+        const container = app.elements.formFieldsContainer;
+        const isMultipart = app.currentRequest.bodyMode === 'multipart';
+        container.innerHTML = '';
+        app.currentRequest.formFields.forEach((f, index) => {
+            const isFile = isMultipart && f.type === 'file';
+            const fileLabel = f.file ? f.file.name : (f.fileName ? `${f.fileName} (re-select file)` : 'No file selected');
+            const div = document.createElement('div');
+            div.className = 'flex space-x-2 items-center';
+            div.innerHTML = `
+                <input type="text" value="${f.key}" placeholder="Key" oninput="window.app.updateFormField(${index}, 'key', this.value)" 
+                    class="w-1/3 p-2 border rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500">
+                ${isMultipart ? `
+                <select onchange="window.app.updateFormField(${index}, 'type', this.value)" class="p-2 border rounded-lg text-xs">
+                    <option value="text" ${isFile ? '' : 'selected'}>Text</option>
+                    <option value="file" ${isFile ? 'selected' : ''}>File</option>
+                </select>` : ''}
+                ${isFile ? `
+                <label class="flex-1 p-2 border rounded-lg text-xs text-gray-600 truncate cursor-pointer bg-gray-50 hover:bg-gray-100">
+                    <input type="file" class="hidden" onchange="window.app.setFormFieldFile(${index}, this.files[0])">
+                    ${fileLabel}
+                </label>` : `
+                <input type="text" value="${f.value}" placeholder="Value" oninput="window.app.updateFormField(${index}, 'value', this.value)" 
+                    class="flex-1 p-2 border rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500">`}
+                <button onclick="window.app.removeFormField(${index})" 
+                    class="bg-red-100 text-red-600 p-2 rounded-lg hover:bg-red-200 transition text-sm">Remove</button>
+            `;
+            container.appendChild(div);
+        });
+    },
+
+    updateFormField(index, field, value) {
+        app.currentRequest.formFields[index][field] = value;
+        // Switching between text and file changes the row layout
+        if (field === 'type') {
+            app.renderFormFields();
+        }
+    },
+
+    setFormFieldFile(index, file) {
+        const formField = app.currentRequest.formFields[index];
+        formField.file = file || null;
+        formField.fileName = file ? file.name : '';
+        app.renderFormFields();
+    },
+
+    removeFormField(index) {
+        app.currentRequest.formFields.splice(index, 1);
+        if (app.currentRequest.formFields.length === 0) {
+            app.currentRequest.formFields.push({ key: '', value: '', type: 'text' });
+        }
+        app.renderFormFields();
+    },
+
+    // --- GraphQL ---
+
+    renderGraphQLEditors() {
+        const graphql = app.currentRequest.graphql;
+        if (app.codeMirrorEditors.graphqlQuery) {
+            if (app.codeMirrorEditors.graphqlQuery.getValue() !== graphql.query) {
+                app.codeMirrorEditors.graphqlQuery.setValue(graphql.query || '');
+            }
+            // CodeMirror needs a refresh after its container was hidden
+            app.codeMirrorEditors.graphqlQuery.refresh();
+        } else {
+            document.getElementById('graphql-query-editor').value = graphql.query || '';
+        }
+        document.getElementById('graphql-variables-editor').value = graphql.variables || '';
+    },
+
+    graphqlHint(cm) {
+        if (!app.graphqlSchema) return null;
+        const cursor = cm.getCursor();
+        const line = cm.getLine(cursor.line);
+        let start = cursor.ch;
+        while (start > 0 && /\w/.test(line.charAt(start - 1))) {
+            start--;
+        }
+        const prefix = line.slice(start, cursor.ch);
+        const textBeforeCursor = cm.getRange(CodeMirror.Pos(0, 0), cursor);
+        const suggestions = getFieldSuggestions(app.graphqlSchema, textBeforeCursor, prefix);
+        return {
+            list: suggestions.map(f => ({ text: f.name, displayText: `${f.name}: ${f.type}` })),
+            from: CodeMirror.Pos(cursor.line, start),
+            to: cursor
+        };
+    },
+
+    async fetchGraphQLSchema() {
+        if (isSecretsLocked()) {
+            app.unlockSecrets(() => app.fetchGraphQLSchema());
+            return;
+        }
+        const statusEl = document.getElementById('graphql-schema-status');
+        const { auth } = resolveAuth(app.currentRequest.auth, app.currentRequest.group || app.activeGroups.requests);
+        await app.loadEnvironment(auth);
+        let url = app.applyTemplateToString(app.elements.urlInput.value);
+        if (!url) {
+            statusEl.textContent = 'Enter the GraphQL endpoint URL first.';
+            return;
+        }
+
+        const headers = {};
+        app.currentRequest.rawHeaders.filter(h => h.key).forEach(h => {
+            headers[h.key.trim()] = app.applyTemplateToString(h.value || '');
+        });
+
+        statusEl.textContent = 'Fetching schema...';
+        try {
+            // Auth is added as executeRequest adds it: headers set explicitly win
+            let tokenAuth = auth;
+            if (auth.type === 'oauth2') {
+                const token = await getAccessToken(auth, app.activeGroups.variables, {
+                    resolve: app.applyTemplateToString,
+                    fetchFn: tauriFetch || fetch
+                });
+                tokenAuth = { ...auth, accessToken: token.accessToken, tokenType: token.tokenType };
+            }
+            const authParams = getAuthParams(tokenAuth, app.applyTemplateToString);
+            authParams.headers
+                .filter(h => !Object.keys(headers).some(name => name.toLowerCase() === h.key.toLowerCase()))
+                .forEach(h => { headers[h.key] = h.value; });
+            url = appendQueryParams(url, authParams.query);
+            const awsCredentials = auth.type === 'awsv4' && !Object.keys(headers).some(name => name.toLowerCase() === 'authorization')
+                ? resolveAwsCredentials(auth, app.applyTemplateToString)
+                : null;
+
+            const schema = await fetchGraphQLSchema(url, headers, awsCredentials);
+            app.graphqlSchema = createSchemaIndex(schema);
+            const typeCount = Object.keys(app.graphqlSchema.types).filter(name => !name.startsWith('__')).length;
+            statusEl.textContent = `Schema loaded (${typeCount} types)`;
+            app.renderSchemaExplorer();
+        } catch (error) {
+            app.graphqlSchema = null;
+            statusEl.textContent = `Schema error: ${error.message}`;
+            document.getElementById('graphql-schema-explorer').innerHTML = '';
+        }
+    },
+
+    renderSchemaExplorer(typeName = null) {
+        const explorer = document.getElementById('graphql-schema-explorer');
+        const schema = app.graphqlSchema;
+        if (!schema) {
+            explorer.innerHTML = '';
+            return;
+        }
+
+        // Names and descriptions come from the endpoint, so they are escaped; label is HTML
+        const esc = app.escapeHtml;
+        const typeLink = (name, label = esc(name)) =>
+            `<button data-gql-type="${esc(name)}" class="gql-type-link text-blue-600 hover:underline">${label}</button>`;
+
+        // Root view: operation types followed by all named types
+        if (!typeName || !schema.types[typeName]) {
+            const roots = ['queryType', 'mutationType', 'subscriptionType']
+                .filter(key => schema[key])
+                .map(key => `<div><span class="text-gray-500">${key.replace('Type', '')}:</span> ${typeLink(schema[key])}</div>`)
+                .join('');
+            const allTypes = Object.keys(schema.types)
+                .filter(name => !name.startsWith('__'))
+                .sort()
+                .map(name => `<div class="pl-2">${typeLink(name)} <span class="text-gray-400">${esc(schema.types[name].kind)}</span></div>`)
+                .join('');
+            explorer.innerHTML = `${roots}<div class="text-gray-500 pt-2">Types</div>${allTypes}`;
+            return;
+        }
+
+        const type = schema.types[typeName];
+        const fields = type.fields || type.inputFields || [];
+        const fieldRows = fields.map(f => {
+            const args = f.args && f.args.length > 0
+                ? `(${f.args.map(a => `${esc(a.name)}: ${typeLink(unwrapTypeName(a.type), esc(formatTypeRef(a.type)))}`).join(', ')})`
+                : '';
+            const description = f.description ? `<div class="pl-4 text-gray-400 font-sans">${esc(f.description)}</div>` : '';
+            return `<div class="pl-2"><span class="text-gray-800">${esc(f.name)}</span>${args}: ${typeLink(unwrapTypeName(f.type), esc(formatTypeRef(f.type)))}${description}</div>`;
+        }).join('');
+        const enumRows = (type.enumValues || []).map(v => `<div class="pl-2 text-gray-800">${esc(v.name)}</div>`).join('');
+
+        explorer.innerHTML = `
+            <div>${typeLink('', '&larr; Schema')}</div>
+            <div class="font-bold text-gray-700">${esc(type.kind)} ${esc(type.name)}</div>
+            ${type.description ? `<div class="text-gray-500 font-sans">${esc(type.description)}</div>` : ''}
+            ${fieldRows}${enumRows}
+        `;
+    },
+
+    // --- WebSocket ---
+
+    renderRequestType() {
+        const isWebSocket = app.currentRequest.type === 'websocket';
+        app.elements.requestTypeSelect.value = app.currentRequest.type || 'http';
+        app.elements.methodSelect.classList.toggle('hidden', isWebSocket);
+        document.getElementById('body-section').classList.toggle('hidden', isWebSocket);
+        document.getElementById('auth-section').classList.toggle('hidden', isWebSocket);
+        document.getElementById('request-variables-section').classList.toggle('hidden', isWebSocket);
+        document.getElementById('stream-option').classList.toggle('hidden', isWebSocket);
+        document.getElementById('stream-checkbox').checked = !!app.currentRequest.stream;
+        document.getElementById('timeout-option').classList.toggle('hidden', isWebSocket);
+        app.renderRequestTimeout();
+        document.getElementById('data-file-section').classList.toggle('hidden', isWebSocket);
+        app.renderRequestDataFile();
+        document.getElementById('ws-options-section').classList.toggle('hidden', !isWebSocket);
+        document.getElementById('ws-subprotocols-input').value = app.currentRequest.subprotocols || '';
+        document.getElementById('post-script-title').textContent = isWebSocket ? 'On-Message Script' : 'Post-Request Script';
+        app.elements.urlInput.placeholder = isWebSocket
+            ? 'Enter URL (e.g., wss://{{wsHost}}/socket)'
+            : 'Enter URL (e.g., {{baseUrl}}/users)';
+        app.renderWebSocketStatus();
+    },
+
+    renderRequestTimeout() {
+        const input = document.getElementById('request-timeout-input');
+        input.value = app.currentRequest.timeout || '';
+        // The placeholder shows what applies when the request sets no timeout
+        const { timeout } = resolveTimeout(null, app.currentRequest.group || app.activeGroups.requests);
+        input.placeholder = timeout ? `${timeout} (group)` : 'None';
+    },
+
+    showGroupTimeoutDialog(groupName = app.activeGroups.requests) {
+        const { timeout } = resolveTimeout(null, groupName);
+        app.inputDialog.show(
+            `Timeout for group "${groupName}"`,
+            `Seconds to wait for a response, for requests in this group that set no timeout of their own. Currently: ${timeout ? `${timeout}s` : 'none'}. Enter 0 for none.`,
+            timeout ? String(timeout) : 'e.g. 30',
+            (value) => {
+                const seconds = Number(value);
+                if (!Number.isFinite(seconds) || seconds < 0) {
+                    alert('Enter the timeout in seconds, or 0 for none.');
+                    return;
+                }
+                saveGroupSettings('requests', groupName, { timeout: seconds > 0 ? seconds : undefined });
+                app.renderRequestTimeout();
+            }
+        );
+    },
+
+    renderWebSocketStatus() {
+        const sendBtn = document.getElementById('send-btn');
+        const statusEl = document.getElementById('ws-status');
+        const connected = !!app.wsConnection;
+        if (app.currentRequest.type === 'websocket') {
+            sendBtn.textContent = connected ? 'Disconnect' : 'Connect';
+        } else {
+            sendBtn.textContent = 'Send';
+        }
+        app.renderSendAvailability();
+        statusEl.textContent = connected ? 'Connected' : 'Disconnected';
+        statusEl.className = `text-sm font-bold ${connected ? 'text-green-500' : 'text-gray-500'}`;
+    },
+
+    addWebSocketLogEntry(direction, text) {
+        const entry = { direction: direction, text: text, timestamp: new Date() };
+        app.wsLog.push(entry);
+
+        const styles = {
+            in: { arrow: '←', color: 'text-green-400' },
+            out: { arrow: '→', color: 'text-cyan-400' },
+            script: { arrow: '⚙', color: 'text-yellow-300' },
+            system: { arrow: '•', color: 'text-gray-400' }
+        };
+        const style = styles[direction] || styles.system;
+
+        // Messages come from remote servers, so they are inserted as text, never as HTML
+        const row = document.createElement('div');
+        row.className = `${style.color} whitespace-pre-wrap break-all`;
+        row.textContent = `[${entry.timestamp.toLocaleTimeString()}.${String(entry.timestamp.getMilliseconds()).padStart(3, '0')}] ${style.arrow} ${text}`;
+        const logEl = document.getElementById('ws-log');
+        logEl.appendChild(row);
+        logEl.scrollTop = logEl.scrollHeight;
+    },
+
+    clearWebSocketLog() {
+        app.wsLog = [];
+        document.getElementById('ws-log').innerHTML = '';
+    },
+
+    async toggleWebSocket() {
+        if (app.wsConnection) {
+            app.disconnectWebSocket();
+            return;
+        }
+
+        app.switchMainTab('websocket');
+        setActiveGroupForScripts(app.activeGroups.variables);
+
+        // Pre-request script runs once before connecting
+        const preScriptId = app.elements.preScriptSelect.value;
+        if (preScriptId) {
+            const preOutput = await executePreScript(preScriptId);
+            preOutput.trim().split('\n').forEach(line => app.addWebSocketLogEntry('script', line));
+        }
+
+        await app.loadEnvironment();
+        const url = app.applyTemplateToString(app.elements.urlInput.value);
+        const headers = {};
+        app.currentRequest.rawHeaders.filter(h => h.key).forEach(h => {
+            headers[h.key.trim()] = app.applyTemplateToString(h.value || '');
+        });
+        const protocols = parseSubprotocols(app.applyTemplateToString(app.currentRequest.subprotocols));
+
+        const shownUrl = redactSecrets(url);
+        document.getElementById('ws-url').textContent = shownUrl;
+        document.getElementById('ws-status').textContent = 'Connecting...';
+        app.addWebSocketLogEntry('system', `Connecting to ${shownUrl}${protocols.length ? ` (subprotocols: ${protocols.join(', ')})` : ''}`);
+
+        // Messages are handled one at a time, so on-message scripts see them in order
+        let messageQueue = Promise.resolve();
+        try {
+            app.wsConnection = await connectWebSocket(url, { headers: headers, protocols: protocols }, {
+                onOpen: () => app.addWebSocketLogEntry('system', 'Connected'),
+                onMessage: (text) => {
+                    messageQueue = messageQueue
+                        .then(() => app.handleWebSocketMessage(text))
+                        .catch(error => app.addWebSocketLogEntry('system', `On-message script failed: ${error.message || error}`));
+                },
+                onNotice: (message) => app.addWebSocketLogEntry('system', message),
+                onClose: (frame) => {
+                    app.wsConnection = null;
+                    app.addWebSocketLogEntry('system', `Disconnected (code ${frame ? frame.code : 'n/a'}${frame && frame.reason ? `: ${frame.reason}` : ''})`);
+                    app.renderWebSocketStatus();
+                }
+            });
+        } catch (error) {
+            app.wsConnection = null;
+            app.addWebSocketLogEntry('system', `Connection failed: ${error.message || error}`);
+        }
+        app.renderWebSocketStatus();
+    },
+
+    disconnectWebSocket() {
+        if (!app.wsConnection) return;
+        const connection = app.wsConnection;
+        app.wsConnection = null;
+        Promise.resolve(connection.close()).catch(error => {
+            app.addWebSocketLogEntry('system', `Close failed: ${error.message || error}`);
+        });
+        app.renderWebSocketStatus();
+    },
+
+    async handleWebSocketMessage(text) {
+        app.addWebSocketLogEntry('in', text);
+
+        // Run the on-message script hook with the parsed message
+        const scriptId = app.elements.postScriptSelect.value;
+        if (!scriptId) return;
+
+        setActiveGroupForScripts(app.activeGroups.variables);
+        const message = { data: parseMessageData(text), text: text, timestamp: new Date().toISOString() };
+        const harness = createTestHarness();
+        let output = await executePostScript(scriptId, null, message.data, { message: message, harness: harness });
+        output += formatTestResults(await harness.settle());
+        output.trim().split('\n').filter(Boolean).forEach(line => app.addWebSocketLogEntry('script', line));
+        app.renderVariableStore();
+    },
+
+    async sendWebSocketMessage(asJson) {
+        if (!app.wsConnection) {
+            app.addWebSocketLogEntry('system', 'Not connected.');
+            return;
+        }
+
+        const text = app.applyTemplateToString(document.getElementById('ws-message-input').value);
+        if (asJson) {
+            try {
+                JSON.parse(text);
+            } catch (error) {
+                app.addWebSocketLogEntry('system', `Invalid JSON, message not sent: ${error.message}`);
+                return;
+            }
+        }
+
+        try {
+            await app.wsConnection.send(text);
+            app.addWebSocketLogEntry('out', text);
+        } catch (error) {
+            app.addWebSocketLogEntry('system', `Send failed: ${error.message || error}`);
+        }
+    },
+
+    renderCollections() {
+        // Render Requests List (filtered by active group)
+        const allRequests = getAllRequests();
+        const activeRequestGroup = app.activeGroups.requests;
+        const requests = allRequests.filter(r => r.group === activeRequestGroup);
+        
+        app.elements.requestsList.innerHTML = requests.length > 0
+            ? requests.map(r => `
+                <div class="w-full p-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition text-sm flex justify-between items-center">
+                    <button data-load-request="${app.escapeHtml(r.id)}" class="load-request-btn flex-1 text-left flex justify-between items-center">
+                        <span>${app.escapeHtml(r.title)}</span>
+                        <span class="text-xs font-mono text-gray-500">${r.type === 'websocket' ? 'WS' : app.escapeHtml(r.method)}</span>
+                    </button>
+                    <button data-delete-request="${app.escapeHtml(r.id)}" class="delete-request-btn text-red-500 hover:text-red-700 ml-2 text-xs px-2">X</button>
+                </div>
+            `).join('')
+            : '<p class="text-gray-500 text-xs">No requests in this group.</p>';
+
+        // Render Scripts List and Select (filtered by active group)
+        const allScripts = getAllScripts();
+        const activeScriptGroup = app.activeGroups.scripts;
+        const scripts = allScripts.filter(s => s.group === activeScriptGroup);
+        
+        app.elements.scriptsList.innerHTML = scripts.length > 0
+            ? scripts.map(s => `
+                <div class="w-full p-2 bg-purple-100 hover:bg-purple-200 rounded-lg transition text-sm flex justify-between items-center">
+                    <button data-load-script="${app.escapeHtml(s.id)}" class="load-script-btn flex-1 text-left">
+                        <span>${app.escapeHtml(s.name)}</span>
+                    </button>
+                    <button data-delete-script="${app.escapeHtml(s.id)}" class="delete-script-btn text-red-500 hover:text-red-700 ml-2 text-xs px-2">X</button>
+                </div>
+            `).join('')
+            : '<p class="text-gray-500 text-xs">No scripts in this group.</p>';
+
+        // Separate pre and post scripts - use ALL scripts for dropdowns (not filtered by group)
+        const preScripts = allScripts.filter(s => s.type === 'pre-request');
+        const postScripts = allScripts.filter(s => s.type !== 'pre-request');
+        
+        app.elements.preScriptSelect.innerHTML = '<option value="">-- No Pre-Script Selected --</option>' + 
+            preScripts.map(s => `<option value="${app.escapeHtml(s.id)}" ${s.id === app.currentRequest.preScriptId ? 'selected' : ''}>${app.escapeHtml(`${s.name} (${s.group})`)}</option>`).join('');
+        
+        app.elements.postScriptSelect.innerHTML = '<option value="">-- No Post-Script Selected --</option>' + 
+            postScripts.map(s => `<option value="${app.escapeHtml(s.id)}" ${s.id === app.currentRequest.postScriptId ? 'selected' : ''}>${app.escapeHtml(`${s.name} (${s.group})`)}</option>`).join('');
+
+        // Update script editor fields based on currentScript
+        if (app.codeMirrorEditors.postScript) {
+            app.codeMirrorEditors.postScript.setValue(app.currentScript.code || '');
+        } else {
+            app.elements.postScriptEditor.value = app.currentScript.code;
+        }
+        app.elements.scriptNameInput.value = app.currentScript.name;
+        app.elements.scriptTimeoutInput.value = app.currentScript.timeout || '';
+        
+        if (app.codeMirrorEditors.preScript) {
+            app.codeMirrorEditors.preScript.setValue(app.currentPreScript.code || '');
+        } else {
+            app.elements.preScriptEditor.value = app.currentPreScript.code;
+        }
+        app.elements.preScriptNameInput.value = app.currentPreScript.name;
+        app.elements.preScriptTimeoutInput.value = app.currentPreScript.timeout || '';
+    },
+    
+    // --- History ---
+
+    renderHistory() {
+        const entries = searchHistory({
+            text: document.getElementById('history-search-input').value,
+            method: document.getElementById('history-method-select').value,
+            status: document.getElementById('history-status-input').value,
+            from: document.getElementById('history-from-input').value,
+            to: document.getElementById('history-to-input').value
+        });
+
+        app.elements.historyList.innerHTML = entries.length > 0
+            ? entries.map(h => {
+                const statusColor = h.status >= 200 && h.status < 300 ? 'text-green-600' : (h.status >= 400 ? 'text-red-600' : 'text-gray-500');
+                return `
+                <div class="w-full p-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition text-xs space-y-1">
+                    <div class="flex justify-between items-center">
+                        <span class="font-mono font-semibold text-gray-700">${app.escapeHtml(h.method)}</span>
+                        <span class="font-mono font-bold ${statusColor}">${app.escapeHtml(h.status)}</span>
+                        <span class="text-gray-500">${app.escapeHtml(h.duration)}ms</span>
+                        <span class="text-gray-500">${new Date(h.timestamp).toLocaleString()}</span>
+                    </div>
+                    <div class="font-mono text-blue-600 truncate" title="${app.escapeHtml(h.url)}">${app.escapeHtml(h.url)}</div>
+                    <div class="flex justify-between items-center">
+                        <span class="text-gray-500">Group: ${app.escapeHtml(h.variableGroup)}</span>
+                        <div class="space-x-2">
+                            <button data-open-history="${app.escapeHtml(h.id)}" class="open-history-btn text-blue-600 hover:text-blue-800">Open</button>
+                            ${h.source && h.source.credentialsRemoved
+                                ? '<button class="text-gray-400 cursor-not-allowed" disabled title="The credentials were not stored; open the entry to send it again">Resend</button>'
+                                : `<button data-resend-history="${app.escapeHtml(h.id)}" class="resend-history-btn text-green-600 hover:text-green-800 disabled:opacity-50" ${app.runner.controller ? 'disabled title="Wait for the collection run to finish"' : ''}>Resend</button>`}
+                            <button data-delete-history="${app.escapeHtml(h.id)}" class="delete-history-btn text-red-500 hover:text-red-700">X</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            }).join('')
+            : '<p class="text-gray-500 text-xs">No matching history entries.</p>';
+    },
+
+    openHistoryEntry(id) {
+        const entry = getHistory().find(h => h.id === id);
+        if (!entry) return;
+
+        // Load the original request template into the builder as an unsaved request
+        const source = entry.source || { url: entry.url, rawHeaders: [], body: entry.body || '' };
+        app.newRequest();
+        app.currentRequest.url = source.url;
+        app.currentRequest.method = entry.method;
+        app.currentRequest.rawHeaders = [...(source.rawHeaders || []), { key: '', value: '' }];
+        app.currentRequest.body = source.body || '';
+        app.currentRequest.bodyMode = source.bodyMode || 'raw';
+        if (source.formFields && source.formFields.length > 0) {
+            app.currentRequest.formFields = source.formFields.map(f => ({ ...f }));
+        }
+        if (source.graphql) {
+            app.currentRequest.graphql = { ...source.graphql };
+        }
+        if (source.auth) {
+            app.currentRequest.auth = { ...source.auth };
+        }
+        if (source.variables) {
+            app.currentRequest.variables = [...source.variables.map(v => ({ ...v })), { key: '', value: '' }];
+        }
+        app.currentRequest.stream = !!entry.stream;
+        app.currentRequest.timeout = source.timeout || null;
+        app.renderRequestTimeout();
+        app.currentRequest.preScriptId = source.preScriptId || '';
+        app.currentRequest.postScriptId = source.postScriptId || '';
+        document.getElementById('stream-checkbox').checked = app.currentRequest.stream;
+        app.elements.urlInput.value = source.url;
+        app.elements.methodSelect.value = entry.method;
+        app.elements.bodyTextarea.value = source.body || '';
+        app.elements.preScriptSelect.value = source.preScriptId || '';
+        app.elements.postScriptSelect.value = source.postScriptId || '';
+        app.renderHeaders();
+        app.renderRequestVariables();
+        app.renderAuth();
+        app.renderBodyMode();
+
+        // Show the recorded result exactly as it was received
+        const recordedResponse = {
+            status: entry.status,
+            statusText: entry.statusText,
+            headers: new Headers(entry.responseHeaders || {})
+        };
+        const requestDetails = {
+            method: entry.method,
+            processedUrl: entry.url,
+            headers: entry.headers || {},
+            body: entry.body
+        };
+        app.resetStreamView(false);
+        app.displayResponse(requestDetails, recordedResponse, entry.responseBody, entry.scriptOutput, entry.url, entry.duration, entry.tests);
+        app.switchMainTab('result');
+    },
+
+    resendHistoryEntry(id) {
+        const entry = getHistory().find(h => h.id === id);
+        if (!entry || app.sendController || app.runner.controller) return;
+
+        // Entries with masked secret values are templated again from their
+        // source, which needs the secrets; masked values are never sent
+        const redacted = entry.redacted || JSON.stringify([entry.url, entry.headers, entry.body]).includes(MASK);
+        if (redacted && (!entry.source || entry.source.credentialsRemoved)) {
+            alert('This entry contains masked secrets or credentials and cannot be resent. Open it and send it again instead.');
+            return;
+        }
+        if (redacted && isSecretsLocked()) {
+            app.unlockSecrets(() => app.resendHistoryEntry(id));
+            return;
+        }
+
+        const responseBodyCode = document.getElementById('response-body-code');
+        if (responseBodyCode) responseBodyCode.textContent = 'Sending request...';
+        app.elements.responseStatus.textContent = 'Status: Sending...';
+        document.getElementById('script-output').textContent = '';
+        app.resetStreamView(entry.stream);
+        app.switchMainTab('result');
+
+        let url, rawHeaders, body, options;
+        if (redacted) {
+            // Same as sending the source again with the current variables, without scripts
+            const source = entry.source;
+            url = source.url;
+            rawHeaders = source.rawHeaders || [];
+            body = source.body || '';
+            options = {
+                bodyMode: source.bodyMode || 'raw',
+                formFields: source.formFields,
+                graphql: source.graphql,
+                auth: source.auth,
+                group: source.group,
+                variables: source.variables,
+                timeout: source.timeout
+            };
+        } else {
+            // Re-send exactly what was sent: processed values, no scripts
+            url = entry.url;
+            rawHeaders = Object.entries(entry.headers || {}).map(([key, value]) => ({ key, value }));
+            body = entry.body || '';
+            // Multipart bodies are rebuilt from the recorded fields (files must be re-selected via Open)
+            options = entry.bodyMode === 'multipart' && entry.source
+                ? { bodyMode: 'multipart', formFields: entry.source.formFields }
+                : { bodyMode: entry.body ? 'raw' : 'none' };
+        }
+        options.stream = !!entry.stream;
+        options.onStreamEvent = app.handleStreamEvent;
+        options.signal = app.streamController.signal;
+        options.cancelSignal = app.startSend();
+
+        executeRequest(
+            url,
+            entry.method,
+            rawHeaders,
+            body,
+            '',
+            '',
+            app.displayResponse,
+            entry.variableGroup,
+            options
+        ).catch(app.showSendError).finally(app.finishSend);
+    },
+
+    removeHistoryEntry(id) {
+        deleteHistoryEntry(id);
+        app.renderHistory();
+    },
+
+    // --- Tab Switching Logic (same as original) ---
+
+    switchSidebarTab(tabName) {
+        app.currentSidebarTab = tabName;
+
+        // 1. Update Buttons
+        document.querySelectorAll('.tab-button').forEach(button => {
+            button.classList.remove('active', 'bg-blue-600', 'text-white');
+            button.classList.add('text-gray-600', 'hover:bg-gray-100');
+            if (button.getAttribute('data-tab') === tabName) {
+                button.classList.add('active', 'bg-blue-600', 'text-white');
+                button.classList.remove('text-gray-600', 'hover:bg-gray-100');
+            }
+        });
+
+        // 2. Update Panels
+        document.querySelectorAll('.tab-panel').forEach(panel => {
+            if (panel.getAttribute('data-panel') === tabName) {
+                panel.classList.remove('hidden');
+            } else {
+                panel.classList.add('hidden');
+            }
+        });
+        
+        // 3. Refresh content when switching to variables or history tab
+        if (tabName === 'variables') {
+            app.renderVariableStore();
+        } else if (tabName === 'history') {
+            app.renderHistory();
+        }
+    },
+    
+    switchMainTab(tabName) {
+        app.currentMainTab = tabName;
+
+        if (tabName === 'runner' && !app.runner.controller) {
+            if (app.runner.request) {
+                app.renderRunnerRequests();
+            } else {
+                app.openRunner(app.runner.group || app.activeGroups.requests);
+            }
+        }
+
+        // 1. Update Buttons
         document.querySelectorAll('.main-tab-button').forEach(button => {
             button.classList.remove('active', 'bg-blue-600', 'text-white');
             button.classList.add('text-gray-600', 'hover:bg-gray-100');
@@ -597,9 +2009,22 @@ const app = {
     loadRequest(id) {
         const request = getAllRequests().find(r => r.id === id);
         if (request) {
+            app.disconnectWebSocket();
             app.currentRequest = {
                 ...request, 
-                rawHeaders: request.rawHeaders || [{ key: '', value: '' }]
+                type: request.type || 'http',
+                subprotocols: request.subprotocols || '',
+                stream: !!request.stream,
+                timeout: request.timeout || null,
+                dataFile: request.dataFile || null,
+                rawHeaders: request.rawHeaders || [{ key: '', value: '' }],
+                variables: [...(request.variables || []).map(v => ({ ...v })), { key: '', value: '' }],
+                bodyMode: request.bodyMode || 'raw',
+                formFields: request.formFields && request.formFields.length > 0
+                    ? request.formFields.map(f => ({ ...f }))
+                    : [{ key: '', value: '', type: 'text' }],
+                graphql: { query: '', variables: '', ...request.graphql },
+                auth: request.auth ? { ...request.auth } : createAuth('inherit')
             };
             app.currentScript.id = request.postScriptId;
             app.currentPreScript.id = request.preScriptId;
@@ -615,6 +2040,7 @@ const app = {
             if (postScript) {
                 app.currentScript.name = postScript.name;
                 app.currentScript.code = postScript.code;
+                app.currentScript.timeout = postScript.timeout;
             } else {
                 app.currentScript = { id: null, name: 'Untitled Script', code: '' };
             }
@@ -623,11 +2049,16 @@ const app = {
             if (preScript) {
                 app.currentPreScript.name = preScript.name;
                 app.currentPreScript.code = preScript.code;
+                app.currentPreScript.timeout = preScript.timeout;
             } else {
                 app.currentPreScript = { id: null, name: 'Untitled Pre-Script', code: '' };
             }
 
             app.renderHeaders();
+            app.renderRequestVariables();
+            app.renderAuth();
+            app.renderBodyMode();
+            app.renderRequestType();
             app.renderCollections(); 
             app.switchMainTab('request'); 
         }
@@ -639,6 +2070,7 @@ const app = {
             app.currentScript = script;
             app.elements.postScriptEditor.value = script.code;
             app.elements.scriptNameInput.value = script.name;
+            app.elements.scriptTimeoutInput.value = script.timeout || '';
             app.currentRequest.postScriptId = script.id; 
             app.elements.postScriptSelect.value = script.id;
         }
@@ -676,6 +2108,7 @@ const app = {
             const varStore = getVariableStore();
             const activeGroup = app.activeGroups.variables;
             delete varStore[activeGroup][key];
+            setSecretKey(activeGroup, key, false);
             saveVariableStore(varStore);
             app.renderVariableStore();
         });
@@ -728,19 +2161,38 @@ const app = {
         const requestToSave = {
             id: app.currentRequest.id,
             title: title,
+            type: app.currentRequest.type || 'http',
+            subprotocols: app.currentRequest.subprotocols || '',
+            stream: !!app.currentRequest.stream,
+            timeout: app.currentRequest.timeout || null,
+            dataFile: app.currentRequest.dataFile || null,
             url: app.elements.urlInput.value,
             method: app.elements.methodSelect.value,
             rawHeaders: app.currentRequest.rawHeaders.filter(h => h.key), 
+            variables: app.currentRequest.variables.filter(v => v.key).map(v => ({ key: v.key, value: v.value || '' })),
             body: app.elements.bodyTextarea.value,
+            bodyMode: app.currentRequest.bodyMode,
+            // File contents are not persisted; only the last chosen file name is kept
+            formFields: app.currentRequest.formFields
+                .filter(f => f.key)
+                .map(f => ({ key: f.key, value: f.value || '', type: f.type || 'text', fileName: f.file ? f.file.name : (f.fileName || '') })),
+            graphql: { ...app.currentRequest.graphql },
+            auth: { ...app.currentRequest.auth },
             preScriptId: app.elements.preScriptSelect.value,
             postScriptId: app.elements.postScriptSelect.value,
             group: app.activeGroups.requests  // Save to active group
         };
+
+        if (app.hasTypedCredentials([requestToSave.auth]) && !isSecretsUnlocked()) {
+            app.unlockSecrets(() => app.saveCurrentRequest());
+            return;
+        }
         
         const savedReq = saveRequest(requestToSave);
         app.currentRequest.id = savedReq.id; 
         app.currentRequest.group = savedReq.group;
         app.elements.requestTitleInput.value = savedReq.title;
+        app.renderAuth(); // An inherited auth now comes from the saved group
         alert(`Request saved as: ${savedReq.title} (Group: ${savedReq.group})`);
         app.renderCollections();
         app.renderGroupSelectors();
@@ -754,13 +2206,24 @@ const app = {
     
     newRequest() {
         // Clear the form for a new request
+        app.disconnectWebSocket();
         app.currentRequest = {
             id: null,
             title: 'New Request',
+            type: 'http',
+            subprotocols: '',
+            stream: false,
+            timeout: null,
+            dataFile: null,
             url: '',
             method: 'GET',
             rawHeaders: [{ key: '', value: '' }],
+            variables: [{ key: '', value: '' }],
             body: '',
+            bodyMode: 'raw',
+            formFields: [{ key: '', value: '', type: 'text' }],
+            graphql: { query: '', variables: '' },
+            auth: createAuth('inherit'),
             preScriptId: '',
             postScriptId: '',
             group: app.activeGroups.requests  // Use active group
@@ -774,9 +2237,19 @@ const app = {
         app.elements.postScriptSelect.value = '';
         
         app.renderHeaders();
+        app.renderRequestVariables();
+        app.renderAuth();
+        app.renderBodyMode();
+        app.renderRequestType();
         app.switchMainTab('request');
     },
 
+    // Seconds from a script's timeout field; empty uses the default (see scripting.js)
+    readScriptTimeout(input) {
+        const timeout = parseInt(input.value, 10);
+        return timeout > 0 ? timeout : undefined;
+    },
+
     saveCurrentScript() {
         const scriptName = app.elements.scriptNameInput.value || 'Untitled Script';
         const scriptCode = app.codeMirrorEditors.postScript 
@@ -787,6 +2260,7 @@ const app = {
             id: app.currentScript.id, 
             name: scriptName,
             code: scriptCode,
+            timeout: app.readScriptTimeout(app.elements.scriptTimeoutInput),
             group: app.activeGroups.scripts  // Save to active group
         };
 
@@ -801,7 +2275,33 @@ const app = {
     
     // --- Send & Response Handlers ---
 
+    // A send and a collection run share the request and temporary variables,
+    // so one cannot start while the other is in progress
+    renderSendAvailability() {
+        const sendBtn = document.getElementById('send-btn');
+        const runBtn = document.getElementById('runner-run-btn');
+        sendBtn.disabled = !!app.runner.controller && !app.wsConnection; // Disconnecting is always possible
+        sendBtn.title = sendBtn.disabled ? 'Wait for the collection run to finish' : '';
+        runBtn.disabled = !!app.sendController;
+        runBtn.title = runBtn.disabled ? 'Wait for the request to finish' : '';
+    },
+
     handleSend() {
+        if (app.sendController) return; // A request is already being sent
+        if (app.runner.controller && !app.wsConnection) return;
+
+        // Secret variables must be unlocked so their {{tags}} can be resolved
+        if (isSecretsLocked()) {
+            app.unlockSecrets(() => app.handleSend());
+            return;
+        }
+
+        // WebSocket requests connect/disconnect instead of sending
+        if (app.currentRequest.type === 'websocket') {
+            app.toggleWebSocket();
+            return;
+        }
+        
         const rawHeaders = app.currentRequest.rawHeaders.filter(h => h.key || h.value);
         const preScriptId = app.elements.preScriptSelect.value;
         const postScriptId = app.elements.postScriptSelect.value;
@@ -811,11 +2311,14 @@ const app = {
         
         app.elements.responseStatus.textContent = 'Status: Sending...';
         document.getElementById('script-output').textContent = '';
+        app.resetStreamView(app.currentRequest.stream);
         app.switchMainTab('result'); 
         
-        // Set active group for scripts before execution
+        // Set active group for scripts before execution; temporary variables last for this send
         setActiveGroupForScripts(app.activeGroups.variables);
-        
+        clearTempVariables();
+
+        const cancelSignal = app.startSend();
         executeRequest(
             app.elements.urlInput.value,
             app.elements.methodSelect.value,
@@ -824,29 +2327,491 @@ const app = {
             preScriptId,
             postScriptId,
             app.displayResponse, // Pass the UI function to the request module
-            app.activeGroups.variables // Pass active variable group for templating
-        );
+            app.activeGroups.variables, // Pass active variable group for templating
+            {
+                bodyMode: app.currentRequest.bodyMode,
+                formFields: app.currentRequest.formFields,
+                graphql: app.currentRequest.graphql,
+                stream: app.currentRequest.stream,
+                auth: app.currentRequest.auth,
+                group: app.currentRequest.group || app.activeGroups.requests,
+                variables: app.currentRequest.variables.filter(v => v.key),
+                timeout: app.currentRequest.timeout,
+                onStreamEvent: app.handleStreamEvent,
+                signal: app.streamController.signal,
+                cancelSignal: cancelSignal
+            }
+        ).catch(app.showSendError).finally(app.finishSend);
+    },
+
+    // Cancel replaces Send until the request and its scripts are done
+    startSend() {
+        app.sendController = new AbortController();
+        document.getElementById('send-btn').classList.add('hidden');
+        document.getElementById('cancel-btn').classList.remove('hidden');
+        app.renderSendAvailability();
+        return app.sendController.signal;
+    },
+
+    finishSend() {
+        app.sendController = null;
+        document.getElementById('send-btn').classList.remove('hidden');
+        document.getElementById('cancel-btn').classList.add('hidden');
+        app.renderSendAvailability();
+        clearTempVariables();
+        app.renderHistory();
+    },
+
+    // Errors executeRequest does not report itself
+    showSendError(error) {
+        console.error('Error sending request', error);
+        app.elements.responseStatus.textContent = `Status: Error - ${error.message}`;
+    },
+
+    cancelSend() {
+        if (app.sendController) {
+            app.sendController.abort();
+        }
+    },
+
+    // --- Collection Runner ---
+
+    openRunner(groupName) {
+        const groupRequests = getAllRequests().filter(r => r.group === groupName);
+        // Re-opening the same group keeps the chosen order and selection; new requests are appended
+        const previous = groupName === app.runner.group ? app.runner.order : [];
+        app.runner.group = groupName;
+        app.runner.request = null;
+        app.runner.order = [
+            ...previous.filter(item => groupRequests.some(r => r.id === item.id)),
+            ...groupRequests
+                .filter(r => !previous.some(item => item.id === r.id))
+                .map(r => ({ id: r.id, enabled: r.type !== 'websocket' }))
+        ];
+
+        const groupSelect = document.getElementById('runner-group-select');
+        groupSelect.innerHTML = getAllGroups('requests').map(g =>
+            `<option value="${app.escapeHtml(g)}" ${g === groupName ? 'selected' : ''}>${app.escapeHtml(g)}</option>`
+        ).join('');
+        app.renderRunnerRequests();
+    },
+
+    // Runs the request in the builder (with its own data file) instead of a group
+    openRunnerForCurrentRequest() {
+        if (!app.runner.group) {
+            app.openRunner(app.activeGroups.requests); // Fills the group selector
+        }
+        app.runner.request = {
+            ...app.currentRequest,
+            url: app.elements.urlInput.value,
+            method: app.elements.methodSelect.value,
+            body: app.elements.bodyTextarea.value,
+            preScriptId: app.elements.preScriptSelect.value,
+            postScriptId: app.elements.postScriptSelect.value
+        };
+        app.renderRunnerRequests();
+        app.switchMainTab('runner');
+    },
+
+    // Data file rows for the next run: the single request's own file, or the group's
+    getRunnerDataFile() {
+        if (app.runner.request) {
+            return app.runner.request.dataFile || null;
+        }
+        return getGroupSettings('requests', app.runner.group).dataFile || null;
+    },
+
+    renderRunnerRequests() {
+        const list = document.getElementById('runner-request-list');
+        const dataFile = app.getRunnerDataFile();
+        document.getElementById('runner-data-file-name').textContent = dataFile
+            ? `${dataFile.name} (${dataFile.rowCount} rows)`
+            : 'None (single iteration)';
+        // A single request's data file is managed in the Request Builder
+        document.getElementById('runner-data-file-btn').classList.toggle('hidden', !!app.runner.request);
+        document.getElementById('runner-data-file-clear').classList.toggle('hidden', !!app.runner.request || !dataFile);
+
+        if (app.runner.request) {
+            const r = app.runner.request;
+            list.innerHTML = `
+                <div class="w-full p-2 bg-blue-50 rounded-lg text-sm flex items-center space-x-2">
+                    <span class="text-xs font-mono text-gray-500 w-12">${app.escapeHtml(r.method)}</span>
+                    <span class="flex-1">${app.escapeHtml(r.title)} <span class="text-xs text-gray-500">(from Request Builder)</span></span>
+                    <button data-runner-show-group class="text-xs text-blue-600 hover:text-blue-800">Show group</button>
+                </div>
+            `;
+            return;
+        }
+
+        const requests = getAllRequests();
+        list.innerHTML = app.runner.order.length > 0
+            ? app.runner.order.map((item, index) => {
+                const r = requests.find(req => req.id === item.id);
+                return `
+                <div class="w-full p-2 bg-gray-100 rounded-lg text-sm flex items-center space-x-2">
+                    <input type="checkbox" data-runner-toggle="${index}" class="rounded" ${item.enabled ? 'checked' : ''} ${r.type === 'websocket' ? 'disabled title="WebSocket requests are not run"' : ''}>
+                    <span class="text-xs font-mono text-gray-500 w-12">${r.type === 'websocket' ? 'WS' : app.escapeHtml(r.method)}</span>
+                    <span class="flex-1">${app.escapeHtml(r.title)}</span>
+                    <button data-runner-move="${index}" data-direction="-1" class="text-gray-500 hover:text-gray-800 px-1" title="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                    <button data-runner-move="${index}" data-direction="1" class="text-gray-500 hover:text-gray-800 px-1" title="Move down" ${index === app.runner.order.length - 1 ? 'disabled' : ''}>&darr;</button>
+                </div>
+            `;
+            }).join('')
+            : '<p class="text-gray-500 text-xs">No requests in this group.</p>';
+    },
+
+    moveRunnerRequest(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= app.runner.order.length) return;
+        const order = app.runner.order;
+        [order[index], order[target]] = [order[target], order[index]];
+        app.renderRunnerRequests();
+    },
+
+    // --- Data Files ---
+
+    // Reads and validates a CSV/JSON data file; returns { name, content, rowCount } or null
+    async readDataFile(file) {
+        try {
+            const content = await file.text();
+            const { rows } = parseDataFile(content, file.name);
+            return { name: file.name, content: content, rowCount: rows.length };
+        } catch (error) {
+            alert(`Could not load data file: ${error.message}`);
+            return null;
+        }
+    },
+
+    renderRequestDataFile() {
+        const dataFile = app.currentRequest.dataFile;
+        document.getElementById('request-data-file-name').textContent = dataFile
+            ? `${dataFile.name} (${dataFile.rowCount} rows)`
+            : 'None';
+        document.getElementById('request-data-file-clear').classList.toggle('hidden', !dataFile);
+        document.getElementById('request-run-iterations-btn').classList.toggle('hidden', !dataFile);
+    },
+
+    async attachRequestDataFile(file) {
+        const dataFile = await app.readDataFile(file);
+        if (dataFile) {
+            app.currentRequest.dataFile = dataFile;
+            app.renderRequestDataFile();
+        }
+    },
+
+    async attachGroupDataFile(file) {
+        const dataFile = await app.readDataFile(file);
+        if (dataFile) {
+            saveGroupSettings('requests', app.runner.group, { dataFile: dataFile });
+            app.renderRunnerRequests();
+        }
+    },
+
+    removeGroupDataFile() {
+        saveGroupSettings('requests', app.runner.group, { dataFile: undefined });
+        app.renderRunnerRequests();
+    },
+
+    renderRunnerResult(runResult, index, iteration) {
+        const statusColors = {
+            running: 'bg-blue-100 text-blue-800',
+            passed: 'bg-green-100 text-green-800',
+            failed: 'bg-red-100 text-red-800',
+            skipped: 'bg-gray-100 text-gray-600',
+            cancelled: 'bg-yellow-100 text-yellow-800'
+        };
+        const r = runResult.request;
+        const rowId = `runner-result-${iteration === undefined ? 0 : iteration}-${index}`;
+        let row = document.getElementById(rowId);
+        if (!row) {
+            row = document.createElement('tr');
+            row.id = rowId;
+            row.className = 'border-b align-top';
+            document.getElementById('runner-results-body').appendChild(row);
+        }
+        const tests = runResult.result ? runResult.result.tests : [];
+        const passedTests = tests.filter(t => t.passed).length;
+        row.innerHTML = `
+            <td class="py-2 pr-2 text-gray-500">${iteration === undefined ? '' : iteration + 1}</td>
+            <td class="py-2 pr-2 text-gray-500">${index + 1}</td>
+            <td class="py-2 pr-2"><span class="font-mono text-gray-500">${app.escapeHtml(r.method)}</span> ${app.escapeHtml(r.title)}</td>
+            <td class="py-2 pr-2"><span class="px-2 py-1 rounded font-bold ${statusColors[runResult.status]}">${runResult.status}</span></td>
+            <td class="py-2 pr-2 font-mono">${runResult.httpStatus !== undefined ? runResult.httpStatus : ''}</td>
+            <td class="py-2 pr-2 text-gray-500">${runResult.duration !== undefined ? `${runResult.duration}ms` : ''}</td>
+            <td class="py-2 pr-2 font-mono ${passedTests === tests.length ? 'text-green-600' : 'text-red-600'}">${tests.length > 0 ? `${passedTests}/${tests.length}` : ''}</td>
+            <td class="py-2">
+                <details>
+                    <summary class="cursor-pointer text-gray-500"></summary>
+                    <pre class="bg-gray-900 text-green-400 p-2 rounded mt-1 whitespace-pre-wrap"></pre>
+                </details>
+            </td>
+        `;
+        // Failure reasons and script output may contain response text, so they are set as text
+        row.querySelector('summary').textContent = runResult.failure || (runResult.status === 'running' ? 'Running...' : 'Output');
+        row.querySelector('pre').textContent = runResult.scriptOutput || '';
+        if (runResult.result) {
+            const viewBtn = document.createElement('button');
+            viewBtn.className = 'text-blue-600 hover:text-blue-800 ml-2';
+            viewBtn.textContent = 'View';
+            viewBtn.onclick = () => app.showRunnerResult(runResult);
+            row.cells[2].appendChild(viewBtn);
+        }
+    },
+
+    showRunnerResult(runResult) {
+        if (!runResult || !runResult.result) return;
+        const { requestDetails, response, responseData, scriptOutput, duration, tests } = runResult.result;
+        app.resetStreamView(false);
+        app.displayResponse(requestDetails, response, responseData, scriptOutput, requestDetails.processedUrl, duration, tests);
+        app.switchMainTab('result');
+    },
+
+    async startRun() {
+        if (app.runner.controller || app.sendController) return; // A run or a send is already in progress
+        if (isSecretsLocked()) {
+            app.unlockSecrets(() => app.startRun());
+            return;
+        }
+
+        let selected;
+        if (app.runner.request) {
+            selected = [app.runner.request];
+        } else {
+            const requests = getAllRequests();
+            selected = app.runner.order
+                .filter(item => item.enabled)
+                .map(item => requests.find(r => r.id === item.id))
+                .filter(Boolean);
+        }
+        if (selected.length === 0) {
+            document.getElementById('runner-summary').textContent = 'Select at least one request to run.';
+            return;
+        }
+
+        let rows = null;
+        const dataFile = app.getRunnerDataFile();
+        if (dataFile) {
+            try {
+                rows = parseDataFile(dataFile.content, dataFile.name).rows;
+            } catch (error) {
+                document.getElementById('runner-summary').textContent = `Data file error: ${error.message}`;
+                return;
+            }
+        }
+        const total = selected.length * (rows ? rows.length : 1);
+
+        app.runner.controller = new AbortController();
+        app.runner.results = [];
+        document.getElementById('runner-results-body').innerHTML = '';
+        document.getElementById('runner-summary').textContent = `Running 0/${total}...`;
+        document.getElementById('runner-run-btn').classList.add('hidden');
+        document.getElementById('runner-stop-btn').classList.remove('hidden');
+        document.getElementById('runner-export').classList.add('hidden');
+        app.renderSendAvailability();
+        app.renderHistory(); // Resend waits for the run as well
+
+        const options = {
+            activeVariableGroup: app.activeGroups.variables,
+            delay: parseInt(document.getElementById('runner-delay-input').value, 10) || 0,
+            stopOnFailure: document.getElementById('runner-stop-on-failure').checked,
+            signal: app.runner.controller.signal,
+            onStart: (request, index, iteration) => {
+                const position = (iteration || 0) * selected.length + index + 1;
+                document.getElementById('runner-summary').textContent = `Running ${position}/${total}...`;
+                app.renderRunnerResult({ request, status: 'running' }, index, iteration);
+            },
+            onResult: (runResult, index, iteration) => {
+                app.runner.results.push(runResult);
+                app.renderRunnerResult(runResult, index, iteration);
+            }
+        };
+        // Temporary variables set by scripts last for the whole run
+        clearTempVariables();
+        try {
+            const summary = rows
+                ? await runIterations(selected, rows, options)
+                : await runCollection(selected, options);
+            document.getElementById('runner-export').classList.toggle('hidden', summary.results.length === 0);
+            document.getElementById('runner-summary').textContent =
+                `${summary.passed} passed, ${summary.failed} failed` +
+                (summary.skipped ? `, ${summary.skipped} skipped` : '') +
+                (rows ? ` over ${rows.length} iterations` : '') +
+                ` in ${summary.duration}ms` +
+                (summary.stopped ? ` (stopped, ${total - summary.results.length} not run)` : '');
+        } catch (error) {
+            console.error('Error running collection', error);
+            document.getElementById('runner-summary').textContent = `Run failed: ${error.message}`;
+        } finally {
+            clearTempVariables();
+            app.runner.controller = null;
+            document.getElementById('runner-run-btn').classList.remove('hidden');
+            document.getElementById('runner-stop-btn').classList.add('hidden');
+            app.renderSendAvailability();
+
+            // Scripts may have changed variables; history has new entries
+            app.renderVariableStore();
+            app.renderHistory();
+        }
+    },
+
+    stopRun() {
+        if (app.runner.controller) {
+            app.runner.controller.abort();
+        }
+    },
+
+    exportRunResults(format) {
+        const grid = app.runner.results.map(r => {
+            const tests = r.result ? r.result.tests : [];
+            return {
+                iteration: r.iteration === undefined ? '' : r.iteration + 1,
+                request: r.request.title,
+                method: r.request.method,
+                result: r.status,
+                status: r.httpStatus,
+                durationMs: r.duration,
+                testsPassed: tests.filter(t => t.passed).length,
+                testsTotal: tests.length,
+                failure: r.failure || '',
+                data: r.row
+            };
+        });
+        const fileName = `run-results-${Date.now()}.${format}`;
+        if (format === 'csv') {
+            saveTextFile(toCSV(grid), fileName, 'CSV', 'text/csv');
+        } else {
+            saveTextFile(JSON.stringify(grid, null, 2), fileName, 'JSON', 'application/json');
+        }
+    },
+
+    // --- Streaming ---
+
+    resetStreamView(showImmediately) {
+        app.streamController = new AbortController();
+        app.streamEventCount = 0;
+        document.getElementById('stream-events').innerHTML = '';
+        document.getElementById('stream-count').textContent = '0 received';
+        document.getElementById('stream-section').classList.toggle('hidden', !showImmediately);
+        document.getElementById('stream-stop-btn').classList.toggle('hidden', !showImmediately);
+    },
+
+    handleStreamEvent(event) {
+        // Shown on the first record so auto-detected streams appear too
+        document.getElementById('stream-section').classList.remove('hidden');
+        document.getElementById('stream-stop-btn').classList.remove('hidden');
+        app.elements.responseStatus.textContent = 'Status: Streaming...';
+
+        app.streamEventCount = (app.streamEventCount || 0) + 1;
+        document.getElementById('stream-count').textContent = `${app.streamEventCount} received`;
+
+        const time = new Date(event.timestamp);
+        const data = typeof event.data === 'string' ? event.data : JSON.stringify(event.data);
+        const label = event.event ? `${event.event}${event.id ? ` #${event.id}` : ''} ` : '';
+
+        // Streamed data comes from the server, so it is inserted as text, never as HTML
+        const row = document.createElement('div');
+        row.className = 'text-green-400 whitespace-pre-wrap break-all';
+        row.textContent = `[${time.toLocaleTimeString()}.${String(time.getMilliseconds()).padStart(3, '0')}] ${label}${data}`;
+        const eventsEl = document.getElementById('stream-events');
+        eventsEl.appendChild(row);
+        eventsEl.scrollTop = eventsEl.scrollHeight;
     },
 
-    displayResponse(requestDetails, response, responseData, scriptOutput, processedUrl, duration) {
+    stopStream() {
+        if (app.streamController) {
+            app.streamController.abort();
+        }
+    },
+
+    displayResponse(requestDetails, response, responseData, scriptOutput, processedUrl, duration, tests = []) {
+        // Stream (if any) has finished by the time results are displayed
+        document.getElementById('stream-stop-btn').classList.add('hidden');
+        
         // 1. Status and Time
         const status = response.status || 'N/A';
         const statusText = response.statusText || 'N/A';
-        const statusColor = status >= 200 && status < 300 ? 'text-green-500' : (status >= 400 ? 'text-red-500' : 'text-gray-500');
+        // Timed out and cancelled requests have no status code; they get colors of their own
+        const abortedColors = { 'Timed Out': 'text-orange-500', 'Cancelled': 'text-yellow-600' };
+        const statusColor = status >= 200 && status < 300 ? 'text-green-500' : (status >= 400 ? 'text-red-500' : (abortedColors[statusText] || 'text-gray-500'));
         
         app.elements.responseStatus.className = `font-bold ${statusColor}`;
         app.elements.responseStatus.textContent = `Status: ${status} ${statusText}`;
         app.elements.responseTime.textContent = `Time: ${duration}ms`;
 
         // 2. Request Summary
+        app.lastRequestDetails = requestDetails;
+        app.renderRequestSummary();
+
+        // 3. Response Headers
+        let responseHeaderText = '';
+        if (response.headers) {
+            response.headers.forEach((value, name) => {
+                responseHeaderText += `${name}: ${value}\n`;
+            });
+        }
+        document.getElementById('response-headers').textContent = responseHeaderText || 'No headers';
+
+        // 4. Response Body with Syntax Highlighting
+        const responseBodyCode = document.getElementById('response-body-code');
+        
+        if (typeof responseData === 'object' && responseData !== null) {
+            const formattedJson = JSON.stringify(responseData, null, 2);
+            responseBodyCode.textContent = formattedJson;
+            responseBodyCode.className = 'language-json';
+            Prism.highlightElement(responseBodyCode);
+        } else {
+            responseBodyCode.textContent = String(responseData);
+            responseBodyCode.className = 'language-markup';
+            Prism.highlightElement(responseBodyCode);
+        }
+
+        // 5. Test Results
+        app.renderTestResults(tests);
+
+        // 6. Script Output
+        document.getElementById('script-output').textContent = scriptOutput || 'No script output';
+        app.renderVariableStore();
+    },
+
+    // Final request details of the Result tab; secret values (and those read by
+    // {{$env}} and {{$dotenv}}) are masked unless revealed
+    renderRequestSummary() {
+        const requestDetails = app.lastRequestDetails;
+        if (!requestDetails) return;
+        const reveal = document.getElementById('result-reveal-secrets-checkbox').checked;
+        const environmentValues = getEnvironmentValues(requestDetails.dynamicValues || []);
+        const mask = (text) => (reveal ? text : redactValues(redactSecrets(text), environmentValues));
+
         document.getElementById('request-line').textContent = 
-            `${requestDetails.method} ${requestDetails.processedUrl} HTTP/1.1`;
+            mask(`${requestDetails.method} ${requestDetails.processedUrl} HTTP/1.1`);
         
         let requestHeadersText = '';
         Object.entries(requestDetails.headers).forEach(([key, value]) => {
-            requestHeadersText += `${key}: ${value}\n`;
+            requestHeadersText += `${key}: ${mask(value)}\n`;
         });
         document.getElementById('request-headers').textContent = requestHeadersText || 'No headers';
+
+        const authSection = document.getElementById('request-auth-section');
+        authSection.classList.toggle('hidden', !requestDetails.auth);
+        document.getElementById('request-auth').textContent = mask(requestDetails.auth || '');
+
+        // Compare these with the server's expected values when a signature does not match
+        const signing = requestDetails.signing;
+        document.getElementById('request-signing-section').classList.toggle('hidden', !signing);
+        document.getElementById('request-canonical-request').textContent = signing ? mask(signing.canonicalRequest) : '';
+        document.getElementById('request-string-to-sign').textContent = signing ? signing.stringToSign : '';
+
+        // Variable scopes in precedence order; keys hidden by a higher scope are marked
+        const scopes = requestDetails.variableScopes || [];
+        document.getElementById('request-scopes-section').classList.toggle('hidden', scopes.length === 0);
+        document.getElementById('request-scopes').textContent = scopes.map((scope, index) => {
+            const keys = scope.keys.map(k => (k.overridden ? `${k.name} (overridden)` : k.name)).join(', ');
+            return `${index + 1}. ${scope.label}: ${keys || '—'}`;
+        }).join('\n');
+
+        const dynamicValues = requestDetails.dynamicValues || [];
+        document.getElementById('request-dynamic-section').classList.toggle('hidden', dynamicValues.length === 0);
+        document.getElementById('request-dynamic').textContent = dynamicValues.map(v => `{{${v.name}}} = ${mask(String(v.value))}`).join('\n');
         
         // Request Body
         const requestBodySection = document.getElementById('request-body-section');
@@ -855,47 +2820,53 @@ const app = {
             const requestBodyCode = document.getElementById('request-body-code');
             
             try {
-                const bodyJson = JSON.parse(requestDetails.body);
+                const bodyJson = JSON.parse(mask(requestDetails.body));
                 const formattedJson = JSON.stringify(bodyJson, null, 2);
                 requestBodyCode.textContent = formattedJson;
                 requestBodyCode.className = 'language-json';
                 Prism.highlightElement(requestBodyCode);
             } catch (e) {
                 // Not JSON, display as plain text
-                requestBodyCode.textContent = requestDetails.body;
+                requestBodyCode.textContent = mask(requestDetails.body);
                 requestBodyCode.className = 'language-markup';
                 Prism.highlightElement(requestBodyCode);
             }
         } else {
             requestBodySection.classList.add('hidden');
         }
+    },
 
-        // 3. Response Headers
-        let responseHeaderText = '';
-        if (response.headers) {
-            response.headers.forEach((value, name) => {
-                responseHeaderText += `${name}: ${value}\n`;
-            });
+    renderTestResults(tests) {
+        const section = document.getElementById('tests-section');
+        const list = document.getElementById('tests-list');
+        list.innerHTML = '';
+        if (!tests || tests.length === 0) {
+            section.classList.add('hidden');
+            return;
         }
-        document.getElementById('response-headers').textContent = responseHeaderText || 'No headers';
+        section.classList.remove('hidden');
 
-        // 4. Response Body with Syntax Highlighting
-        const responseBodyCode = document.getElementById('response-body-code');
-        
-        if (typeof responseData === 'object' && responseData !== null) {
-            const formattedJson = JSON.stringify(responseData, null, 2);
-            responseBodyCode.textContent = formattedJson;
-            responseBodyCode.className = 'language-json';
-            Prism.highlightElement(responseBodyCode);
-        } else {
-            responseBodyCode.textContent = String(responseData);
-            responseBodyCode.className = 'language-markup';
-            Prism.highlightElement(responseBodyCode);
-        }
+        const passed = tests.filter(t => t.passed).length;
+        const summary = document.getElementById('tests-summary');
+        summary.textContent = `${passed}/${tests.length} passed`;
+        summary.className = passed === tests.length ? 'text-green-600' : 'text-red-600';
 
-        // 5. Script Output
-        document.getElementById('script-output').textContent = scriptOutput || 'No script output';
-        app.renderVariableStore();
+        // Test names and messages come from scripts and responses, so they are set as text
+        tests.forEach(t => {
+            const item = document.createElement('li');
+            item.className = `p-2 rounded-lg ${t.passed ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`;
+            const name = document.createElement('span');
+            name.className = 'font-medium';
+            name.textContent = `${t.passed ? '\u2713' : '\u2717'} ${t.name}`;
+            item.appendChild(name);
+            if (!t.passed && t.error) {
+                const error = document.createElement('div');
+                error.className = 'text-xs font-mono mt-1';
+                error.textContent = t.error;
+                item.appendChild(error);
+            }
+            list.appendChild(item);
+        });
     },
 
     handleImport(event) {
@@ -906,27 +2877,350 @@ const app = {
         reader.onload = (e) => {
             try {
                 const importedData = JSON.parse(e.target.result);
-                if (importedData.variables) {
-                    // Update the variable store via the specialized function
-                    Object.assign(variableStore, importedData.variables);
-                    saveVariableStore(variableStore);
-                }
-                if (importedData.requests) {
-                    // Assuming saveCollection is available globally or imported
-                    // We must assume it is imported from storage.js
-                    saveCollection(STORAGE_KEYS.REQUESTS, importedData.requests);
+
+                // Postman exports are converted and merged instead of replacing everything
+                if (isPostmanCollection(importedData) || isPostmanEnvironment(importedData)) {
+                    app.importPostmanData(importedData);
+                    return;
                 }
-                if (importedData.scripts) {
-                    saveCollection(STORAGE_KEYS.SCRIPTS, importedData.scripts);
+
+                // Secret variables were exported as {{$dotenv KEY}} placeholders
+                const secretVariables = (importedData.metadata && importedData.metadata.secretVariables) || {};
+                const variableParents = (importedData.metadata && importedData.metadata.variableParents) || {};
+                const requestGroupSettings = (importedData.metadata && importedData.metadata.requestGroupSettings) || {};
+                const applyImport = () => {
+                    if (importedData.variables) {
+                        Object.entries(secretVariables).forEach(([groupName, keys]) => {
+                            keys.forEach(key => setSecretKey(groupName, key, true));
+                        });
+                        Object.entries(variableParents).forEach(([groupName, parent]) => setParentGroup(groupName, parent));
+                        // Update the variable store via the specialized function
+                        Object.assign(variableStore, importedData.variables);
+                        saveVariableStore(variableStore);
+                    }
+                    if (importedData.requests) {
+                        // Assuming saveCollection is available globally or imported
+                        // We must assume it is imported from storage.js
+                        saveCollection(STORAGE_KEYS.REQUESTS, importedData.requests);
+                    }
+                    Object.entries(requestGroupSettings).forEach(([groupName, settings]) => {
+                        saveGroupSettings('requests', groupName, {
+                            auth: settings.auth,
+                            dataFile: settings.dataFile,
+                            timeout: settings.timeout
+                        });
+                    });
+                    if (importedData.scripts) {
+                        saveCollection(STORAGE_KEYS.SCRIPTS, importedData.scripts);
+                    }
+                    alert('Data successfully imported!');
+                    app.init(); 
+                };
+                const importedAuths = [
+                    ...(importedData.requests || []).map(r => r.auth),
+                    ...Object.values(requestGroupSettings).map(settings => settings.auth)
+                ];
+                const needsKey = (importedData.variables && Object.keys(secretVariables).length > 0) ||
+                    app.hasTypedCredentials(importedAuths);
+                if (needsKey && !isSecretsUnlocked()) {
+                    app.unlockSecrets(applyImport);
+                } else {
+                    applyImport();
                 }
-                alert('Data successfully imported!');
-                app.init(); 
             } catch (error) {
                 alert('Error importing data: Invalid JSON file.');
                 console.error('Import error:', error);
             }
         };
         reader.readAsText(file);
+        event.target.value = ''; // Allow importing the same file again
+    },
+
+    // --- .http Files ---
+
+    // Imports into a request group named after the file; requests with the same title are updated
+    importHttpFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        const group = file.name.replace(/\.(http|rest)$/i, '') || 'http-file';
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let parsed;
+            try {
+                parsed = parseHttpFile(e.target.result);
+            } catch (error) {
+                alert(`Error importing ${file.name}: ${error.message}`);
+                return;
+            }
+
+            const requests = getAllRequests();
+            const timestamp = Date.now();
+            let added = 0;
+            let updated = 0;
+            parsed.requests.forEach((imported, index) => {
+                const existing = requests.find(r => r.group === group && r.title === imported.title);
+                if (existing) {
+                    Object.assign(existing, imported);
+                    updated++;
+                } else {
+                    requests.push({
+                        id: `req-${timestamp}-${index}`,
+                        stream: false,
+                        dataFile: null,
+                        preScriptId: '',
+                        postScriptId: '',
+                        group,
+                        ...imported
+                    });
+                    added++;
+                }
+            });
+            saveCollection(STORAGE_KEYS.REQUESTS, requests);
+            addGroupName('requests', group);
+
+            const variableCount = Object.keys(parsed.variables).length;
+            if (variableCount > 0) {
+                const varStore = getVariableStore();
+                varStore[group] = { ...(varStore[group] || {}), ...parsed.variables };
+                saveVariableStore(varStore);
+                addGroupName('variables', group);
+            }
+
+            app.renderGroupSelectors();
+            app.renderVariableStore();
+            app.switchGroup('requests', group);
+            app.reportDialog.show(
+                '.http File Imported',
+                `${added} request(s) added and ${updated} updated in the group "${group}".` +
+                (variableCount > 0 ? ` ${variableCount} variable(s) were saved to the "${group}" variable group.` : ''),
+                parsed.warnings
+            );
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    },
+
+    // Exports the active request group, declaring the variables of the variable group with the same name
+    exportHttpFile() {
+        const group = app.activeGroups.requests;
+        const requests = getAllRequests().filter(r => r.group === group);
+        if (requests.length === 0) {
+            alert(`The group "${group}" has no requests to export.`);
+            return;
+        }
+        // Variables inherited from parent groups (but not global) are written out too;
+        // like the JSON export, secret values stay out of the file
+        const variables = Object.fromEntries(Object.entries(getVariableSources(group))
+            .filter(([key, entry]) => entry.source !== DEFAULT_GROUP)
+            .map(([key, entry]) => [key, getSecretKeys(entry.source).includes(key) ? `{{$dotenv ${key}}}` : formatVariableValue(entry.value)]));
+        const scriptNames = Object.fromEntries(getAllScripts().map(s => [s.id, s.name]));
+        // The file has no groups, so inherited auth is written out on each request
+        const withAuth = requests.map(r => ({ ...r, auth: resolveAuth(r.auth, r.group).auth }));
+        const content = generateHttpFile(withAuth, variables, {
+            heading: `Request group "${group}", exported from Just REST Client`,
+            scriptNames
+        });
+        saveTextFile(content, `${group.replace(/[^\w.-]+/g, '_')}.http`, 'HTTP Request File', 'text/plain');
+    },
+
+    // --- OpenAPI Import ---
+
+    showOpenApiDialog() {
+        app.openApiImport = null;
+        document.getElementById('openapi-error').classList.add('hidden');
+        document.getElementById('openapi-preview').classList.add('hidden');
+        document.getElementById('openapi-apply').disabled = true;
+        document.getElementById('openapi-delete-removed').checked = false;
+        document.getElementById('openapi-dialog').classList.remove('hidden');
+    },
+
+    showOpenApiError(message) {
+        const errorEl = document.getElementById('openapi-error');
+        errorEl.textContent = message;
+        errorEl.classList.remove('hidden');
+        document.getElementById('openapi-preview').classList.add('hidden');
+        document.getElementById('openapi-apply').disabled = true;
+    },
+
+    async loadOpenApiFromUrl() {
+        const url = app.applyTemplateToString(document.getElementById('openapi-url-input').value.trim());
+        if (!url) {
+            app.showOpenApiError('Enter the URL of an OpenAPI or Swagger document.');
+            return;
+        }
+        const fetchBtn = document.getElementById('openapi-fetch-btn');
+        fetchBtn.disabled = true;
+        fetchBtn.textContent = 'Loading...';
+        try {
+            app.previewOpenApiImport(await fetchSpecText(url));
+        } catch (error) {
+            app.showOpenApiError(error.message);
+        } finally {
+            fetchBtn.disabled = false;
+            fetchBtn.textContent = 'Load URL';
+        }
+    },
+
+    loadOpenApiFromFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => app.previewOpenApiImport(e.target.result);
+        reader.readAsText(file);
+        event.target.value = '';
+    },
+
+    // Converts the spec and lists what an import would add, change or remove
+    previewOpenApiImport(text) {
+        let result;
+        try {
+            result = convertOpenApiSpec(parseSpecText(text));
+        } catch (error) {
+            app.showOpenApiError(error.message);
+            return;
+        }
+
+        const existing = getAllRequests().filter(r => r.group === result.title && r.openapi);
+        const diff = diffOperations(existing, result.requests);
+        app.openApiImport = { result, diff };
+
+        const isUpdate = existing.length > 0;
+        document.getElementById('openapi-preview-summary').textContent = isUpdate
+            ? `"${result.title}" was imported before: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged.length} unchanged operation(s).`
+            : `${result.requests.length} operation(s) will be imported into the request group "${result.title}".`;
+
+        const list = document.getElementById('openapi-preview-list');
+        list.innerHTML = '';
+        const addItem = (text, className) => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            item.className = className;
+            list.appendChild(item);
+        };
+        diff.added.forEach(r => addItem(`${isUpdate ? '+ ' : ''}${r.openapi.operation}  ${r.title}`, isUpdate ? 'text-green-700' : 'text-gray-700'));
+        diff.changed.forEach(c => addItem(`~ ${c.generated.openapi.operation}  (${c.fields.join(', ') || 'spec changed'})`, 'text-yellow-700'));
+        diff.removed.forEach(r => addItem(`- ${r.openapi.operation}  ${r.title}`, 'text-red-700'));
+        if (list.children.length === 0) {
+            addItem('No changes since the last import.', 'text-gray-500');
+        }
+
+        document.getElementById('openapi-delete-removed-label').classList.toggle('hidden', diff.removed.length === 0);
+        document.getElementById('openapi-error').classList.add('hidden');
+        document.getElementById('openapi-preview').classList.remove('hidden');
+        document.getElementById('openapi-apply').disabled = diff.added.length + diff.changed.length + diff.removed.length === 0;
+    },
+
+    applyOpenApiImport() {
+        if (!app.openApiImport) return;
+        const { result, diff } = app.openApiImport;
+        const deleteRemoved = document.getElementById('openapi-delete-removed').checked;
+        const group = result.title;
+
+        // Changed operations keep their id, scripts and data file, and a title the user edited
+        const updates = new Map(diff.changed.map(c => [c.existing.id, c.generated]));
+        const removedIds = new Set(deleteRemoved ? diff.removed.map(r => r.id) : []);
+        const requests = getAllRequests()
+            .filter(r => !removedIds.has(r.id))
+            .map(r => {
+                const generated = updates.get(r.id);
+                if (!generated) return r;
+                const { title, ...specFields } = generated;
+                return { ...r, ...specFields, title: r.title === r.openapi.title ? title : r.title };
+            });
+
+        const timestamp = Date.now();
+        diff.added.forEach((generated, index) => {
+            requests.push({
+                id: `req-${timestamp}-${index}`,
+                type: 'http',
+                subprotocols: '',
+                stream: false,
+                dataFile: null,
+                graphql: { query: '', variables: '' },
+                preScriptId: '',
+                postScriptId: '',
+                group,
+                ...generated
+            });
+        });
+        saveCollection(STORAGE_KEYS.REQUESTS, requests);
+        addGroupName('requests', group);
+
+        // Variables the user already set (in the group or a group it inherits from) are kept
+        const varStore = getVariableStore();
+        const groupVars = varStore[group] || {};
+        const inheritedVars = getVariableSources(group);
+        Object.entries(result.variables).forEach(([key, value]) => {
+            if (key in groupVars || (value === '' && key in inheritedVars)) return;
+            groupVars[key] = value;
+        });
+        varStore[group] = groupVars;
+        saveVariableStore(varStore);
+        addGroupName('variables', group);
+
+        document.getElementById('openapi-dialog').classList.add('hidden');
+        app.openApiImport = null;
+        app.renderGroupSelectors();
+        app.switchGroup('requests', group);
+
+        const kept = deleteRemoved ? 0 : diff.removed.length;
+        app.reportDialog.show(
+            'OpenAPI Spec Imported',
+            `"${group}": ${diff.added.length} request(s) added, ${diff.changed.length} updated, ${removedIds.size} deleted` +
+            (kept > 0 ? `, ${kept} removed operation(s) kept.` : '.') +
+            ` Variables were added to the "${group}" variable group.`,
+            result.warnings
+        );
+    },
+
+    importPostmanData(data) {
+        if (isPostmanEnvironment(data)) {
+            const { groupName, variables, warnings } = convertPostmanEnvironment(data);
+            const varStore = getVariableStore();
+            varStore[groupName] = { ...(varStore[groupName] || {}), ...variables };
+            saveVariableStore(varStore);
+            addGroupName('variables', groupName);
+
+            app.renderGroupSelectors();
+            app.renderVariableStore();
+            app.reportDialog.show(
+                'Postman Environment Imported',
+                `${Object.keys(variables).length} variable(s) imported into the "${groupName}" variable group.`,
+                warnings
+            );
+            return;
+        }
+
+        const result = convertPostmanCollection(data);
+        if (app.hasTypedCredentials(result.requests.map(r => r.auth)) && !isSecretsUnlocked()) {
+            app.unlockSecrets(() => app.importPostmanData(data));
+            return;
+        }
+        saveCollection(STORAGE_KEYS.REQUESTS, [...getAllRequests(), ...result.requests]);
+        saveCollection(STORAGE_KEYS.SCRIPTS, [...getAllScripts(), ...result.scripts]);
+        result.groups.forEach(group => addGroupName('requests', group));
+        if (result.scripts.length > 0) {
+            addGroupName('scripts', result.scripts[0].group);
+        }
+        const varStore = getVariableStore();
+        Object.entries(result.variables).forEach(([groupName, variables]) => {
+            varStore[groupName] = { ...(varStore[groupName] || {}), ...variables };
+            addGroupName('variables', groupName);
+        });
+        saveVariableStore(varStore);
+
+        app.renderGroupSelectors();
+        app.renderVariableStore();
+        app.renderCollections();
+
+        const variableGroups = Object.keys(result.variables);
+        app.reportDialog.show(
+            'Postman Collection Imported',
+            `${result.requests.length} request(s) in ${result.groups.length} group(s) and ${result.scripts.length} script(s) imported.` +
+            (variableGroups.length > 0 ? ` Collection variables were added to the "${variableGroups[0]}" variable group.` : ''),
+            result.warnings
+        );
     },
 
     // --- Initialization ---
@@ -944,7 +3238,17 @@ const app = {
         
         // Load and render initial state
         app.renderVariableStore();
+        initSecrets().then(() => { // Unlocks from the OS keychain in the desktop app
+            app.renderVariableStore();
+            app.restoreRequestCredentials();
+        });
+        app.renderDynamicVariables();
+        app.loadEnvironment(); // {{$env NAME}} in the desktop app; requests read the names they use
         app.renderHeaders();
+        app.renderRequestVariables();
+        app.renderAuth();
+        app.renderBodyMode();
+        app.renderRequestType();
         app.renderCollections();
         
         // Initialize default URL
@@ -992,9 +3296,44 @@ const app = {
             }
         );
 
+        app.codeMirrorEditors.graphqlQuery = CodeMirror.fromTextArea(
+            document.getElementById('graphql-query-editor'),
+            {
+                mode: null,
+                theme: 'dracula',
+                lineNumbers: true,
+                matchBrackets: true,
+                autoCloseBrackets: true,
+                indentUnit: 2,
+                tabSize: 2,
+                lineWrapping: true,
+                extraKeys: {
+                    'Ctrl-Space': (cm) => cm.showHint({ hint: app.graphqlHint, completeSingle: false })
+                }
+            }
+        );
+        app.codeMirrorEditors.graphqlQuery.setValue(app.currentRequest.graphql.query || '');
+        app.codeMirrorEditors.graphqlQuery.on('change', (cm) => {
+            app.currentRequest.graphql.query = cm.getValue();
+        });
+        app.codeMirrorEditors.graphqlQuery.on('inputRead', (cm, change) => {
+            // Suggest fields while typing a name once a schema is loaded
+            if (app.graphqlSchema && /^\w$/.test(change.text[0]) && !cm.state.completionActive) {
+                cm.showHint({ hint: app.graphqlHint, completeSingle: false });
+            }
+        });
+
         // Attach event listeners
         document.getElementById('send-btn').onclick = app.handleSend;
-        document.getElementById('curl-btn').onclick = app.showCurlDialog;
+        document.getElementById('code-btn').onclick = app.showCodeDialog;
+        document.getElementById('curl-import-btn').onclick = () => app.showCurlImportDialog();
+        app.elements.urlInput.addEventListener('paste', (e) => {
+            // Offer to convert a pasted cURL command; the pasted text stays if cancelled
+            const text = e.clipboardData ? e.clipboardData.getData('text') : '';
+            if (app.currentRequest.type !== 'websocket' && isCurlCommand(text)) {
+                app.showCurlImportDialog(text);
+            }
+        });
         document.getElementById('new-request-btn').onclick = app.newRequest;
         document.getElementById('save-request-btn').onclick = app.saveAsNewRequest;
         document.getElementById('save-script-btn').onclick = app.saveCurrentScript;
@@ -1002,9 +3341,64 @@ const app = {
             app.currentRequest.rawHeaders.push({ key: '', value: '' });
             app.renderHeaders();
         };
+        document.getElementById('add-request-variable-btn').onclick = () => {
+            app.currentRequest.variables.push({ key: '', value: '' });
+            app.renderRequestVariables();
+        };
+        document.getElementById('auth-type-select').onchange = (e) => {
+            app.currentRequest.auth = createAuth(e.target.value);
+            app.renderAuth();
+        };
+        document.getElementById('add-form-field-btn').onclick = () => {
+            app.currentRequest.formFields.push({ key: '', value: '', type: 'text' });
+            app.renderFormFields();
+        };
+        app.elements.bodyModeSelect.onchange = (e) => {
+            app.currentRequest.bodyMode = e.target.value;
+            // GraphQL queries are sent as a POST body
+            if (e.target.value === 'graphql' && (app.elements.methodSelect.value === 'GET' || app.elements.methodSelect.value === 'HEAD')) {
+                app.elements.methodSelect.value = 'POST';
+            }
+            app.renderBodyMode();
+        };
+        document.getElementById('graphql-variables-editor').oninput = (e) => {
+            app.currentRequest.graphql.variables = e.target.value;
+        };
+        app.elements.requestTypeSelect.onchange = (e) => {
+            app.disconnectWebSocket();
+            app.currentRequest.type = e.target.value;
+            app.renderRequestType();
+        };
+        document.getElementById('ws-subprotocols-input').oninput = (e) => {
+            app.currentRequest.subprotocols = e.target.value;
+        };
+        document.getElementById('stream-checkbox').onchange = (e) => {
+            app.currentRequest.stream = e.target.checked;
+        };
+        document.getElementById('request-timeout-input').oninput = (e) => {
+            const seconds = Number(e.target.value);
+            app.currentRequest.timeout = seconds > 0 ? seconds : null;
+        };
+        document.getElementById('cancel-btn').onclick = () => app.cancelSend();
+        document.getElementById('stream-stop-btn').onclick = () => app.stopStream();
+        document.getElementById('ws-send-text-btn').onclick = () => app.sendWebSocketMessage(false);
+        document.getElementById('ws-send-json-btn').onclick = () => app.sendWebSocketMessage(true);
+        document.getElementById('ws-clear-log-btn').onclick = () => app.clearWebSocketLog();
+        document.getElementById('graphql-fetch-schema-btn').onclick = () => app.fetchGraphQLSchema();
+        document.getElementById('graphql-schema-explorer').addEventListener('click', (e) => {
+            if (e.target.classList.contains('gql-type-link')) {
+                app.renderSchemaExplorer(e.target.getAttribute('data-gql-type'));
+            }
+        });
         document.getElementById('add-var-btn').onclick = () => {
             const key = document.getElementById('var-key-input').value.trim();
-            const value = document.getElementById('var-value-input').value.trim();
+            let value;
+            try {
+                value = parseVariableValue(document.getElementById('var-value-input').value.trim(), document.getElementById('var-type-select').value);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
             if (key) {
                 const activeGroup = app.activeGroups.variables;
                 const varStore = getVariableStore();
@@ -1013,12 +3407,25 @@ const app = {
                     varStore[activeGroup] = {};
                 }
                 
-                varStore[activeGroup][key] = value;
-                saveVariableStore(varStore);
-                
-                document.getElementById('var-key-input').value = '';
-                document.getElementById('var-value-input').value = '';
-                app.renderVariableStore(); // Re-render the variables list
+                const secretCheckbox = document.getElementById('var-secret-checkbox');
+                const store = () => {
+                    if (secretCheckbox.checked) setSecretKey(activeGroup, key, true);
+                    varStore[activeGroup][key] = value;
+                    saveVariableStore(varStore);
+                    
+                    document.getElementById('var-key-input').value = '';
+                    document.getElementById('var-value-input').value = '';
+                    document.getElementById('var-type-select').value = 'string';
+                    secretCheckbox.checked = false;
+                    document.getElementById('var-value-input').type = 'text';
+                    app.renderVariableStore(); // Re-render the variables list
+                };
+                // Secret values can only be saved once a key is available
+                if (secretCheckbox.checked && !isSecretsUnlocked()) {
+                    app.unlockSecrets(store);
+                } else {
+                    store();
+                }
             } else {
                 alert('Variable key cannot be empty.');
             }
@@ -1061,6 +3468,7 @@ const app = {
                 id: app.currentPreScript.id,
                 name: scriptName,
                 code: scriptCode,
+                timeout: app.readScriptTimeout(app.elements.preScriptTimeoutInput),
                 type: 'pre-request',
                 group: app.activeGroups.scripts  // Save to active group
             };
@@ -1088,6 +3496,26 @@ const app = {
                     return;
                 }
                 
+                // Secret toggle and show/hide buttons
+                if (e.target.classList.contains('secret-var-btn')) {
+                    app.toggleSecretVariable(e.target.getAttribute('data-secret-var'));
+                    return;
+                }
+                if (e.target.classList.contains('override-var-btn')) {
+                    app.overrideVariable(e.target.getAttribute('data-override-var'));
+                    return;
+                }
+                if (e.target.classList.contains('reveal-var-btn')) {
+                    const key = e.target.getAttribute('data-reveal-var');
+                    if (app.revealedVariables.has(key)) {
+                        app.revealedVariables.delete(key);
+                    } else {
+                        app.revealedVariables.add(key);
+                    }
+                    app.renderVariableStore();
+                    return;
+                }
+                
                 // Save button
                 if (e.target.classList.contains('save-var-btn')) {
                     const item = e.target.closest('.variable-item');
@@ -1140,6 +3568,138 @@ const app = {
             });
         }
 
+        // Collection runner listeners
+        document.getElementById('run-request-group-btn').onclick = () => {
+            app.openRunner(app.activeGroups.requests);
+            app.switchMainTab('runner');
+        };
+        document.getElementById('runner-group-select').onchange = (e) => app.openRunner(e.target.value);
+
+        // .http file listeners
+        document.getElementById('http-import-btn').onclick = () => document.getElementById('http-file-input').click();
+        document.getElementById('http-file-input').onchange = (e) => app.importHttpFile(e);
+        document.getElementById('http-export-btn').onclick = () => app.exportHttpFile();
+        document.getElementById('group-auth-btn').onclick = () => app.showGroupAuthDialog(app.activeGroups.requests);
+        document.getElementById('group-timeout-btn').onclick = () => app.showGroupTimeoutDialog(app.activeGroups.requests);
+
+        // .env file for {{$dotenv KEY}}
+        document.getElementById('dotenv-load-btn').onclick = () => document.getElementById('dotenv-file-input').click();
+        document.getElementById('dotenv-file-input').onchange = (e) => app.loadDotenvFile(e);
+        document.getElementById('dotenv-clear-btn').onclick = () => {
+            setDotenv(null);
+            app.renderDynamicVariables();
+        };
+
+        document.getElementById('secrets-unlock-btn').onclick = () => app.unlockSecrets();
+        document.getElementById('var-secret-checkbox').onchange = (e) => {
+            document.getElementById('var-value-input').type = e.target.checked ? 'password' : 'text';
+        };
+        document.getElementById('result-reveal-secrets-checkbox').onchange = () => app.renderRequestSummary();
+
+        // OAuth 2.0 token manager listeners
+        document.getElementById('oauth-tokens-btn').onclick = () => app.showOAuthTokens();
+        document.getElementById('oauth-tokens-close').onclick = () => {
+            document.getElementById('oauth-tokens-dialog').classList.add('hidden');
+            app.renderAuth();
+        };
+        document.getElementById('oauth-tokens-list').addEventListener('click', async (e) => {
+            const copyIndex = e.target.getAttribute('data-copy-token');
+            const deleteIndex = e.target.getAttribute('data-delete-token');
+            const tokens = listTokens();
+            if (copyIndex !== null && tokens[copyIndex]) {
+                try {
+                    await navigator.clipboard.writeText(tokens[copyIndex].token.accessToken);
+                    e.target.textContent = 'Copied!';
+                } catch (error) {
+                    alert('Failed to copy to clipboard');
+                }
+            } else if (deleteIndex !== null && tokens[deleteIndex]) {
+                deleteToken(tokens[deleteIndex].group, tokens[deleteIndex].key);
+                app.renderOAuthTokens();
+            }
+        });
+
+        // OpenAPI import listeners
+        document.getElementById('openapi-import-btn').onclick = () => app.showOpenApiDialog();
+        document.getElementById('openapi-fetch-btn').onclick = () => app.loadOpenApiFromUrl();
+        document.getElementById('openapi-file-btn').onclick = () => document.getElementById('openapi-file-input').click();
+        document.getElementById('openapi-file-input').onchange = (e) => app.loadOpenApiFromFile(e);
+        document.getElementById('openapi-apply').onclick = () => app.applyOpenApiImport();
+        document.getElementById('openapi-cancel').onclick = () => {
+            document.getElementById('openapi-dialog').classList.add('hidden');
+            app.openApiImport = null;
+        };
+        document.getElementById('runner-run-btn').onclick = () => app.startRun();
+        document.getElementById('runner-stop-btn').onclick = () => app.stopRun();
+        document.getElementById('stop-script-btn').onclick = () => stopScripts();
+        onScriptsRunning(running => {
+            document.getElementById('script-running-banner').classList.toggle('hidden', !running);
+        });
+        document.getElementById('runner-request-list').addEventListener('click', (e) => {
+            if (e.target.hasAttribute('data-runner-show-group')) {
+                app.openRunner(app.runner.group || app.activeGroups.requests);
+                return;
+            }
+            const moveBtn = e.target.closest('[data-runner-move]');
+            if (moveBtn) {
+                app.moveRunnerRequest(parseInt(moveBtn.getAttribute('data-runner-move'), 10), parseInt(moveBtn.getAttribute('data-direction'), 10));
+            }
+        });
+        document.getElementById('runner-request-list').addEventListener('change', (e) => {
+            if (e.target.hasAttribute('data-runner-toggle')) {
+                app.runner.order[parseInt(e.target.getAttribute('data-runner-toggle'), 10)].enabled = e.target.checked;
+            }
+        });
+
+        document.getElementById('runner-export-csv-btn').onclick = () => app.exportRunResults('csv');
+        document.getElementById('runner-export-json-btn').onclick = () => app.exportRunResults('json');
+
+        // Data file listeners (builder request and runner group)
+        document.getElementById('request-data-file-btn').onclick = () => document.getElementById('request-data-file-input').click();
+        document.getElementById('request-data-file-input').onchange = (e) => {
+            if (e.target.files[0]) app.attachRequestDataFile(e.target.files[0]);
+            e.target.value = '';
+        };
+        document.getElementById('request-data-file-clear').onclick = () => {
+            app.currentRequest.dataFile = null;
+            app.renderRequestDataFile();
+        };
+        document.getElementById('request-run-iterations-btn').onclick = () => app.openRunnerForCurrentRequest();
+        document.getElementById('runner-data-file-btn').onclick = () => document.getElementById('runner-data-file-input').click();
+        document.getElementById('runner-data-file-input').onchange = (e) => {
+            if (e.target.files[0]) app.attachGroupDataFile(e.target.files[0]);
+            e.target.value = '';
+        };
+        document.getElementById('runner-data-file-clear').onclick = () => app.removeGroupDataFile();
+
+        // History listeners
+        const historyList = document.getElementById('history-list');
+        if (historyList) {
+            historyList.addEventListener('click', (e) => {
+                if (e.target.classList.contains('open-history-btn')) {
+                    app.openHistoryEntry(e.target.getAttribute('data-open-history'));
+                } else if (e.target.classList.contains('resend-history-btn')) {
+                    app.resendHistoryEntry(e.target.getAttribute('data-resend-history'));
+                } else if (e.target.classList.contains('delete-history-btn')) {
+                    app.removeHistoryEntry(e.target.getAttribute('data-delete-history'));
+                }
+            });
+        }
+
+        ['history-search-input', 'history-status-input'].forEach(id => {
+            document.getElementById(id).oninput = () => app.renderHistory();
+        });
+        ['history-method-select', 'history-from-input', 'history-to-input'].forEach(id => {
+            document.getElementById(id).onchange = () => app.renderHistory();
+        });
+
+        document.getElementById('clear-history-btn').onclick = () => {
+            app.confirmDialog.show('Are you sure you want to clear the entire request history?', () => {
+                clearHistory();
+                app.renderHistory();
+            });
+        };
+
         // Export/Import listeners
         document.getElementById('export-btn').onclick = () => exportAllData(getVariableStore(), getAllRequests(), getAllScripts());
         document.getElementById('import-btn').onclick = () => document.getElementById('import-file').click();
@@ -1152,6 +3712,9 @@ const app = {
         document.getElementById('variables-group-select').onchange = (e) => {
             app.switchGroup('variables', e.target.value);
         };
+        document.getElementById('variables-parent-select').onchange = (e) => {
+            app.setParentVariableGroup(e.target.value);
+        };
         
         document.getElementById('requests-group-select').onchange = (e) => {
             app.switchGroup('requests', e.target.value);
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Assertion API for post-request scripts: test(name, fn) and
+ * expect(value). Each script run gets its own harness that collects one
+ * pass/fail result per test.
+ */
+
+/**
+ * Error thrown by a failed expectation.
+ */
+class AssertionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssertionError';
+  }
+}
+
+// --- Helpers ---
+
+/**
+ * Formats a value for failure messages.
+ * @param {*} value - Any value.
+ * @return {string} A short, readable representation.
+ */
+function describeValue(value) {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (value instanceof RegExp) return String(value);
+  if (typeof value === 'function') return '[Function]';
+  try {
+    const text = JSON.stringify(value);
+    if (text === undefined) return String(value);
+    return text.length > 200 ? `${text.slice(0, 200)}...` : text;
+  } catch (e) {
+    return String(value);
+  }
+}
+
+/**
+ * Returns the type name used by toBeType(): typeof, plus 'array' and 'null'.
+ * @param {*} value - Any value.
+ * @return {string} The type name.
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Recursively compares two values (plain objects, arrays and primitives).
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @return {boolean} True if the values are structurally equal.
+ */
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object') return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * Resolves a property path such as "data.items[0].name".
+ * @param {*} value - The root value.
+ * @param {string} path - Dot/bracket property path.
+ * @return {{found: boolean, value: *}} Whether the path exists and its value.
+ */
+function resolvePath(value, path) {
+  const parts = String(path).replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean);
+  let current = value;
+  for (const part of parts) {
+    if (current === null || typeof current !== 'object' || !(part in current)) {
+      return { found: false, value: undefined };
+    }
+    current = current[part];
+  }
+  return { found: true, value: current };
+}
+
+/**
+ * Reads a header from a Fetch Headers object or a plain object (case-insensitive).
+ * @param {Headers|Object} headers - The headers.
+ * @param {string} name - Header name.
+ * @return {string|null} The header value, or null if absent.
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key === undefined ? null : headers[key];
+}
+
+// --- Expectations ---
+
+/**
+ * Creates the matchers for a value.
+ * @param {*} actual - The value under test.
+ * @param {boolean} negate - Whether the matchers are inverted (.not).
+ * @return {Object} The matcher functions.
+ */
+function createMatchers(actual, negate) {
+  const assert = (pass, message, negatedMessage) => {
+    if (pass === negate) {
+      throw new AssertionError(negate ? negatedMessage : message);
+    }
+  };
+
+  const matchers = {
+    toBe(expected) {
+      assert(Object.is(actual, expected),
+        `Expected ${describeValue(actual)} to be ${describeValue(expected)}`,
+        `Expected ${describeValue(actual)} not to be ${describeValue(expected)}`);
+    },
+    toEqual(expected) {
+      assert(deepEqual(actual, expected),
+        `Expected ${describeValue(actual)} to deeply equal ${describeValue(expected)}`,
+        `Expected ${describeValue(actual)} not to deeply equal ${describeValue(expected)}`);
+    },
+    toBeType(type) {
+      assert(typeOf(actual) === type,
+        `Expected ${describeValue(actual)} to be of type ${type} but got ${typeOf(actual)}`,
+        `Expected ${describeValue(actual)} not to be of type ${type}`);
+    },
+    toHaveStatus(code) {
+      // Accepts the response object or a bare status code
+      const status = actual !== null && typeof actual === 'object' ? actual.status : actual;
+      assert(status === code,
+        `Expected status ${code} but got ${status}`,
+        `Expected status not to be ${code}`);
+    },
+    toHaveHeader(name, value) {
+      // Accepts the response object or its headers
+      const headers = actual && actual.headers ? actual.headers : actual;
+      const headerValue = getHeader(headers, name);
+      if (value === undefined) {
+        assert(headerValue !== null,
+          `Expected header "${name}" to be present`,
+          `Expected header "${name}" not to be present`);
+      } else {
+        const pass = value instanceof RegExp ? headerValue !== null && value.test(headerValue) : headerValue === value;
+        assert(pass,
+          `Expected header "${name}" to be ${describeValue(value)} but got ${describeValue(headerValue)}`,
+          `Expected header "${name}" not to be ${describeValue(value)}`);
+      }
+    },
+    toHaveProperty(path, value) {
+      const resolved = resolvePath(actual, path);
+      if (value === undefined) {
+        assert(resolved.found,
+          `Expected property "${path}" to exist`,
+          `Expected property "${path}" not to exist`);
+      } else {
+        assert(resolved.found && deepEqual(resolved.value, value),
+          `Expected property "${path}" to equal ${describeValue(value)} but got ${resolved.found ? describeValue(resolved.value) : 'nothing'}`,
+          `Expected property "${path}" not to equal ${describeValue(value)}`);
+      }
+    },
+    toMatch(pattern) {
+      const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+      assert(typeof actual === 'string' && regex.test(actual),
+        `Expected ${describeValue(actual)} to match ${regex}`,
+        `Expected ${describeValue(actual)} not to match ${regex}`);
+    },
+    toBeLessThan(limit) {
+      assert(typeof actual === 'number' && actual < limit,
+        `Expected ${describeValue(actual)} to be less than ${limit}`,
+        `Expected ${describeValue(actual)} not to be less than ${limit}`);
+    },
+    toBeGreaterThan(limit) {
+      assert(typeof actual === 'number' && actual > limit,
+        `Expected ${describeValue(actual)} to be greater than ${limit}`,
+        `Expected ${describeValue(actual)} not to be greater than ${limit}`);
+    },
+    toBeTruthy() {
+      assert(!!actual,
+        `Expected ${describeValue(actual)} to be truthy`,
+        `Expected ${describeValue(actual)} not to be truthy`);
+    }
+  };
+  // Readable alias for response time checks: expect(responseTime).toBeBelow(500)
+  matchers.toBeBelow = matchers.toBeLessThan;
+  return matchers;
+}
+
+/**
+ * Starts an expectation chain.
+ * @param {*} actual - The value under test.
+ * @return {Object} Matchers, plus a negated set under .not.
+ */
+function expect(actual) {
+  const matchers = createMatchers(actual, false);
+  matchers.not = createMatchers(actual, true);
+  return matchers;
+}
+
+// --- Test Harness ---
+
+/**
+ * Creates a test collector for one script run.
+ * test() may be given an async function; call settle() after the script to
+ * wait for every pending test before reading the results.
+ * Scripts run in a worker with a harness of their own; addResults() copies
+ * its results into the page's harness.
+ * @return {{test: function(string, function), expect: function(*), settle: function(): Promise<Array<Object>>,
+ *   addResults: function(Array<Object>), results: Array<Object>}}
+ *   Results are { name, passed, error, duration } in registration order.
+ */
+function createTestHarness() {
+  const results = [];
+  const pending = [];
+
+  const record = (index, startTime, error) => {
+    results[index].passed = !error;
+    results[index].error = error ? (error.message || String(error)) : null;
+    results[index].duration = Date.now() - startTime;
+  };
+
+  const test = (name, fn) => {
+    const index = results.length;
+    const startTime = Date.now();
+    results.push({ name: String(name), passed: false, error: null, duration: 0 });
+    try {
+      const outcome = typeof fn === 'function' ? fn() : undefined;
+      if (outcome && typeof outcome.then === 'function') {
+        pending.push(outcome.then(() => record(index, startTime, null), error => record(index, startTime, error)));
+      } else {
+        record(index, startTime, null);
+      }
+    } catch (error) {
+      record(index, startTime, error);
+    }
+  };
+
+  const settle = async () => {
+    await Promise.all(pending);
+    return results;
+  };
+
+  const addResults = (recorded) => {
+    results.push(...recorded);
+  };
+
+  return { test, expect, settle, addResults, results };
+}
+
+/**
+ * Formats test results as script output lines.
+ * @param {Array<Object>} results - Results from a test harness.
+ * @return {string} One line per test plus a summary, or '' when there are no tests.
+ */
+function formatTestResults(results) {
+  if (!results || results.length === 0) return '';
+  const passed = results.filter(r => r.passed).length;
+  const lines = results.map(r => r.passed ? `[Test] PASS ${r.name}` : `[Test] FAIL ${r.name}: ${r.error}`);
+  lines.push(`[Test] ${passed}/${results.length} passed`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Public interface for the assertions module.
+ */
+export {
+  AssertionError,
+  expect,
+  describeValue,
+  typeOf,
+  deepEqual,
+  resolvePath,
+  createTestHarness,
+  formatTestResults
+};
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Request authorization helpers: Basic, Bearer token, API key,
+ * OAuth 2.0 (whose tokens are obtained by oauth.js) and AWS Signature v4 (signed
+ * by sigv4.js once the request is final). A request's auth is stored on the request ({ type, ... }); requests set to
+ * 'inherit' use the auth saved in their request group's settings.
+ */
+
+import { getGroupSettings, saveGroupSettings } from './storage.js';
+
+// Auth types offered in the builder; 'inherit' is not available for groups
+const AUTH_TYPES = [
+  { id: 'inherit', label: 'Inherit from group' },
+  { id: 'none', label: 'No Auth' },
+  { id: 'basic', label: 'Basic Auth' },
+  { id: 'bearer', label: 'Bearer Token' },
+  { id: 'apikey', label: 'API Key' },
+  { id: 'oauth2', label: 'OAuth 2.0' },
+  { id: 'awsv4', label: 'AWS Signature v4' }
+];
+
+// Fields holding credentials, by auth type (see redactAuth)
+const CREDENTIAL_FIELDS = {
+  basic: ['password'],
+  bearer: ['token'],
+  apikey: ['value'],
+  oauth2: ['clientSecret', 'password', 'refreshToken'],
+  awsv4: ['secretAccessKey', 'sessionToken']
+};
+
+/**
+ * Creates an auth object of the given type with empty fields.
+ * @param {string} type - One of the AUTH_TYPES ids.
+ * @return {Object} e.g. { type: 'basic', username: '', password: '' }
+ */
+function createAuth(type = 'inherit') {
+  switch (type) {
+    case 'basic':
+      return { type, username: '', password: '' };
+    case 'bearer':
+      return { type, token: '' };
+    case 'apikey':
+      return { type, key: '', value: '', in: 'header' };
+    case 'oauth2':
+      return {
+        type,
+        grantType: 'client_credentials',
+        tokenUrl: '',
+        authUrl: '',
+        redirectUri: '',
+        clientId: '',
+        clientSecret: '',
+        clientAuthentication: 'basic', // 'basic' (Authorization header) or 'body'
+        scope: '',
+        username: '',
+        password: '',
+        refreshToken: ''
+      };
+    case 'awsv4':
+      return { type, accessKeyId: '', secretAccessKey: '', sessionToken: '', region: '', service: '' };
+    default:
+      return { type };
+  }
+}
+
+/**
+ * Base64-encodes a string as UTF-8 (btoa only accepts Latin-1).
+ * @param {string} text - The text.
+ * @return {string} The Base64 encoding.
+ */
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+// --- Group Auth ---
+
+/**
+ * Gets the auth shared by a request group.
+ * @param {string} groupName - The request group.
+ * @return {Object} The group's auth, or { type: 'none' }.
+ */
+function getGroupAuth(groupName) {
+  const auth = getGroupSettings('requests', groupName).auth;
+  return auth && auth.type !== 'inherit' ? auth : createAuth('none');
+}
+
+/**
+ * Saves the auth shared by a request group ('none' removes it).
+ * @param {string} groupName - The request group.
+ * @param {Object} auth - The auth to share.
+ */
+function saveGroupAuth(groupName, auth) {
+  saveGroupSettings('requests', groupName, { auth: auth && auth.type !== 'none' ? auth : undefined });
+}
+
+/**
+ * Resolves the auth that applies to a request.
+ * Requests saved before auth existed have no auth and inherit from their group.
+ * @param {Object} auth - The request's auth (optional).
+ * @param {string} groupName - The request's group, used for 'inherit'.
+ * @return {{auth: Object, inheritedFrom: string|null}} The effective auth and,
+ *   when inherited, the group it came from.
+ */
+function resolveAuth(auth, groupName) {
+  if (!auth || auth.type === 'inherit') {
+    if (!groupName) return { auth: createAuth('none'), inheritedFrom: null };
+    return { auth: getGroupAuth(groupName), inheritedFrom: groupName };
+  }
+  return { auth, inheritedFrom: null };
+}
+
+/**
+ * Removes the credentials typed into an auth, for storage, exports and the history.
+ * Credentials that only reference {{variables}} are kept: the value stays in
+ * the variable (which can be secret).
+ * @param {Object} auth - The auth.
+ * @return {{auth: Object, removed: boolean, credentials: Object}} A copy without
+ *   the credentials, whether any were removed, and the removed values by field.
+ */
+function redactAuth(auth) {
+  const redacted = { ...auth };
+  const credentials = {};
+  (CREDENTIAL_FIELDS[auth.type] || []).forEach(field => {
+    if (String(redacted[field] || '').replace(/{{.*?}}/g, '').trim()) {
+      credentials[field] = redacted[field];
+      redacted[field] = '';
+    }
+  });
+  return { auth: redacted, removed: Object.keys(credentials).length > 0, credentials };
+}
+
+// --- Applying Auth ---
+
+/**
+ * Builds the headers and query parameters an auth adds to a request.
+ * OAuth 2.0 adds nothing until the caller has set its accessToken (and tokenType);
+ * AWS Signature v4 adds nothing here (see resolveAwsCredentials and sigv4.js).
+ * @param {Object} auth - The effective auth (see resolveAuth).
+ * @param {function(string): string} resolve - Substitutes {{variables}} in a value.
+ * @return {{headers: Array<{key: string, value: string}>, query: Array<{key: string, value: string}>}}
+ */
+function getAuthParams(auth, resolve = (value) => value) {
+  const params = { headers: [], query: [] };
+  if (!auth) return params;
+
+  switch (auth.type) {
+    case 'basic':
+      params.headers.push({ key: 'Authorization', value: `Basic ${encodeBase64(`${resolve(auth.username || '')}:${resolve(auth.password || '')}`)}` });
+      break;
+    case 'bearer':
+      params.headers.push({ key: 'Authorization', value: `Bearer ${resolve(auth.token || '')}` });
+      break;
+    case 'apikey': {
+      const key = resolve(auth.key || '').trim();
+      if (key) {
+        params[auth.in === 'query' ? 'query' : 'headers'].push({ key, value: resolve(auth.value || '') });
+      }
+      break;
+    }
+    case 'oauth2':
+      if (auth.accessToken) {
+        params.headers.push({ key: 'Authorization', value: `${auth.tokenType || 'Bearer'} ${auth.accessToken}` });
+      }
+      break;
+  }
+  return params;
+}
+
+/**
+ * Resolves the credentials of an AWS Signature v4 auth.
+ * @param {Object} auth - The awsv4 auth.
+ * @param {function(string): string} resolve - Substitutes {{variables}} in a value.
+ * @return {Object} { accessKeyId, secretAccessKey, sessionToken, region, service }
+ */
+function resolveAwsCredentials(auth, resolve = (value) => value) {
+  const value = (field) => resolve(auth[field] || '').trim();
+  return {
+    accessKeyId: value('accessKeyId'),
+    secretAccessKey: value('secretAccessKey'),
+    sessionToken: value('sessionToken'),
+    region: value('region'),
+    service: value('service').toLowerCase()
+  };
+}
+
+/**
+ * Appends query parameters to a URL, keeping any fragment at the end.
+ * Values are URL-encoded; unresolved {{variables}} are left as they are.
+ * @param {string} url - The URL.
+ * @param {Array<{key: string, value: string}>} query - The parameters to add.
+ * @return {string} The URL with the parameters.
+ */
+function appendQueryParams(url, query) {
+  if (query.length === 0) return url;
+  const hashIndex = url.indexOf('#');
+  const base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+  const encode = (text) => String(text).split(/({{.*?}})/).map(part => (part.startsWith('{{') ? part : encodeURIComponent(part))).join('');
+  const encoded = query.map(q => `${encode(q.key)}=${encode(q.value)}`).join('&');
+  const separator = base.includes('?') ? (/[?&]$/.test(base) ? '' : '&') : '?';
+  return `${base}${separator}${encoded}${hash}`;
+}
+
+/**
+ * Describes an auth for the request summary, without revealing secrets.
+ * @param {Object} auth - The effective auth.
+ * @param {string|null} inheritedFrom - The group it was inherited from, if any.
+ * @return {string} e.g. 'Basic Auth (user "admin", inherited from group "api")', or '' for none.
+ */
+function describeAuth(auth, inheritedFrom = null) {
+  if (!auth || auth.type === 'none' || auth.type === 'inherit') return '';
+  const type = AUTH_TYPES.find(t => t.id === auth.type);
+  const details = [];
+  if (auth.type === 'basic') details.push(`user "${auth.username || ''}"`);
+  if (auth.type === 'apikey') details.push(`${auth.in === 'query' ? 'query parameter' : 'header'} "${auth.key || ''}"`);
+  if (auth.type === 'oauth2') details.push(`${(auth.grantType || 'client_credentials').replace(/_/g, ' ')} grant`);
+  if (auth.type === 'awsv4') details.push(`service "${auth.service || ''}", region "${auth.region || ''}"`);
+  if (inheritedFrom) details.push(`inherited from group "${inheritedFrom}"`);
+  return `${type ? type.label : auth.type}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+/**
+ * Public interface for the auth module.
+ */
+export {
+  AUTH_TYPES,
+  createAuth,
+  encodeBase64,
+  getGroupAuth,
+  saveGroupAuth,
+  resolveAuth,
+  redactAuth,
+  getAuthParams,
+  resolveAwsCredentials,
+  appendQueryParams,
+  describeAuth
+};
@@ -0,0 +1,451 @@
+/**
+ * @fileoverview Generates code snippets for a request: cURL, JavaScript
+ * fetch, Node axios, Python requests, Go net/http, HTTPie and PowerShell.
+ * Generators receive a plain request snapshot whose values are already
+ * templated (or deliberately left as {{placeholders}}) by the caller.
+ */
+
+/**
+ * @typedef {Object} CodegenRequest
+ * @property {string} method - HTTP method.
+ * @property {string} url - Request URL.
+ * @property {Array<{key: string, value: string}>} headers - Request headers.
+ * @property {string} bodyMode - 'none', 'raw', 'urlencoded' or 'multipart'.
+ * @property {string} body - Raw body (raw mode).
+ * @property {Array<{key: string, value: string, type: string, fileName: string}>} formFields - Form fields (urlencoded/multipart).
+ * @property {Array<string>} notes - Remarks emitted as comments above the code.
+ */
+
+// --- Helpers ---
+
+/**
+ * Quotes a string for a POSIX shell (single quotes).
+ * @param {string} value - The string.
+ * @return {string} The quoted string.
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Quotes a string for PowerShell (single quotes, ' doubled).
+ * @param {string} value - The string.
+ * @return {string} The quoted string.
+ */
+function powershellQuote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Quotes a string as a double-quoted literal; valid in JavaScript, Python and Go.
+ * @param {string} value - The string.
+ * @return {string} The quoted string.
+ */
+function stringLiteral(value) {
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Finds a header value by name (case-insensitive).
+ * @param {Array<{key: string, value: string}>} headers - The headers.
+ * @param {string} name - Header name.
+ * @return {string|null} The value, or null if absent.
+ */
+function findHeader(headers, name) {
+  const header = headers.find(h => h.key.toLowerCase() === name.toLowerCase());
+  return header ? header.value : null;
+}
+
+/**
+ * Returns the parsed body when it is JSON sent with a JSON content type.
+ * @param {CodegenRequest} request - The request.
+ * @return {{isJson: boolean, value: *}} Whether the body can be emitted as a native structure.
+ */
+function getJsonBody(request) {
+  if (request.bodyMode !== 'raw' || !request.body) return { isJson: false, value: undefined };
+  const contentType = findHeader(request.headers, 'Content-Type') || '';
+  if (!/json/i.test(contentType)) return { isJson: false, value: undefined };
+  try {
+    return { isJson: true, value: JSON.parse(request.body) };
+  } catch (e) {
+    return { isJson: false, value: undefined }; // e.g. unresolved {{placeholders}} outside strings
+  }
+}
+
+/**
+ * Indents every line after the first (for multi-line values placed inside code).
+ * @param {string} text - The text.
+ * @param {string} indent - The indentation to add.
+ * @return {string} The indented text.
+ */
+function indentLines(text, indent) {
+  return text.replace(/\n/g, `\n${indent}`);
+}
+
+/**
+ * Converts a JSON value into a Python literal.
+ * @param {*} value - The value.
+ * @param {string} indent - Current indentation.
+ * @return {string} The Python source.
+ */
+function toPythonLiteral(value, indent = '') {
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'string') return stringLiteral(value);
+  const inner = `${indent}    `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${inner}${toPythonLiteral(item, inner)}`).join(',\n')}\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${inner}${stringLiteral(key)}: ${toPythonLiteral(item, inner)}`).join(',\n')}\n${indent}}`;
+}
+
+/**
+ * Prefixes the request notes as comment lines.
+ * @param {CodegenRequest} request - The request.
+ * @param {string} prefix - The comment marker ('#' or '//').
+ * @return {string} The comment block (may be empty).
+ */
+function renderNotes(request, prefix) {
+  return (request.notes || []).map(note => `${prefix} ${note}\n`).join('');
+}
+
+// --- Generators ---
+
+/**
+ * Generates a cURL command.
+ * @param {CodegenRequest} request - The request.
+ * @return {string} The command.
+ */
+function generateCurl(request) {
+  let command = `curl -X ${request.method} ${shellQuote(request.url)}`;
+  request.headers.forEach(h => {
+    command += ` \\\n  -H ${shellQuote(`${h.key}: ${h.value}`)}`;
+  });
+  if (request.bodyMode === 'urlencoded') {
+    request.formFields.forEach(f => {
+      command += ` \\\n  --data-urlencode ${shellQuote(`${f.key}=${f.value}`)}`;
+    });
+  } else if (request.bodyMode === 'multipart') {
+    request.formFields.forEach(f => {
+      command += ` \\\n  -F ${shellQuote(f.type === 'file' ? `${f.key}=@${f.fileName}` : `${f.key}=${f.value}`)}`;
+    });
+  } else if (request.bodyMode === 'raw' && request.body) {
+    command += ` \\\n  -d ${shellQuote(request.body)}`;
+  }
+  return renderNotes(request, '#') + command;
+}
+
+/**
+ * Generates JavaScript using the Fetch API.
+ * @param {CodegenRequest} request - The request.
+ * @return {string} The code.
+ */
+function generateFetch(request) {
+  const lines = [];
+  const options = [`  method: ${stringLiteral(request.method)}`];
+
+  if (request.headers.length > 0) {
+    const headers = request.headers.map(h => `    ${stringLiteral(h.key)}: ${stringLiteral(h.value)}`).join(',\n');
+    options.push(`  headers: {\n${headers}\n  }`);
+  }
+
+  if (request.bodyMode === 'urlencoded') {
+    const pairs = request.formFields.map(f => `  [${stringLiteral(f.key)}, ${stringLiteral(f.value)}]`).join(',\n');
+    lines.push(`const body = new URLSearchParams([\n${pairs}\n]);`, '');
+    options.push('  body');
+  } else if (request.bodyMode === 'multipart') {
+    lines.push('const body = new FormData();');
+    request.formFields.forEach(f => {
+      if (f.type === 'file') {
+        lines.push(`body.append(${stringLiteral(f.key)}, fileInput.files[0], ${stringLiteral(f.fileName)}); // <input type="file" id="fileInput">`);
+      } else {
+        lines.push(`body.append(${stringLiteral(f.key)}, ${stringLiteral(f.value)});`);
+      }
+    });
+    lines.push('');
+    options.push('  body');
+  } else if (request.bodyMode === 'raw' && request.body) {
+    const json = getJsonBody(request);
+    options.push(json.isJson
+      ? `  body: JSON.stringify(${indentLines(JSON.stringify(json.value, null, 2), '  ')})`
+      : `  body: ${stringLiteral(request.body)}`);
+  }
+
+  lines.push(`const response = await fetch(${stringLiteral(request.url)}, {\n${options.join(',\n')}\n});`);
+  lines.push('const data = await response.text();');
+  lines.push('console.log(response.status, data);');
+  return renderNotes(request, '//') + lines.join('\n');
+}
+
+/**
+ * Generates Node.js code using axios.
+ * @param {CodegenRequest} request - The request.
+ * @return {string} The code.
+ */
+function generateAxios(request) {
+  const lines = ["const axios = require('axios');"];
+  const config = [`  method: ${stringLiteral(request.method.toLowerCase())}`, `  url: ${stringLiteral(request.url)}`];
+  const headers = request.headers.map(h => `    ${stringLiteral(h.key)}: ${stringLiteral(h.value)}`);
+
+  if (request.bodyMode === 'multipart') {
+    lines.splice(1, 0, "const FormData = require('form-data');");
+    if (request.formFields.some(f => f.type === 'file')) {
+      lines.splice(2, 0, "const fs = require('fs');");
+    }
+    lines.push('', 'const data = new FormData();');
+    request.formFields.forEach(f => {
+      lines.push(f.type === 'file'
+        ? `data.append(${stringLiteral(f.key)}, fs.createReadStream(${stringLiteral(f.fileName)}));`
+        : `data.append(${stringLiteral(f.key)}, ${stringLiteral(f.value)});`);
+    });
+    headers.unshift('    ...data.getHeaders()');
+    config.push('  data');
+  } else if (request.bodyMode === 'urlencoded') {
+    const pairs = request.formFields.map(f => `  [${stringLiteral(f.key)}, ${stringLiteral(f.value)}]`).join(',\n');
+    lines.push('', `const data = new URLSearchParams([\n${pairs}\n]);`);
+    config.push('  data');
+  } else if (request.bodyMode === 'raw' && request.body) {
+    const json = getJsonBody(request);
+    config.push(json.isJson
+      ? `  data: ${indentLines(JSON.stringify(json.value, null, 2), '  ')}`
+      : `  data: ${stringLiteral(request.body)}`);
+  }
+
+  if (headers.length > 0) {
+    config.splice(2, 0, `  headers: {\n${headers.join(',\n')}\n  }`);
+  }
+
+  lines.push('', `axios.request({\n${config.join(',\n')}\n})`);
+  lines.push('  .then(response => console.log(response.status, response.data))');
+  lines.push('  .catch(error => console.error(error.response ? error.response.status : error.message));');
+  return renderNotes(request, '//') + lines.join('\n');
+}
+
+/**
+ * Generates Python code using the requests library.
+ * @param {CodegenRequest} request - The request.
+ * @return {string} The code.
+ */
+function generatePython(request) {
+  const lines = ['import requests', '', `url = ${stringLiteral(request.url)}`];
+  const args = ['url'];
+
+  if (request.headers.length > 0) {
+    lines.push(`headers = {\n${request.headers.map(h => `    ${stringLiteral(h.key)}: ${stringLiteral(h.value)}`).join(',\n')}\n}`);
+    args.push('headers=headers');
+  }
+
+  if (request.bodyMode === 'urlencoded' || request.bodyMode === 'multipart') {
+    const textFields = request.formFields.filter(f => f.type !== 'file' || request.bodyMode === 'urlencoded');
+    const fileFields = request.bodyMode === 'multipart' ? request.formFields.filter(f => f.type === 'file') : [];
+    if (textFields.length > 0) {
+      // A list of tuples keeps repeated keys
+      lines.push(`data = [\n${textFields.map(f => `    (${stringLiteral(f.key)}, ${stringLiteral(f.value)})`).join(',\n')}\n]`);
+      args.push('data=data');
+    }
+    if (fileFields.length > 0) {
+      lines.push(`files = [\n${fileFields.map(f => `    (${stringLiteral(f.key)}, open(${stringLiteral(f.fileName)}, "rb"))`).join(',\n')}\n]`);
+      args.push('files=files');
+    }
+  } else if (request.bodyMode === 'raw' && request.body) {
+    const json = getJsonBody(request);
+    if (json.isJson) {
+      lines.push(`payload = ${toPythonLiteral(json.value)}`);
+      args.push('json=payload');
+    } else {
+      lines.push(`data = ${stringLiteral(request.body)}`);
+      args.push('data=data');
+    }
+  }
+
+  lines.push('', `response = requests.request(${stringLiteral(request.method)}, ${args.join(', ')})`);
+  lines.push('print(response.status_code)', 'print(response.text)');
+  return renderNotes(request, '#') + lines.join('\n');
+}
+
+/**
+ * Generates a Go program using net/http.
+ * @param {CodegenRequest} request - The request.
+ * @return {string} The code.
+ */
+function generateGo(request) {
+  const imports = new Set(['fmt', 'io', 'net/http']);
+  const body = [];
+  let bodyArg = 'nil';
+  let contentTypeLine = null;
+
+  if (request.bodyMode === 'urlencoded') {
+    imports.add('net/url').add('strings');
+    body.push('\tform := url.Values{}');
+    request.formFields.forEach(f => body.push(`\tform.Add(${stringLiteral(f.key)}, ${stringLiteral(f.value)})`));
+    bodyArg = 'strings.NewReader(form.Encode())';
+    if (!findHeader(request.headers, 'Content-Type')) {
+      contentTypeLine = '\treq.Header.Set("Content-Type", "application/x-www-form-urlencoded")';
+    }
+  } else if (request.bodyMode === 'multipart') {
+    imports.add('bytes').add('mime/multipart');
+    body.push('\tvar body bytes.Buffer', '\twriter := multipart.NewWriter(&body)');
+    request.formFields.forEach((f, index) => {
+      if (f.type === 'file') {
+        imports.add('os');
+        body.push(
+          `\tfile${index}, err := os.Open(${stringLiteral(f.fileName)})`,
+          '\tif err != nil {', '\t\tpanic(err)', '\t}',
+          `\tdefer file${index}.Close()`,
+          `\tpart${index}, err := writer.CreateFormFile(${stringLiteral(f.key)}, ${stringLiteral(f.fileName)})`,
+          '\tif err != nil {', '\t\tpanic(err)', '\t}',
+          `\tio.Copy(part${index}, file${index})`
+        );
+      } else {
+        body.push(`\twriter.WriteField(${stringLiteral(f.key)}, ${stringLiteral(f.value)})`);
+      }
+    });
+    body.push('\twriter.Close()');
+    bodyArg = '&body';
+    contentTypeLine = '\treq.Header.Set("Content-Type", writer.FormDataContentType())';
+  } else if (request.bodyMode === 'raw' && request.body) {
+    imports.add('strings');
+    // Raw string literals keep JSON readable; they cannot contain backticks, and Go drops their carriage returns
+    const literal = /[`\r]/.test(request.body) ? stringLiteral(request.body) : `\`${request.body}\``;
+    bodyArg = `strings.NewReader(${literal})`;
+  }
+
+  const lines = ['package main', '', 'import ('];
+  [...imports].sort().forEach(name => lines.push(`\t"${name}"`));
+  lines.push(')', '', 'func main() {');
+  lines.push(...body);
+  lines.push(`\treq, err := http.NewRequest(${stringLiteral(request.method)}, ${stringLiteral(request.url)}, ${bodyArg})`);
+  lines.push('\tif err != nil {', '\t\tpanic(err)', '\t}');
+  request.headers.forEach(h => lines.push(`\treq.Header.Add(${stringLiteral(h.key)}, ${stringLiteral(h.value)})`));
+  if (contentTypeLine) lines.push(contentTypeLine);
+  lines.push(
+    '',
+    '\tresp, err := http.DefaultClient.Do(req)',
+    '\tif err != nil {', '\t\tpanic(err)', '\t}',
+    '\tdefer resp.Body.Close()',
+    '',
+    '\tdata, err := io.ReadAll(resp.Body)',
+    '\tif err != nil {', '\t\tpanic(err)', '\t}',
+    '\tfmt.Println(resp.Status)',
+    '\tfmt.Println(string(data))',
+    '}'
+  );
+  return renderNotes(request, '//') + lines.join('\n');
+}
+
+/**
+ * Generates an HTTPie command.
+ * @param {CodegenRequest} request - The request.
+ * @return {string} The command.
+ */
+function generateHttpie(request) {
+  const flags = [];
+  const items = [];
+
+  // "Name:value" sets a header; "Name;" sends it empty
+  request.headers.forEach(h => items.push(shellQuote(h.value === '' ? `${h.key};` : `${h.key}:${h.value}`)));
+
+  if (request.bodyMode === 'urlencoded' || request.bodyMode === 'multipart') {
+    flags.push(request.bodyMode === 'multipart' ? '--multipart' : '--form');
+    request.formFields.forEach(f => {
+      items.push(shellQuote(f.type === 'file' && request.bodyMode === 'multipart' ? `${f.key}@${f.fileName}` : `${f.key}=${f.value}`));
+    });
+  } else if (request.bodyMode === 'raw' && request.body) {
+    flags.push(`--raw ${shellQuote(request.body)}`);
+  }
+
+  const command = ['http', ...flags, request.method, shellQuote(request.url)].join(' ');
+  return renderNotes(request, '#') + [command, ...items].join(' \\\n  ');
+}
+
+/**
+ * Generates a PowerShell Invoke-RestMethod call.
+ * Content-Type is passed with -ContentType (Windows PowerShell rejects it in -Headers).
+ * @param {CodegenRequest} request - The request.
+ * @return {string} The code.
+ */
+function generatePowerShell(request) {
+  const lines = [];
+  const params = [`-Uri ${powershellQuote(request.url)}`];
+  const method = request.method.charAt(0) + request.method.slice(1).toLowerCase();
+  params.push(`-Method ${method}`);
+
+  const contentType = findHeader(request.headers, 'Content-Type');
+  const headers = request.headers.filter(h => h.key.toLowerCase() !== 'content-type');
+  if (headers.length > 0) {
+    lines.push('$headers = @{');
+    headers.forEach(h => lines.push(`    ${powershellQuote(h.key)} = ${powershellQuote(h.value)}`));
+    lines.push('}');
+    params.push('-Headers $headers');
+  }
+
+  if (request.bodyMode === 'urlencoded') {
+    const keys = request.formFields.map(f => f.key);
+    if (new Set(keys).size < keys.length) {
+      // Hashtables cannot repeat a key; send the encoded string instead
+      const encoded = new URLSearchParams(request.formFields.map(f => [f.key, f.value])).toString();
+      lines.push(`$body = ${powershellQuote(encoded)}`);
+    } else {
+      lines.push('$body = @{');
+      request.formFields.forEach(f => lines.push(`    ${powershellQuote(f.key)} = ${powershellQuote(f.value)}`));
+      lines.push('}');
+    }
+    params.push('-Body $body', "-ContentType 'application/x-www-form-urlencoded'");
+  } else if (request.bodyMode === 'multipart') {
+    // -Form requires PowerShell 7+
+    lines.push('$form = @{');
+    request.formFields.forEach(f => {
+      lines.push(`    ${powershellQuote(f.key)} = ${f.type === 'file' ? `Get-Item -Path ${powershellQuote(f.fileName)}` : powershellQuote(f.value)}`);
+    });
+    lines.push('}');
+    params.push('-Form $form');
+  } else if (request.bodyMode === 'raw' && request.body) {
+    lines.push(`$body = ${powershellQuote(request.body)}`);
+    params.push('-Body $body');
+    if (contentType) params.push(`-ContentType ${powershellQuote(contentType)}`);
+  }
+
+  if (lines.length > 0) lines.push('');
+  lines.push(`$response = Invoke-RestMethod ${params.join(' `\n    ')}`);
+  lines.push('$response | ConvertTo-Json -Depth 10');
+  return renderNotes(request, '#') + lines.join('\n');
+}
+
+// Targets in display order
+const CODEGEN_TARGETS = [
+  { id: 'curl', label: 'cURL', generate: generateCurl },
+  { id: 'fetch', label: 'JavaScript (fetch)', generate: generateFetch },
+  { id: 'axios', label: 'Node.js (axios)', generate: generateAxios },
+  { id: 'python', label: 'Python (requests)', generate: generatePython },
+  { id: 'go', label: 'Go (net/http)', generate: generateGo },
+  { id: 'httpie', label: 'HTTPie', generate: generateHttpie },
+  { id: 'powershell', label: 'PowerShell (Invoke-RestMethod)', generate: generatePowerShell }
+];
+
+/**
+ * Generates code for a request.
+ * @param {string} targetId - One of the CODEGEN_TARGETS ids.
+ * @param {CodegenRequest} request - The request snapshot.
+ * @return {string} The generated code.
+ * @throws {Error} If the target is unknown.
+ */
+function generateCode(targetId, request) {
+  const target = CODEGEN_TARGETS.find(t => t.id === targetId);
+  if (!target) {
+    throw new Error(`Unknown code generation target: ${targetId}`);
+  }
+  return target.generate({ notes: [], formFields: [], ...request });
+}
+
+/**
+ * Public interface for the code generation module.
+ */
+export {
+  CODEGEN_TARGETS,
+  generateCode
+};
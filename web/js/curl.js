@@ -0,0 +1,496 @@
+/**
+ * @fileoverview Parses cURL command lines (as copied from browser devtools or
+ * bug reports) into request builder fields. The reverse of the builder's
+ * "Show as cURL" action.
+ */
+
+import { encodeBase64 } from './auth.js'; // Import UTF-8 safe Base64 for -u credentials
+
+// Options that take a value, mapped to the name the parser handles
+const VALUE_OPTIONS = {
+  '-X': 'request', '--request': 'request',
+  '-H': 'header', '--header': 'header',
+  '-d': 'data', '--data': 'data', '--data-ascii': 'data',
+  '--data-binary': 'data-binary',
+  '--data-raw': 'data-raw',
+  '--data-urlencode': 'data-urlencode',
+  '--json': 'json',
+  '-F': 'form', '--form': 'form',
+  '--form-string': 'form-string',
+  '-u': 'user', '--user': 'user',
+  '-b': 'cookie', '--cookie': 'cookie',
+  '-A': 'user-agent', '--user-agent': 'user-agent',
+  '-e': 'referer', '--referer': 'referer',
+  '--url': 'url',
+  '-T': 'upload-file', '--upload-file': 'upload-file'
+};
+
+// Flags the parser acts on
+const FLAG_OPTIONS = {
+  '-G': 'get', '--get': 'get',
+  '-I': 'head', '--head': 'head',
+  '--compressed': 'compressed'
+};
+
+// Transport and output options with a value that do not affect the request itself
+const IGNORED_VALUE_OPTIONS = new Set([
+  '-o', '--output', '-m', '--max-time', '--connect-timeout', '-w', '--write-out',
+  '-x', '--proxy', '-U', '--proxy-user', '--retry', '--retry-delay', '--max-redirs',
+  '--cacert', '--capath', '-E', '--cert', '--key', '--cert-type', '--key-type',
+  '--resolve', '-c', '--cookie-jar', '--limit-rate', '-r', '--range', '--interface',
+  '-y', '--speed-time', '-Y', '--speed-limit', '--trace', '--trace-ascii', '--stderr'
+]);
+
+// Flags that do not affect the request itself
+const IGNORED_FLAGS = new Set([
+  '-s', '--silent', '-S', '--show-error', '-L', '--location', '-k', '--insecure',
+  '-v', '--verbose', '-i', '--include', '-f', '--fail', '-N', '--no-buffer',
+  '-#', '--progress-bar', '-g', '--globoff', '-0', '--http1.0', '--http1.1',
+  '--http2', '--http2-prior-knowledge', '--http3', '-4', '--ipv4', '-6', '--ipv6',
+  '-O', '--remote-name', '-J', '--remote-header-name', '-q', '--disable',
+  '--location-trusted', '--fail-with-body', '--no-progress-meter', '--tcp-nodelay',
+  '--path-as-is', '--no-keepalive', '--tlsv1.2', '--tlsv1.3', '--ssl-no-revoke'
+]);
+
+// --- Tokenizing ---
+
+/**
+ * Decodes the escapes of an ANSI-C quoted string ($'...'), as produced by
+ * Chrome's "Copy as cURL" for bodies with special characters.
+ * @param {string} text - The command text.
+ * @param {number} start - Index just after the opening quote.
+ * @return {{value: string, end: number}} The decoded value and the index after the closing quote.
+ * @throws {Error} If the quote is not closed.
+ */
+function readAnsiCString(text, start) {
+  const simple = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', e: '\x1b', f: '\f', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+  let value = '';
+  let i = start;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === "'") {
+      return { value, end: i + 1 };
+    }
+    if (char !== '\\') {
+      value += char;
+      i++;
+      continue;
+    }
+    const next = text[i + 1];
+    let match;
+    if (next in simple) {
+      value += simple[next];
+      i += 2;
+    } else if ((match = /^x([0-9a-fA-F]{1,2})/.exec(text.slice(i + 1)))) {
+      value += String.fromCharCode(parseInt(match[1], 16));
+      i += 1 + match[0].length;
+    } else if ((match = /^u([0-9a-fA-F]{1,4})/.exec(text.slice(i + 1))) || (match = /^U([0-9a-fA-F]{1,8})/.exec(text.slice(i + 1)))) {
+      value += String.fromCodePoint(parseInt(match[1], 16));
+      i += 1 + match[0].length;
+    } else if ((match = /^[0-7]{1,3}/.exec(text.slice(i + 1)))) {
+      value += String.fromCharCode(parseInt(match[0], 8));
+      i += 1 + match[0].length;
+    } else {
+      value += '\\';
+      i++;
+    }
+  }
+  throw new Error("cURL command has an unclosed $'...' string.");
+}
+
+/**
+ * Splits a shell command line into arguments, following POSIX shell quoting:
+ * single quotes, double quotes (with \" \\ \$ \` escapes), ANSI-C $'...'
+ * strings, backslash escapes and backslash-newline line continuations.
+ * @param {string} command - The command line.
+ * @return {Array<string>} The arguments.
+ * @throws {Error} If a quoted string is not closed.
+ */
+function tokenizeCommand(command) {
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  let i = 0;
+
+  while (i < command.length) {
+    const char = command[i];
+
+    if (char === '\\') {
+      const next = command[i + 1];
+      if (next === '\n') {
+        i += 2; // Line continuation
+      } else if (next === '\r' && command[i + 2] === '\n') {
+        i += 3;
+      } else {
+        if (next !== undefined) current += next;
+        inToken = true;
+        i += 2;
+      }
+      continue;
+    }
+
+    if (char === "'") {
+      const end = command.indexOf("'", i + 1);
+      if (end === -1) {
+        throw new Error('cURL command has an unclosed single quote.');
+      }
+      current += command.slice(i + 1, end);
+      inToken = true;
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '$' && command[i + 1] === "'") {
+      const { value, end } = readAnsiCString(command, i + 2);
+      current += value;
+      inToken = true;
+      i = end;
+      continue;
+    }
+
+    if (char === '"') {
+      let j = i + 1;
+      while (j < command.length && command[j] !== '"') {
+        if (command[j] === '\\' && '"\\$`\n'.includes(command[j + 1])) {
+          if (command[j + 1] !== '\n') current += command[j + 1];
+          j += 2;
+        } else {
+          current += command[j];
+          j++;
+        }
+      }
+      if (j >= command.length) {
+        throw new Error('cURL command has an unclosed double quote.');
+      }
+      inToken = true;
+      i = j + 1;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (inToken) tokens.push(current);
+      current = '';
+      inToken = false;
+      i++;
+      continue;
+    }
+
+    current += char;
+    inToken = true;
+    i++;
+  }
+
+  if (inToken) tokens.push(current);
+  return tokens;
+}
+
+// --- Parsing ---
+
+/**
+ * Checks whether text looks like a cURL command.
+ * @param {string} text - Any text, e.g. pasted into the URL field.
+ * @return {boolean} True if the text starts with "curl ".
+ */
+function isCurlCommand(text) {
+  return /^\s*(\$\s+)?curl(\.exe)?\s/i.test(text || '');
+}
+
+/**
+ * Splits the command line into options and positional arguments.
+ * Short flags may be combined (-sSL) and short option values may be
+ * attached (-XPOST).
+ * @param {Array<string>} args - The arguments after "curl".
+ * @param {function(string)} warn - Records a conversion warning.
+ * @return {{options: Array<{name: string, value: string}>, positional: Array<string>}}
+ */
+function readOptions(args, warn) {
+  const options = [];
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const takeValue = (option) => {
+      if (i + 1 >= args.length) {
+        warn(`cURL option ${option} is missing its value.`);
+        return null;
+      }
+      return args[++i];
+    };
+
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positional.push(arg);
+      continue;
+    }
+
+    if (arg.startsWith('--')) {
+      if (VALUE_OPTIONS[arg]) {
+        const value = takeValue(arg);
+        if (value !== null) options.push({ name: VALUE_OPTIONS[arg], value });
+      } else if (FLAG_OPTIONS[arg]) {
+        options.push({ name: FLAG_OPTIONS[arg], value: '' });
+      } else if (IGNORED_VALUE_OPTIONS.has(arg)) {
+        takeValue(arg);
+      } else if (!IGNORED_FLAGS.has(arg)) {
+        warn(`cURL option ${arg} is not supported and was ignored.`);
+      }
+      continue;
+    }
+
+    // Short options, possibly combined
+    for (let c = 1; c < arg.length; c++) {
+      const option = `-${arg[c]}`;
+      const attached = arg.slice(c + 1);
+      if (VALUE_OPTIONS[option] || IGNORED_VALUE_OPTIONS.has(option)) {
+        const value = attached || takeValue(option);
+        if (VALUE_OPTIONS[option] && value !== null) {
+          options.push({ name: VALUE_OPTIONS[option], value });
+        }
+        break;
+      }
+      if (FLAG_OPTIONS[option]) {
+        options.push({ name: FLAG_OPTIONS[option], value: '' });
+      } else if (!IGNORED_FLAGS.has(option)) {
+        warn(`cURL option ${option} is not supported and was ignored.`);
+      }
+    }
+  }
+
+  return { options, positional };
+}
+
+/**
+ * Converts one --data-urlencode argument the way cURL does.
+ * @param {string} value - "content", "=content", "name=content", "@file" or "name@file".
+ * @param {function(string)} warn - Records a conversion warning.
+ * @return {{encoded: string, field: Object|null}} The encoded part and, for
+ *   named values, the decoded form field.
+ */
+function encodeDataUrlencode(value, warn) {
+  const fileMatch = /^([^=]*)@(.+)$/.exec(value);
+  if (fileMatch && !value.includes('=')) {
+    warn(`--data-urlencode reads "${fileMatch[2]}" from a file; add its content to the body manually.`);
+    return { encoded: fileMatch[1] ? `${fileMatch[1]}=` : '', field: fileMatch[1] ? { key: fileMatch[1], value: '' } : null };
+  }
+  const equals = value.indexOf('=');
+  if (equals <= 0) {
+    return { encoded: encodeURIComponent(value.slice(equals + 1)), field: null };
+  }
+  const key = value.slice(0, equals);
+  const content = value.slice(equals + 1);
+  return { encoded: `${key}=${encodeURIComponent(content)}`, field: { key, value: content } };
+}
+
+/**
+ * Parses a cURL command into request builder fields.
+ * Data options are joined with "&" as cURL does; without an explicit method
+ * the request is a POST when it has a body. Basic credentials (-u) and
+ * cookies (-b) become Authorization and Cookie headers. Anything that
+ * cannot be represented (file references, unknown options) is reported in
+ * the warnings.
+ * @param {string} command - The cURL command line.
+ * @return {{url: string, method: string, rawHeaders: Array<{key: string, value: string}>,
+ *   body: string, bodyMode: string, formFields: Array<Object>, warnings: Array<string>}}
+ *   The request fields.
+ * @throws {Error} If the text is not a cURL command or has no URL.
+ */
+function parseCurlCommand(command) {
+  const args = tokenizeCommand(String(command || '').trim().replace(/^\$\s+/, ''));
+  if (args.length === 0 || !/^curl(\.exe)?$/i.test(args[0])) {
+    throw new Error('Not a cURL command: it must start with "curl".');
+  }
+
+  const warnings = [];
+  const warn = (message) => warnings.push(message);
+  const { options, positional } = readOptions(args.slice(1), warn);
+
+  const rawHeaders = [];
+  const setHeader = (key, value, replace = true) => {
+    const existing = rawHeaders.find(h => h.key.toLowerCase() === key.toLowerCase());
+    if (existing) {
+      if (replace) existing.value = value;
+    } else {
+      rawHeaders.push({ key, value });
+    }
+  };
+
+  const urls = [...positional];
+  const dataParts = [];
+  let fileData = false; // -d @file: the body cannot be imported, but the request still has one
+  const urlencodedFields = [];
+  const formFields = [];
+  const cookies = [];
+  let method = null;
+  let forceGet = false;
+  let head = false;
+  let onlyUrlencoded = true;
+
+  options.forEach(({ name, value }) => {
+    switch (name) {
+      case 'request':
+        method = value.toUpperCase();
+        break;
+      case 'header': {
+        const colon = value.indexOf(':');
+        if (colon > 0) {
+          const headerValue = value.slice(colon + 1).trim();
+          // "Name:" with no value removes a header in cURL
+          if (headerValue) rawHeaders.push({ key: value.slice(0, colon).trim(), value: headerValue });
+        } else if (value.endsWith(';')) {
+          rawHeaders.push({ key: value.slice(0, -1).trim(), value: '' });
+        } else {
+          warn(`Header "${value}" has no value and was ignored.`);
+        }
+        break;
+      }
+      case 'data':
+      case 'data-binary':
+      case 'json':
+        onlyUrlencoded = false;
+        if (value.startsWith('@')) {
+          warn(`Body data is read from the file "${value.slice(1)}"; paste its content into the body.`);
+          fileData = true;
+          break;
+        }
+        dataParts.push(name === 'data' ? value.replace(/[\r\n]/g, '') : value);
+        if (name === 'json') {
+          setHeader('Content-Type', 'application/json', false);
+          setHeader('Accept', 'application/json', false);
+        }
+        break;
+      case 'data-raw':
+        onlyUrlencoded = false;
+        dataParts.push(value);
+        break;
+      case 'data-urlencode': {
+        const { encoded, field } = encodeDataUrlencode(value, warn);
+        dataParts.push(encoded);
+        if (field) urlencodedFields.push(field);
+        else onlyUrlencoded = false;
+        break;
+      }
+      case 'form':
+      case 'form-string': {
+        const equals = value.indexOf('=');
+        if (equals <= 0) {
+          warn(`Form field "${value}" is not in name=value form and was ignored.`);
+          break;
+        }
+        const key = value.slice(0, equals);
+        const content = value.slice(equals + 1);
+        if (name === 'form' && content.startsWith('@')) {
+          const fileName = content.slice(1).split(';')[0];
+          formFields.push({ key, value: '', type: 'file', fileName: fileName.split(/[\\/]/).pop() });
+          warn(`Form field "${key}" uploads the file "${fileName}"; select the file before sending.`);
+        } else if (name === 'form' && content.startsWith('<')) {
+          formFields.push({ key, value: '', type: 'text' });
+          warn(`Form field "${key}" reads its value from the file "${content.slice(1)}"; enter the value manually.`);
+        } else {
+          formFields.push({ key, value: name === 'form' ? content.split(';type=')[0] : content, type: 'text' });
+        }
+        break;
+      }
+      case 'user': {
+        const colon = value.indexOf(':');
+        if (colon === -1) {
+          warn(`No password given for user "${value}"; cURL would prompt for it.`);
+        }
+        setHeader('Authorization', `Basic ${encodeBase64(colon === -1 ? `${value}:` : value)}`, false);
+        break;
+      }
+      case 'cookie':
+        if (value.includes('=')) {
+          cookies.push(value);
+        } else {
+          warn(`Cookies are read from the file "${value}"; add a Cookie header manually.`);
+        }
+        break;
+      case 'user-agent':
+        setHeader('User-Agent', value);
+        break;
+      case 'referer':
+        setHeader('Referer', value.replace(/;auto$/, ''));
+        break;
+      case 'url':
+        urls.push(value);
+        break;
+      case 'upload-file':
+        warn(`The request uploads the file "${value}" (-T); paste its content into the body.`);
+        break;
+      case 'get':
+        forceGet = true;
+        break;
+      case 'head':
+        head = true;
+        break;
+      case 'compressed':
+        // Responses are decompressed automatically; nothing to convert
+        break;
+    }
+  });
+
+  if (urls.length === 0) {
+    throw new Error('No URL found in the cURL command.');
+  }
+  if (urls.length > 1) {
+    warn(`The command requests ${urls.length} URLs; only the first one was imported.`);
+  }
+
+  let url = urls[0];
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url) && !url.startsWith('{{')) {
+    url = `http://${url}`; // cURL's default scheme
+  }
+
+  if (cookies.length > 0) {
+    setHeader('Cookie', cookies.join('; '), false);
+  }
+
+  const data = dataParts.join('&');
+  let body = '';
+  let bodyMode = 'none';
+  let fields = [];
+
+  if (forceGet && dataParts.length > 0) {
+    url += (url.includes('?') ? '&' : '?') + data;
+  } else if (formFields.length > 0) {
+    bodyMode = 'multipart';
+    fields = formFields;
+    if (dataParts.length > 0) {
+      warn('The command mixes -F with -d data; only the form fields were imported.');
+    }
+  } else if (dataParts.length > 0) {
+    const contentType = (rawHeaders.find(h => h.key.toLowerCase() === 'content-type') || {}).value || '';
+    const isFormType = !contentType || contentType.toLowerCase().startsWith('application/x-www-form-urlencoded');
+    if (isFormType && onlyUrlencoded) {
+      bodyMode = 'urlencoded';
+      fields = urlencodedFields.map(f => ({ ...f, type: 'text' }));
+    } else {
+      bodyMode = 'raw';
+      body = data;
+      if (!contentType) {
+        setHeader('Content-Type', 'application/x-www-form-urlencoded'); // What cURL sends for -d
+      }
+    }
+  } else if (fileData && !forceGet) {
+    // Keeps cURL's POST; the body is left empty for the file content
+    bodyMode = 'raw';
+  }
+
+  if (!method) {
+    method = head ? 'HEAD' : forceGet ? 'GET' : bodyMode !== 'none' ? 'POST' : 'GET';
+  }
+
+  return { url, method, rawHeaders, body, bodyMode, formFields: fields, warnings };
+}
+
+/**
+ * Public interface for the cURL module.
+ */
+export {
+  tokenizeCommand,
+  isCurlCommand,
+  parseCurlCommand
+};
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Data files for iteration runs: parses CSV and JSON array
+ * files into rows of variables, and serialises result grids back to CSV.
+ */
+
+/**
+ * Parses CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, line breaks and doubled quotes).
+ * @param {string} text - The CSV content.
+ * @return {Array<Array<string>>} The records.
+ * @throws {Error} If a quoted field is not closed.
+ */
+function parseCSVRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+  const source = text.replace(/^\uFEFF/, ''); // Byte order mark
+
+  while (i < source.length) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (char === '\r' && source[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unclosed quoted field.');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  // Blank lines are not rows
+  return records.filter(r => !(r.length === 1 && r[0] === ''));
+}
+
+/**
+ * Parses CSV text with a header row into row objects.
+ * @param {string} text - The CSV content.
+ * @return {Array<Object>} One object per data row, keyed by column name.
+ * @throws {Error} If the CSV is malformed or has no header row.
+ */
+function parseCSV(text) {
+  const records = parseCSVRecords(text);
+  if (records.length === 0) {
+    throw new Error('CSV file is empty.');
+  }
+  const columns = records[0].map(c => c.trim());
+  return records.slice(1).map(values => {
+    const row = {};
+    columns.forEach((column, index) => {
+      if (column) row[column] = values[index] !== undefined ? values[index] : '';
+    });
+    return row;
+  });
+}
+
+/**
+ * Parses a data file into iteration rows.
+ * JSON files must contain an array of objects; CSV files need a header row.
+ * @param {string} content - The file content.
+ * @param {string} fileName - The file name, used to pick the format.
+ * @return {{format: string, rows: Array<Object>}} The format ('csv' or 'json') and rows.
+ * @throws {Error} If the file cannot be parsed or has no rows.
+ */
+function parseDataFile(content, fileName = '') {
+  const trimmed = (content || '').trim();
+  const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^[[{]/.test(trimmed));
+
+  let rows;
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Data file is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data) || data.some(row => typeof row !== 'object' || row === null || Array.isArray(row))) {
+      throw new Error('JSON data file must be an array of objects.');
+    }
+    rows = data;
+  } else {
+    rows = parseCSV(content || '');
+  }
+
+  if (rows.length === 0) {
+    throw new Error('Data file has no rows.');
+  }
+  return { format: isJson ? 'json' : 'csv', rows };
+}
+
+/**
+ * Serialises rows of objects to CSV, quoting fields where needed.
+ * Objects and arrays are written as JSON.
+ * @param {Array<Object>} rows - The rows.
+ * @param {Array<string>} columns - Column order (defaults to the keys of all rows).
+ * @return {string} The CSV text, with a header row.
+ */
+function toCSV(rows, columns = null) {
+  const header = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header.map(escape).join(','), ...rows.map(row => header.map(column => escape(row[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+/**
+ * Public interface for the data file module.
+ */
+export {
+  parseCSV,
+  parseDataFile,
+  toCSV
+};
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Dynamic built-in variables such as {{$uuid}} or {{$randomInt 1 10}}.
+ * They are evaluated each time a template is applied, so every send gets fresh
+ * values. The names follow Postman and the VS Code REST Client, so imported
+ * requests keep working.
+ */
+
+// Documented in the builder and README; aliases resolve to the same value
+const DYNAMIC_VARIABLES = [
+  { name: '$timestamp', usage: '{{$timestamp}}', description: 'Current Unix time in seconds' },
+  { name: '$isoTimestamp', usage: '{{$isoTimestamp}}', description: 'Current time as ISO 8601 (UTC)' },
+  { name: '$uuid', usage: '{{$uuid}}', description: 'Random UUID v4 (also $guid, $randomUUID)' },
+  { name: '$randomInt', usage: '{{$randomInt min max}}', description: 'Random integer from min to max inclusive (0 to 1000 by default)' },
+  { name: '$randomEmail', usage: '{{$randomEmail}}', description: 'Random email address at example.com' },
+  { name: '$env', usage: '{{$env NAME}}', description: 'Environment variable of the desktop app (also $processEnv)' },
+  { name: '$dotenv', usage: '{{$dotenv KEY}}', description: 'Value from the loaded .env file' }
+];
+
+// Matches {{$env NAME}} and {{$processEnv NAME}}, capturing the name
+const ENV_REFERENCE = /\{\{\s*\$(?:env|processEnv)\s+([^\s|?}]+)/g;
+
+// Environment variables of the desktop app read so far, by name (null if unset).
+// Only names used in templates are requested (see loadEnvironment).
+const environment = new Map();
+
+// The loaded .env file, { fileName, values }; kept in memory only
+let dotenv = null;
+
+/**
+ * Collects the names used in {{$env NAME}} placeholders.
+ * @param {*} value - A template, or an object or array holding templates.
+ * @param {Set<string>} names - Receives the names.
+ * @param {Set<Object>} seen - Objects already searched.
+ * @return {Set<string>} The names.
+ */
+function findEnvironmentNames(value, names = new Set(), seen = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(ENV_REFERENCE)) names.add(match[1]);
+  } else if (value !== null && typeof value === 'object' && !seen.has(value)) {
+    seen.add(value);
+    Object.values(value).forEach(item => findEnvironmentNames(item, names, seen));
+  }
+  return names;
+}
+
+/**
+ * Reads the desktop app's environment variables used by {{$env NAME}} in the
+ * given templates, so resolveDynamicVariable() can substitute them. Each name
+ * is requested from the app once. In the browser there is no environment and
+ * $env variables stay unresolved.
+ * @param {...*} templates - Templates, or objects and arrays holding them
+ *   (e.g., the request and its variable scopes).
+ * @return {Promise<void>} Resolves once the names are read.
+ */
+async function loadEnvironment(...templates) {
+  if (!window.__TAURI__) return;
+  const names = [...findEnvironmentNames(templates)].filter(name => !environment.has(name));
+  await Promise.all(names.map(name => window.__TAURI__.core.invoke('get_env_var', { name })
+    .then(value => { environment.set(name, value ?? null); })
+    .catch(error => console.error(`Error reading the environment variable ${name}`, error))));
+}
+
+/**
+ * Gets the loaded .env file.
+ * @return {Object|null} { fileName, values } or null if none is loaded.
+ */
+function getDotenv() {
+  return dotenv;
+}
+
+/**
+ * Sets (or, with null, clears) the loaded .env file. The values are not
+ * saved, so the file is loaded again after restarting the app.
+ * @param {Object|null} value - { fileName, values }
+ */
+function setDotenv(value) {
+  dotenv = value;
+}
+
+/**
+ * Generates a random UUID (version 4).
+ * @return {string} The UUID.
+ */
+function randomUuid() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const hex = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b, i) => {
+    if (i === 6) b = (b & 0x0f) | 0x40;
+    if (i === 8) b = (b & 0x3f) | 0x80;
+    return b.toString(16).padStart(2, '0');
+  }).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Evaluates a dynamic variable.
+ * @param {string} expression - The text between the braces, e.g. '$randomInt 1 10'.
+ * @return {string|undefined} The value, or undefined if the expression is not a
+ *   dynamic variable or cannot be resolved (the placeholder is then kept).
+ */
+function resolveDynamicVariable(expression) {
+  const [name, ...args] = expression.trim().split(/\s+/);
+  switch (name) {
+    case '$timestamp':
+      return String(Math.floor(Date.now() / 1000));
+    case '$isoTimestamp':
+      return new Date().toISOString();
+    case '$uuid':
+    case '$guid':
+    case '$randomUUID':
+      return randomUuid();
+    case '$randomInt': {
+      const min = args.length > 0 ? Number(args[0]) : 0;
+      const max = args.length > 1 ? Number(args[1]) : 1000;
+      if (!Number.isInteger(min) || !Number.isInteger(max) || max < min) return undefined;
+      return String(min + Math.floor(Math.random() * (max - min + 1)));
+    }
+    case '$randomEmail':
+      return `user_${randomUuid().slice(0, 8)}@example.com`;
+    case '$env':
+    case '$processEnv':
+      return args[0] ? environment.get(args[0]) ?? undefined : undefined;
+    case '$dotenv':
+      return dotenv && args[0] ? dotenv.values[args[0]] : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Picks the values read from the environment or the .env file out of the
+ * dynamic values a template used; like secrets, they are masked when shown or stored.
+ * @param {Array<{name: string, value: string}>} dynamicValues - As collected by a template trace.
+ * @return {Array<string>} The values.
+ */
+function getEnvironmentValues(dynamicValues) {
+  return dynamicValues
+    .filter(v => /^\$(?:env|processEnv|dotenv)\s/.test(v.name))
+    .map(v => String(v.value));
+}
+
+/**
+ * Parses a .env file.
+ * Supports comments, `export KEY=value`, and single- or double-quoted values
+ * (double quotes understand \n escapes; unquoted values end at " #").
+ * @param {string} text - The file contents.
+ * @return {Object<string, string>} The values by key.
+ */
+function parseDotenv(text) {
+  const values = {};
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/);
+    if (!match) return;
+    let value = match[2].trim();
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.lastIndexOf(quote) > 0) {
+      value = value.slice(1, value.lastIndexOf(quote));
+      if (quote === '"') value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  });
+  return values;
+}
+
+/**
+ * Public interface for the dynamicvars module.
+ */
+export {
+  DYNAMIC_VARIABLES,
+  loadEnvironment,
+  getDotenv,
+  setDotenv,
+  resolveDynamicVariable,
+  getEnvironmentValues,
+  parseDotenv
+};
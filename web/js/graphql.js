@@ -0,0 +1,278 @@
+/**
+ * @fileoverview GraphQL support: request payload serialisation, schema
+ * introspection, and schema lookups used for field autocomplete and the
+ * schema explorer.
+ */
+
+// --- Module Imports ---
+import { tauriFetch } from './request.js'; // Same HTTP path as regular requests
+import { signRequest } from './sigv4.js'; // Import AWS Signature v4 signing
+
+/**
+ * Standard introspection query (descriptions, fields, arguments and enum values).
+ */
+const INTROSPECTION_QUERY = `
+  query IntrospectionQuery {
+    __schema {
+      queryType { name }
+      mutationType { name }
+      subscriptionType { name }
+      types {
+        kind
+        name
+        description
+        fields(includeDeprecated: true) {
+          name
+          description
+          args { name description type { ...TypeRef } defaultValue }
+          type { ...TypeRef }
+          isDeprecated
+        }
+        inputFields { name description type { ...TypeRef } defaultValue }
+        enumValues(includeDeprecated: true) { name description }
+        possibleTypes { name }
+      }
+    }
+  }
+
+  fragment TypeRef on __Type {
+    kind
+    name
+    ofType {
+      kind
+      name
+      ofType {
+        kind
+        name
+        ofType {
+          kind
+          name
+          ofType { kind name }
+        }
+      }
+    }
+  }
+`;
+
+// --- Payload Serialisation ---
+
+/**
+ * Serialises a GraphQL query and its variables into a JSON request body.
+ * @param {string} query - The GraphQL query document.
+ * @param {string} variablesText - The variables as a JSON string (may be empty).
+ * @return {string} The JSON payload: {"query": ..., "variables": ...}.
+ * @throws {Error} If the variables are not a valid JSON object.
+ */
+function buildGraphQLBody(query, variablesText) {
+  const payload = { query: query || '' };
+
+  if (variablesText && variablesText.trim()) {
+    let variables;
+    try {
+      variables = JSON.parse(variablesText);
+    } catch (error) {
+      throw new Error(`GraphQL variables are not valid JSON: ${error.message}`);
+    }
+    if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+      throw new Error('GraphQL variables must be a JSON object.');
+    }
+    payload.variables = variables;
+  }
+
+  return JSON.stringify(payload);
+}
+
+/**
+ * Splits a GraphQL response into its data and errors parts.
+ * @param {*} responseData - The parsed response body.
+ * @return {{data: *, errors: Array|undefined}} The split response.
+ */
+function splitGraphQLResponse(responseData) {
+  if (typeof responseData !== 'object' || responseData === null) {
+    return { data: undefined, errors: undefined };
+  }
+  return { data: responseData.data, errors: responseData.errors };
+}
+
+// --- Schema Introspection ---
+
+/**
+ * Fetches a GraphQL schema through introspection.
+ * @param {string} url - The (already templated) GraphQL endpoint, including auth query parameters.
+ * @param {Object} headers - The (already templated) request headers, including auth headers.
+ * @param {Object} awsCredentials - Signs the request with AWS Signature v4 (optional;
+ *   see resolveAwsCredentials in auth.js).
+ * @return {Object} The introspected __schema object.
+ * @throws {Error} If the request fails or the server returns no schema.
+ */
+async function fetchGraphQLSchema(url, headers = {}, awsCredentials = null) {
+  const fetchFn = tauriFetch || fetch;
+  const requestHeaders = { ...headers };
+  if (!Object.keys(requestHeaders).some(key => key.toLowerCase() === 'content-type')) {
+    requestHeaders['Content-Type'] = 'application/json';
+  }
+  const body = JSON.stringify({ query: INTROSPECTION_QUERY });
+  if (awsCredentials) {
+    await signRequest({ method: 'POST', url, headers: requestHeaders, body }, awsCredentials);
+  }
+
+  const response = await fetchFn(url, {
+    method: 'POST',
+    headers: requestHeaders,
+    body: body,
+  });
+  const result = await response.json();
+
+  if (!result || !result.data || !result.data.__schema) {
+    const message = result && result.errors ? result.errors.map(e => e.message).join('; ') : `HTTP ${response.status}`;
+    throw new Error(`Introspection failed: ${message}`);
+  }
+  return result.data.__schema;
+}
+
+/**
+ * Builds a lookup index from an introspected schema.
+ * @param {Object} schema - The __schema object.
+ * @return {Object} { types: {name: type}, queryType, mutationType, subscriptionType }
+ */
+function createSchemaIndex(schema) {
+  const types = {};
+  (schema.types || []).forEach(t => {
+    types[t.name] = t;
+  });
+  return {
+    types: types,
+    queryType: schema.queryType ? schema.queryType.name : null,
+    mutationType: schema.mutationType ? schema.mutationType.name : null,
+    subscriptionType: schema.subscriptionType ? schema.subscriptionType.name : null
+  };
+}
+
+/**
+ * Returns the named type behind NON_NULL/LIST wrappers.
+ * @param {Object} typeRef - An introspection type reference.
+ * @return {string|null} The named type.
+ */
+function unwrapTypeName(typeRef) {
+  let current = typeRef;
+  while (current && !current.name && current.ofType) {
+    current = current.ofType;
+  }
+  return current ? current.name : null;
+}
+
+/**
+ * Formats a type reference in SDL notation (e.g. "[User!]!").
+ * @param {Object} typeRef - An introspection type reference.
+ * @return {string} The formatted type.
+ */
+function formatTypeRef(typeRef) {
+  if (!typeRef) return '';
+  if (typeRef.kind === 'NON_NULL') return `${formatTypeRef(typeRef.ofType)}!`;
+  if (typeRef.kind === 'LIST') return `[${formatTypeRef(typeRef.ofType)}]`;
+  return typeRef.name;
+}
+
+// --- Autocomplete ---
+
+/**
+ * Removes strings and comments so braces inside them do not affect parsing.
+ * @param {string} text - GraphQL source.
+ * @return {string} Source with strings and comments blanked out.
+ */
+function stripStringsAndComments(text) {
+  return text
+    .replace(/"""[\s\S]*?("""|$)/g, match => ' '.repeat(match.length))
+    .replace(/"(?:[^"\\\n]|\\.)*("|$)/g, match => ' '.repeat(match.length))
+    .replace(/#[^\n]*/g, match => ' '.repeat(match.length));
+}
+
+/**
+ * Determines the type whose fields are selectable at the end of a query prefix.
+ * Tracks selection sets, fragments (`fragment X on Type`) and inline fragments
+ * (`... on Type`); arguments in parentheses are skipped.
+ * @param {Object} index - Schema index from createSchemaIndex().
+ * @param {string} textBeforeCursor - Query text up to the cursor.
+ * @return {string|null} The parent type name, or null if outside any selection set.
+ */
+function getTypeAtCursor(index, textBeforeCursor) {
+  const source = stripStringsAndComments(textBeforeCursor);
+  const tokens = source.match(/\.\.\.|[A-Za-z_][A-Za-z0-9_]*|[{}()]/g) || [];
+
+  const stack = [];
+  let parenDepth = 0;
+  let lastField = null;
+  let pendingType = null;
+  let operationType = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token === '(') { parenDepth++; continue; }
+    if (token === ')') { parenDepth = Math.max(0, parenDepth - 1); continue; }
+    if (parenDepth > 0) continue;
+
+    if (token === '{') {
+      let typeName = null;
+      if (pendingType) {
+        typeName = pendingType;
+      } else if (stack.length === 0) {
+        typeName = index[`${operationType || 'query'}Type`];
+      } else if (lastField) {
+        const parent = index.types[stack[stack.length - 1]];
+        const field = parent && parent.fields ? parent.fields.find(f => f.name === lastField) : null;
+        typeName = field ? unwrapTypeName(field.type) : null;
+      }
+      stack.push(typeName);
+      pendingType = null;
+      lastField = null;
+      operationType = null;
+    } else if (token === '}') {
+      stack.pop();
+      lastField = null;
+    } else if (token === 'on' && tokens[i + 1] && /^[A-Za-z_]/.test(tokens[i + 1])) {
+      pendingType = tokens[i + 1];
+      i++;
+    } else if (stack.length === 0 && (token === 'query' || token === 'mutation' || token === 'subscription')) {
+      operationType = token;
+    } else if (token !== '...' && stack.length > 0) {
+      lastField = token;
+    }
+  }
+
+  return stack.length > 0 ? stack[stack.length - 1] : null;
+}
+
+/**
+ * Suggests fields for the selection set at the cursor.
+ * @param {Object} index - Schema index from createSchemaIndex().
+ * @param {string} textBeforeCursor - Query text up to the cursor.
+ * @param {string} prefix - The partially typed field name.
+ * @return {Array<Object>} Matching fields: { name, type, description }.
+ */
+function getFieldSuggestions(index, textBeforeCursor, prefix = '') {
+  const typeName = getTypeAtCursor(index, textBeforeCursor.slice(0, textBeforeCursor.length - prefix.length));
+  const type = typeName ? index.types[typeName] : null;
+  if (!type || !type.fields) {
+    return [];
+  }
+  const lowerPrefix = prefix.toLowerCase();
+  return type.fields
+    .filter(f => f.name.toLowerCase().startsWith(lowerPrefix))
+    .map(f => ({ name: f.name, type: formatTypeRef(f.type), description: f.description || '' }));
+}
+
+/**
+ * Public interface for the GraphQL module.
+ */
+export {
+  INTROSPECTION_QUERY,
+  buildGraphQLBody,
+  splitGraphQLResponse,
+  fetchGraphQLSchema,
+  createSchemaIndex,
+  unwrapTypeName,
+  formatTypeRef,
+  getTypeAtCursor,
+  getFieldSuggestions
+};
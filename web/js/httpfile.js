@@ -0,0 +1,424 @@
+/**
+ * @fileoverview Reads and writes .http / .rest request files, the format of
+ * the VS Code REST Client and the JetBrains HTTP Client: requests separated
+ * by "###", "@name = value" variable declarations and {{name}} templating.
+ */
+
+import { appendQueryParams } from './auth.js'; // Import query handling shared with API-key auth
+
+// Methods the request builder can send
+const SUPPORTED_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD'];
+
+// Request line: "METHOD URL [HTTP/x]" (GRAPHQL and WEBSOCKET are JetBrains extensions)
+const REQUEST_LINE = /^(GET|POST|PUT|DELETE|PATCH|HEAD|OPTIONS|TRACE|CONNECT|GRAPHQL|WEBSOCKET)\s+(.+?)(?:\s+HTTP\/[\d.]+)?$/i;
+
+const MULTIPART_BOUNDARY = 'WebAppBoundary';
+
+// --- Helpers ---
+
+/**
+ * Checks whether a line is a comment ("#" or "//").
+ * @param {string} line - The line.
+ * @return {boolean} True for comment lines.
+ */
+function isComment(line) {
+  return /^\s*(#|\/\/)/.test(line);
+}
+
+/**
+ * Finds a header by name (case-insensitive).
+ * @param {Array<{key: string, value: string}>} headers - The headers.
+ * @param {string} name - Header name.
+ * @return {Object|undefined} The header entry.
+ */
+function findHeader(headers, name) {
+  return headers.find(h => h.key.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * URL-encodes a form value but leaves {{variables}} untouched.
+ * @param {string} value - The value.
+ * @return {string} The encoded value.
+ */
+function encodeFormValue(value) {
+  return String(value).split(/({{.*?}})/).map(part => (part.startsWith('{{') ? part : encodeURIComponent(part))).join('');
+}
+
+/**
+ * Decodes a URL-encoded form value; malformed escapes are kept as they are.
+ * @param {string} value - The encoded value.
+ * @return {string} The decoded value.
+ */
+function decodeFormValue(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Writes a request's auth as REST Client headers or query parameters.
+ * Basic credentials are kept readable ("Basic user:password"), which REST Client encodes when sending.
+ * @param {Object} auth - The effective auth (see auth.js).
+ * @param {Array<{key: string, value: string}>} headers - The headers (updated in place).
+ * @param {string} url - The request URL.
+ * @return {string} The URL, with an API key query parameter when used.
+ */
+function writeAuth(auth, headers, url) {
+  if (!auth) return url;
+  const setHeader = (key, value) => {
+    if (!findHeader(headers, key)) headers.push({ key, value }); // Explicit headers win, as when sending
+  };
+  switch (auth.type) {
+    case 'basic':
+      setHeader('Authorization', `Basic ${auth.username || ''}:${auth.password || ''}`);
+      break;
+    case 'bearer':
+      setHeader('Authorization', `Bearer ${auth.token || ''}`);
+      break;
+    case 'apikey':
+      if (!auth.key) break;
+      if (auth.in === 'query') {
+        return appendQueryParams(url, [{ key: auth.key, value: auth.value || '' }]);
+      }
+      setHeader(auth.key, auth.value || '');
+      break;
+  }
+  return url;
+}
+
+/**
+ * Splits a GraphQL body into query and variables: the variables are a JSON
+ * object after the last blank line.
+ * @param {string} body - The body.
+ * @return {{query: string, variables: string}} The GraphQL fields.
+ */
+function splitGraphQLBody(body) {
+  const index = body.lastIndexOf('\n\n');
+  if (index !== -1) {
+    const tail = body.slice(index).trim();
+    try {
+      const parsed = JSON.parse(tail);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return { query: body.slice(0, index).trim(), variables: tail };
+      }
+    } catch (e) {
+      // Not a variables block; the whole body is the query
+    }
+  }
+  return { query: body.trim(), variables: '' };
+}
+
+/**
+ * Parses a multipart/form-data body written in .http syntax into form fields.
+ * Parts whose content is "< path" become file fields.
+ * @param {string} body - The body.
+ * @param {string} boundary - The boundary from the Content-Type header.
+ * @return {Array<Object>} The form fields.
+ */
+function parseMultipartBody(body, boundary) {
+  const fields = [];
+  body.split(`--${boundary}`).slice(1).forEach(rawPart => {
+    if (rawPart.startsWith('--')) return; // Closing boundary
+    const part = rawPart.replace(/^\r?\n/, '');
+    const separator = part.search(/\r?\n\r?\n/);
+    const head = separator === -1 ? part : part.slice(0, separator);
+    const content = separator === -1 ? '' : part.slice(separator).replace(/^\r?\n\r?\n/, '').replace(/\r?\n$/, '');
+    const name = /name="([^"]*)"/i.exec(head);
+    if (!name) return;
+    const fileRef = /^<\s*(.+)$/.exec(content.trim());
+    if (fileRef) {
+      fields.push({ key: name[1], value: '', type: 'file', fileName: fileRef[1].trim().split(/[\\/]/).pop() });
+    } else {
+      fields.push({ key: name[1], value: content, type: 'text' });
+    }
+  });
+  return fields;
+}
+
+// --- Parsing ---
+
+/**
+ * Parses one request block (the text between "###" separators).
+ * @param {Array<string>} lines - The block lines.
+ * @param {string} separatorTitle - Text after the "###" that opened the block.
+ * @param {Object} variables - Collects "@name = value" declarations.
+ * @param {function(string)} warn - Records a conversion warning.
+ * @return {Object|null} The request, or null if the block has no request line.
+ */
+function parseBlock(lines, separatorTitle, variables, warn) {
+  let name = '';
+  let i = 0;
+
+  // Variables, comments and metadata before the request line
+  for (; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const variable = /^@([\w.-]+)\s*=\s*(.*)$/.exec(line);
+    if (variable) {
+      variables[variable[1]] = variable[2].trim();
+      continue;
+    }
+    if (isComment(line)) {
+      const meta = /^(?:#+|\/\/+)\s*@(\S+)\s*(.*)$/.exec(line);
+      if (meta && meta[1] === 'name') {
+        name = meta[2].trim();
+      } else if (meta && meta[1] === 'prompt') {
+        warn(`Prompt variable "${meta[2].trim()}" is not supported; define it as a variable instead.`);
+      }
+      continue;
+    }
+    break;
+  }
+  if (i >= lines.length) {
+    return null;
+  }
+
+  const requestLine = lines[i].trim();
+  const match = REQUEST_LINE.exec(requestLine);
+  let method = match ? match[1].toUpperCase() : 'GET';
+  let url = match ? match[2].trim() : requestLine;
+
+  // Query continuation lines ("?a=1" / "&b=2" on their own lines)
+  for (i++; i < lines.length && /^\s+[?&]/.test(lines[i]); i++) {
+    url += lines[i].trim();
+  }
+
+  const rawHeaders = [];
+  for (; i < lines.length && lines[i].trim() !== ''; i++) {
+    if (isComment(lines[i])) continue;
+    const header = /^([^:]+):\s*(.*)$/.exec(lines[i].trim());
+    if (header) rawHeaders.push({ key: header[1].trim(), value: header[2] });
+    else warn(`Line "${lines[i].trim()}" is not a header and was ignored.`);
+  }
+
+  // REST Client's readable Basic form ("Basic user:password" or "Basic user password") becomes Basic auth;
+  // Base64 credentials contain neither, so encoded headers are kept as they are
+  const authorization = findHeader(rawHeaders, 'Authorization');
+  const basic = method !== 'WEBSOCKET' && authorization && /^Basic\s+([^:\s]+)(?::|\s+)(.*)$/i.exec(authorization.value.trim());
+  if (basic) {
+    rawHeaders.splice(rawHeaders.indexOf(authorization), 1);
+  }
+
+  // Body, without JetBrains response handlers ("> {% ... %}", "> file.js") and response references ("<> file")
+  const bodyLines = [];
+  for (i++; i < lines.length; i++) {
+    if (/^>\s/.test(lines[i]) || /^<>\s/.test(lines[i])) {
+      warn(`The response handler or reference in "${name || separatorTitle || requestLine}" is not supported and was dropped.`);
+      break;
+    }
+    bodyLines.push(lines[i]);
+  }
+  while (bodyLines.length > 0 && bodyLines[bodyLines.length - 1].trim() === '') bodyLines.pop();
+  let body = bodyLines.join('\n');
+
+  const title = name || separatorTitle || `${method} ${url}`;
+  const request = {
+    title,
+    type: 'http',
+    method,
+    url,
+    rawHeaders,
+    body: '',
+    bodyMode: body ? 'raw' : 'none',
+    formFields: [],
+    graphql: { query: '', variables: '' },
+    subprotocols: ''
+  };
+  if (basic) {
+    request.auth = { type: 'basic', username: basic[1], password: basic[2] };
+  }
+
+  if (/{{\s*[\w-]+\.(request|response)\./.test(requestLine + body + rawHeaders.map(h => h.value).join(' '))) {
+    warn(`"${title}" references another request's response (request variables), which is not supported.`);
+  }
+
+  if (method === 'WEBSOCKET') {
+    const protocol = findHeader(rawHeaders, 'Sec-WebSocket-Protocol');
+    request.type = 'websocket';
+    request.method = 'GET';
+    request.bodyMode = 'raw';
+    request.subprotocols = protocol ? protocol.value : '';
+    request.rawHeaders = rawHeaders.filter(h => h !== protocol);
+    if (body) warn(`The message in "${title}" was not imported; WebSocket messages are sent from the WebSocket tab.`);
+    return request;
+  }
+
+  const requestType = findHeader(rawHeaders, 'X-REQUEST-TYPE');
+  if (method === 'GRAPHQL' || (requestType && /^graphql$/i.test(requestType.value.trim()))) {
+    request.method = 'POST';
+    request.bodyMode = 'graphql';
+    request.graphql = splitGraphQLBody(body);
+    // The JSON Content-Type is added again when the request is sent
+    const contentType = findHeader(rawHeaders, 'Content-Type');
+    const jsonContentType = contentType && /^application\/json/i.test(contentType.value) ? contentType : null;
+    request.rawHeaders = rawHeaders.filter(h => h !== requestType && h !== jsonContentType);
+    return request;
+  }
+
+  if (!SUPPORTED_METHODS.includes(method)) {
+    warn(`"${title}" was skipped: ${method} requests are not supported.`);
+    return null;
+  }
+
+  if (/^<@?\s+\S/.test(body.trim()) && !body.trim().includes('\n')) {
+    warn(`The body of "${title}" is read from the file "${body.trim().replace(/^<@?\s+/, '')}"; paste its content into the body.`);
+    body = '';
+    request.bodyMode = 'none';
+  }
+
+  const contentType = findHeader(rawHeaders, 'Content-Type');
+  const type = contentType ? contentType.value.toLowerCase() : '';
+  if (body && type.startsWith('multipart/form-data')) {
+    const boundary = /boundary="?([^";]+)"?/i.exec(contentType.value);
+    if (boundary) {
+      request.bodyMode = 'multipart';
+      request.formFields = parseMultipartBody(body, boundary[1]);
+      request.rawHeaders = rawHeaders.filter(h => h !== contentType); // Set again with a fresh boundary when sent
+      return request;
+    }
+  }
+  if (body && type.startsWith('application/x-www-form-urlencoded')) {
+    request.bodyMode = 'urlencoded';
+    request.formFields = body.split('\n').map(line => line.trim()).join('').split('&').filter(Boolean).map(pair => {
+      const equals = pair.indexOf('=');
+      const key = equals === -1 ? pair : pair.slice(0, equals);
+      return { key: decodeFormValue(key), value: equals === -1 ? '' : decodeFormValue(pair.slice(equals + 1)), type: 'text' };
+    });
+    request.rawHeaders = rawHeaders.filter(h => h !== contentType);
+    return request;
+  }
+
+  request.body = body;
+  return request;
+}
+
+/**
+ * Parses a .http / .rest file.
+ * @param {string} text - The file content.
+ * @return {{requests: Array<Object>, variables: Object, warnings: Array<string>}}
+ *   Requests in builder format (without id and group), the "@name = value"
+ *   declarations and conversion warnings.
+ * @throws {Error} If the file contains no requests.
+ */
+function parseHttpFile(text) {
+  const warningSet = new Set();
+  const warn = (message) => warningSet.add(message);
+  const variables = {};
+  const requests = [];
+
+  let blockLines = [];
+  let separatorTitle = '';
+  const flush = () => {
+    const request = parseBlock(blockLines, separatorTitle, variables, warn);
+    if (request) requests.push(request);
+  };
+
+  String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    if (/^###/.test(line)) {
+      flush();
+      blockLines = [];
+      separatorTitle = line.replace(/^#+/, '').trim();
+    } else {
+      blockLines.push(line);
+    }
+  });
+  flush();
+
+  if (requests.length === 0) {
+    throw new Error('No requests found in the file.');
+  }
+  return { requests, variables, warnings: [...warningSet] };
+}
+
+// --- Writing ---
+
+/**
+ * Writes requests (and variable declarations) as a .http file.
+ * Titles are kept in "# @name" comments. Scripts cannot be expressed in the
+ * format; their names are noted in comments.
+ * @param {Array<Object>} requests - Saved requests, with their effective auth (group auth is not looked up here).
+ * @param {Object} variables - Variables to declare with "@name = value".
+ * @param {Object} options - Output options.
+ * @param {string} options.heading - Comment written at the top (optional).
+ * @param {Object} options.scriptNames - Script names by id, for the script comments (optional).
+ * @return {string} The file content.
+ */
+function generateHttpFile(requests, variables = {}, options = {}) {
+  const scriptNames = options.scriptNames || {};
+  const out = [];
+  if (options.heading) out.push(`# ${options.heading}`, '');
+
+  const declarations = Object.entries(variables);
+  declarations.forEach(([key, value]) => {
+    const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    out.push(`@${key} = ${text.replace(/\r?\n/g, ' ')}`);
+  });
+  if (declarations.length > 0) out.push('');
+
+  requests.forEach(request => {
+    out.push('###', `# @name ${request.title || 'Untitled Request'}`);
+    if (request.preScriptId && scriptNames[request.preScriptId]) {
+      out.push(`# Pre-request script: ${scriptNames[request.preScriptId]} (not included)`);
+    }
+    if (request.postScriptId && scriptNames[request.postScriptId]) {
+      out.push(`# Post-request script: ${scriptNames[request.postScriptId]} (not included)`);
+    }
+    if (request.auth && request.auth.type === 'oauth2') {
+      out.push(`# OAuth 2.0 auth: token from ${request.auth.tokenUrl || '(no token URL)'} (not included)`);
+    }
+
+    const headers = (request.rawHeaders || []).filter(h => h.key).map(h => ({ key: h.key, value: h.value || '' }));
+
+    if (request.type === 'websocket') {
+      out.push(`WEBSOCKET ${request.url}`);
+      if (request.subprotocols) headers.push({ key: 'Sec-WebSocket-Protocol', value: request.subprotocols });
+      headers.forEach(h => out.push(`${h.key}: ${h.value}`));
+      out.push('');
+      return;
+    }
+
+    const bodyMode = request.bodyMode || 'raw';
+    const formFields = (request.formFields || []).filter(f => f.key);
+    let body = '';
+
+    if (bodyMode === 'graphql') {
+      const graphql = request.graphql || {};
+      headers.unshift({ key: 'X-REQUEST-TYPE', value: 'GraphQL' });
+      if (!findHeader(headers, 'Content-Type')) headers.push({ key: 'Content-Type', value: 'application/json' });
+      body = graphql.variables && graphql.variables.trim()
+        ? `${(graphql.query || '').trim()}\n\n${graphql.variables.trim()}`
+        : (graphql.query || '').trim();
+    } else if (bodyMode === 'urlencoded') {
+      if (!findHeader(headers, 'Content-Type')) headers.push({ key: 'Content-Type', value: 'application/x-www-form-urlencoded' });
+      body = formFields.map(f => `${encodeFormValue(f.key)}=${encodeFormValue(f.value || '')}`).join('\n&');
+    } else if (bodyMode === 'multipart') {
+      const others = headers.filter(h => h.key.toLowerCase() !== 'content-type');
+      headers.length = 0;
+      headers.push(...others, { key: 'Content-Type', value: `multipart/form-data; boundary=${MULTIPART_BOUNDARY}` });
+      const parts = formFields.map(f => (f.type === 'file'
+        ? `--${MULTIPART_BOUNDARY}\nContent-Disposition: form-data; name="${f.key}"; filename="${f.fileName || 'file'}"\n\n< ./${f.fileName || 'file'}`
+        : `--${MULTIPART_BOUNDARY}\nContent-Disposition: form-data; name="${f.key}"\n\n${f.value || ''}`));
+      body = parts.length > 0 ? `${parts.join('\n')}\n--${MULTIPART_BOUNDARY}--` : '';
+    } else if (bodyMode === 'raw') {
+      body = request.body || '';
+    }
+
+    const url = writeAuth(request.auth, headers, request.url);
+    out.push(`${request.method || 'GET'} ${url}`);
+    headers.forEach(h => out.push(`${h.key}: ${h.value}`));
+    if (body) out.push('', body);
+    out.push('');
+  });
+
+  return out.join('\n');
+}
+
+/**
+ * Public interface for the .http file module.
+ */
+export {
+  parseHttpFile,
+  generateHttpFile
+};
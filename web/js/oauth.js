@@ -0,0 +1,375 @@
+/**
+ * @fileoverview OAuth 2.0 token flows: client credentials, resource owner
+ * password, refresh token and authorization code with PKCE. Tokens are stored
+ * per variable group and renewed before a request is sent once they expire.
+ */
+
+import { getOAuthTokens, saveOAuthToken } from './storage.js';
+import { encodeBase64 } from './auth.js'; // Import UTF-8 safe Base64 for client credentials
+
+const GRANT_TYPES = [
+  { id: 'client_credentials', label: 'Client Credentials' },
+  { id: 'password', label: 'Password' },
+  { id: 'refresh_token', label: 'Refresh Token' },
+  { id: 'authorization_code', label: 'Authorization Code (PKCE)' }
+];
+
+// Tokens are renewed this long before they expire so they do not lapse in flight
+const EXPIRY_MARGIN_MS = 30000;
+
+// How long the authorization code flow waits for the user to sign in
+const AUTHORIZE_TIMEOUT_SECONDS = 300;
+
+// Loopback redirect used by the desktop app (RFC 8252); register it with the provider
+const DEFAULT_LOOPBACK_REDIRECT_URI = 'http://127.0.0.1:8765/callback';
+
+// --- Helpers ---
+
+/**
+ * Gets the redirect URI used when none is configured: the loopback address in
+ * the desktop app, this page in the browser (the sign-in runs in a popup).
+ * @return {string} The redirect URI.
+ */
+function getDefaultRedirectUri() {
+  return window.__TAURI__ ? DEFAULT_LOOPBACK_REDIRECT_URI : `${location.origin}${location.pathname}`;
+}
+
+/**
+ * Resolves the {{variables}} of an oauth2 auth.
+ * @param {Object} auth - The oauth2 auth (see auth.js).
+ * @param {function(string): string} resolve - Substitutes {{variables}} in a value.
+ * @return {Object} The configuration with plain values.
+ */
+function resolveConfig(auth, resolve) {
+  const value = (field) => resolve(auth[field] || '').trim();
+  return {
+    grantType: auth.grantType || 'client_credentials',
+    tokenUrl: value('tokenUrl'),
+    authUrl: value('authUrl'),
+    redirectUri: value('redirectUri') || getDefaultRedirectUri(),
+    clientId: value('clientId'),
+    clientSecret: value('clientSecret'),
+    clientAuthentication: auth.clientAuthentication === 'body' ? 'body' : 'basic',
+    scope: value('scope'),
+    username: value('username'),
+    password: resolve(auth.password || ''),
+    refreshToken: value('refreshToken')
+  };
+}
+
+/**
+ * Identifies the token of a configuration: one token per client, token URL and scope.
+ * @param {Object} config - The resolved configuration.
+ * @return {string} The token key.
+ */
+function getTokenKey(config) {
+  return `${config.clientId}@${config.tokenUrl}${config.scope ? ` [${config.scope}]` : ''}`;
+}
+
+/**
+ * Checks whether a token has expired (or is about to).
+ * Tokens without expires_in never expire.
+ * @param {Object} token - A stored token.
+ * @param {number} now - The current time in milliseconds (optional).
+ * @return {boolean} True if the token must be renewed.
+ */
+function isTokenExpired(token, now = Date.now()) {
+  return !!token.expiresAt && now >= token.expiresAt - EXPIRY_MARGIN_MS;
+}
+
+/**
+ * Base64url-encodes bytes without padding (RFC 7636).
+ * @param {Uint8Array} bytes - The bytes.
+ * @return {string} The encoding.
+ */
+function base64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// --- Token Endpoint ---
+
+/**
+ * Sends a token request (RFC 6749 section 4) and converts the response.
+ * @param {Object} config - The resolved configuration.
+ * @param {string} grantType - The grant_type sent.
+ * @param {Object} params - Additional form parameters; empty values are left out.
+ * @param {function} fetchFn - The fetch implementation (Tauri or browser).
+ * @param {Object} previous - The token being refreshed (optional); its refresh token is kept if no new one is issued.
+ * @return {Promise<Object>} The token: { accessToken, tokenType, refreshToken, scope, expiresAt, obtainedAt, grantType, clientId, tokenUrl }
+ * @throws {Error} If the server rejects the request or returns no access token.
+ */
+async function requestToken(config, grantType, params, fetchFn, previous = null) {
+  if (!config.tokenUrl) {
+    throw new Error('OAuth 2.0: the token URL is not set.');
+  }
+
+  const body = new URLSearchParams({ grant_type: grantType });
+  Object.entries(params).forEach(([key, value]) => {
+    if (value) body.set(key, value);
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (config.clientSecret && config.clientAuthentication === 'basic') {
+    // Client credentials are form-encoded before Base64 (RFC 6749 section 2.3.1)
+    headers.Authorization = `Basic ${encodeBase64(`${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`)}`;
+  } else {
+    if (config.clientId) body.set('client_id', config.clientId);
+    if (config.clientSecret) body.set('client_secret', config.clientSecret);
+  }
+
+  const response = await fetchFn(config.tokenUrl, { method: 'POST', headers, body: body.toString() });
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    // Some older servers answer with a form-encoded body
+    data = Object.fromEntries(new URLSearchParams(text));
+  }
+
+  if (!response.ok || data.error || !data.access_token) {
+    const reason = data.error
+      ? `${data.error}${data.error_description ? `: ${data.error_description}` : ''}`
+      : `HTTP ${response.status}${data.access_token ? '' : ', no access_token in the response'}`;
+    throw new Error(`OAuth 2.0 token request failed (${reason})`);
+  }
+
+  const now = Date.now();
+  const expiresIn = Number(data.expires_in);
+  return {
+    accessToken: data.access_token,
+    tokenType: /^bearer$/i.test(data.token_type || 'Bearer') ? 'Bearer' : data.token_type,
+    refreshToken: data.refresh_token || (previous && previous.refreshToken) || '',
+    scope: data.scope || (previous && previous.scope) || config.scope,
+    expiresAt: expiresIn > 0 ? now + expiresIn * 1000 : null,
+    obtainedAt: now,
+    grantType: previous ? previous.grantType : config.grantType,
+    clientId: config.clientId,
+    tokenUrl: config.tokenUrl
+  };
+}
+
+// --- Authorization Code with PKCE ---
+
+/**
+ * Opens the sign-in page in the system browser and waits for the redirect to
+ * the loopback address; the listener runs in the Tauri backend.
+ * @param {string} authUrl - The authorization URL.
+ * @param {string} redirectUri - The loopback redirect URI.
+ * @return {Promise<string>} The redirect's path and query.
+ */
+async function waitForLoopbackRedirect(authUrl, redirectUri) {
+  const redirect = new URL(redirectUri);
+  if (redirect.protocol !== 'http:' || !['127.0.0.1', 'localhost', '[::1]'].includes(redirect.hostname)) {
+    throw new Error(`OAuth 2.0: the desktop app needs a loopback redirect URI such as ${DEFAULT_LOOPBACK_REDIRECT_URI}.`);
+  }
+  return window.__TAURI__.core.invoke('oauth_loopback', {
+    authUrl: authUrl,
+    port: Number(redirect.port) || 80,
+    timeoutSecs: AUTHORIZE_TIMEOUT_SECONDS
+  });
+}
+
+/**
+ * Opens the sign-in page in a popup and waits until it is redirected back to
+ * this app's origin, where the redirect URL can be read.
+ * @param {string} authUrl - The authorization URL.
+ * @param {string} redirectUri - The redirect URI (on this origin).
+ * @return {Promise<string>} The redirect URL.
+ */
+function waitForPopupRedirect(authUrl, redirectUri) {
+  const popup = window.open(authUrl, 'oauth2-sign-in', 'width=520,height=720');
+  if (!popup) {
+    return Promise.reject(new Error('OAuth 2.0: the sign-in window was blocked; allow pop-ups for this page.'));
+  }
+  const deadline = Date.now() + AUTHORIZE_TIMEOUT_SECONDS * 1000;
+  return new Promise((resolve, reject) => {
+    const timer = setInterval(() => {
+      if (popup.closed) {
+        clearInterval(timer);
+        reject(new Error('OAuth 2.0: the sign-in window was closed.'));
+        return;
+      }
+      if (Date.now() > deadline) {
+        clearInterval(timer);
+        popup.close();
+        reject(new Error('OAuth 2.0: timed out waiting for the sign-in.'));
+        return;
+      }
+      let href = '';
+      try {
+        href = popup.location.href;
+      } catch (e) {
+        return; // Still on the provider's (cross-origin) pages
+      }
+      if (href.startsWith(redirectUri) && /[?&](code|error)=/.test(href)) {
+        clearInterval(timer);
+        popup.close();
+        resolve(href);
+      }
+    }, 250);
+  });
+}
+
+/**
+ * Runs the authorization code flow with PKCE (RFC 7636).
+ * @param {Object} config - The resolved configuration.
+ * @param {function} fetchFn - The fetch implementation.
+ * @return {Promise<Object>} The token.
+ */
+async function authorizeWithPkce(config, fetchFn) {
+  if (!config.authUrl) {
+    throw new Error('OAuth 2.0: the authorization URL is not set.');
+  }
+  const verifier = base64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const challenge = base64Url(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))));
+  const state = base64Url(crypto.getRandomValues(new Uint8Array(16)));
+
+  const authUrl = new URL(config.authUrl);
+  authUrl.searchParams.set('response_type', 'code');
+  authUrl.searchParams.set('client_id', config.clientId);
+  authUrl.searchParams.set('redirect_uri', config.redirectUri);
+  if (config.scope) authUrl.searchParams.set('scope', config.scope);
+  authUrl.searchParams.set('state', state);
+  authUrl.searchParams.set('code_challenge', challenge);
+  authUrl.searchParams.set('code_challenge_method', 'S256');
+
+  const redirect = window.__TAURI__
+    ? await waitForLoopbackRedirect(authUrl.toString(), config.redirectUri)
+    : await waitForPopupRedirect(authUrl.toString(), config.redirectUri);
+  const params = new URL(redirect, config.redirectUri).searchParams;
+
+  if (params.get('error')) {
+    throw new Error(`OAuth 2.0 sign-in failed (${params.get('error')}${params.get('error_description') ? `: ${params.get('error_description')}` : ''})`);
+  }
+  if (params.get('state') !== state) {
+    throw new Error('OAuth 2.0: the sign-in response has an unexpected state and was ignored.');
+  }
+  return requestToken(config, 'authorization_code', {
+    code: params.get('code'),
+    redirect_uri: config.redirectUri,
+    code_verifier: verifier
+  }, fetchFn);
+}
+
+// --- Token Lifecycle ---
+
+/**
+ * Gets a new token with the configured grant (may open a sign-in window) and stores it.
+ * @param {Object} auth - The oauth2 auth.
+ * @param {string} variableGroup - The variable group the token is stored for.
+ * @param {Object} options - { resolve, fetchFn }
+ * @return {Promise<Object>} The token.
+ */
+async function fetchNewToken(auth, variableGroup, options) {
+  const config = resolveConfig(auth, options.resolve);
+  let token;
+  switch (config.grantType) {
+    case 'password':
+      token = await requestToken(config, 'password', { username: config.username, password: config.password, scope: config.scope }, options.fetchFn);
+      break;
+    case 'refresh_token':
+      if (!config.refreshToken) throw new Error('OAuth 2.0: the refresh token is not set.');
+      token = await requestToken(config, 'refresh_token', { refresh_token: config.refreshToken, scope: config.scope }, options.fetchFn);
+      break;
+    case 'authorization_code':
+      token = await authorizeWithPkce(config, options.fetchFn);
+      break;
+    default:
+      token = await requestToken(config, 'client_credentials', { scope: config.scope }, options.fetchFn);
+  }
+  saveOAuthToken(variableGroup, getTokenKey(config), token);
+  return token;
+}
+
+/**
+ * Gets the stored token of an oauth2 auth, expired or not.
+ * @param {Object} auth - The oauth2 auth.
+ * @param {string} variableGroup - The variable group.
+ * @param {function(string): string} resolve - Substitutes {{variables}} in a value.
+ * @return {Object|null} The token.
+ */
+function getStoredToken(auth, variableGroup, resolve) {
+  const tokens = getOAuthTokens()[variableGroup] || {};
+  return tokens[getTokenKey(resolveConfig(auth, resolve))] || null;
+}
+
+/**
+ * Gets a usable access token before a request is sent: the stored one while it
+ * is valid, otherwise it is refreshed (with its refresh token) or requested
+ * again. Authorization code tokens can only be renewed with a refresh token;
+ * signing in again is left to the user.
+ * @param {Object} auth - The oauth2 auth.
+ * @param {string} variableGroup - The variable group the token is stored for.
+ * @param {Object} options - { resolve, fetchFn, log(message) }
+ * @return {Promise<Object>} The token.
+ * @throws {Error} If no token can be obtained.
+ */
+async function getAccessToken(auth, variableGroup, options) {
+  const log = options.log || (() => {});
+  const config = resolveConfig(auth, options.resolve);
+  const key = getTokenKey(config);
+  const stored = (getOAuthTokens()[variableGroup] || {})[key];
+
+  if (stored && !isTokenExpired(stored)) {
+    return stored;
+  }
+
+  if (stored && stored.refreshToken) {
+    try {
+      const token = await requestToken(config, 'refresh_token', { refresh_token: stored.refreshToken }, options.fetchFn, stored);
+      saveOAuthToken(variableGroup, key, token);
+      log('[OAuth] Access token expired and was refreshed');
+      return token;
+    } catch (error) {
+      log(`[OAuth] Refreshing the token failed: ${error.message}`);
+    }
+  }
+
+  if (config.grantType === 'authorization_code') {
+    throw new Error(stored
+      ? 'OAuth 2.0: the access token has expired; use "Get New Token" to sign in again.'
+      : 'OAuth 2.0: no access token yet; use "Get New Token" to sign in.');
+  }
+
+  const token = await fetchNewToken(auth, variableGroup, options);
+  log(`[OAuth] ${stored ? 'Access token expired; requested a new one' : 'Requested an access token'}`);
+  return token;
+}
+
+// --- Token Manager ---
+
+/**
+ * Lists all stored tokens.
+ * @return {Array<{group: string, key: string, token: Object}>} Tokens, by group.
+ */
+function listTokens() {
+  const tokens = getOAuthTokens();
+  return Object.keys(tokens).sort().flatMap(group =>
+    Object.entries(tokens[group]).map(([key, token]) => ({ group, key, token }))
+  );
+}
+
+/**
+ * Removes a stored token.
+ * @param {string} variableGroup - The variable group.
+ * @param {string} key - The token key.
+ */
+function deleteToken(variableGroup, key) {
+  saveOAuthToken(variableGroup, key, null);
+}
+
+/**
+ * Public interface for the oauth module.
+ */
+export {
+  GRANT_TYPES,
+  getDefaultRedirectUri,
+  isTokenExpired,
+  fetchNewToken,
+  getStoredToken,
+  getAccessToken,
+  listTokens,
+  deleteToken
+};
@@ -0,0 +1,520 @@
+/**
+ * @fileoverview Imports OpenAPI 3.x and Swagger 2.0 documents (JSON or YAML)
+ * as request groups: one request per operation, with {{baseUrl}}-prefixed
+ * paths, parameters as variables and example bodies generated from schemas.
+ * Imported requests remember their operation so a re-import can report
+ * which operations were added, changed or removed.
+ */
+
+import { tauriFetch } from './request.js'; // Same HTTP path as regular requests
+
+// Methods the request builder can send
+const SUPPORTED_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head'];
+const OPERATION_METHODS = [...SUPPORTED_METHODS, 'options', 'trace'];
+
+// Schema nesting limit for generated examples (guards against recursive schemas)
+const MAX_EXAMPLE_DEPTH = 8;
+
+// Sample values for string formats
+const FORMAT_EXAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  time: '00:00:00',
+  email: 'user@example.com',
+  uuid: '00000000-0000-0000-0000-000000000000',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  hostname: 'example.com',
+  ipv4: '127.0.0.1',
+  ipv6: '::1',
+  byte: 'U3dhZ2dlcg==',
+  password: 'password'
+};
+
+// --- Loading ---
+
+/**
+ * Parses an OpenAPI/Swagger document from JSON or YAML text.
+ * YAML needs the js-yaml library loaded in index.html (global jsyaml).
+ * @param {string} text - The document text.
+ * @return {Object} The parsed document.
+ * @throws {Error} If the text is neither valid JSON nor YAML, or is not an OpenAPI/Swagger document.
+ */
+function parseSpecText(text) {
+  let spec;
+  try {
+    spec = JSON.parse(text);
+  } catch (jsonError) {
+    const yaml = globalThis.jsyaml;
+    if (!yaml) {
+      throw new Error('The document is not valid JSON and the YAML parser is not available.');
+    }
+    try {
+      spec = yaml.load(text);
+    } catch (yamlError) {
+      throw new Error(`The document is neither valid JSON nor YAML: ${yamlError.message}`);
+    }
+  }
+  getSpecVersion(spec);
+  return spec;
+}
+
+/**
+ * Downloads a spec document.
+ * @param {string} url - The document URL.
+ * @return {Promise<string>} The document text.
+ * @throws {Error} If the request fails.
+ */
+async function fetchSpecText(url) {
+  const fetchFn = tauriFetch || fetch;
+  const response = await fetchFn(url, { method: 'GET', headers: { Accept: 'application/json, application/yaml, text/yaml, */*' } });
+  if (!response.ok) {
+    throw new Error(`Could not load the spec: HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Identifies the document version.
+ * @param {Object} spec - The parsed document.
+ * @return {string} 'openapi3' or 'swagger2'.
+ * @throws {Error} If the document is not OpenAPI 3.x or Swagger 2.0.
+ */
+function getSpecVersion(spec) {
+  if (spec && typeof spec === 'object') {
+    if (/^3\./.test(String(spec.openapi || ''))) return 'openapi3';
+    if (String(spec.swagger || '') === '2.0') return 'swagger2';
+  }
+  throw new Error('Not an OpenAPI 3.x or Swagger 2.0 document (missing "openapi: 3.x" or "swagger: 2.0").');
+}
+
+// --- Schemas ---
+
+/**
+ * Follows local $ref pointers ("#/components/schemas/User").
+ * External references cannot be resolved and yield an empty object.
+ * @param {Object} spec - The document.
+ * @param {*} value - A value that may be a { $ref } object.
+ * @param {function(string)} warn - Records a conversion warning (optional).
+ * @return {*} The referenced value, or the value itself.
+ */
+function resolveRef(spec, value, warn = () => {}) {
+  const seen = new Set();
+  let current = value;
+  while (current && typeof current === 'object' && typeof current.$ref === 'string') {
+    const ref = current.$ref;
+    if (seen.has(ref)) return {};
+    seen.add(ref);
+    if (!ref.startsWith('#/')) {
+      warn(`External reference "${ref}" cannot be resolved; it was left empty.`);
+      return {};
+    }
+    current = ref.slice(2).split('/')
+      .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), spec);
+    if (current === undefined) {
+      warn(`Reference "${ref}" points to nothing; it was left empty.`);
+      return {};
+    }
+  }
+  return current;
+}
+
+/**
+ * Generates an example value from a JSON schema. Uses example, default,
+ * const and enum values where given and falls back to type placeholders.
+ * @param {Object} schema - The schema (may be a $ref).
+ * @param {Object} spec - The document, for resolving references.
+ * @param {number} depth - Current nesting depth.
+ * @param {Set<Object>} seen - Schemas on the current path (recursion guard).
+ * @return {*} The example value.
+ */
+function generateExample(schema, spec, depth = 0, seen = new Set()) {
+  const resolved = resolveRef(spec, schema);
+  if (!resolved || typeof resolved !== 'object' || depth > MAX_EXAMPLE_DEPTH || seen.has(resolved)) {
+    return null;
+  }
+  if (resolved.example !== undefined) return resolved.example;
+  if (Array.isArray(resolved.examples) && resolved.examples.length > 0) return resolved.examples[0];
+  if (resolved.default !== undefined) return resolved.default;
+  if (resolved.const !== undefined) return resolved.const;
+  if (Array.isArray(resolved.enum) && resolved.enum.length > 0) return resolved.enum[0];
+
+  const path = new Set(seen).add(resolved);
+  if (Array.isArray(resolved.allOf)) {
+    return resolved.allOf.reduce((merged, part) => {
+      const value = generateExample(part, spec, depth + 1, path);
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...merged, ...value } : merged;
+    }, {});
+  }
+  const alternatives = resolved.oneOf || resolved.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0) {
+    return generateExample(alternatives[0], spec, depth + 1, path);
+  }
+
+  const type = Array.isArray(resolved.type) ? resolved.type.find(t => t !== 'null') : resolved.type;
+  if (type === 'object' || (!type && resolved.properties)) {
+    const result = {};
+    Object.entries(resolved.properties || {}).forEach(([name, property]) => {
+      const propertySchema = resolveRef(spec, property);
+      if (propertySchema && propertySchema.readOnly) return; // Not sent in requests
+      result[name] = generateExample(property, spec, depth + 1, path);
+    });
+    return result;
+  }
+  if (type === 'array') {
+    const item = generateExample(resolved.items, spec, depth + 1, path);
+    return item === null ? [] : [item];
+  }
+  if (type === 'integer' || type === 'number') {
+    return typeof resolved.minimum === 'number' ? resolved.minimum : 0;
+  }
+  if (type === 'boolean') return true;
+  if (type === 'string') {
+    if (resolved.format === 'binary') return '';
+    return FORMAT_EXAMPLES[resolved.format] || 'string';
+  }
+  return null;
+}
+
+// --- Conversion ---
+
+/**
+ * Builds the {{baseUrl}} value from the document's servers (OpenAPI 3) or
+ * host/basePath/schemes (Swagger 2). Server URL variables use their defaults.
+ * @param {Object} spec - The document.
+ * @param {string} version - 'openapi3' or 'swagger2'.
+ * @return {string} The base URL, without a trailing slash.
+ */
+function getBaseUrl(spec, version) {
+  let url = '';
+  if (version === 'openapi3') {
+    const server = (spec.servers || [])[0];
+    if (server && server.url) {
+      url = server.url.replace(/{([^}]+)}/g, (match, name) => {
+        const variable = (server.variables || {})[name];
+        return variable && variable.default !== undefined ? String(variable.default) : match;
+      });
+    }
+  } else if (spec.host) {
+    const scheme = (spec.schemes || [])[0] || 'https';
+    url = `${scheme}://${spec.host}${spec.basePath || ''}`;
+  } else {
+    url = spec.basePath || '';
+  }
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Returns an example value for a parameter, as a string for the variable store.
+ * @param {Object} param - The resolved parameter.
+ * @param {Object} spec - The document.
+ * @return {string|undefined} The example, or undefined if the spec gives none.
+ */
+function getParameterExample(param, spec) {
+  const schema = resolveRef(spec, param.schema) || {};
+  const examples = param.examples && typeof param.examples === 'object' ? Object.values(param.examples) : [];
+  const candidates = [
+    param.example,
+    examples.length > 0 ? resolveRef(spec, examples[0]).value : undefined,
+    param['x-example'],
+    param.default,
+    Array.isArray(param.enum) ? param.enum[0] : undefined,
+    schema.example,
+    schema.default,
+    Array.isArray(schema.enum) ? schema.enum[0] : undefined
+  ];
+  const value = candidates.find(candidate => candidate !== undefined);
+  if (value === undefined) return undefined;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Converts schema properties into form fields for urlencoded and multipart bodies.
+ * @param {Object} schema - The object schema.
+ * @param {Object} spec - The document.
+ * @param {boolean} multipart - Whether binary properties become file fields.
+ * @return {Array<Object>} The form fields.
+ */
+function schemaToFormFields(schema, spec, multipart) {
+  const resolved = resolveRef(spec, schema) || {};
+  const example = generateExample(resolved, spec) || {};
+  return Object.entries(resolved.properties || {}).map(([key, property]) => {
+    const propertySchema = resolveRef(spec, property) || {};
+    const isFile = multipart && propertySchema.type === 'string' && (propertySchema.format === 'binary' || propertySchema.format === 'base64');
+    const value = example[key];
+    return {
+      key,
+      value: isFile || value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value)),
+      type: isFile ? 'file' : 'text'
+    };
+  });
+}
+
+/**
+ * Builds the body of an OpenAPI 3 operation from its requestBody.
+ * Prefers a JSON media type, then form types, then the first one listed.
+ * @param {Object} operation - The operation.
+ * @param {Object} spec - The document.
+ * @param {function(string)} warn - Records a conversion warning.
+ * @return {{body: string, bodyMode: string, formFields: Array<Object>, contentType: string|null}}
+ */
+function buildOpenApi3Body(operation, spec, warn) {
+  const requestBody = resolveRef(spec, operation.requestBody, warn);
+  const content = (requestBody && requestBody.content) || {};
+  const types = Object.keys(content);
+  if (types.length === 0) {
+    return { body: '', bodyMode: 'none', formFields: [], contentType: null };
+  }
+
+  const contentType = types.find(t => /json/i.test(t))
+    || types.find(t => t === 'application/x-www-form-urlencoded')
+    || types.find(t => t === 'multipart/form-data')
+    || types[0];
+  const media = content[contentType] || {};
+
+  if (contentType === 'application/x-www-form-urlencoded' || contentType === 'multipart/form-data') {
+    const multipart = contentType === 'multipart/form-data';
+    return { body: '', bodyMode: multipart ? 'multipart' : 'urlencoded', formFields: schemaToFormFields(media.schema, spec, multipart), contentType: null };
+  }
+
+  const examples = media.examples && typeof media.examples === 'object' ? Object.values(media.examples) : [];
+  let example = media.example;
+  if (example === undefined && examples.length > 0) example = resolveRef(spec, examples[0], warn).value;
+  if (example === undefined) example = generateExample(media.schema, spec);
+
+  let body = '';
+  if (typeof example === 'string') {
+    body = example;
+  } else if (example !== null && example !== undefined) {
+    body = JSON.stringify(example, null, 2);
+  }
+  return { body, bodyMode: 'raw', formFields: [], contentType };
+}
+
+/**
+ * Builds the body of a Swagger 2 operation from its body or formData parameters.
+ * @param {Array<Object>} params - The resolved operation parameters.
+ * @param {Object} operation - The operation.
+ * @param {Object} spec - The document.
+ * @return {{body: string, bodyMode: string, formFields: Array<Object>, contentType: string|null}}
+ */
+function buildSwagger2Body(params, operation, spec) {
+  const consumes = operation.consumes || spec.consumes || ['application/json'];
+  const bodyParam = params.find(p => p.in === 'body');
+  if (bodyParam) {
+    const example = generateExample(bodyParam.schema, spec);
+    const contentType = consumes.find(t => /json/i.test(t)) || consumes[0];
+    const body = typeof example === 'string' ? example : (example === null ? '' : JSON.stringify(example, null, 2));
+    return { body, bodyMode: 'raw', formFields: [], contentType };
+  }
+
+  const formParams = params.filter(p => p.in === 'formData');
+  if (formParams.length === 0) {
+    return { body: '', bodyMode: 'none', formFields: [], contentType: null };
+  }
+  const multipart = consumes.includes('multipart/form-data') || formParams.some(p => p.type === 'file');
+  return {
+    body: '',
+    bodyMode: multipart ? 'multipart' : 'urlencoded',
+    formFields: formParams.map(p => ({
+      key: p.name,
+      value: p.type === 'file' ? '' : (getParameterExample(p, spec) || ''),
+      type: multipart && p.type === 'file' ? 'file' : 'text'
+    })),
+    contentType: null
+  };
+}
+
+/**
+ * Adds the headers and query parameters required by the operation's
+ * security requirement (the first alternative when several are allowed).
+ * API keys become {{schemeName}} variables and bearer/OAuth tokens use {{token}}.
+ * @param {Object} operation - The operation.
+ * @param {Object} spec - The document.
+ * @param {string} version - 'openapi3' or 'swagger2'.
+ * @param {Object} target - { headers, query, variables } collected for the request.
+ * @param {function(string)} warn - Records a conversion warning.
+ */
+function applySecurity(operation, spec, version, target, warn) {
+  const requirements = operation.security || spec.security || [];
+  const requirement = requirements[0];
+  if (!requirement) return;
+
+  const schemes = version === 'openapi3'
+    ? ((spec.components || {}).securitySchemes || {})
+    : (spec.securityDefinitions || {});
+
+  Object.keys(requirement).forEach(name => {
+    const scheme = resolveRef(spec, schemes[name], warn);
+    if (!scheme || !scheme.type) {
+      warn(`Security scheme "${name}" is not defined.`);
+      return;
+    }
+    if (scheme.type === 'apiKey') {
+      if (scheme.in === 'header') target.headers.push({ key: scheme.name, value: `{{${name}}}` });
+      else if (scheme.in === 'query') target.query.push(`${encodeURIComponent(scheme.name)}={{${name}}}`);
+      else warn(`Security scheme "${name}" sends an API key in a cookie; add it manually.`);
+      if (!(name in target.variables)) target.variables[name] = '';
+    } else if ((scheme.type === 'http' && /^bearer$/i.test(scheme.scheme)) || scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+      target.headers.push({ key: 'Authorization', value: 'Bearer {{token}}' });
+      if (!('token' in target.variables)) target.variables.token = '';
+    } else {
+      const label = scheme.type === 'http' ? `HTTP ${scheme.scheme}` : scheme.type;
+      warn(`Security scheme "${name}" (${label}) is not converted; add the credentials manually.`);
+    }
+  });
+}
+
+/**
+ * Creates a short hash of the spec-derived request fields, used to detect
+ * operations that changed between imports.
+ * @param {Object} request - A generated request.
+ * @return {string} The hash as hex.
+ */
+function hashRequest(request) {
+  const text = JSON.stringify([request.method, request.url, request.rawHeaders, request.bodyMode, request.body, request.formFields]);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Converts an OpenAPI 3.x or Swagger 2.0 document into requests.
+ * Each request carries openapi: { operation: 'METHOD /path', hash } so a
+ * later import of the same spec can be compared with diffOperations().
+ * @param {Object} spec - The parsed document.
+ * @return {{title: string, version: string, requests: Array<Object>, variables: Object, warnings: Array<string>}}
+ *   The spec title (used as group name), requests, variables (baseUrl and
+ *   parameter examples) and conversion warnings.
+ * @throws {Error} If the document is not OpenAPI 3.x or Swagger 2.0.
+ */
+function convertOpenApiSpec(spec) {
+  const version = getSpecVersion(spec);
+  const warningSet = new Set();
+  const warn = (message) => warningSet.add(message);
+  const title = String((spec.info && spec.info.title) || 'OpenAPI Import').trim() || 'OpenAPI Import';
+  const variables = { baseUrl: getBaseUrl(spec, version) };
+  if (!variables.baseUrl) {
+    warn('The spec does not declare a server; set the baseUrl variable manually.');
+  }
+
+  const requests = [];
+  Object.entries(spec.paths || {}).forEach(([path, rawPathItem]) => {
+    const pathItem = resolveRef(spec, rawPathItem, warn) || {};
+    OPERATION_METHODS.forEach(method => {
+      const operation = pathItem[method];
+      if (!operation) return;
+      const operationKey = `${method.toUpperCase()} ${path}`;
+      if (!SUPPORTED_METHODS.includes(method)) {
+        warn(`${operationKey} was skipped: ${method.toUpperCase()} requests are not supported.`);
+        return;
+      }
+
+      // Operation parameters override path-level ones with the same name and location
+      const params = new Map();
+      [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(raw => {
+        const param = resolveRef(spec, raw, warn);
+        if (param && param.name) params.set(`${param.in}:${param.name}`, param);
+      });
+
+      const target = { headers: [], query: [], variables };
+      const cookies = [];
+      params.forEach(param => {
+        const example = getParameterExample(param, spec);
+        const useParam = param.in === 'path' || param.required || (param.in === 'query' && example !== undefined);
+        if (!useParam || param.in === 'body' || param.in === 'formData') return;
+        // OpenAPI ignores header parameters named Accept, Content-Type and Authorization
+        if (param.in === 'header' && /^(accept|content-type|authorization)$/i.test(param.name)) return;
+
+        if (!(param.name in variables) || (variables[param.name] === '' && example !== undefined)) {
+          variables[param.name] = example !== undefined ? example : '';
+        }
+        if (param.in === 'query') target.query.push(`${encodeURIComponent(param.name)}={{${param.name}}}`);
+        else if (param.in === 'header') target.headers.push({ key: param.name, value: `{{${param.name}}}` });
+        else if (param.in === 'cookie') cookies.push(`${param.name}={{${param.name}}}`);
+      });
+      applySecurity(operation, spec, version, target, warn);
+
+      const bodyInfo = version === 'openapi3'
+        ? buildOpenApi3Body(operation, spec, warn)
+        : buildSwagger2Body([...params.values()], operation, spec);
+
+      const rawHeaders = [];
+      if (bodyInfo.contentType) rawHeaders.push({ key: 'Content-Type', value: bodyInfo.contentType });
+      rawHeaders.push(...target.headers);
+      if (cookies.length > 0) rawHeaders.push({ key: 'Cookie', value: cookies.join('; ') });
+
+      const pathWithVariables = path.replace(/{([^}]+)}/g, '{{$1}}');
+      const query = target.query.length > 0 ? `?${target.query.join('&')}` : '';
+      const request = {
+        title: operation.summary || operation.operationId || operationKey,
+        method: method.toUpperCase(),
+        url: `{{baseUrl}}${pathWithVariables}${query}`,
+        rawHeaders,
+        body: bodyInfo.body,
+        bodyMode: bodyInfo.bodyMode,
+        formFields: bodyInfo.formFields
+      };
+      request.openapi = { operation: operationKey, hash: hashRequest(request), title: request.title };
+      requests.push(request);
+    });
+  });
+
+  if (requests.length === 0) {
+    warn('The spec contains no operations.');
+  }
+  return { title, version, requests, variables, warnings: [...warningSet] };
+}
+
+// --- Re-import ---
+
+/**
+ * Compares generated requests with the requests of an earlier import.
+ * Requests are matched by operation ("METHOD /path"); an operation counts
+ * as changed when the spec-derived fields (including the title from its
+ * summary) differ from the last import, regardless of later edits to the
+ * saved request.
+ * @param {Array<Object>} existing - Saved requests with an openapi field.
+ * @param {Array<Object>} generated - Requests from convertOpenApiSpec().
+ * @return {{added: Array<Object>, changed: Array<{existing: Object, generated: Object, fields: Array<string>}>,
+ *   removed: Array<Object>, unchanged: Array<Object>}} The differences.
+ */
+function diffOperations(existing, generated) {
+  const byOperation = new Map(existing.filter(r => r.openapi).map(r => [r.openapi.operation, r]));
+  const diff = { added: [], changed: [], removed: [], unchanged: [] };
+
+  generated.forEach(request => {
+    const previous = byOperation.get(request.openapi.operation);
+    // Imports before titles were recorded compare with the saved title
+    const previousTitle = previous && (previous.openapi.title !== undefined ? previous.openapi.title : previous.title);
+    if (!previous) {
+      diff.added.push(request);
+    } else if (previous.openapi.hash !== request.openapi.hash || previousTitle !== request.openapi.title) {
+      const fields = ['url', 'rawHeaders', 'bodyMode', 'body', 'formFields']
+        .filter(field => JSON.stringify(previous[field] || '') !== JSON.stringify(request[field] || ''))
+        .map(field => ({ rawHeaders: 'headers', formFields: 'form fields', bodyMode: 'body' }[field] || field));
+      if (previousTitle !== request.openapi.title) fields.unshift('title');
+      diff.changed.push({ existing: previous, generated: request, fields: [...new Set(fields)] });
+    } else {
+      diff.unchanged.push(previous);
+    }
+    byOperation.delete(request.openapi.operation);
+  });
+
+  diff.removed = [...byOperation.values()];
+  return diff;
+}
+
+/**
+ * Public interface for the OpenAPI module.
+ */
+export {
+  parseSpecText,
+  fetchSpecText,
+  generateExample,
+  convertOpenApiSpec,
+  diffOperations
+};
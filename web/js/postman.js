@@ -0,0 +1,707 @@
+/**
+ * @fileoverview Postman compatibility: converts Postman v2.0/v2.1 collections
+ * and environment files into this app's requests, scripts and variable
+ * groups, and provides the `pm` object that lets imported scripts run with
+ * few or no changes.
+ */
+
+// --- Module Imports ---
+import { AssertionError, describeValue, typeOf, deepEqual, resolvePath } from './assertions.js';
+
+// Default Content-Type Postman sends for each raw body language
+const RAW_LANGUAGE_TYPES = {
+  json: 'application/json',
+  xml: 'application/xml',
+  html: 'text/html',
+  javascript: 'application/javascript',
+  text: 'text/plain'
+};
+
+// Script APIs the shim does not provide; scripts using them are reported
+const UNSUPPORTED_SCRIPT_APIS = [
+  { pattern: /\bpm\.request\b/, name: 'pm.request' },
+  { pattern: /\bpm\.cookies\b/, name: 'pm.cookies' },
+  { pattern: /\bpm\.visualizer\b/, name: 'pm.visualizer' },
+  { pattern: /\bpm\.execution\b/, name: 'pm.execution' },
+  { pattern: /\bpm\.vault\b/, name: 'pm.vault' },
+  { pattern: /\brequire\s*\(/, name: 'require()' },
+  { pattern: /\btests\s*\[|\bresponseBody\b|\bresponseCode\b/, name: 'the legacy tests[]/responseBody API' }
+];
+
+// --- Format Detection ---
+
+/**
+ * Checks whether parsed JSON is a Postman collection (v2.0 or v2.1).
+ * @param {*} data - Parsed JSON.
+ * @return {boolean} True for a Postman collection.
+ */
+function isPostmanCollection(data) {
+  return !!(data && data.info && typeof data.info.schema === 'string' &&
+    /postman\.com\/json\/collection\/v2/.test(data.info.schema) && Array.isArray(data.item));
+}
+
+/**
+ * Checks whether parsed JSON is a Postman environment (or globals) export.
+ * @param {*} data - Parsed JSON.
+ * @return {boolean} True for a Postman environment.
+ */
+function isPostmanEnvironment(data) {
+  return !!(data && Array.isArray(data.values) && !data.requests &&
+    (typeof data._postman_variable_scope === 'string' || typeof data.name === 'string'));
+}
+
+// --- Conversion Helpers ---
+
+/**
+ * Joins a Postman script's exec lines.
+ * @param {Object} event - A Postman event ({ listen, script: { exec } }).
+ * @return {string} The script source.
+ */
+function getEventCode(event) {
+  const exec = event && event.script ? event.script.exec : '';
+  return (Array.isArray(exec) ? exec.join('\n') : String(exec || '')).trim();
+}
+
+/**
+ * Reads a parameter from a Postman auth block (v2.1 arrays or v2.0 objects).
+ * @param {Object} auth - The auth block.
+ * @param {string} key - The parameter name, e.g. 'token'.
+ * @return {string} The value, or ''.
+ */
+function getAuthParam(auth, key) {
+  const params = auth[auth.type];
+  if (Array.isArray(params)) {
+    const param = params.find(p => p.key === key);
+    return param && param.value !== undefined ? String(param.value) : '';
+  }
+  return params && params[key] !== undefined ? String(params[key]) : '';
+}
+
+/**
+ * Converts a Postman URL (string or object) to a URL string.
+ * Path variables (":id") are replaced with their values when given.
+ * @param {string|Object} url - The Postman URL.
+ * @return {string} The URL, with {{variables}} left in place.
+ */
+function convertUrl(url) {
+  if (!url) return '';
+  if (typeof url === 'string') return url;
+
+  let raw = url.raw;
+  if (!raw) {
+    const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+    const path = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+    const query = (url.query || []).filter(q => !q.disabled).map(q => `${q.key}=${q.value || ''}`).join('&');
+    raw = `${url.protocol ? `${url.protocol}://` : ''}${host}${path ? `/${path}` : ''}${query ? `?${query}` : ''}`;
+  }
+
+  (url.variable || []).forEach(v => {
+    if (v.key && v.value !== undefined && v.value !== '') {
+      raw = raw.replace(new RegExp(`:${v.key}(?=/|\\?|#|$)`, 'g'), v.value);
+    }
+  });
+  return raw;
+}
+
+/**
+ * Normalises Postman headers (array, or a v2.0 "Key: Value" string).
+ * @param {Array<Object>|string} header - The Postman headers.
+ * @return {Array<Object>} { key, value, disabled } entries.
+ */
+function convertHeaders(header) {
+  if (!header) return [];
+  if (typeof header === 'string') {
+    return header.split('\n').filter(line => line.includes(':')).map(line => {
+      const index = line.indexOf(':');
+      return { key: line.slice(0, index).trim(), value: line.slice(index + 1).trim(), disabled: false };
+    });
+  }
+  return header.map(h => ({ key: h.key || '', value: h.value || '', disabled: !!h.disabled }));
+}
+
+/**
+ * Converts Postman auth to the request's auth (see auth.js).
+ * @param {Object} auth - The effective auth block (own or inherited).
+ * @param {string} title - The request title, for warnings.
+ * @param {function(string)} warn - Records a conversion problem.
+ * @return {Object} The auth; 'inherit' when Postman sets none.
+ */
+function convertAuth(auth, title, warn) {
+  if (!auth || auth.type === 'inherit') return { type: 'inherit' };
+
+  switch (auth.type) {
+    case 'noauth':
+      return { type: 'none' };
+    case 'bearer':
+      return { type: 'bearer', token: getAuthParam(auth, 'token') };
+    case 'basic':
+      return { type: 'basic', username: getAuthParam(auth, 'username'), password: getAuthParam(auth, 'password') };
+    case 'apikey':
+      return {
+        type: 'apikey',
+        key: getAuthParam(auth, 'key'),
+        value: getAuthParam(auth, 'value'),
+        in: getAuthParam(auth, 'in') === 'query' ? 'query' : 'header'
+      };
+    case 'oauth2': {
+      // Postman's default grant is the authorization code; PKCE is always used here
+      const grants = {
+        client_credentials: 'client_credentials',
+        password_credentials: 'password',
+        authorization_code: 'authorization_code',
+        authorization_code_with_pkce: 'authorization_code'
+      };
+      const grantType = grants[getAuthParam(auth, 'grant_type') || 'authorization_code'];
+      if (!grantType) {
+        warn(`"${title}": the OAuth 2.0 ${getAuthParam(auth, 'grant_type')} grant is not supported and was not converted.`);
+        return { type: 'none' };
+      }
+      return {
+        type: 'oauth2',
+        grantType,
+        tokenUrl: getAuthParam(auth, 'accessTokenUrl'),
+        authUrl: getAuthParam(auth, 'authUrl'),
+        redirectUri: '', // Postman's callback URL does not reach this app
+        clientId: getAuthParam(auth, 'clientId'),
+        clientSecret: getAuthParam(auth, 'clientSecret'),
+        clientAuthentication: getAuthParam(auth, 'client_authentication') === 'body' ? 'body' : 'basic',
+        scope: getAuthParam(auth, 'scope'),
+        username: getAuthParam(auth, 'username'),
+        password: getAuthParam(auth, 'password'),
+        refreshToken: ''
+      };
+    }
+    case 'awsv4':
+      return {
+        type: 'awsv4',
+        accessKeyId: getAuthParam(auth, 'accessKey'),
+        secretAccessKey: getAuthParam(auth, 'secretKey'),
+        sessionToken: getAuthParam(auth, 'sessionToken'),
+        region: getAuthParam(auth, 'region'),
+        service: getAuthParam(auth, 'service')
+      };
+    default:
+      warn(`"${title}": ${auth.type} auth is not supported and was not converted.`);
+      return { type: 'none' };
+  }
+}
+
+/**
+ * Converts a Postman request body into bodyMode, body and formFields.
+ * @param {Object} body - The Postman body.
+ * @param {Object} request - The converted request (updated in place).
+ * @param {function(string)} warn - Records a conversion problem.
+ */
+function applyBody(body, request, warn) {
+  if (!body || !body.mode || body.disabled) return;
+
+  switch (body.mode) {
+    case 'raw': {
+      request.bodyMode = 'raw';
+      request.body = body.raw || '';
+      const language = body.options && body.options.raw ? body.options.raw.language : null;
+      const contentType = RAW_LANGUAGE_TYPES[language];
+      if (contentType && request.body && !request.rawHeaders.some(h => h.key.toLowerCase() === 'content-type')) {
+        request.rawHeaders.push({ key: 'Content-Type', value: contentType });
+      }
+      break;
+    }
+    case 'urlencoded':
+    case 'formdata': {
+      request.bodyMode = body.mode === 'urlencoded' ? 'urlencoded' : 'multipart';
+      const fields = body[body.mode] || [];
+      const disabled = fields.filter(f => f.disabled);
+      if (disabled.length > 0) {
+        warn(`"${request.title}": ${disabled.length} disabled form field(s) were left out.`);
+      }
+      request.formFields = fields.filter(f => !f.disabled).map(f => {
+        if (f.type === 'file') {
+          const src = Array.isArray(f.src) ? f.src[0] : f.src;
+          warn(`"${request.title}": file field "${f.key}" must be re-selected before sending.`);
+          return { key: f.key || '', value: '', type: 'file', fileName: src ? String(src).split(/[\\/]/).pop() : '' };
+        }
+        return { key: f.key || '', value: f.value || '', type: 'text' };
+      });
+      break;
+    }
+    case 'graphql':
+      request.bodyMode = 'graphql';
+      request.graphql = {
+        query: body.graphql ? body.graphql.query || '' : '',
+        variables: body.graphql ? body.graphql.variables || '' : ''
+      };
+      break;
+    default:
+      warn(`"${request.title}": ${body.mode} bodies are not supported; the body was left empty.`);
+  }
+}
+
+/**
+ * Rewrites legacy Postman calls into pm.* calls and checks for unsupported APIs.
+ * @param {string} code - The Postman script.
+ * @param {string} label - Script name used in warnings.
+ * @param {function(string)} warn - Records a conversion problem.
+ * @return {string} The translated script.
+ */
+function translateScript(code, label, warn) {
+  const translated = code
+    .replace(/\bpostman\.setEnvironmentVariable\s*\(/g, 'pm.environment.set(')
+    .replace(/\bpostman\.getEnvironmentVariable\s*\(/g, 'pm.environment.get(')
+    .replace(/\bpostman\.clearEnvironmentVariable\s*\(/g, 'pm.environment.unset(')
+    .replace(/\bpostman\.setGlobalVariable\s*\(/g, 'pm.globals.set(')
+    .replace(/\bpostman\.getGlobalVariable\s*\(/g, 'pm.globals.get(')
+    .replace(/\bpostman\.clearGlobalVariable\s*\(/g, 'pm.globals.unset(')
+    // console output is not shown in the app; send it to the script log instead
+    .replace(/\bconsole\.(log|info|warn|error)\s*\(/g, 'log(');
+
+  UNSUPPORTED_SCRIPT_APIS.forEach(api => {
+    if (api.pattern.test(translated)) {
+      warn(`Script "${label}" uses ${api.name}, which is not supported; review it before use.`);
+    }
+  });
+  return translated;
+}
+
+/**
+ * Makes a collection/folder name usable as a group name.
+ * @param {string} name - The Postman name.
+ * @return {string} The group name.
+ */
+function toGroupName(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim() || 'postman';
+}
+
+// --- Collection & Environment Conversion ---
+
+/**
+ * Converts a Postman collection.
+ * Folders become request groups ("Collection / Folder / Subfolder"); auth and
+ * scripts inherited from the collection and folders are applied to each request.
+ * @param {Object} collection - A parsed Postman v2.0/v2.1 collection.
+ * @return {Object} { requests, scripts, variables: { group: { key: value } }, groups, warnings }
+ */
+function convertPostmanCollection(collection) {
+  const collectionName = toGroupName(collection.info && collection.info.name);
+  const idPrefix = Date.now();
+  const requests = [];
+  const scripts = [];
+  const warnings = [];
+  const groups = new Set();
+  const scriptIds = new Map(); // Identical script chains share one script
+  const warn = (message) => warnings.push(message);
+
+  // Creates (or reuses) a saved script for a chain of inherited + own scripts
+  const getScriptId = (chain, type, title) => {
+    if (chain.length === 0) return '';
+    const code = chain.length === 1
+      ? chain[0].code
+      : chain.map(part => `// --- From ${part.source} ---\n${part.code}`).join('\n\n');
+    const cacheKey = `${type}\n${code}`;
+    if (!scriptIds.has(cacheKey)) {
+      const name = `${chain.length === 1 ? chain[0].source : title} (${type === 'pre-request' ? 'pre-request' : 'tests'})`;
+      const script = {
+        id: `script-${idPrefix}-${scripts.length}`,
+        name: name,
+        code: `// Imported from Postman; pm.* calls run through the compatibility shim\n${translateScript(code, name, warn)}`,
+        group: collectionName
+      };
+      if (type === 'pre-request') script.type = 'pre-request';
+      scripts.push(script);
+      scriptIds.set(cacheKey, script.id);
+    }
+    return scriptIds.get(cacheKey);
+  };
+
+  const collectScripts = (item, source, inherited) => {
+    const events = (item.event || []).filter(e => !e.disabled);
+    const pre = events.filter(e => e.listen === 'prerequest').map(e => ({ source, code: getEventCode(e) })).filter(s => s.code);
+    const tests = events.filter(e => e.listen === 'test').map(e => ({ source, code: getEventCode(e) })).filter(s => s.code);
+    return { pre: [...inherited.pre, ...pre], tests: [...inherited.tests, ...tests] };
+  };
+
+  const convertRequest = (item, groupName, inherited) => {
+    const source = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : (item.request || {});
+    const headers = convertHeaders(source.header);
+    const title = item.name || 'Untitled Request';
+
+    const disabledHeaders = headers.filter(h => h.disabled);
+    if (disabledHeaders.length > 0) {
+      warn(`"${title}": ${disabledHeaders.length} disabled header(s) were left out.`);
+    }
+
+    const request = {
+      id: `req-${idPrefix}-${requests.length}`,
+      title: title,
+      type: 'http',
+      url: convertUrl(source.url),
+      method: (source.method || 'GET').toUpperCase(),
+      rawHeaders: headers.filter(h => !h.disabled).map(h => ({ key: h.key, value: h.value })),
+      body: '',
+      bodyMode: 'none',
+      formFields: [],
+      graphql: { query: '', variables: '' },
+      preScriptId: '',
+      postScriptId: '',
+      auth: convertAuth(source.auth || inherited.auth, title, warn),
+      group: groupName
+    };
+
+    applyBody(source.body, request, warn);
+
+    const chain = collectScripts(item, title, inherited);
+    request.preScriptId = getScriptId(chain.pre, 'pre-request', title);
+    request.postScriptId = getScriptId(chain.tests, 'test', title);
+
+    if (/{{\s*\$\w+\s*}}/.test(JSON.stringify(request))) {
+      warn(`"${title}": uses Postman dynamic variables ({{$...}}), which are not replaced.`);
+    }
+
+    groups.add(groupName);
+    requests.push(request);
+  };
+
+  const walk = (items, path, inherited) => {
+    items.forEach(item => {
+      if (Array.isArray(item.item)) {
+        // Folder: its auth and scripts apply to everything inside it
+        const folderPath = [...path, toGroupName(item.name)];
+        walk(item.item, folderPath, {
+          auth: item.auth || inherited.auth,
+          ...collectScripts(item, item.name, inherited)
+        });
+      } else {
+        convertRequest(item, path.join(' / '), inherited);
+      }
+    });
+  };
+
+  walk(collection.item, [collectionName], {
+    auth: collection.auth || null,
+    ...collectScripts(collection, collectionName, { pre: [], tests: [] })
+  });
+
+  // Collection variables become a variable group named after the collection
+  const variables = {};
+  const collectionVars = (collection.variable || []).filter(v => v.key && !v.disabled);
+  if (collectionVars.length > 0) {
+    variables[collectionName] = {};
+    collectionVars.forEach(v => {
+      variables[collectionName][v.key] = v.value === undefined ? '' : String(v.value);
+    });
+  }
+
+  return { requests, scripts, variables, groups: [...groups], warnings };
+}
+
+/**
+ * Converts a Postman environment (or globals) export into a variable group.
+ * @param {Object} environment - A parsed Postman environment.
+ * @return {Object} { groupName, variables: { key: value }, warnings }
+ */
+function convertPostmanEnvironment(environment) {
+  const groupName = environment._postman_variable_scope === 'globals' ? 'global' : toGroupName(environment.name);
+  const variables = {};
+  const warnings = [];
+
+  environment.values.forEach(v => {
+    if (!v.key) return;
+    if (v.enabled === false) {
+      warnings.push(`Variable "${v.key}" is disabled in Postman and was not imported.`);
+      return;
+    }
+    if (v.type === 'secret') {
+      warnings.push(`Variable "${v.key}" is a Postman secret and was imported as plain text.`);
+    }
+    variables[v.key] = v.value === undefined || v.value === null ? '' : String(v.value);
+  });
+
+  return { groupName, variables, warnings };
+}
+
+// --- Script Compatibility Shim ---
+
+/**
+ * Creates a chai-style assertion chain for pm.expect().
+ * Supports the common Postman idioms: to.equal/eql, to.be.a/an, to.include,
+ * to.have.property, to.have.lengthOf, above/below, match, oneOf, keys and the
+ * ok/true/false/null/undefined/empty/exist properties, all negatable with .not.
+ * @param {*} actual - The value under test.
+ * @return {Object} The chain.
+ */
+function createChaiExpect(actual) {
+  const flags = { negate: false, deep: false, nested: false };
+  let subject = actual;
+  const chain = {};
+
+  const assert = (pass, description) => {
+    if (pass === flags.negate) {
+      throw new AssertionError(`expected ${describeValue(subject)} ${flags.negate ? 'not ' : ''}to ${description}`);
+    }
+    return chain;
+  };
+
+  const words = ['to', 'be', 'been', 'is', 'that', 'which', 'and', 'has', 'have', 'with', 'at', 'of', 'same', 'does', 'still', 'all', 'any', 'own'];
+  words.forEach(word => Object.defineProperty(chain, word, { get: () => chain }));
+  Object.defineProperty(chain, 'not', { get: () => { flags.negate = !flags.negate; return chain; } });
+  Object.defineProperty(chain, 'deep', { get: () => { flags.deep = true; return chain; } });
+  Object.defineProperty(chain, 'nested', { get: () => { flags.nested = true; return chain; } });
+
+  const properties = {
+    ok: () => assert(!!subject, 'be truthy'),
+    true: () => assert(subject === true, 'be true'),
+    false: () => assert(subject === false, 'be false'),
+    null: () => assert(subject === null, 'be null'),
+    undefined: () => assert(subject === undefined, 'be undefined'),
+    NaN: () => assert(Number.isNaN(subject), 'be NaN'),
+    exist: () => assert(subject !== null && subject !== undefined, 'exist'),
+    empty: () => assert(
+      typeof subject === 'string' || Array.isArray(subject) ? subject.length === 0 : (subject && typeof subject === 'object' ? Object.keys(subject).length === 0 : false),
+      'be empty')
+  };
+  Object.keys(properties).forEach(name => Object.defineProperty(chain, name, { get: properties[name] }));
+
+  const equal = (expected) => assert(flags.deep ? deepEqual(subject, expected) : subject === expected, `equal ${describeValue(expected)}`);
+  const eql = (expected) => assert(deepEqual(subject, expected), `deeply equal ${describeValue(expected)}`);
+  const a = (type) => assert(typeOf(subject) === String(type).toLowerCase(), `be a ${type}`);
+  const include = (value) => {
+    let pass = false;
+    if (typeof subject === 'string') pass = subject.includes(value);
+    else if (Array.isArray(subject)) pass = subject.some(item => deepEqual(item, value));
+    else if (subject && typeof subject === 'object' && value && typeof value === 'object') {
+      pass = Object.keys(value).every(key => deepEqual(subject[key], value[key]));
+    }
+    return assert(pass, `include ${describeValue(value)}`);
+  };
+  const above = (n) => assert(subject > n, `be above ${n}`);
+  const below = (n) => assert(subject < n, `be below ${n}`);
+  const least = (n) => assert(subject >= n, `be at least ${n}`);
+  const most = (n) => assert(subject <= n, `be at most ${n}`);
+
+  Object.assign(chain, {
+    equal, equals: equal, eq: equal,
+    eql, eqls: eql,
+    a, an: a,
+    include, includes: include, contain: include, contains: include,
+    above, gt: above, greaterThan: above,
+    below, lt: below, lessThan: below,
+    least, gte: least,
+    most, lte: most,
+    within: (low, high) => assert(subject >= low && subject <= high, `be within ${low}..${high}`),
+    match: (regex) => assert(typeof subject === 'string' && regex.test(subject), `match ${regex}`),
+    string: (text) => assert(typeof subject === 'string' && subject.includes(text), `contain ${describeValue(text)}`),
+    oneOf: (list) => assert(list.some(item => deepEqual(item, subject)), `be one of ${describeValue(list)}`),
+    lengthOf: (n) => assert(subject !== null && subject !== undefined && subject.length === n, `have length ${n}`),
+    keys: (...keys) => {
+      const expected = keys.length === 1 && Array.isArray(keys[0]) ? keys[0] : keys;
+      return assert(subject && typeof subject === 'object' && expected.every(key => key in subject), `have keys ${describeValue(expected)}`);
+    },
+    property: (name, value) => {
+      const resolved = flags.nested
+        ? resolvePath(subject, name)
+        : { found: subject !== null && subject !== undefined && typeof subject === 'object' && name in subject, value: subject ? subject[name] : undefined };
+      if (value !== undefined) {
+        assert(resolved.found && deepEqual(resolved.value, value), `have property "${name}" of ${describeValue(value)}`);
+      } else {
+        assert(resolved.found, `have property "${name}"`);
+      }
+      // Like chai, further assertions apply to the property value
+      if (!flags.negate) subject = resolved.value;
+      return chain;
+    }
+  });
+  chain.length = chain.lengthOf;
+
+  return chain;
+}
+
+/**
+ * Builds the pm.response object (and its pm.response.to assertions).
+ * @param {Response} response - The Fetch Response (or a recorded stand-in).
+ * @param {*} responseData - The parsed body.
+ * @param {number} responseTime - Response time in ms.
+ * @return {Object} The Postman-style response.
+ */
+function createPostmanResponse(response, responseData, responseTime) {
+  const headers = response.headers || new Headers();
+  const pmResponse = {
+    code: response.status,
+    status: response.statusText,
+    responseTime: responseTime,
+    headers: {
+      get: (name) => headers.get(name),
+      has: (name) => headers.has(name),
+      toObject: () => Object.fromEntries(headers.entries())
+    },
+    json: () => (typeof responseData === 'string' ? JSON.parse(responseData) : responseData),
+    text: () => (typeof responseData === 'string' ? responseData : JSON.stringify(responseData))
+  };
+
+  const createAssertions = (negate) => {
+    const assert = (pass, description) => {
+      if (pass === negate) {
+        throw new AssertionError(`expected response ${negate ? 'not ' : ''}to ${description}`);
+      }
+    };
+    const have = {
+      status: (expected) => assert(typeof expected === 'number' ? response.status === expected : response.statusText === expected,
+        `have status ${expected} but got ${response.status}`),
+      header: (name, value) => assert(headers.has(name) && (value === undefined || headers.get(name) === value),
+        `have header "${name}"${value === undefined ? '' : ` of ${describeValue(value)}`}`),
+      body: (text) => assert(text === undefined ? pmResponse.text().length > 0 : pmResponse.text() === text, 'have the expected body'),
+      jsonBody: (path, value) => {
+        let body;
+        try {
+          body = pmResponse.json();
+        } catch (e) {
+          assert(false, 'have a JSON body');
+          return;
+        }
+        if (path === undefined) {
+          assert(body !== null && typeof body === 'object', 'have a JSON body');
+        } else {
+          const resolved = resolvePath(body, path);
+          assert(resolved.found && (value === undefined || deepEqual(resolved.value, value)), `have JSON body property "${path}"`);
+        }
+      }
+    };
+    const be = {};
+    Object.defineProperty(be, 'ok', { get: () => assert(response.status >= 200 && response.status < 300, 'be ok (2xx)') });
+    Object.defineProperty(be, 'success', { get: () => assert(response.status >= 200 && response.status < 300, 'be successful (2xx)') });
+    Object.defineProperty(be, 'json', { get: () => assert(/json/.test(headers.get('content-type') || ''), 'be JSON') });
+    Object.defineProperty(be, 'clientError', { get: () => assert(response.status >= 400 && response.status < 500, 'be a client error (4xx)') });
+    Object.defineProperty(be, 'serverError', { get: () => assert(response.status >= 500, 'be a server error (5xx)') });
+    return { have, be };
+  };
+
+  pmResponse.to = createAssertions(false);
+  pmResponse.to.not = createAssertions(true);
+  return pmResponse;
+}
+
+/**
+ * Creates the `pm` object for a script run.
+ * The environment, globals and collectionVariables scopes read and write this
+ * app's variables, so imported scripts keep working; pm.variables writes
+ * temporary variables, like Postman's local scope.
+ * pm.sendRequest() calls are tracked so that settle() can wait for callbacks
+ * the script did not await.
+ * @param {Object} helpers - The script's helpers.
+ * @param {function(string): *} helpers.getVar - Reads a variable.
+ * @param {function(string, *)} helpers.setVar - Writes a variable.
+ * @param {function(string)} helpers.unsetVar - Removes a variable.
+ * @param {function(string, *)} helpers.setTempVar - Writes a temporary variable (undefined removes it).
+ * @param {function(...*)} helpers.log - Writes to the script output.
+ * @param {function(string, Object)} helpers.http - The script HTTP client.
+ * @param {function(string, function)} helpers.test - Defines a test (post-request only).
+ * @param {Response} helpers.response - The response (post-request only).
+ * @param {*} helpers.responseData - The parsed response body (post-request only).
+ * @param {number} helpers.responseTime - Response time in ms (post-request only).
+ * @return {{pm: Object, settle: function(): Promise}} The shim and a function awaiting pending requests.
+ */
+function createPostmanShim(helpers) {
+  const pending = [];
+
+  const scope = {
+    get: (key) => helpers.getVar(key),
+    set: (key, value) => helpers.setVar(key, value),
+    unset: (key) => helpers.unsetVar(key),
+    has: (key) => helpers.getVar(key) !== undefined,
+    replaceIn: (text) => String(text).replace(/{{(.*?)}}/g, (match, name) => {
+      const value = helpers.getVar(name.trim());
+      if (value === undefined) return match;
+      return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    })
+  };
+
+  // Postman's local scope: values last for the current send or run only
+  const localScope = {
+    ...scope,
+    set: (key, value) => helpers.setTempVar(key, value),
+    unset: (key) => helpers.setTempVar(key, undefined)
+  };
+
+  const sendRequest = (request, callback) => {
+    const options = typeof request === 'string' ? { url: request } : (request || {});
+    const headers = {};
+    if (Array.isArray(options.header) || typeof options.header === 'string') {
+      convertHeaders(options.header).filter(h => !h.disabled).forEach(h => { headers[h.key] = h.value; });
+    } else if (options.header && typeof options.header === 'object') {
+      Object.assign(headers, options.header);
+    }
+
+    let body;
+    if (options.body && options.body.mode === 'raw') {
+      body = options.body.raw;
+    } else if (options.body && options.body.mode === 'urlencoded') {
+      body = new URLSearchParams((options.body.urlencoded || []).filter(f => !f.disabled).map(f => [f.key, f.value]));
+    }
+
+    const promise = helpers.http(convertUrl(options.url), { method: options.method || 'GET', headers, body })
+      .then(result => {
+        const pmResponse = createPostmanResponse(
+          { status: result.status, statusText: result.statusText, headers: result.headers },
+          result.data,
+          undefined
+        );
+        if (typeof callback === 'function') callback(null, pmResponse);
+        return pmResponse;
+      }, error => {
+        if (typeof callback === 'function') {
+          callback(error, null);
+          return null;
+        }
+        throw error;
+      });
+    pending.push(promise.catch(() => {}));
+    return promise;
+  };
+
+  const test = (name, fn) => {
+    if (typeof helpers.test !== 'function') {
+      helpers.log(`[pm.test] "${name}" skipped: tests only run in post-request scripts.`);
+      return;
+    }
+    // Postman's async form: pm.test(name, function (done) { ... done(); })
+    if (typeof fn === 'function' && fn.length > 0) {
+      helpers.test(name, () => new Promise((resolve, reject) => fn(error => (error ? reject(error) : resolve()))));
+    } else {
+      helpers.test(name, fn);
+    }
+  };
+  test.skip = (name) => helpers.log(`[pm.test] "${name}" skipped.`);
+
+  const pm = {
+    environment: scope,
+    globals: scope,
+    collectionVariables: scope,
+    variables: localScope,
+    iterationData: { get: scope.get, has: scope.has },
+    test: test,
+    expect: createChaiExpect,
+    sendRequest: sendRequest,
+    response: helpers.response
+      ? createPostmanResponse(helpers.response, helpers.responseData, helpers.responseTime)
+      : undefined
+  };
+
+  // Callbacks may send further requests, so wait until no new ones appear
+  const settle = async () => {
+    let settled = 0;
+    while (settled < pending.length) {
+      settled = pending.length;
+      await Promise.all(pending);
+    }
+  };
+  return { pm, settle };
+}
+
+/**
+ * Public interface for the Postman module.
+ */
+export {
+  isPostmanCollection,
+  isPostmanEnvironment,
+  convertPostmanCollection,
+  convertPostmanEnvironment,
+  createPostmanShim
+};
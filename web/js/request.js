@@ -5,8 +5,18 @@
 
 // --- Module Imports ---
 // Import necessary functions and variables from other modules.
-import { getFlattenedVariables } from './variable.js'; // Import function to get flattened variables for templating
+import { applyTemplate } from './template.js'; // Import the shared {{variable}} template engine
 import { executePostScript, executePreScript } from './scripting.js'; // Import the script execution engine
+import { addHistoryEntry, getGroupSettings } from './storage.js'; // Import history persistence and group timeouts
+import { buildGraphQLBody, splitGraphQLResponse } from './graphql.js'; // Import GraphQL payload helpers
+import { isStreamingContentType, readStream } from './stream.js'; // Import incremental body reading
+import { createTestHarness, formatTestResults } from './assertions.js'; // Import test()/expect() for post-scripts
+import { resolveAuth, redactAuth, getAuthParams, resolveAwsCredentials, appendQueryParams, describeAuth } from './auth.js'; // Import Basic/Bearer/API-key helpers
+import { getAccessToken } from './oauth.js'; // Import OAuth 2.0 token renewal
+import { signRequest } from './sigv4.js'; // Import AWS Signature v4 signing
+import { loadEnvironment, getEnvironmentValues } from './dynamicvars.js'; // Import the environment for {{$env NAME}}
+import { redactSecrets, redactValues, isSecretVariable, MASK } from './secrets.js'; // Import masking of secret variable values
+import { getVariableScopes, setRequestVariables, clearRequestVariables } from './variable.js'; // Import variable scopes
 
 // Import Tauri HTTP plugin (will only work in Tauri app)
 let tauriFetch = null;
@@ -22,29 +32,152 @@ try {
   isTauri = false;
 }
 
-// --- Core Templating Function ---
+// --- Request Body Construction ---
 
 /**
- * Replaces all {{variableName}} tags in a string with the corresponding value
- * from the flattened variable store (includes global + active group).
- * @param {string} templateString - The string containing template tags.
- * @param {string} activeGroup - The active group for variables (optional).
- * @return {string} The string with variables substituted.
+ * Finds the actual key of a header in a headers object, ignoring case.
+ * @param {Object} headers - Map of header names to values.
+ * @param {string} name - The header name to look for.
+ * @return {string|undefined} The matching key, or undefined if absent.
  */
-function applyTemplate(templateString, activeGroup = undefined) {
-  if (!templateString) {
-    return templateString;
+function findHeaderKey(headers, name) {
+  const lowerName = name.toLowerCase();
+  return Object.keys(headers).find(key => key.toLowerCase() === lowerName);
+}
+
+/**
+ * Builds the fetch body for the selected body mode and adjusts Content-Type.
+ * Body modes:
+ *   - 'none': no body
+ *   - 'raw': the templated body string (default)
+ *   - 'urlencoded': URLSearchParams built from form fields
+ *   - 'multipart': FormData built from form fields (text and file)
+ *   - 'graphql': JSON payload built from the query and variables editors
+ * @param {string} method - The HTTP method (GET and HEAD never send a body).
+ * @param {string} rawBody - The raw body template string.
+ * @param {string} bodyMode - One of 'none', 'raw', 'urlencoded', 'multipart', 'graphql'.
+ * @param {Array<Object>} formFields - Array of {key, value, type, file} field objects.
+ * @param {Object} graphql - The {query, variables} GraphQL editors' contents.
+ * @param {Object} headers - Processed headers; Content-Type is updated in place.
+ * @param {string} activeVariableGroup - The active variable group for templating.
+ * @param {Object} trace - Collects dynamic values and template warnings (optional, see template.js).
+ * @return {{body: *, displayBody: string|null, log: string}} The fetch body, a printable
+ *   version for the Result tab and history, and any notes for the script output.
+ */
+function buildRequestBody(method, rawBody, bodyMode, formFields, graphql, headers, activeVariableGroup, trace = undefined) {
+  if (method === 'GET' || method === 'HEAD' || bodyMode === 'none') {
+    return { body: null, displayBody: null, log: '' };
   }
-  
-  // Get flattened variables (global + active group)
-  const flatVars = getFlattenedVariables(activeGroup);
-  
-  return templateString.replace(/{{(.*?)}}/g, (match, variableName) => {
-    const key = variableName.trim();
-    const value = flatVars[key];
-    // Return the value if it exists, otherwise return the original tag.
-    return value !== undefined ? String(value) : match;
+
+  if (bodyMode === 'graphql') {
+    const query = applyTemplate((graphql && graphql.query) || '', activeVariableGroup, trace);
+    const variables = applyTemplate((graphql && graphql.variables) || '', activeVariableGroup, trace);
+    const payload = buildGraphQLBody(query, variables);
+    if (!findHeaderKey(headers, 'Content-Type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+    return { body: payload, displayBody: payload, log: '' };
+  }
+
+  if (bodyMode === 'urlencoded') {
+    const params = new URLSearchParams();
+    (formFields || []).forEach(f => {
+      if (f.key) {
+        params.append(applyTemplate(f.key, activeVariableGroup, trace), applyTemplate(f.value || '', activeVariableGroup, trace));
+      }
+    });
+    if (!findHeaderKey(headers, 'Content-Type')) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+    const encoded = params.toString();
+    return { body: encoded, displayBody: encoded, log: '' };
+  }
+
+  if (bodyMode === 'multipart') {
+    const formData = new FormData();
+    const summary = [];
+    let log = '';
+    (formFields || []).forEach(f => {
+      if (!f.key) return;
+      const key = applyTemplate(f.key, activeVariableGroup, trace);
+      if (f.type === 'file') {
+        if (f.file) {
+          formData.append(key, f.file, f.file.name);
+          summary.push(`${key}: [file] ${f.file.name} (${f.file.size} bytes)`);
+        } else {
+          log += `[Body Warning] No file selected for field "${key}"${f.fileName ? ` (was ${f.fileName})` : ''}, field skipped.\n`;
+        }
+      } else {
+        const value = applyTemplate(f.value || '', activeVariableGroup, trace);
+        formData.append(key, value);
+        summary.push(`${key}: ${value}`);
+      }
+    });
+    // fetch must set Content-Type itself so it includes the multipart boundary
+    const contentTypeKey = findHeaderKey(headers, 'Content-Type');
+    if (contentTypeKey) {
+      delete headers[contentTypeKey];
+      log += '[Body Note] Content-Type header removed so the multipart boundary can be set automatically.\n';
+    }
+    return { body: formData, displayBody: summary.join('\n'), log: log };
+  }
+
+  const processedBody = applyTemplate(rawBody, activeVariableGroup, trace);
+  return { body: processedBody, displayBody: processedBody, log: '' };
+}
+
+// --- Variable Scopes ---
+
+/**
+ * Summarizes the variable scopes for the request summary, highest precedence first.
+ * Values are left out since they may be secret; keys hidden by a higher scope are flagged.
+ * @param {string} activeVariableGroup - The active variable group.
+ * @return {Array<{label: string, keys: Array<{name: string, overridden: boolean}>}>} The scopes.
+ */
+function summarizeVariableScopes(activeVariableGroup) {
+  const seen = new Set();
+  return getVariableScopes(activeVariableGroup).map(scope => ({
+    label: scope.label,
+    keys: Object.keys(scope.variables).map(name => {
+      const overridden = seen.has(name);
+      seen.add(name);
+      return { name, overridden };
+    })
+  }));
+}
+
+// --- Timeouts and Cancellation ---
+
+/**
+ * Gets the timeout of a request: its own, else the one set on its group.
+ * @param {number} timeout - The request's timeout in seconds (optional).
+ * @param {string} groupName - The request's group (optional).
+ * @return {{timeout: number, inheritedFrom: string|null}} The timeout in seconds
+ *   (0 for none) and the group it was taken from.
+ */
+function resolveTimeout(timeout, groupName) {
+  if (Number(timeout) > 0) {
+    return { timeout: Number(timeout), inheritedFrom: null };
+  }
+  const groupTimeout = groupName ? Number(getGroupSettings('requests', groupName).timeout) : 0;
+  return groupTimeout > 0 ? { timeout: groupTimeout, inheritedFrom: groupName } : { timeout: 0, inheritedFrom: null };
+}
+
+/**
+ * Combines signals: the result is aborted as soon as one of them is.
+ * @param {...AbortSignal} signals - The signals (undefined ones are skipped).
+ * @return {AbortSignal} The combined signal.
+ */
+function combineSignals(...signals) {
+  const controller = new AbortController();
+  signals.filter(Boolean).forEach(signal => {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
   });
+  return controller.signal;
 }
 
 // --- Main Request Execution Logic ---
@@ -59,88 +192,324 @@ function applyTemplate(templateString, activeGroup = undefined) {
  * @param {string} postScriptId - The ID of the script to run after the request.
  * @param {function} displayResponse - UI function to update the response panel.
  * @param {string} activeVariableGroup - The active variable group for templating.
+ * @param {Object} options - Additional request settings (optional).
+ * @param {string} options.bodyMode - 'none', 'raw' (default), 'urlencoded' or 'multipart'.
+ * @param {Array<Object>} options.formFields - Form fields for the urlencoded and multipart modes.
+ * @param {Object} options.graphql - { query, variables } for the graphql mode.
+ * @param {boolean} options.stream - Read the body incrementally (always done for SSE/NDJSON).
+ * @param {function(Object)} options.onStreamEvent - Called with each streamed record as it arrives.
+ * @param {AbortSignal} options.signal - Aborts the request or stops an active stream.
+ * @param {Object} options.auth - The request's auth (see auth.js); 'inherit' uses the group's auth.
+ *   OAuth 2.0 tokens are stored per variable group and renewed when expired.
+ * @param {string} options.group - The request's group, for inherited auth.
+ * @param {Array<Object>} options.variables - The request's own {key, value} variables; they
+ *   override group variables for this request only (see getVariableScopes in variable.js).
+ * @param {number} options.timeout - Seconds to wait for the response (for streams: until
+ *   it starts); without one, the timeout of options.group applies, if any.
+ * @param {AbortSignal} options.cancelSignal - Cancels the whole send: scripts, their http()
+ *   calls and the request.
+ * @return {Object} The outcome: { requestDetails, response, responseData, scriptOutput, duration, error, tests, aborted },
+ *   where error is the network/parsing error message or null, tests are the post-script test results
+ *   and aborted is 'timeout' or 'cancelled' when the request timed out or was cancelled (else null).
  */
-async function executeRequest(rawUrl, method, rawHeaders, rawBody, preScriptId, postScriptId, displayResponse, activeVariableGroup = 'global') {
+async function executeRequest(rawUrl, method, rawHeaders, rawBody, preScriptId, postScriptId, displayResponse, activeVariableGroup = 'global', options = {}) {
+  // The request's variables must not outlive it, even if sending throws
+  setRequestVariables(options.variables);
+  try {
+    return await sendRequest(rawUrl, method, rawHeaders, rawBody, preScriptId, postScriptId, displayResponse, activeVariableGroup, options);
+  } finally {
+    clearRequestVariables();
+  }
+}
+
+/**
+ * Carries out executeRequest once the request's variables are set.
+ * Takes the same parameters and returns the same outcome.
+ */
+async function sendRequest(rawUrl, method, rawHeaders, rawBody, preScriptId, postScriptId, displayResponse, activeVariableGroup, options) {
+  const bodyMode = options.bodyMode || 'raw';
   const startTime = Date.now();
 
   // 0. Run pre-request script first
   let scriptOutput = '';
+  const cancelSignal = options.cancelSignal;
   if (preScriptId) {
-    scriptOutput = await executePreScript(preScriptId);
+    scriptOutput = await executePreScript(preScriptId, cancelSignal);
   }
 
   // 1. Apply templating (after pre-script has run and potentially updated variables)
-  const processedUrl = applyTemplate(rawUrl, activeVariableGroup);
-  const processedBody = (method !== 'GET' && method !== 'HEAD') ? applyTemplate(rawBody, activeVariableGroup) : null;
+  // Dynamic variables are evaluated here and listed in the request summary
+  await loadEnvironment(rawUrl, rawHeaders, rawBody, options, getVariableScopes(activeVariableGroup).map(scope => scope.variables));
+  const templateTrace = { dynamicValues: [], warnings: [] };
+  let processedUrl = applyTemplate(rawUrl, activeVariableGroup, templateTrace);
   
   const headers = {};
   rawHeaders.forEach(h => {
     if (h.key) {
-      const processedValue = applyTemplate(h.value || '', activeVariableGroup);
+      const processedValue = applyTemplate(h.value || '', activeVariableGroup, templateTrace);
       headers[h.key.trim()] = processedValue;
     }
   });
 
+  // Apply auth; headers set explicitly on the request take precedence
+  const { auth, inheritedFrom } = resolveAuth(options.auth, options.group);
+  // Dynamic values used in auth are not listed in the summary: auth values are secrets
+  const resolveAuthValue = value => applyTemplate(value, activeVariableGroup, { warnings: templateTrace.warnings });
+  let authError = null;
+  let tokenAuth = auth;
+  if (auth.type === 'oauth2') {
+    // Expired tokens are renewed here, before the request goes out
+    try {
+      const token = await getAccessToken(auth, activeVariableGroup, {
+        resolve: resolveAuthValue,
+        fetchFn: (url, init) => (tauriFetch || fetch)(url, { ...init, signal: cancelSignal }),
+        log: message => { scriptOutput += `${message}\n`; }
+      });
+      tokenAuth = { ...auth, accessToken: token.accessToken, tokenType: token.tokenType };
+    } catch (error) {
+      authError = error;
+    }
+  }
+  const authParams = getAuthParams(tokenAuth, resolveAuthValue);
+  const authHeaderNames = []; // Credentials added by auth, masked in the history
+  authParams.headers.forEach(h => {
+    if (Object.keys(headers).some(name => name.toLowerCase() === h.key.toLowerCase())) {
+      scriptOutput += `[Auth] The request already sets ${h.key}; ${describeAuth(auth, inheritedFrom)} was not applied\n`;
+    } else {
+      headers[h.key] = h.value;
+      authHeaderNames.push(h.key);
+    }
+  });
+  const historyUrl = appendQueryParams(processedUrl, authParams.query.map(q => ({ key: q.key, value: MASK })));
+  processedUrl = appendQueryParams(processedUrl, authParams.query);
+
+  let builtBody;
+  let bodyError = null;
+  try {
+    builtBody = buildRequestBody(method, rawBody, bodyMode, options.formFields, options.graphql, headers, activeVariableGroup, templateTrace);
+  } catch (error) {
+    // e.g. invalid GraphQL variables JSON; reported below instead of sending a broken body
+    bodyError = error;
+    builtBody = { body: null, displayBody: null, log: '' };
+  }
+  let processedBody = builtBody.body;
+  scriptOutput += builtBody.log;
+  templateTrace.warnings.forEach(warning => { scriptOutput += `[Template] ${warning}\n`; });
+
+  // AWS Signature v4 signs the final URL, headers and body, so it runs last
+  let signing = null;
+  if (auth.type === 'awsv4' && !authError && !bodyError) {
+    if (findHeaderKey(headers, 'Authorization')) {
+      scriptOutput += `[Auth] The request already sets Authorization; ${describeAuth(auth, inheritedFrom)} was not applied\n`;
+    } else {
+      try {
+        signing = await signRequest(
+          { method, url: processedUrl, headers, body: processedBody },
+          resolveAwsCredentials(auth, resolveAuthValue)
+        );
+        processedBody = signing.body;
+        authHeaderNames.push('Authorization', 'X-Amz-Security-Token');
+      } catch (error) {
+        authError = error;
+      }
+    }
+  }
+
   // Store request details for display
   const requestDetails = {
     method: method,
     processedUrl: processedUrl,
     headers: headers,
-    body: processedBody
+    body: builtBody.displayBody,
+    bodyMode: bodyMode,
+    auth: describeAuth(auth, inheritedFrom),
+    signing: signing ? { canonicalRequest: signing.canonicalRequest, stringToSign: signing.stringToSign } : null,
+    dynamicValues: templateTrace.dynamicValues,
+    variableScopes: summarizeVariableScopes(activeVariableGroup)
   };
 
   let responseData = null;
   let response = null;
+  let errorMsg = null;
+  let testResults = [];
+  let aborted = null;
+
+  // The timeout runs from sending until the response has been read
+  const { timeout, inheritedFrom: timeoutFrom } = resolveTimeout(options.timeout, options.group);
+  const timeoutController = new AbortController();
+  let timeoutTimer = null;
 
   try {
     // 2. Execute Fetch
     // Use Tauri's native fetch if available (no CORS), otherwise browser fetch
     const fetchFn = tauriFetch || fetch;
+    if (authError || bodyError) {
+      throw authError || bodyError;
+    }
+    if (cancelSignal && cancelSignal.aborted) {
+      throw new Error('Request cancelled');
+    }
     
+    const fetchStart = Date.now();
+    if (timeout > 0) {
+      timeoutTimer = setTimeout(() => timeoutController.abort(), timeout * 1000);
+    }
     response = await fetchFn(processedUrl, {
       method: method,
       headers: headers,
       body: processedBody,
+      signal: combineSignals(options.signal, cancelSignal, timeoutController.signal),
     });
 
     // 3. Parse Response Body
     const contentType = response.headers.get('content-type');
-    const responseClone = response.clone(); 
+    let streamEvents = null;
 
-    if (contentType && (contentType.includes('json') || contentType.includes('javascript'))) {
-      responseData = await responseClone.json();
+    if (options.stream || isStreamingContentType(contentType)) {
+      // Streaming: render records as they arrive instead of waiting for the whole body
+      // (the timeout only covers the wait for the stream to start)
+      clearTimeout(timeoutTimer);
+      const streamResult = await readStream(response, {
+        onEvent: options.onStreamEvent,
+        signal: combineSignals(options.signal, cancelSignal)
+      });
+      streamEvents = streamResult.events;
+      responseData = streamEvents;
+      scriptOutput += `[Stream] ${streamEvents.length} ${streamResult.format === 'sse' ? 'events' : 'chunks'} received${streamResult.stopped ? ' (stopped by user)' : ''}\n`;
     } else {
-      responseData = await responseClone.text();
+      const responseClone = response.clone(); 
+
+      if (contentType && (contentType.includes('json') || contentType.includes('javascript'))) {
+        responseData = await responseClone.json();
+      } else {
+        responseData = await responseClone.text();
+      }
     }
     
+    clearTimeout(timeoutTimer);
+    const responseTime = Date.now() - fetchStart;
+    if (cancelSignal && cancelSignal.aborted) {
+      throw new Error('Request cancelled');
+    }
+
     // 4. Run post-request script
-    const postScriptOutput = await executePostScript(postScriptId, response, responseData);
+    // test()/expect() collect assertions; GraphQL responses expose their data/errors parts separately
+    const harness = createTestHarness();
+    const scriptContext = { harness: harness, responseTime: responseTime };
+    if (bodyMode === 'graphql') {
+      const { data, errors } = splitGraphQLResponse(responseData);
+      scriptContext.graphqlData = data;
+      scriptContext.graphqlErrors = errors;
+    }
+    if (streamEvents) {
+      scriptContext.events = streamEvents;
+    }
+    const postScriptOutput = await executePostScript(postScriptId, response, responseData, scriptContext, cancelSignal);
     scriptOutput += postScriptOutput;
+    testResults = await harness.settle();
+    scriptOutput += formatTestResults(testResults);
+    if (cancelSignal && cancelSignal.aborted) {
+      throw new Error('Request cancelled');
+    }
 
   } catch (error) {
-    const errorMsg = error?.message || error?.toString() || 'Unknown error';
-    scriptOutput += `[Execution Error] Network or Parsing failure: ${errorMsg}\n`;
-    scriptOutput += `Using Tauri HTTP: ${!!tauriFetch}\n`;
+    clearTimeout(timeoutTimer);
+    errorMsg = error?.message || error?.toString() || 'Unknown error';
+    let statusText = 'Network Error';
+    if (cancelSignal && cancelSignal.aborted) {
+      // Cancelled by the user: not a network failure
+      aborted = 'cancelled';
+      statusText = 'Cancelled';
+      errorMsg = 'Request cancelled';
+      scriptOutput += '[Cancelled] The request was cancelled.\n';
+    } else if (timeoutController.signal.aborted) {
+      aborted = 'timeout';
+      statusText = 'Timed Out';
+      errorMsg = `Request timed out after ${timeout}s`;
+      scriptOutput += `[Timeout] No response within ${timeout}s${timeoutFrom ? ` (timeout of group "${timeoutFrom}")` : ''}.\n`;
+    } else {
+      scriptOutput += `[Execution Error] Network or Parsing failure: ${errorMsg}\n`;
+      scriptOutput += `Using Tauri HTTP: ${!!tauriFetch}\n`;
+    }
     
-    // Set a mock response object for display in case of network failure
+    // Set a mock response object for display in case of network failure, timeout or cancellation
     response = {
       status: 'N/A',
-      statusText: 'Network Error',
+      statusText: statusText,
       headers: new Headers(),
     };
     responseData = { error: errorMsg };
   }
 
+  // Values of secret variables (including request variables named like one),
+  // environment and .env values and credentials are not stored in the history
+  // in clear text; such entries are resent from their source (see resendHistoryEntry in app.js)
+  const environmentValues = getEnvironmentValues(templateTrace.dynamicValues);
+  const redact = text => redactValues(redactSecrets(text), environmentValues);
+  const history = {
+    url: redact(historyUrl),
+    headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, authHeaderNames.includes(name) ? MASK : redact(value)])),
+    body: redact(builtBody.displayBody)
+  };
+  const historyAuth = options.auth ? redactAuth(options.auth) : { auth: undefined, removed: false };
+  const historyVariables = (options.variables || []).map(v => (v.key && isSecretVariable(v.key) ? { ...v, value: '' } : { ...v }));
   const duration = Date.now() - startTime;
 
   // 5. Display Results with request details
   // This function must be provided by app.js to update the UI
   if (typeof displayResponse === 'function') {
-    displayResponse(requestDetails, response, responseData, scriptOutput, processedUrl, duration);
+    displayResponse(requestDetails, response, responseData, scriptOutput, processedUrl, duration, testResults);
   } else {
     console.warn('UI function displayResponse not provided. Results logged to console:', 
                  { requestDetails, response, responseData, scriptOutput });
   }
+
+  // 6. Record the execution in the request history
+  const responseHeaders = {};
+  if (response.headers) {
+    response.headers.forEach((value, name) => {
+      responseHeaders[name] = value;
+    });
+  }
+
+  addHistoryEntry({
+    url: history.url,
+    method: method,
+    headers: history.headers,
+    body: history.body,
+    redacted: history.url !== processedUrl || history.body !== builtBody.displayBody
+      || Object.keys(headers).some(name => history.headers[name] !== headers[name]),
+    bodyMode: bodyMode,
+    stream: !!options.stream,
+    status: response.status,
+    statusText: response.statusText,
+    responseHeaders: responseHeaders,
+    responseBody: responseData,
+    duration: duration,
+    scriptOutput: scriptOutput,
+    tests: testResults,
+    variableGroup: activeVariableGroup,
+    // Original (un-templated) request so an entry can be re-opened for editing
+    source: {
+      url: rawUrl,
+      rawHeaders: rawHeaders,
+      body: rawBody,
+      bodyMode: bodyMode,
+      graphql: options.graphql ? { query: options.graphql.query, variables: options.graphql.variables } : undefined,
+      // File objects cannot be stored; only the chosen file name is kept
+      formFields: (options.formFields || []).map(f => ({ key: f.key, value: f.value, type: f.type, fileName: f.file ? f.file.name : f.fileName })),
+      preScriptId: preScriptId || '',
+      postScriptId: postScriptId || '',
+      auth: historyAuth.auth,
+      group: options.group,
+      variables: options.variables ? historyVariables : undefined,
+      timeout: options.timeout || undefined,
+      // Set when credentials were left out, so the entry cannot be resent as it was
+      credentialsRemoved: historyAuth.removed || historyVariables.some((v, i) => v.value !== options.variables[i].value) || undefined
+    }
+  });
+
+  return { requestDetails, response, responseData, scriptOutput, duration, error: errorMsg, tests: testResults, aborted };
 }
 
 /**
@@ -148,6 +517,7 @@ async function executeRequest(rawUrl, method, rawHeaders, rawBody, preScriptId,
  */
 export {
   executeRequest,
+  resolveTimeout,
   tauriFetch,
   isTauri
 };
\ No newline at end of file
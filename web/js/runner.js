@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Collection runner: executes the requests of a group one after
+ * another through executeRequest. Variables set by each request's pre/post
+ * scripts are stored as usual, so later requests in the run see them.
+ * With a data file, the run is repeated once per row and the row's columns
+ * are exposed as variables for that iteration only.
+ */
+
+// --- Module Imports ---
+import { executeRequest } from './request.js';
+import { setActiveGroupForScripts, setIterationVariables, clearIterationVariables } from './variable.js';
+
+// Script failures are only reported in the output log
+const SCRIPT_ERROR_PATTERN = /\[(Pre-)?Script (Execution )?Error\]/;
+
+/**
+ * Determines why a request in a run failed.
+ * @param {Object} result - The result returned by executeRequest().
+ * @return {string|null} A short failure reason, or null if the request passed.
+ */
+function getRunFailure(result) {
+  if (result.error) {
+    return result.error;
+  }
+  const status = result.response ? result.response.status : null;
+  if (typeof status === 'number' && status >= 400) {
+    return `HTTP ${status}`;
+  }
+  const failedTests = (result.tests || []).filter(t => !t.passed).length;
+  if (failedTests > 0) {
+    return `${failedTests} of ${result.tests.length} tests failed`;
+  }
+  if (SCRIPT_ERROR_PATTERN.test(result.scriptOutput || '')) {
+    return 'Script error';
+  }
+  return null;
+}
+
+/**
+ * Waits between requests; resolves early when the run is stopped.
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} signal - Stops the wait (optional).
+ */
+function wait(ms, signal) {
+  return new Promise(resolve => {
+    if (!ms || ms <= 0 || (signal && signal.aborted)) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Runs saved requests sequentially.
+ * WebSocket requests cannot be run unattended and are skipped.
+ * @param {Array<Object>} requests - Saved requests, in run order.
+ * @param {Object} options - Run settings (optional).
+ * @param {string} options.activeVariableGroup - Variable group used for templating and scripts.
+ * @param {number} options.delay - Milliseconds to wait between requests.
+ * @param {boolean} options.stopOnFailure - Stop after the first failed request.
+ * @param {AbortSignal} options.signal - Stops the run and cancels the request in flight
+ *   (including its scripts); that request is reported as 'cancelled'.
+ * @param {function(Object, number)} options.onStart - Called with (request, index) before each request.
+ * @param {function(Object, number)} options.onResult - Called with (runResult, index) after each request.
+ * @return {Object} { results, passed, failed, skipped, stopped, duration }
+ */
+async function runCollection(requests, options = {}) {
+  const activeVariableGroup = options.activeVariableGroup || 'global';
+  const signal = options.signal;
+  const startTime = Date.now();
+  const results = [];
+  let stopped = false;
+
+  setActiveGroupForScripts(activeVariableGroup);
+
+  for (let i = 0; i < requests.length; i++) {
+    if (signal && signal.aborted) {
+      stopped = true;
+      break;
+    }
+    const request = requests[i];
+    if (typeof options.onStart === 'function') options.onStart(request, i);
+
+    let runResult;
+    if (request.type === 'websocket') {
+      runResult = { request, status: 'skipped', failure: 'WebSocket requests are not run', duration: 0, scriptOutput: '' };
+    } else {
+      const result = await executeRequest(
+        request.url,
+        request.method,
+        (request.rawHeaders || []).filter(h => h.key || h.value),
+        request.body || '',
+        request.preScriptId,
+        request.postScriptId,
+        () => {}, // Results are shown in the runner table, not the Result tab
+        activeVariableGroup,
+        {
+          bodyMode: request.bodyMode,
+          formFields: request.formFields,
+          graphql: request.graphql,
+          stream: request.stream,
+          auth: request.auth,
+          group: request.group,
+          variables: request.variables,
+          timeout: request.timeout,
+          signal: signal,
+          cancelSignal: signal
+        }
+      );
+      const failure = getRunFailure(result);
+      runResult = {
+        request,
+        status: result.aborted === 'cancelled' ? 'cancelled' : (failure ? 'failed' : 'passed'),
+        failure,
+        httpStatus: result.response.status,
+        duration: result.duration,
+        scriptOutput: result.scriptOutput,
+        result
+      };
+    }
+
+    results.push(runResult);
+    if (typeof options.onResult === 'function') options.onResult(runResult, i);
+
+    if (runResult.status === 'failed' && options.stopOnFailure) {
+      stopped = i < requests.length - 1;
+      break;
+    }
+    if (i < requests.length - 1) {
+      await wait(options.delay, signal);
+    }
+  }
+
+  return {
+    results,
+    passed: results.filter(r => r.status === 'passed').length,
+    failed: results.filter(r => r.status === 'failed').length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+    stopped,
+    duration: Date.now() - startTime
+  };
+}
+
+/**
+ * Runs saved requests once per data-file row.
+ * Each row's columns override other variables during its iteration; they are
+ * removed again when the run ends.
+ * @param {Array<Object>} requests - Saved requests, in run order.
+ * @param {Array<Object>} rows - Data-file rows (column name/value pairs).
+ * @param {Object} options - Run settings, as for runCollection(). The onStart and
+ *   onResult callbacks receive the iteration index as a third argument.
+ * @return {Object} { results, passed, failed, skipped, stopped, duration }; each result
+ *   has an iteration index and the row it ran with.
+ */
+async function runIterations(requests, rows, options = {}) {
+  const startTime = Date.now();
+  const results = [];
+  let stopped = false;
+
+  try {
+    for (let iteration = 0; iteration < rows.length; iteration++) {
+      if (options.signal && options.signal.aborted) {
+        stopped = true;
+        break;
+      }
+      setIterationVariables(rows[iteration]);
+
+      const summary = await runCollection(requests, {
+        ...options,
+        onStart: (request, index) => {
+          if (typeof options.onStart === 'function') options.onStart(request, index, iteration);
+        },
+        onResult: (runResult, index) => {
+          runResult.iteration = iteration;
+          runResult.row = rows[iteration];
+          results.push(runResult);
+          if (typeof options.onResult === 'function') options.onResult(runResult, index, iteration);
+        }
+      });
+
+      if (summary.stopped || (options.stopOnFailure && summary.failed > 0)) {
+        stopped = summary.stopped || iteration < rows.length - 1;
+        break;
+      }
+      if (iteration < rows.length - 1) {
+        await wait(options.delay, options.signal);
+      }
+    }
+  } finally {
+    clearIterationVariables();
+  }
+
+  return {
+    results,
+    passed: results.filter(r => r.status === 'passed').length,
+    failed: results.filter(r => r.status === 'failed').length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+    stopped,
+    duration: Date.now() - startTime
+  };
+}
+
+/**
+ * Public interface for the runner module.
+ */
+export {
+  runCollection,
+  runIterations,
+  getRunFailure
+};
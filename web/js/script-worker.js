@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Web Worker that runs one pre- or post-request script. Scripts
+ * cannot reach window, localStorage or the DOM from here, and a script that
+ * never finishes can be terminated without freezing the app.
+ * getVar() reads a copy of the variable scopes sent with the script; setVar(),
+ * setTempVar(), log() and http() are forwarded to the page (scripting.js),
+ * which stores the variables, writes the output and sends the requests.
+ *
+ * Messages from the page:
+ *   { type: 'run', code, kind, scopes, response, responseData, context, tests }
+ *   { type: 'httpResult', id, result } or { type: 'httpResult', id, error }
+ * Messages to the page:
+ *   { type: 'setVar' | 'setTempVar' | 'unsetVar', key, value }
+ *   { type: 'log', message }
+ *   { type: 'http', id, url, options }
+ *   { type: 'done', error, tests }
+ */
+
+import { createPostmanShim } from './postman.js';
+import { createTestHarness } from './assertions.js';
+import { utils } from './scriptutils.js';
+import { toVariableValue } from './variable.js';
+
+// http() calls waiting for the page, by call ID
+const pendingCalls = new Map();
+let nextCallId = 1;
+
+/**
+ * Copies a variable value so the script cannot change the stored one.
+ * @param {*} value - The value.
+ * @return {*} The copy.
+ */
+function copyValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * Formats log() arguments as one line; objects are shown as JSON.
+ * @param {Array<*>} args - The arguments.
+ * @return {string} The message.
+ */
+function formatLogMessage(args) {
+  return args.map(arg => {
+    if (typeof arg === 'object') {
+      try {
+        return JSON.stringify(arg, null, 2);
+      } catch (e) {
+        return String(arg);
+      }
+    }
+    return String(arg);
+  }).join(' ');
+}
+
+/**
+ * Converts http() options to values that can be posted to the page:
+ * Headers become a plain object, URLSearchParams text and FormData its entries.
+ * @param {Object} options - Fetch options.
+ * @return {Object} The options to post.
+ */
+function toPostableOptions(options) {
+  const postable = { ...options };
+  if (options.headers instanceof Headers) {
+    postable.headers = Object.fromEntries(options.headers.entries());
+  }
+  if (options.body instanceof URLSearchParams) {
+    postable.body = options.body.toString();
+    const headers = { ...postable.headers };
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded;charset=UTF-8';
+    }
+    postable.headers = headers;
+  } else if (options.body instanceof FormData) {
+    postable.body = undefined;
+    postable.formData = Array.from(options.body.entries());
+  }
+  return postable;
+}
+
+/**
+ * Builds the `response` given to post-request scripts from the page's snapshot.
+ * It has the status, headers and body of the Fetch Response (json() and text()
+ * return the body the app already read).
+ * @param {Object} snapshot - { status, statusText, ok, url, redirected, headers: [[name, value]] }.
+ * @param {*} responseData - The parsed response body.
+ * @return {Object} The response.
+ */
+function createResponse(snapshot, responseData) {
+  const text = typeof responseData === 'string' ? responseData : JSON.stringify(responseData);
+  return {
+    status: snapshot.status,
+    statusText: snapshot.statusText,
+    ok: snapshot.ok,
+    url: snapshot.url,
+    redirected: snapshot.redirected,
+    headers: new Headers(snapshot.headers),
+    text: async () => text,
+    json: async () => JSON.parse(text),
+    clone: () => createResponse(snapshot, responseData)
+  };
+}
+
+/**
+ * Runs a script and reports the outcome with a 'done' message.
+ * @param {Object} run - The 'run' message.
+ */
+async function runScript(run) {
+  // Highest precedence first, like getVariableScopes() in variable.js
+  const scopes = run.scopes;
+  const activeGroupScope = scopes.find(s => s.scope === 'group');
+  const tempScope = scopes.find(s => s.scope === 'temp');
+
+  const getVar = (key) => {
+    const scope = scopes.find(s => Object.prototype.hasOwnProperty.call(s.variables, key));
+    return scope ? copyValue(scope.variables[key]) : undefined;
+  };
+
+  const setVar = (key, value) => {
+    const storedValue = toVariableValue(value);
+    activeGroupScope.variables[key] = storedValue;
+    self.postMessage({ type: 'setVar', key: String(key), value: storedValue });
+  };
+
+  const setTempVar = (key, value) => {
+    const storedValue = value === undefined ? undefined : toVariableValue(value);
+    if (storedValue === undefined) {
+      delete tempScope.variables[key];
+    } else {
+      tempScope.variables[key] = storedValue;
+    }
+    self.postMessage({ type: 'setTempVar', key: String(key), value: storedValue });
+  };
+
+  const unsetVar = (key) => {
+    delete activeGroupScope.variables[key];
+    self.postMessage({ type: 'unsetVar', key: String(key) });
+  };
+
+  const log = (...args) => {
+    self.postMessage({ type: 'log', message: formatLogMessage(args) });
+  };
+
+  const http = (url, options = {}) => new Promise((resolve, reject) => {
+    const id = nextCallId++;
+    pendingCalls.set(id, { resolve, reject });
+    self.postMessage({ type: 'http', id, url: String(url), options: toPostableOptions(options) });
+  });
+
+  const response = run.response ? createResponse(run.response, run.responseData) : null;
+  const harness = run.tests ? createTestHarness() : null;
+  const context = harness ? { ...run.context, test: harness.test, expect: harness.expect } : run.context;
+
+  // Postman-style `pm` object for scripts imported from Postman collections
+  const postman = createPostmanShim({
+    getVar, setVar, unsetVar, setTempVar, log, http,
+    test: context.test,
+    response: response,
+    responseData: run.responseData,
+    responseTime: context.responseTime
+  });
+
+  let error = null;
+  try {
+    // Post-request scripts also get response and responseData, followed by any extra
+    // context values (e.g., test, expect, graphqlData, message)
+    const contextNames = Object.keys(context);
+    const names = ['getVar', 'setVar', 'setTempVar', 'log', 'http', 'pm', 'utils', ...contextNames];
+    const values = [getVar, setVar, setTempVar, log, http, postman.pm, utils, ...contextNames.map(name => context[name])];
+    if (run.kind === 'post') {
+      names.unshift('response', 'responseData');
+      values.unshift(response, run.responseData);
+    }
+    const scriptFunction = new Function(...names, `
+      return (async () => {
+        // User's script starts here.
+        ${run.code}
+      })();
+    `);
+
+    // Run the script, then wait for any un-awaited pm.sendRequest() calls
+    await scriptFunction(...values);
+    await postman.settle();
+  } catch (e) {
+    error = String(e);
+  }
+
+  const tests = harness ? await harness.settle() : [];
+  self.postMessage({ type: 'done', error, tests });
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === 'run') {
+    runScript(message);
+  } else if (message.type === 'httpResult') {
+    const call = pendingCalls.get(message.id);
+    if (!call) return;
+    pendingCalls.delete(message.id);
+    if (message.error) {
+      call.reject(new Error(message.error));
+    } else {
+      call.resolve({ ...message.result, headers: new Headers(message.result.headers) });
+    }
+  }
+};
@@ -1,95 +1,87 @@
 /**
- * @fileoverview Handles the execution of user-defined post-request scripts.
- * It provides a sandboxed environment for the script to access response data
- * and update global variables.
+ * @fileoverview Handles the execution of user-defined pre- and post-request
+ * scripts. Each script runs in its own Web Worker (script-worker.js), so it has
+ * no access to window, localStorage or the DOM and can be stopped or timed out
+ * without freezing the app. The helpers it calls (setVar, log, http, ...) are
+ * carried out here and written to the script output.
  */
 
 // --- Module Imports ---
 // Import necessary functions from storage and variables modules.
 import { getAllScripts } from './storage.js'; 
-import { setVariable, getFlattenedVariables } from './variable.js';
-import { tauriFetch, isTauri } from './request.js'; 
+import { setVariable, unsetVariable, setTempVariable, getVariableScopes, formatVariableValue } from './variable.js';
+import { tauriFetch } from './request.js'; 
+import { applyTemplate } from './template.js';
+import { loadEnvironment } from './dynamicvars.js';
+import { isSecretVariable, redactSecrets, MASK } from './secrets.js';
+
+// Seconds a script may run when its saved script sets no timeout
+const DEFAULT_SCRIPT_TIMEOUT = 30;
+
+// Stop functions of the scripts currently running
+const runningScripts = new Set();
+
+// Called with true when a script starts and false once none is running (see onScriptsRunning)
+let runningListener = null;
 
 /**
- * Executes a saved post-request script associated with a request.
- * @param {string} postScriptId - The ID of the saved script to execute.
- * @param {Response} response - The native Fetch Response object.
- * @param {Object} responseData - The parsed response body data (e.g., JSON object).
- * @return {string} A log of the script execution, including errors or variable updates.
+ * Resolves {{variables}} in the URL, headers and text body of an http() call
+ * with the same template engine as the request itself.
+ * @param {string} url - The URL to request.
+ * @param {Object} options - Fetch options (method, headers, body, etc.).
+ * @return {{url: string, options: Object}} The resolved URL and options.
  */
-async function executePostScript(postScriptId, response, responseData) {
-  let scriptOutput = '';
-
-  // 1. Look up the script code
-  let scriptCode = null;
-  
-  if (postScriptId) {
-    const scripts = getAllScripts();
-    const scriptToRun = scripts.find(s => s.id === postScriptId);
-    if (scriptToRun) {
-      scriptCode = scriptToRun.code;
-    } else {
-      scriptOutput += `[Script Error] Saved script with ID "${postScriptId}" not found.\n`;
-      return scriptOutput;
-    }
-  } else {
-    // No script ID provided, gracefully exit.
-    return 'No post-request script configured.';
+function applyTemplateToHttp(url, options) {
+  const resolved = { ...options };
+  if (options.headers && !(options.headers instanceof Headers)) {
+    resolved.headers = Object.fromEntries(Object.entries(options.headers).map(([name, value]) => [name, applyTemplate(String(value))]));
   }
+  if (typeof options.body === 'string') {
+    resolved.body = applyTemplate(options.body);
+  }
+  return { url: applyTemplate(String(url)), options: resolved };
+}
 
-  // 2. Define the helper functions available to the user's script
-  
-  /**
-   * Helper function to get a variable value.
-   * @param {string} key - Variable name.
-   * @return {*} Variable value or undefined if not found.
-   */
-  const getVar = (key) => {
-    const vars = getFlattenedVariables();
-    return vars[key];
-  };
-
-  /**
-   * Helper function exposed to the user script to set variables.
-   * Logs the action for the output console.
-   * @param {string} key - Variable name.
-   * @param {*} value - Variable value.
-   */
-  const setVar = (key, value) => {
-    setVariable(key, value); // Call the imported setVariable function
-    scriptOutput += `[Script Success] Variable set: ${key} = ${value}\n`;
-  };
+/**
+ * Looks up a saved script.
+ * @param {string} scriptId - The ID of the saved script.
+ * @return {Object|undefined} The script, or undefined if it was deleted.
+ */
+function findScript(scriptId) {
+  return getAllScripts().find(s => s.id === scriptId);
+}
 
-  /**
-   * Helper function to log messages from the script.
-   * @param {*} message - Message to log.
-   */
-  const log = (...args) => {
-    const message = args.map(arg => {
-      if (typeof arg === 'object') {
-        try {
-          return JSON.stringify(arg, null, 2);
-        } catch (e) {
-          return String(arg);
-        }
-      }
-      return String(arg);
-    }).join(' ');
-    scriptOutput += `[Log] ${message}\n`;
-  };
+/**
+ * Gets the timeout of a saved script.
+ * @param {Object} script - The saved script.
+ * @return {number} The timeout in seconds.
+ */
+function getScriptTimeout(script) {
+  const timeout = Number(script.timeout);
+  return Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_SCRIPT_TIMEOUT;
+}
 
-  /**
-   * Helper function to make HTTP requests from scripts.
-   * Uses Tauri HTTP client if available, otherwise browser fetch.
-   * @param {string} url - The URL to request
-   * @param {Object} options - Fetch options (method, headers, body, etc.)
-   * @return {Object} Response object with status, headers, and data
-   */
-  const http = async (url, options = {}) => {
+/**
+ * Creates the http() helper carried out for a script. Requests still in
+ * flight are aborted when the script is stopped.
+ * @param {function(string)} write - Appends a line to the script output.
+ * @param {AbortSignal} signal - Aborted when the script stops.
+ * @return {function(string, Object): Promise<Object>} Resolves with
+ *   { status, statusText, headers, data }.
+ */
+function createHttpHelper(write, signal) {
+  return async (url, options = {}) => {
     try {
-      scriptOutput += `[HTTP] ${options.method || 'GET'} ${url}\n`;
+      await loadEnvironment(url, options, getVariableScopes().map(scope => scope.variables));
+      ({ url, options } = applyTemplateToHttp(url, options));
+      if (options.formData) {
+        const formData = new FormData();
+        options.formData.forEach(([name, value]) => formData.append(name, value));
+        options = { ...options, body: formData, formData: undefined };
+      }
+      write(`[HTTP] ${options.method || 'GET'} ${redactSecrets(url)}`);
       const fetchFn = tauriFetch || fetch;
-      const httpResponse = await fetchFn(url, options);
+      const httpResponse = await fetchFn(url, { ...options, signal });
       const contentType = httpResponse.headers.get('content-type');
       
       let data;
@@ -99,7 +91,7 @@ async function executePostScript(postScriptId, response, responseData) {
         data = await httpResponse.text();
       }
       
-      scriptOutput += `[HTTP] Response ${httpResponse.status} ${httpResponse.statusText}\n`;
+      write(`[HTTP] Response ${httpResponse.status} ${httpResponse.statusText}`);
       
       return {
         status: httpResponse.status,
@@ -108,27 +100,198 @@ async function executePostScript(postScriptId, response, responseData) {
         data: data
       };
     } catch (error) {
-      scriptOutput += `[HTTP Error] ${error.message}\n`;
+      write(`[HTTP Error] ${error.message}`);
       throw new Error(`HTTP request failed: ${error.message}`);
     }
   };
+}
+
+/**
+ * Runs a script in a new worker and carries out the helpers it calls.
+ * The worker is terminated when the script finishes, times out or is stopped.
+ * @param {Object} script - The saved script.
+ * @param {Object} run - The rest of the 'run' message (kind, response, responseData, context, tests).
+ * @param {Object} helpers - Page-side helpers:
+ *   setVar(key, value), setTempVar(key, value), unsetVar(key), log(message) and
+ *   write(line) for the output of http() calls.
+ * @param {AbortSignal} signal - Cancels the script and its http() calls (optional).
+ * @return {Promise<{error: string|null, tests: Array<Object>}>} The script error
+ *   (including timeouts, stops and cancellation) and the results of its tests.
+ */
+function runScriptInWorker(script, run, helpers, signal = undefined) {
+  return new Promise(resolve => {
+    const worker = new Worker(new URL('./script-worker.js', import.meta.url), { type: 'module' });
+    const controller = new AbortController();
+    const timeout = getScriptTimeout(script);
+    let timer = null;
+
+    const onCancel = () => stop('Error: Script cancelled');
+    const finish = (outcome) => {
+      if (!runningScripts.has(stop)) return;
+      runningScripts.delete(stop);
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onCancel);
+      worker.terminate();
+      controller.abort();
+      if (runningScripts.size === 0 && runningListener) runningListener(false);
+      resolve(outcome);
+    };
+    const stop = (reason) => finish({ error: reason, tests: [] });
+
+    const http = createHttpHelper(helpers.write, controller.signal);
+    worker.onmessage = (event) => {
+      const message = event.data;
+      switch (message.type) {
+        case 'setVar':
+          helpers.setVar(message.key, message.value);
+          break;
+        case 'setTempVar':
+          helpers.setTempVar(message.key, message.value);
+          break;
+        case 'unsetVar':
+          helpers.unsetVar(message.key);
+          break;
+        case 'log':
+          helpers.log(message.message);
+          break;
+        case 'http':
+          http(message.url, message.options).then(result => {
+            const headers = Array.from(result.headers.entries());
+            worker.postMessage({ type: 'httpResult', id: message.id, result: { ...result, headers } });
+          }, error => {
+            worker.postMessage({ type: 'httpResult', id: message.id, error: error.message });
+          });
+          break;
+        case 'done':
+          finish({ error: message.error, tests: message.tests });
+          break;
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish({ error: event.message || 'The script worker failed to start.', tests: [] });
+    };
+
+    runningScripts.add(stop);
+    if (runningScripts.size === 1 && runningListener) runningListener(true);
+    timer = setTimeout(() => stop(`Error: Script timed out after ${timeout}s`), timeout * 1000);
+    if (signal) {
+      if (signal.aborted) {
+        onCancel();
+        return;
+      }
+      signal.addEventListener('abort', onCancel, { once: true });
+    }
+
+    // The worker gets a copy of the variables, highest precedence first
+    const scopes = getVariableScopes().map(s => ({ scope: s.scope, variables: s.variables }));
+    try {
+      worker.postMessage({ type: 'run', code: script.code, scopes, context: {}, ...run });
+    } catch (error) {
+      // e.g. a context value that cannot be copied to the worker
+      stop(error.toString());
+    }
+  });
+}
+
+/**
+ * Stops every running script; each reports "Script stopped" as its error.
+ * @return {boolean} Whether a script was running.
+ */
+function stopScripts() {
+  const running = Array.from(runningScripts);
+  running.forEach(stop => stop('Error: Script stopped by user'));
+  return running.length > 0;
+}
+
+/**
+ * Registers a listener told whether scripts are running (e.g. to show a Stop button).
+ * @param {function(boolean)} listener - Called with true when a script starts
+ *   and false once none is running.
+ */
+function onScriptsRunning(listener) {
+  runningListener = listener;
+}
+
+/**
+ * Describes a response for the script worker (a Fetch Response cannot be copied to it).
+ * @param {Response} response - The response, or null (WebSocket messages).
+ * @return {Object|null} { status, statusText, ok, url, redirected, headers: [[name, value]] }.
+ */
+function snapshotResponse(response) {
+  if (!response) return null;
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    ok: response.ok,
+    url: response.url,
+    redirected: response.redirected,
+    headers: response.headers ? Array.from(response.headers.entries()) : []
+  };
+}
+
+/**
+ * Executes a saved post-request script associated with a request.
+ * @param {string} postScriptId - The ID of the saved script to execute.
+ * @param {Response} response - The native Fetch Response object.
+ * @param {Object} responseData - The parsed response body data (e.g., JSON object).
+ * @param {Object} context - Extra named values exposed to the script (optional),
+ *   e.g. { responseTime } or { graphqlData, graphqlErrors } for GraphQL requests.
+ *   They are copied to the script worker, so they must be plain data. A test harness
+ *   (see assertions.js) given as `harness` enables test()/expect() and receives their results.
+ * @param {AbortSignal} signal - Cancels the script and its http() calls (optional).
+ * @return {string} A log of the script execution, including errors or variable updates.
+ */
+async function executePostScript(postScriptId, response, responseData, context = {}, signal = undefined) {
+  let scriptOutput = '';
+
+  // 1. Look up the script
+  if (!postScriptId) {
+    // No script ID provided, gracefully exit.
+    return 'No post-request script configured.';
+  }
+  const script = findScript(postScriptId);
+  if (!script) {
+    scriptOutput += `[Script Error] Saved script with ID "${postScriptId}" not found.\n`;
+    return scriptOutput;
+  }
+
+  // 2. Define the helpers carried out for the script
+  const helpers = {
+    setVar: (key, value) => {
+      setVariable(key, value);
+      scriptOutput += `[Script Success] Variable set: ${key} = ${isSecretVariable(key) ? MASK : formatVariableValue(value)}\n`;
+    },
+    setTempVar: (key, value) => {
+      setTempVariable(key, value);
+      scriptOutput += `[Script Success] Temp variable set: ${key} = ${isSecretVariable(key) ? MASK : formatVariableValue(value)}\n`;
+    },
+    unsetVar: (key) => {
+      unsetVariable(key);
+      scriptOutput += `[Script Success] Variable removed: ${key}\n`;
+    },
+    log: (message) => {
+      scriptOutput += `[Log] ${redactSecrets(message)}\n`;
+    },
+    write: (line) => {
+      scriptOutput += `${line}\n`;
+    }
+  };
+
+  // 3. Run the script in a worker
+  const { harness, ...data } = context;
+  const outcome = await runScriptInWorker(script, {
+    kind: 'post',
+    response: snapshotResponse(response),
+    responseData: responseData,
+    context: data,
+    tests: !!harness
+  }, helpers, signal);
 
-  // 3. Execute the code using new Function() for a cleaner scope
-  try {
-    // Arguments: response (Fetch Response), responseData (Parsed JSON/Text), getVar (Get variable), setVar (Set variable), log (Logging function), http (HTTP client)
-    const scriptFunction = new Function('response', 'responseData', 'getVar', 'setVar', 'log', 'http', `
-      return (async () => {
-        // User's script starts here.
-        ${scriptCode}
-      })();
-    `);
-
-    // Execute the user's script (now async)
-    await scriptFunction(response, responseData, getVar, setVar, log, http);
-
-  } catch (error) {
-    scriptOutput += `[Script Execution Error] ${error.toString()}\n`;
-    console.error('Post-script execution error:', error);
+  if (harness) harness.addResults(outcome.tests);
+  if (outcome.error) {
+    scriptOutput += `[Script Execution Error] ${outcome.error}\n`;
+    console.error('Post-script execution error:', outcome.error);
   }
 
   // 4. Return the script output log
@@ -138,103 +301,49 @@ async function executePostScript(postScriptId, response, responseData) {
 /**
  * Executes a pre-request script before the request is sent.
  * @param {string} preScriptId - The ID of the saved pre-script to execute.
+ * @param {AbortSignal} signal - Cancels the script and its http() calls (optional).
  * @return {string} A log of the script execution.
  */
-async function executePreScript(preScriptId) {
+async function executePreScript(preScriptId, signal = undefined) {
   let scriptOutput = '[Pre-Request Script]\n';
 
-  // 1. Look up the script code
-  let scriptCode = null;
-  
-  if (preScriptId) {
-    const scripts = getAllScripts();
-    const scriptToRun = scripts.find(s => s.id === preScriptId);
-    if (scriptToRun) {
-      scriptCode = scriptToRun.code;
-    } else {
-      scriptOutput += `[Script Error] Pre-script with ID "${preScriptId}" not found.\n`;
-      return scriptOutput;
-    }
-  } else {
+  // 1. Look up the script
+  if (!preScriptId) {
     return '';
   }
+  const script = findScript(preScriptId);
+  if (!script) {
+    scriptOutput += `[Script Error] Pre-script with ID "${preScriptId}" not found.\n`;
+    return scriptOutput;
+  }
 
-  // 2. Define the helper functions available to the user's pre-script
-  const getVar = (key) => {
-    const vars = getFlattenedVariables();
-    return vars[key];
-  };
-
-  const setVar = (key, value) => {
-    setVariable(key, value);
-    scriptOutput += `[Pre-Script] Variable set: ${key} = ${value}\n`;
-  };
-
-  const log = (...args) => {
-    const message = args.map(arg => {
-      if (typeof arg === 'object') {
-        try {
-          return JSON.stringify(arg, null, 2);
-        } catch (e) {
-          return String(arg);
-        }
-      }
-      return String(arg);
-    }).join(' ');
-    scriptOutput += `[Pre-Log] ${message}\n`;
-  };
-
-  /**
-   * Helper function to make HTTP requests from scripts.
-   * Uses Tauri HTTP client if available, otherwise browser fetch.
-   * @param {string} url - The URL to request
-   * @param {Object} options - Fetch options (method, headers, body, etc.)
-   * @return {Object} Response object with status, headers, and data
-   */
-  const http = async (url, options = {}) => {
-    try {
-      scriptOutput += `[HTTP] ${options.method || 'GET'} ${url}\n`;
-      const fetchFn = tauriFetch || fetch;
-      const httpResponse = await fetchFn(url, options);
-      const contentType = httpResponse.headers.get('content-type');
-      
-      let data;
-      if (contentType && (contentType.includes('json') || contentType.includes('javascript'))) {
-        data = await httpResponse.json();
-      } else {
-        data = await httpResponse.text();
-      }
-      
-      scriptOutput += `[HTTP] Response ${httpResponse.status} ${httpResponse.statusText}\n`;
-      
-      return {
-        status: httpResponse.status,
-        statusText: httpResponse.statusText,
-        headers: httpResponse.headers,
-        data: data
-      };
-    } catch (error) {
-      scriptOutput += `[HTTP Error] ${error.message}\n`;
-      throw new Error(`HTTP request failed: ${error.message}`);
+  // 2. Define the helpers carried out for the pre-script
+  const helpers = {
+    setVar: (key, value) => {
+      setVariable(key, value);
+      scriptOutput += `[Pre-Script] Variable set: ${key} = ${isSecretVariable(key) ? MASK : formatVariableValue(value)}\n`;
+    },
+    setTempVar: (key, value) => {
+      setTempVariable(key, value);
+      scriptOutput += `[Pre-Script] Temp variable set: ${key} = ${isSecretVariable(key) ? MASK : formatVariableValue(value)}\n`;
+    },
+    unsetVar: (key) => {
+      unsetVariable(key);
+      scriptOutput += `[Pre-Script] Variable removed: ${key}\n`;
+    },
+    log: (message) => {
+      scriptOutput += `[Pre-Log] ${redactSecrets(message)}\n`;
+    },
+    write: (line) => {
+      scriptOutput += `${line}\n`;
     }
   };
 
-  // 3. Execute the code using new Function() for a cleaner scope
-  try {
-    // Arguments: getVar (Get variable), setVar (Set variable), log (Logging function), http (HTTP client)
-    const scriptFunction = new Function('getVar', 'setVar', 'log', 'http', `
-      return (async () => {
-        // User's pre-script starts here.
-        ${scriptCode}
-      })();
-    `);
-
-    // Execute the user's pre-script (now async)
-    await scriptFunction(getVar, setVar, log, http);
-
-  } catch (error) {
-    scriptOutput += `[Pre-Script Execution Error] ${error.toString()}\n`;
-    console.error('Pre-script execution error:', error);
+  // 3. Run the pre-script in a worker (no response or tests before the request)
+  const outcome = await runScriptInWorker(script, { kind: 'pre' }, helpers, signal);
+  if (outcome.error) {
+    scriptOutput += `[Pre-Script Execution Error] ${outcome.error}\n`;
+    console.error('Pre-script execution error:', outcome.error);
   }
 
   // 4. Return the script output log
@@ -245,6 +354,9 @@ async function executePreScript(preScriptId) {
  * Public interface for the scripting module.
  */
 export {
+  DEFAULT_SCRIPT_TIMEOUT,
   executePostScript,
-  executePreScript
+  executePreScript,
+  stopScripts,
+  onScriptsRunning
 };
\ No newline at end of file
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview The `utils` object available in pre- and post-request scripts:
+ * hashes, HMAC, encodings, UUIDs, random bytes, JWT helpers and date
+ * formatting. Hashing is backed by WebCrypto (MD5, which WebCrypto lacks, is
+ * computed here), so hash, HMAC and JWT signing functions are async.
+ */
+
+// Algorithm names accepted by hash()/hmac(), mapped to WebCrypto names
+const ALGORITHMS = {
+  'sha1': 'SHA-1', 'sha-1': 'SHA-1',
+  'sha256': 'SHA-256', 'sha-256': 'SHA-256',
+  'sha512': 'SHA-512', 'sha-512': 'SHA-512',
+  'md5': 'MD5'
+};
+
+// --- Byte Helpers ---
+
+/**
+ * Converts text (as UTF-8) or binary data to bytes.
+ * @param {string|ArrayBuffer|Uint8Array} data - The data.
+ * @return {Uint8Array} The bytes.
+ */
+function toBytes(data) {
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new TextEncoder().encode(String(data));
+}
+
+/**
+ * Converts bytes to lowercase hex.
+ * @param {Uint8Array} bytes - The bytes.
+ * @return {string} The hex string.
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Converts bytes to Base64.
+ * @param {Uint8Array} bytes - The bytes.
+ * @return {string} The Base64 string.
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+/**
+ * Converts Base64 or Base64url (padding optional) to bytes.
+ * @param {string} text - The encoded text.
+ * @return {Uint8Array} The bytes.
+ */
+function base64ToBytes(text) {
+  const normalized = String(text).replace(/-/g, '+').replace(/_/g, '/').replace(/\s+/g, '');
+  const binary = atob(normalized + '='.repeat((4 - (normalized.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Formats digest bytes in the requested encoding.
+ * @param {Uint8Array} bytes - The bytes.
+ * @param {string} encoding - 'hex' (default), 'base64', 'base64url' or 'bytes'.
+ * @return {string|Uint8Array} The encoded value.
+ */
+function encodeBytes(bytes, encoding = 'hex') {
+  switch (encoding) {
+    case 'base64':
+      return bytesToBase64(bytes);
+    case 'base64url':
+      return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    case 'bytes':
+      return bytes;
+    case 'hex':
+      return bytesToHex(bytes);
+    default:
+      throw new Error(`Unknown encoding "${encoding}" (use hex, base64, base64url or bytes)`);
+  }
+}
+
+/**
+ * Looks up a hash algorithm.
+ * @param {string} algorithm - e.g. 'sha256' or 'SHA-256'.
+ * @return {string} The WebCrypto name (or 'MD5').
+ */
+function getAlgorithm(algorithm) {
+  const name = ALGORITHMS[String(algorithm).toLowerCase()];
+  if (!name) {
+    throw new Error(`Unsupported algorithm "${algorithm}" (use sha1, sha256, sha512 or md5)`);
+  }
+  return name;
+}
+
+// --- MD5 (RFC 1321) ---
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+/**
+ * Computes an MD5 digest (not available in WebCrypto).
+ * @param {Uint8Array} bytes - The data.
+ * @return {Uint8Array} The 16-byte digest.
+ */
+function md5(bytes) {
+  // Pad to 56 mod 64 bytes, then append the bit length (little-endian)
+  const length = bytes.length;
+  const padded = new Uint8Array(((length + 8) >> 6) * 64 + 64);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, (length * 8) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true);
+
+  let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    let a = a0, b = b0, c = c0, d = d0;
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) { f = (b & c) | (~b & d); g = i; }
+      else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+      else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+      else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+      const sum = (a + f + MD5_CONSTANTS[i] + view.getUint32(offset + g * 4, true)) >>> 0;
+      const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+    }
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const out = new DataView(digest.buffer);
+  [a0, b0, c0, d0].forEach((word, i) => out.setUint32(i * 4, word, true));
+  return digest;
+}
+
+// --- Hashing & HMAC ---
+
+/**
+ * Hashes data.
+ * @param {string} algorithm - 'sha1', 'sha256', 'sha512' or 'md5'.
+ * @param {string|ArrayBuffer|Uint8Array} data - The data (strings as UTF-8).
+ * @param {string} encoding - Output encoding (see encodeBytes).
+ * @return {Promise<string|Uint8Array>} The digest.
+ */
+async function hash(algorithm, data, encoding = 'hex') {
+  const name = getAlgorithm(algorithm);
+  const bytes = name === 'MD5' ? md5(toBytes(data)) : new Uint8Array(await crypto.subtle.digest(name, toBytes(data)));
+  return encodeBytes(bytes, encoding);
+}
+
+/**
+ * Computes an HMAC.
+ * @param {string} algorithm - 'sha1', 'sha256' or 'sha512'.
+ * @param {string|ArrayBuffer|Uint8Array} key - The secret key.
+ * @param {string|ArrayBuffer|Uint8Array} message - The message.
+ * @param {string} encoding - Output encoding (see encodeBytes).
+ * @return {Promise<string|Uint8Array>} The MAC.
+ */
+async function hmac(algorithm, key, message, encoding = 'hex') {
+  const name = getAlgorithm(algorithm);
+  if (name === 'MD5') {
+    throw new Error('HMAC-MD5 is not supported (use sha1, sha256 or sha512)');
+  }
+  const cryptoKey = await crypto.subtle.importKey('raw', toBytes(key), { name: 'HMAC', hash: name }, false, ['sign']);
+  return encodeBytes(new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, toBytes(message))), encoding);
+}
+
+// --- Encodings ---
+
+/**
+ * Base64-encodes text (as UTF-8) or bytes.
+ * @param {string|Uint8Array} data - The data.
+ * @return {string} The Base64 string.
+ */
+function base64Encode(data) {
+  return bytesToBase64(toBytes(data));
+}
+
+/**
+ * Decodes Base64 (or Base64url) to UTF-8 text.
+ * @param {string} text - The encoded text.
+ * @return {string} The decoded text.
+ */
+function base64Decode(text) {
+  return new TextDecoder().decode(base64ToBytes(text));
+}
+
+/**
+ * Base64url-encodes text or bytes without padding (as used in JWTs).
+ * @param {string|Uint8Array} data - The data.
+ * @return {string} The Base64url string.
+ */
+function base64UrlEncode(data) {
+  return encodeBytes(toBytes(data), 'base64url');
+}
+
+/**
+ * Hex-encodes text (as UTF-8) or bytes.
+ * @param {string|Uint8Array} data - The data.
+ * @return {string} The hex string.
+ */
+function hexEncode(data) {
+  return bytesToHex(toBytes(data));
+}
+
+/**
+ * Decodes hex to UTF-8 text.
+ * @param {string} hex - The hex string.
+ * @return {string} The decoded text.
+ */
+function hexDecode(hex) {
+  const pairs = String(hex).replace(/\s+/g, '').match(/.{1,2}/g) || [];
+  return new TextDecoder().decode(Uint8Array.from(pairs, pair => parseInt(pair, 16)));
+}
+
+// --- Random Values ---
+
+/**
+ * Generates a random UUID (version 4).
+ * @return {string} The UUID.
+ */
+function uuid() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytesToHex(bytes);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Generates cryptographically random bytes.
+ * @param {number} length - The number of bytes.
+ * @param {string} encoding - Output encoding (see encodeBytes).
+ * @return {string|Uint8Array} The random bytes.
+ */
+function randomBytes(length, encoding = 'hex') {
+  return encodeBytes(crypto.getRandomValues(new Uint8Array(length)), encoding);
+}
+
+// --- JWT ---
+
+/**
+ * Decodes a JWT without verifying it.
+ * @param {string} token - The JWT ("header.payload.signature").
+ * @return {{header: Object, payload: Object, signature: string}} The decoded parts.
+ */
+function jwtDecode(token) {
+  const parts = String(token).trim().replace(/^Bearer\s+/i, '').split('.');
+  if (parts.length < 2) {
+    throw new Error('Not a JWT (expected header.payload.signature)');
+  }
+  return {
+    header: JSON.parse(base64Decode(parts[0])),
+    payload: JSON.parse(base64Decode(parts[1])),
+    signature: parts[2] || ''
+  };
+}
+
+/**
+ * Creates an HS256-signed JWT.
+ * @param {Object} payload - The claims.
+ * @param {string} secret - The HMAC secret.
+ * @param {Object} header - Extra header fields (optional), e.g. { kid: 'key-1' }.
+ * @return {Promise<string>} The JWT.
+ */
+async function jwtSign(payload, secret, header = {}) {
+  const encodedHeader = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT', ...header }));
+  const encodedPayload = base64UrlEncode(JSON.stringify(payload));
+  const signature = await hmac('sha256', secret, `${encodedHeader}.${encodedPayload}`, 'base64url');
+  return `${encodedHeader}.${encodedPayload}.${signature}`;
+}
+
+// --- Dates ---
+
+/**
+ * Formats a date (in UTC).
+ * Named formats: 'iso' (default), 'unix' (seconds), 'unixMs', 'rfc1123' (HTTP
+ * dates) and 'amz' (20240115T103000Z). Any other format is a pattern with the
+ * tokens YYYY, MM, DD, HH, mm, ss and SSS.
+ * @param {Date|number|string} date - The date (optional, defaults to now).
+ * @param {string} format - The format.
+ * @return {string|number} The formatted date (a number for 'unix' and 'unixMs').
+ */
+function formatDate(date = new Date(), format = 'iso') {
+  const d = date instanceof Date ? date : new Date(date);
+  if (isNaN(d.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  switch (format) {
+    case 'iso':
+      return d.toISOString();
+    case 'unix':
+      return Math.floor(d.getTime() / 1000);
+    case 'unixMs':
+      return d.getTime();
+    case 'rfc1123':
+      return d.toUTCString();
+    case 'amz':
+      return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    default: {
+      const pad = (value, length = 2) => String(value).padStart(length, '0');
+      const tokens = {
+        YYYY: d.getUTCFullYear(),
+        MM: pad(d.getUTCMonth() + 1),
+        DD: pad(d.getUTCDate()),
+        HH: pad(d.getUTCHours()),
+        mm: pad(d.getUTCMinutes()),
+        ss: pad(d.getUTCSeconds()),
+        SSS: pad(d.getUTCMilliseconds(), 3)
+      };
+      return format.replace(/YYYY|MM|DD|HH|mm|SSS|ss/g, token => tokens[token]);
+    }
+  }
+}
+
+// The object passed to scripts as `utils`
+const utils = Object.freeze({
+  hash,
+  sha1: (data, encoding) => hash('sha1', data, encoding),
+  sha256: (data, encoding) => hash('sha256', data, encoding),
+  sha512: (data, encoding) => hash('sha512', data, encoding),
+  md5: (data, encoding) => hash('md5', data, encoding),
+  hmac,
+  hmacSha1: (key, message, encoding) => hmac('sha1', key, message, encoding),
+  hmacSha256: (key, message, encoding) => hmac('sha256', key, message, encoding),
+  hmacSha512: (key, message, encoding) => hmac('sha512', key, message, encoding),
+  base64Encode,
+  base64Decode,
+  base64UrlEncode,
+  base64UrlDecode: base64Decode, // base64Decode accepts both alphabets
+  hexEncode,
+  hexDecode,
+  urlEncode: (text) => encodeURIComponent(text),
+  urlDecode: (text) => decodeURIComponent(String(text).replace(/\+/g, ' ')),
+  uuid,
+  randomBytes,
+  jwtDecode,
+  jwtSign,
+  formatDate
+});
+
+/**
+ * Public interface for the scriptutils module.
+ */
+export {
+  utils
+};
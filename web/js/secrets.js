@@ -0,0 +1,413 @@
+/**
+ * @fileoverview Secret variables: their values are encrypted at rest (AES-GCM)
+ * and masked wherever requests and scripts are displayed. The key is derived
+ * from a passphrase (PBKDF2) in the browser; the desktop app keeps a random key
+ * in the OS keychain instead. Until the secrets are unlocked, secret variables
+ * have no value and their {{tags}} stay unresolved. OAuth 2.0 tokens are
+ * encrypted with the same key; until it is available they are kept in memory only.
+ * So are credentials typed into the auth of saved requests and groups.
+ */
+
+import {
+  getSecretKeys,
+  setSecretValuesHandler,
+  getEncryptedSecrets,
+  saveEncryptedSecrets,
+  getOAuthTokens,
+  restoreOAuthTokens,
+  setOAuthTokensHandler,
+  getEncryptedOAuthTokens,
+  saveEncryptedOAuthTokens,
+  restoreCredentials,
+  setCredentialsHandler,
+  getEncryptedCredentials,
+  saveEncryptedCredentials
+} from './storage.js';
+import { getVariableStore, getVariableScopes, formatVariableValue } from './variable.js';
+import { utils } from './scriptutils.js';
+
+const PBKDF2_ITERATIONS = 600000;
+const KEYCHAIN_ACCOUNT = 'secret-variables-key';
+const MASK = '••••••';
+
+// Set once unlocked; null while the secrets are locked
+let encryptionKey = null;
+let keySource = null; // 'passphrase' or 'keychain'
+let salt = null;
+
+// Saves are encrypted one after another so an older save cannot overwrite a newer one
+let pendingSave = Promise.resolve();
+
+// Secret values set while locked, by group; saved along with the stored ones on unlock
+let pendingValues = {};
+
+// --- Encryption ---
+
+/**
+ * Derives the AES key from a passphrase.
+ * @param {string} passphrase - The passphrase.
+ * @param {Uint8Array} saltBytes - The salt stored with the secrets.
+ * @return {Promise<CryptoKey>} The key.
+ */
+async function deriveKey(passphrase, saltBytes) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: saltBytes, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Decrypts the stored secret values.
+ * @param {Object} encrypted - The stored { iv, data } (Base64).
+ * @param {CryptoKey} key - The key.
+ * @return {Promise<Object>} The secret values by group.
+ * @throws {Error} If the key is wrong or the data was modified.
+ */
+async function decryptSecrets(encrypted, key) {
+  const toBytes = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: toBytes(encrypted.iv) }, key, toBytes(encrypted.data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch (error) {
+    throw new Error(encrypted.keySource === 'keychain'
+      ? 'The secrets cannot be decrypted with the key in the OS keychain.'
+      : 'Wrong passphrase.');
+  }
+}
+
+/**
+ * Encrypts a value as JSON.
+ * @param {*} value - The value.
+ * @param {CryptoKey} key - The key.
+ * @return {Promise<{iv: string, data: string}>} The IV and the encrypted data (Base64).
+ */
+async function encryptJson(value, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: utils.base64Encode(iv), data: utils.base64Encode(new Uint8Array(data)) };
+}
+
+/**
+ * Encrypts and stores the secret values (registered as the storage handler).
+ * While locked, the store only holds values set since, so they are kept
+ * until the secrets are unlocked (see unlockWith) and then saved.
+ * @param {Object} secretValues - The secret values by group.
+ */
+function saveSecretValues(secretValues) {
+  if (!encryptionKey) {
+    pendingValues = secretValues;
+    return;
+  }
+  const key = encryptionKey;
+  pendingSave = pendingSave.then(async () => {
+    const { iv, data } = await encryptJson(secretValues, key);
+    saveEncryptedSecrets({
+      version: 1,
+      keySource: keySource,
+      salt: salt ? utils.base64Encode(salt) : null,
+      iv: iv,
+      data: data
+    });
+  }).catch(error => console.error('Error encrypting secrets', error));
+}
+
+/**
+ * Encrypts and stores the OAuth 2.0 tokens (registered as the storage handler).
+ * Ignored while locked: the tokens are then kept in memory only.
+ * @param {Object} tokens - The tokens by variable group.
+ */
+function saveOAuthTokens(tokens) {
+  if (!encryptionKey) return;
+  const key = encryptionKey;
+  pendingSave = pendingSave.then(async () => {
+    saveEncryptedOAuthTokens({ version: 1, ...await encryptJson(tokens, key) });
+  }).catch(error => console.error('Error encrypting OAuth tokens', error));
+}
+
+/**
+ * Adds the stored OAuth 2.0 tokens to those in memory once a key is available,
+ * then stores them all encrypted (including tokens obtained while locked).
+ * @param {CryptoKey} key - The key.
+ * @return {Promise<void>}
+ */
+async function restoreOAuthTokensWithKey(key) {
+  const encrypted = getEncryptedOAuthTokens();
+  if (encrypted) {
+    try {
+      restoreOAuthTokens(await decryptSecrets(encrypted, key));
+    } catch (error) {
+      console.error('The stored OAuth tokens cannot be decrypted; new tokens are requested when needed', error);
+    }
+  }
+  saveOAuthTokens(getOAuthTokens());
+}
+
+/**
+ * Encrypts and stores the auth credentials of requests and request groups
+ * (registered as the storage handler).
+ * @param {Object} credentials - The credentials (see getCredentials in storage.js).
+ * @return {boolean} False while locked: storage then keeps them where they were.
+ */
+function saveCredentials(credentials) {
+  if (!encryptionKey) return false;
+  const key = encryptionKey;
+  pendingSave = pendingSave.then(async () => {
+    saveEncryptedCredentials({ version: 1, ...await encryptJson(credentials, key) });
+  }).catch(error => console.error('Error encrypting credentials', error));
+  return true;
+}
+
+/**
+ * Adds the stored credentials to those in memory once a key is available,
+ * then stores them all encrypted (including any still kept in clear text).
+ * @param {CryptoKey} key - The key.
+ * @return {Promise<void>}
+ */
+async function restoreCredentialsWithKey(key) {
+  const encrypted = getEncryptedCredentials();
+  let stored = {};
+  if (encrypted) {
+    try {
+      stored = await decryptSecrets(encrypted, key);
+    } catch (error) {
+      console.error('The stored credentials cannot be decrypted', error);
+      return;
+    }
+  }
+  restoreCredentials(stored);
+}
+
+/**
+ * Adds the values set while locked to the decrypted ones; they are newer.
+ * @param {Object} stored - The decrypted secret values by group.
+ * @param {Object} pending - The values set while locked, by group.
+ * @return {Object} The secret values by group.
+ */
+function mergeSecretValues(stored, pending) {
+  const merged = { ...stored };
+  Object.entries(pending).forEach(([groupName, vars]) => {
+    merged[groupName] = { ...merged[groupName], ...vars };
+  });
+  return merged;
+}
+
+/**
+ * Starts using a key: restores the secret values, OAuth tokens and credentials, and saves
+ * values set while locked (or an empty store the first time).
+ * @param {CryptoKey} key - The key.
+ * @param {Object|null} secretValues - The decrypted secret values, or null if none were stored.
+ * @return {Promise<void>}
+ */
+async function unlockWith(key, secretValues) {
+  encryptionKey = key;
+  const merged = mergeSecretValues(secretValues || {}, pendingValues);
+  restoreSecretValues(merged);
+  if (!secretValues || Object.keys(pendingValues).length > 0) saveSecretValues(merged);
+  pendingValues = {};
+  await restoreOAuthTokensWithKey(key);
+  await restoreCredentialsWithKey(key);
+}
+
+/**
+ * Adds decrypted secret values to the variable store.
+ * @param {Object} secretValues - The secret values by group.
+ */
+function restoreSecretValues(secretValues) {
+  const store = getVariableStore();
+  Object.entries(secretValues).forEach(([groupName, vars]) => {
+    const secretKeys = getSecretKeys(groupName);
+    Object.entries(vars).forEach(([key, value]) => {
+      if (!secretKeys.includes(key)) return; // No longer secret (or deleted) since it was saved
+      if (!store[groupName]) store[groupName] = {};
+      store[groupName][key] = value;
+    });
+  });
+}
+
+// --- Locking ---
+
+/**
+ * Whether secrets were saved and must be unlocked before they can be used.
+ * @return {boolean} True while locked.
+ */
+function isSecretsLocked() {
+  return !encryptionKey && getEncryptedSecrets() !== null;
+}
+
+/**
+ * Whether a key is available, so secret values can be read and saved.
+ * @return {boolean} True once unlocked (or once a passphrase was chosen).
+ */
+function isSecretsUnlocked() {
+  return encryptionKey !== null;
+}
+
+/**
+ * Whether the secrets use a passphrase (rather than the OS keychain).
+ * @return {boolean} True for the browser, or for secrets first saved there.
+ */
+function usesPassphrase() {
+  const encrypted = getEncryptedSecrets();
+  return encrypted ? encrypted.keySource !== 'keychain' : !window.__TAURI__;
+}
+
+/**
+ * Unlocks the secrets with a passphrase; the first call chooses the passphrase.
+ * @param {string} passphrase - The passphrase.
+ * @return {Promise<void>}
+ * @throws {Error} If the passphrase is wrong.
+ */
+async function unlockWithPassphrase(passphrase) {
+  const encrypted = getEncryptedSecrets();
+  const saltBytes = encrypted && encrypted.salt
+    ? Uint8Array.from(atob(encrypted.salt), c => c.charCodeAt(0))
+    : crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, saltBytes);
+  const secretValues = encrypted ? await decryptSecrets(encrypted, key) : null;
+
+  keySource = 'passphrase';
+  salt = saltBytes;
+  await unlockWith(key, secretValues);
+}
+
+/**
+ * Unlocks the secrets with the key kept in the OS keychain (desktop app only),
+ * creating the key on first use.
+ * @return {Promise<boolean>} False if the secrets use a passphrase instead.
+ * @throws {Error} If the keychain cannot be used or its key does not match.
+ */
+async function unlockWithKeychain() {
+  if (!window.__TAURI__ || usesPassphrase()) return false;
+  const { invoke } = window.__TAURI__.core;
+  const encrypted = getEncryptedSecrets();
+
+  let rawKey = await invoke('keychain_get', { account: KEYCHAIN_ACCOUNT });
+  if (!rawKey) {
+    if (encrypted) {
+      throw new Error('The key for the secret variables is missing from the OS keychain.');
+    }
+    rawKey = utils.randomBytes(32, 'base64');
+    await invoke('keychain_set', { account: KEYCHAIN_ACCOUNT, secret: rawKey });
+  }
+  const key = await crypto.subtle.importKey('raw', Uint8Array.from(atob(rawKey), c => c.charCodeAt(0)), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  const secretValues = encrypted ? await decryptSecrets(encrypted, key) : null;
+
+  keySource = 'keychain';
+  salt = null;
+  await unlockWith(key, secretValues);
+  return true;
+}
+
+/**
+ * Registers secret persistence with the storage module and, in the desktop
+ * app, unlocks the secrets from the OS keychain.
+ * @return {Promise<void>} Resolves once done; keychain errors are logged.
+ */
+async function initSecrets() {
+  setSecretValuesHandler(saveSecretValues);
+  setOAuthTokensHandler(saveOAuthTokens);
+  setCredentialsHandler(saveCredentials);
+  try {
+    await unlockWithKeychain();
+  } catch (error) {
+    console.error('Error unlocking secrets from the OS keychain', error);
+  }
+}
+
+// --- Masking ---
+
+/**
+ * Whether a variable is secret in any variable group.
+ * @param {string} key - The variable name.
+ * @return {boolean} True if secret.
+ */
+function isSecretVariable(key) {
+  return Object.keys(getVariableStore()).some(groupName => getSecretKeys(groupName).includes(key));
+}
+
+/**
+ * Lists the known secret values, longest first so longer values are masked whole.
+ * @return {Array<{key: string, value: string}>} The secrets.
+ */
+function getSecretValues() {
+  const store = getVariableStore();
+  const secrets = [];
+  Object.keys(store).forEach(groupName => {
+    getSecretKeys(groupName).forEach(key => {
+      if (store[groupName][key] === undefined) return;
+      // As inserted by templates; very short values would mask unrelated text
+      const value = formatVariableValue(store[groupName][key]);
+      if (value.length >= 3) secrets.push({ key, value });
+    });
+  });
+  // Request, data-file and temporary variables named like a secret variable are secret too
+  getVariableScopes().filter(scope => scope.scope !== 'group').forEach(scope => {
+    Object.entries(scope.variables).forEach(([key, rawValue]) => {
+      if (!isSecretVariable(key)) return;
+      const value = formatVariableValue(rawValue);
+      if (value.length >= 3) secrets.push({ key, value });
+    });
+  });
+  return secrets.sort((a, b) => b.value.length - a.value.length);
+}
+
+/**
+ * Masks the values of secret variables in a text.
+ * Basic Authorization credentials are decoded and masked as well.
+ * @param {string} text - The text.
+ * @param {function(string): string} replacement - Gives the replacement for a
+ *   variable name (optional; defaults to a mask, e.g. use `{{${key}}}` for code).
+ * @return {string} The masked text.
+ */
+function redactSecrets(text, replacement = () => MASK) {
+  if (!text) return text;
+  const secrets = getSecretValues();
+  if (secrets.length === 0) return text;
+
+  const redact = (value) => secrets.reduce((result, secret) => result.split(secret.value).join(replacement(secret.key)), value);
+  return redact(String(text)).replace(/Basic ([A-Za-z0-9+/]+=*)/g, (match, encoded) => {
+    let decoded;
+    try {
+      decoded = utils.base64Decode(encoded);
+    } catch (error) {
+      return match;
+    }
+    const masked = redact(decoded);
+    return masked === decoded ? match : `Basic <${masked}>`;
+  });
+}
+
+/**
+ * Masks the given values in a text, e.g. those read by {{$env NAME}} (see
+ * getEnvironmentValues in dynamicvars.js). Very short values are left as they are.
+ * @param {string} text - The text.
+ * @param {Array<string>} values - The values to mask.
+ * @return {string} The masked text.
+ */
+function redactValues(text, values) {
+  if (!text) return text;
+  return values
+    .filter(value => value.length >= 3)
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, value) => result.split(value).join(MASK), String(text));
+}
+
+/**
+ * Public interface for the secrets module.
+ */
+export {
+  MASK,
+  initSecrets,
+  isSecretsLocked,
+  isSecretsUnlocked,
+  usesPassphrase,
+  unlockWithPassphrase,
+  unlockWithKeychain,
+  isSecretVariable,
+  redactSecrets,
+  redactValues
+};
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview AWS Signature Version 4 request signing (the "awsv4" auth type).
+ * Signs the final URL, headers and body with WebCrypto and returns the
+ * canonical request and string to sign for debugging signature mismatches.
+ */
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+// --- Crypto Helpers ---
+
+/**
+ * Converts bytes to lowercase hex.
+ * @param {ArrayBuffer|Uint8Array} buffer - The bytes.
+ * @return {string} The hex string.
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 of a string or bytes, as hex.
+ * @param {string|Uint8Array} data - The data.
+ * @return {Promise<string>} The hex digest.
+ */
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * HMAC-SHA256.
+ * @param {string|ArrayBuffer} key - The key (a string for the first step of the key derivation).
+ * @param {string} message - The message.
+ * @return {Promise<ArrayBuffer>} The MAC.
+ */
+async function hmac(key, message) {
+  const keyBytes = typeof key === 'string' ? new TextEncoder().encode(key) : key;
+  const cryptoKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(message));
+}
+
+// --- Canonical Request ---
+
+/**
+ * URI-encodes a string as SigV4 requires (RFC 3986 unreserved characters only).
+ * @param {string} text - The text.
+ * @return {string} The encoded text.
+ */
+function encodeRfc3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Decodes a URI component; malformed escapes are kept as they are.
+ * @param {string} text - The encoded text.
+ * @return {string} The decoded text.
+ */
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Builds the canonical URI: each path segment encoded once for S3, twice for other services.
+ * @param {string} pathname - The URL path (as sent, percent-encoded).
+ * @param {string} service - The service name.
+ * @return {string} The canonical URI.
+ */
+function canonicalUri(pathname, service) {
+  const segments = (pathname || '/').split('/').map(segment => {
+    const encoded = encodeRfc3986(safeDecode(segment));
+    return service === 's3' ? encoded : encodeRfc3986(encoded);
+  });
+  return segments.join('/') || '/';
+}
+
+/**
+ * Builds the canonical query string: encoded parameters sorted by name, then value.
+ * @param {string} search - The URL query ("?a=1&b=2" or "").
+ * @return {string} The canonical query string.
+ */
+function canonicalQuery(search) {
+  return search.replace(/^\?/, '').split('&').filter(Boolean)
+    .map(pair => {
+      const equals = pair.indexOf('=');
+      const key = equals === -1 ? pair : pair.slice(0, equals);
+      const value = equals === -1 ? '' : pair.slice(equals + 1);
+      return [encodeRfc3986(safeDecode(key)), encodeRfc3986(safeDecode(value))];
+    })
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0) : (a[0] < b[0] ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+/**
+ * Turns the fetch body into the exact bytes that are sent.
+ * Multipart bodies are serialised here so that their boundary is known.
+ * @param {*} body - The fetch body (string, FormData or null).
+ * @return {Promise<{body: *, bytes: Uint8Array, contentType: string|null}>} The body to send,
+ *   its bytes and, for serialised multipart bodies, the Content-Type with the boundary.
+ */
+async function toPayload(body) {
+  if (body === null || body === undefined) {
+    return { body, bytes: new Uint8Array(0), contentType: null };
+  }
+  if (typeof body === 'string') {
+    return { body, bytes: new TextEncoder().encode(body), contentType: null };
+  }
+  const serialized = new Response(body);
+  const bytes = new Uint8Array(await serialized.arrayBuffer());
+  return { body: bytes, bytes, contentType: serialized.headers.get('content-type') };
+}
+
+// --- Signing ---
+
+/**
+ * Signs a request with AWS Signature Version 4.
+ * @param {Object} request - The final request.
+ * @param {string} request.method - The HTTP method.
+ * @param {string} request.url - The fully templated URL.
+ * @param {Object} request.headers - Header map; the signing headers are added in place.
+ * @param {*} request.body - The fetch body (string, FormData or null).
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken, region, service }
+ * @param {Date} date - The signing time (optional, defaults to now).
+ * @return {Promise<Object>} { body, canonicalRequest, stringToSign, signature }, where body is
+ *   what must be sent (multipart bodies are replaced by their serialised bytes).
+ * @throws {Error} If a required credential is missing.
+ */
+async function signRequest(request, credentials, date = new Date()) {
+  const { accessKeyId, secretAccessKey, sessionToken, region, service } = credentials;
+  const missing = ['accessKeyId', 'secretAccessKey', 'region', 'service'].filter(field => !credentials[field]);
+  if (missing.length > 0) {
+    throw new Error(`AWS Signature: ${missing.join(', ')} not set.`);
+  }
+
+  const url = new URL(request.url);
+  const headers = request.headers;
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); // 20240115T103000Z
+  const dateStamp = amzDate.slice(0, 8);
+
+  const payload = await toPayload(request.body);
+  const payloadHash = await sha256Hex(payload.bytes);
+
+  // Headers added by signing replace any set by hand (case-insensitively)
+  const setHeader = (name, value) => {
+    Object.keys(headers).filter(key => key.toLowerCase() === name.toLowerCase()).forEach(key => delete headers[key]);
+    headers[name] = value;
+  };
+  if (payload.contentType) setHeader('Content-Type', payload.contentType);
+  setHeader('X-Amz-Date', amzDate);
+  if (sessionToken) setHeader('X-Amz-Security-Token', sessionToken);
+  if (service === 's3') setHeader('X-Amz-Content-Sha256', payloadHash);
+
+  // Every header that is sent is signed, plus Host (which fetch sets)
+  const canonical = { host: url.host };
+  Object.entries(headers).forEach(([name, value]) => {
+    const key = name.toLowerCase().trim();
+    if (key === 'authorization') return;
+    canonical[key] = String(value).trim().replace(/\s+/g, ' ');
+  });
+  const signedHeaderNames = Object.keys(canonical).sort();
+  const signedHeaders = signedHeaderNames.join(';');
+
+  const canonicalRequest = [
+    request.method.toUpperCase(),
+    canonicalUri(url.pathname, service),
+    canonicalQuery(url.search),
+    signedHeaderNames.map(name => `${name}:${canonical[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, credentialScope, await sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = await hmac(await hmac(await hmac(await hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+  const signature = toHex(await hmac(signingKey, stringToSign));
+
+  setHeader('Authorization', `${ALGORITHM} Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`);
+  return { body: payload.body, canonicalRequest, stringToSign, signature };
+}
+
+/**
+ * Public interface for the sigv4 module.
+ */
+export {
+  signRequest
+};
@@ -3,6 +3,8 @@
  * Includes methods for loading and saving variables, requests, and scripts.
  */
 
+import { redactAuth } from './auth.js';
+
 // --- Constants ---
 
 const STORAGE_KEYS = {
@@ -11,11 +13,20 @@ const STORAGE_KEYS = {
   SCRIPTS: 'restClient.scripts',
   ACTIVE_GROUPS: 'restClient.activeGroups',
   GROUP_NAMES: 'restClient.groupNames', // Store all group names (including empty ones)
+  HISTORY: 'restClient.history', // Executed requests, newest first
+  GROUP_SETTINGS: 'restClient.groupSettings', // Per-group settings: { type: { groupName: {...} } }
+  OAUTH_TOKENS: 'restClient.oauthTokens', // OAuth 2.0 tokens, encrypted like SECRETS: { version, iv, data }
+  SECRETS: 'restClient.secrets', // Encrypted values of secret variables (see secrets.js)
+  CREDENTIALS: 'restClient.credentials', // Credentials typed into request and group auth, encrypted like SECRETS
 };
 
 // Default group name
 const DEFAULT_GROUP = 'global';
 
+// History limits (keeps localStorage well below its quota)
+const MAX_HISTORY_ENTRIES = 200;
+const MAX_HISTORY_BODY_LENGTH = 100000;
+
 // --- Request and Script Collection Management Helper ---
 
 /**
@@ -41,7 +52,8 @@ function loadCollection(key) {
  */
 function saveCollection(key, collection) {
   try {
-    const jsonString = JSON.stringify(collection);
+    const stored = key === STORAGE_KEYS.REQUESTS ? storeRequestCredentials(collection) : collection;
+    const jsonString = JSON.stringify(stored);
     localStorage.setItem(key, jsonString);
     console.log(`Collection for key ${key} saved.`);
   } catch (error) {
@@ -52,14 +64,23 @@ function saveCollection(key, collection) {
 
 // --- Variable Store Management ---\
 
+// Receives the values of secret variables on each save (registered by secrets.js)
+let secretValuesHandler = null;
+
 /**
  * Saves the current state of the global variable store to localStorage.
+ * Values of secret variables are not written in clear text; they are passed to
+ * the handler registered with setSecretValuesHandler, which encrypts them.
  * @param {Object} variableStore - The key-value map of global variables.
  */
 function saveVariableStore(variableStore) {
   try {
-    const jsonString = JSON.stringify(variableStore);
+    const { plain, secrets } = splitSecretValues(variableStore);
+    const jsonString = JSON.stringify(plain);
     localStorage.setItem(STORAGE_KEYS.VARIABLES, jsonString);
+    if (secretValuesHandler) {
+      secretValuesHandler(secrets);
+    }
     console.log('Variables saved successfully.');
   } catch (error) {
     console.error('Error saving variables:', error);
@@ -69,6 +90,8 @@ function saveVariableStore(variableStore) {
 /**
  * Loads the variable store from localStorage.
  * Now returns an object with variables grouped by group name.
+ * Values keep their JSON type (string, number, boolean, object/array); stores
+ * saved before variables were typed only hold strings and load as string variables.
  * @return {Object} The loaded variable store with structure { groupName: { varKey: varValue } }
  */
 function loadVariableStore() {
@@ -111,6 +134,7 @@ function getAllRequests() {
   const requests = loadCollection(STORAGE_KEYS.REQUESTS);
   return requests.map(r => ({
     ...r,
+    ...(r.auth ? { auth: withCredentials(r.auth, credentials.requests[r.id]) } : {}),
     group: r.group || DEFAULT_GROUP
   }));
 }
@@ -175,27 +199,185 @@ function saveScript(scriptObject) {
   return scriptObject;
 }
 
+// --- Request History ---
+
+/**
+ * Retrieves all recorded history entries, newest first.
+ * @return {Array<Object>} The list of history entries.
+ */
+function getHistory() {
+  return loadCollection(STORAGE_KEYS.HISTORY);
+}
+
+/**
+ * Truncates a body so a single large response cannot fill localStorage.
+ * @param {*} body - The request or response body (string, object or null).
+ * @return {*} The body unchanged, or a truncated string if it is too large.
+ */
+function limitHistoryBody(body) {
+  if (body === null || body === undefined) {
+    return body;
+  }
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  if (text.length <= MAX_HISTORY_BODY_LENGTH) {
+    return body;
+  }
+  return `${text.slice(0, MAX_HISTORY_BODY_LENGTH)}\n... [truncated ${text.length - MAX_HISTORY_BODY_LENGTH} characters]`;
+}
+
+/**
+ * Records an executed request at the top of the history.
+ * Oldest entries are dropped once MAX_HISTORY_ENTRIES is reached.
+ * @param {Object} entry - The history entry to record.
+ * @return {Object} The recorded entry (with an ID).
+ */
+function addHistoryEntry(entry) {
+  const history = getHistory();
+
+  const recorded = {
+    ...entry,
+    id: entry.id || `hist-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: entry.timestamp || new Date().toISOString(),
+    body: limitHistoryBody(entry.body),
+    responseBody: limitHistoryBody(entry.responseBody)
+  };
+
+  history.unshift(recorded);
+  saveCollection(STORAGE_KEYS.HISTORY, history.slice(0, MAX_HISTORY_ENTRIES));
+  return recorded;
+}
+
+/**
+ * Removes a single entry from the history.
+ * @param {string} id - The ID of the history entry.
+ */
+function deleteHistoryEntry(id) {
+  saveCollection(STORAGE_KEYS.HISTORY, getHistory().filter(h => h.id !== id));
+}
+
+/**
+ * Removes all history entries.
+ */
+function clearHistory() {
+  saveCollection(STORAGE_KEYS.HISTORY, []);
+}
+
+/**
+ * Checks a status code against a status filter.
+ * Supports exact codes ("404"), classes ("2xx", "5xx") and "error" for network failures.
+ * @param {number|string} status - The recorded status code.
+ * @param {string} filter - The status filter.
+ * @return {boolean} True if the status matches.
+ */
+function matchesStatusFilter(status, filter) {
+  const normalized = filter.trim().toLowerCase();
+  if (normalized === 'error') {
+    return typeof status !== 'number';
+  }
+  if (/^[1-5]xx$/.test(normalized)) {
+    return typeof status === 'number' && Math.floor(status / 100) === Number(normalized[0]);
+  }
+  return String(status) === normalized;
+}
+
+/**
+ * Searches the history.
+ * @param {Object} filters - Search filters; empty values are ignored.
+ * @param {string} filters.text - Substring matched against the processed URL.
+ * @param {string} filters.method - HTTP method.
+ * @param {string} filters.status - Status filter (see matchesStatusFilter).
+ * @param {string} filters.from - Start date (YYYY-MM-DD, inclusive).
+ * @param {string} filters.to - End date (YYYY-MM-DD, inclusive).
+ * @return {Array<Object>} Matching history entries, newest first.
+ */
+function searchHistory(filters = {}) {
+  const text = (filters.text || '').trim().toLowerCase();
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+
+  return getHistory().filter(h => {
+    const time = new Date(h.timestamp).getTime();
+    if (text && !(h.url || '').toLowerCase().includes(text)) return false;
+    if (filters.method && h.method !== filters.method) return false;
+    if (filters.status && !matchesStatusFilter(h.status, filters.status)) return false;
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+    return true;
+  });
+}
+
 // --- Export/Import API ---\
 
 /**
  * Creates a downloadable JSON file containing all client data (variables, requests, scripts).
+ * Secret variables are exported as {{$dotenv KEY}} placeholders, and credentials
+ * typed into a request's auth are left out (see redactAuth in auth.js).
  * @param {Object} variableStore - The current variable store.
  * @param {Array<Object>} requests - The list of all saved requests.
  * @param {Array<Object>} scripts - The list of all saved scripts.
  */
 async function exportAllData(variableStore, requests, scripts) {
+  // Secret values are never exported: they become {{$dotenv KEY}} placeholders
+  const { plain } = splitSecretValues(variableStore);
+  const secretVariables = {};
+  Object.keys(plain).forEach(groupName => {
+    const secretKeys = getSecretKeys(groupName);
+    if (secretKeys.length === 0) return;
+    secretKeys.forEach(key => { plain[groupName][key] = `{{$dotenv ${key}}}`; });
+    secretVariables[groupName] = secretKeys;
+  });
+
+  // Request variables named like a secret variable hold a secret as well
+  const allSecretKeys = Object.values(secretVariables).flat();
+  const exportedRequests = requests.map(request => {
+    const exported = { ...request };
+    if (request.auth) exported.auth = redactAuth(request.auth).auth;
+    if (request.variables) {
+      exported.variables = request.variables.map(v => (allSecretKeys.includes(v.key) ? { ...v, value: `{{$dotenv ${v.key}}}` } : v));
+    }
+    return exported;
+  });
+
+  const variableParents = {};
+  Object.keys(plain).forEach(groupName => {
+    const parent = getParentGroup(groupName);
+    if (parent) variableParents[groupName] = parent;
+  });
+
+  // Request group auth, data file and timeout
+  const requestGroupSettings = {};
+  new Set([...getAllGroups('requests'), ...requests.map(r => r.group)]).forEach(groupName => {
+    const { auth, dataFile, timeout } = getGroupSettings('requests', groupName);
+    const settings = { auth: auth ? redactAuth(auth).auth : undefined, dataFile, timeout };
+    if (auth || dataFile || timeout) requestGroupSettings[groupName] = settings;
+  });
+
   const exportData = {
     metadata: {
       version: '1.0',
       exportedAt: new Date().toISOString(),
+      secretVariables: secretVariables, // Re-flagged as secret on import
+      variableParents: variableParents, // Restored on import
+      requestGroupSettings: requestGroupSettings, // Restored on import
     },
-    variables: variableStore,
-    requests: requests,
+    variables: plain,
+    requests: exportedRequests,
     scripts: scripts,
   };
 
   const jsonString = JSON.stringify(exportData, null, 2);
-  
+  await saveTextFile(jsonString, `rest-client-export-${Date.now()}.json`, 'JSON', 'application/json');
+}
+
+/**
+ * Saves text to a file chosen by the user.
+ * Uses the Tauri save dialog in the desktop app, otherwise a browser download.
+ * @param {string} content - The file content.
+ * @param {string} fileName - The default file name (its extension is used as the dialog filter).
+ * @param {string} filterName - The dialog filter label, e.g. 'JSON' or 'CSV'.
+ * @param {string} mimeType - The MIME type for the browser download.
+ */
+async function saveTextFile(content, fileName, filterName, mimeType) {
   try {
     // Check if we're running in Tauri
     if (window.__TAURI__) {
@@ -205,27 +387,27 @@ async function exportAllData(variableStore, requests, scripts) {
       
       // Show save dialog
       const filePath = await save({
-        defaultPath: `rest-client-export-${Date.now()}.json`,
+        defaultPath: fileName,
         filters: [{
-          name: 'JSON',
-          extensions: ['json']
+          name: filterName,
+          extensions: [fileName.split('.').pop()]
         }]
       });
       
       if (filePath) {
         // Write the file
-        await writeTextFile(filePath, jsonString);
+        await writeTextFile(filePath, content);
         alert('Export completed successfully!');
       } else {
         console.log('Export cancelled by user');
       }
     } else {
       // Browser fallback (standard download)
-      const blob = new Blob([jsonString], { type: 'application/json' });
+      const blob = new Blob([content], { type: mimeType });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `rest-client-export-${Date.now()}.json`;
+      a.download = fileName;
       
       document.body.appendChild(a);
       a.click();
@@ -373,6 +555,358 @@ function getAllGroups(type) {
   return Array.from(groups).sort();
 }
 
+// --- Group Settings ---
+
+/**
+ * Gets the settings stored for a group (e.g. an attached data file).
+ * @param {string} type - One of 'variables', 'requests', 'scripts'
+ * @param {string} groupName - The group name
+ * @return {Object} The group's settings, or an empty object.
+ */
+function getGroupSettings(type, groupName) {
+  try {
+    const jsonString = localStorage.getItem(STORAGE_KEYS.GROUP_SETTINGS);
+    const data = jsonString ? JSON.parse(jsonString) : {};
+    const settings = (data[type] && data[type][groupName]) || {};
+    return type === 'requests' && settings.auth
+      ? { ...settings, auth: withCredentials(settings.auth, credentials.groups[groupName]) }
+      : settings;
+  } catch (error) {
+    console.error('Error loading group settings', error);
+    return {};
+  }
+}
+
+/**
+ * Merges settings into a group's stored settings.
+ * Keys set to undefined are removed.
+ * @param {string} type - One of 'variables', 'requests', 'scripts'
+ * @param {string} groupName - The group name
+ * @param {Object} settings - The settings to merge.
+ */
+function saveGroupSettings(type, groupName, settings) {
+  try {
+    const jsonString = localStorage.getItem(STORAGE_KEYS.GROUP_SETTINGS);
+    const data = jsonString ? JSON.parse(jsonString) : {};
+    if (!data[type]) data[type] = {};
+    const merged = { ...(data[type][groupName] || {}), ...settings };
+    if (type === 'requests' && 'auth' in settings) {
+      merged.auth = storeGroupCredentials(groupName, merged.auth);
+    }
+    Object.keys(merged).forEach(key => {
+      if (merged[key] === undefined) delete merged[key];
+    });
+    data[type][groupName] = merged;
+    localStorage.setItem(STORAGE_KEYS.GROUP_SETTINGS, JSON.stringify(data));
+  } catch (error) {
+    console.error('Error saving group settings', error);
+  }
+}
+
+// --- OAuth Tokens ---
+
+// OAuth 2.0 tokens by variable group, then by token key (see oauth.js). They
+// are kept in memory and only written encrypted, by the handler registered
+// with setOAuthTokensHandler (see secrets.js).
+let oauthTokens = {};
+let oauthTokensHandler = null;
+
+/**
+ * Gets all OAuth 2.0 tokens.
+ * @return {Object} Tokens by variable group, then by token key (see oauth.js).
+ */
+function getOAuthTokens() {
+  return oauthTokens;
+}
+
+/**
+ * Stores (or, with a null token, removes) an OAuth 2.0 token of a variable group.
+ * @param {string} groupName - The variable group the token was obtained for.
+ * @param {string} tokenKey - Identifies the token configuration (see oauth.js).
+ * @param {Object|null} token - The token.
+ */
+function saveOAuthToken(groupName, tokenKey, token) {
+  if (!oauthTokens[groupName]) oauthTokens[groupName] = {};
+  if (token) {
+    oauthTokens[groupName][tokenKey] = token;
+  } else {
+    delete oauthTokens[groupName][tokenKey];
+    if (Object.keys(oauthTokens[groupName]).length === 0) delete oauthTokens[groupName];
+  }
+  if (oauthTokensHandler) {
+    oauthTokensHandler(oauthTokens);
+  }
+}
+
+/**
+ * Adds decrypted tokens to those in memory; tokens obtained since win.
+ * @param {Object} tokens - Tokens by variable group, then by token key.
+ */
+function restoreOAuthTokens(tokens) {
+  Object.entries(tokens).forEach(([groupName, groupTokens]) => {
+    oauthTokens[groupName] = { ...groupTokens, ...oauthTokens[groupName] };
+  });
+}
+
+/**
+ * Registers the function that persists the tokens on each saveOAuthToken.
+ * @param {function(Object)} handler - Receives the tokens by variable group.
+ */
+function setOAuthTokensHandler(handler) {
+  oauthTokensHandler = handler;
+}
+
+/**
+ * Gets the encrypted OAuth 2.0 tokens.
+ * @return {Object|null} { version, iv, data } or null if none are stored.
+ */
+function getEncryptedOAuthTokens() {
+  try {
+    const jsonString = localStorage.getItem(STORAGE_KEYS.OAUTH_TOKENS);
+    const encrypted = jsonString ? JSON.parse(jsonString) : null;
+    // Tokens stored in clear text by earlier versions are not read
+    return encrypted && encrypted.data ? encrypted : null;
+  } catch (error) {
+    console.error('Error loading encrypted OAuth tokens', error);
+    return null;
+  }
+}
+
+/**
+ * Stores the encrypted OAuth 2.0 tokens.
+ * @param {Object} encrypted - { version, iv, data }
+ */
+function saveEncryptedOAuthTokens(encrypted) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.OAUTH_TOKENS, JSON.stringify(encrypted));
+  } catch (error) {
+    console.error('Error saving encrypted OAuth tokens', error);
+  }
+}
+
+// --- Auth Credentials ---
+
+// Credentials typed into the auth of saved requests (by request ID) and of request
+// groups (by group name), as { type, fields } (see redactAuth in auth.js). They are
+// left out of the stored requests and group settings, kept in memory and only
+// written encrypted, by the handler registered with setCredentialsHandler (see secrets.js).
+let credentials = { requests: {}, groups: {} };
+let credentialsHandler = null;
+
+/**
+ * Passes the credentials to the handler.
+ * @return {boolean} Whether the handler stored them encrypted; false while locked.
+ */
+function notifyCredentialsHandler() {
+  return credentialsHandler ? credentialsHandler(credentials) : false;
+}
+
+/**
+ * Adds stored credentials to an auth loaded from localStorage.
+ * @param {Object} auth - The auth without its credentials.
+ * @param {Object} stored - The stored { type, fields } (optional).
+ * @return {Object} The auth; unchanged if its type changed since.
+ */
+function withCredentials(auth, stored) {
+  return stored && stored.type === auth.type ? { ...auth, ...stored.fields } : auth;
+}
+
+/**
+ * Moves the credentials typed into the requests' auth to the credential store.
+ * Until they can be stored encrypted, the requests are written as they are.
+ * @param {Array<Object>} requests - All saved requests.
+ * @return {Array<Object>} The requests to write to localStorage.
+ */
+function storeRequestCredentials(requests) {
+  const requestCredentials = {};
+  const stored = requests.map(request => {
+    if (!request.auth) return request;
+    const { auth, removed, credentials: fields } = redactAuth(request.auth);
+    if (!removed) return request;
+    requestCredentials[request.id] = { type: auth.type, fields };
+    return { ...request, auth };
+  });
+  credentials.requests = requestCredentials;
+  return notifyCredentialsHandler() ? stored : requests;
+}
+
+/**
+ * Moves the credentials typed into a group's auth to the credential store.
+ * @param {string} groupName - The request group.
+ * @param {Object|undefined} groupAuth - The group's auth, or undefined if removed.
+ * @return {Object|undefined} The auth to write to the group settings.
+ */
+function storeGroupCredentials(groupName, groupAuth) {
+  const { auth, removed, credentials: fields } = redactAuth(groupAuth || {});
+  if (removed) {
+    credentials.groups[groupName] = { type: auth.type, fields };
+  } else {
+    delete credentials.groups[groupName];
+  }
+  return notifyCredentialsHandler() && removed ? auth : groupAuth;
+}
+
+/**
+ * Gets the credentials of all requests and request groups.
+ * @return {Object} { requests: { id: { type, fields } }, groups: { name: { type, fields } } }
+ */
+function getCredentials() {
+  return credentials;
+}
+
+/**
+ * Adds decrypted credentials to those in memory (credentials saved since win),
+ * then saves the requests and group auth again. This stores them encrypted,
+ * including credentials that earlier versions kept in clear text.
+ * @param {Object} stored - The decrypted credentials, like getCredentials.
+ */
+function restoreCredentials(stored) {
+  credentials.requests = { ...stored.requests, ...credentials.requests };
+  credentials.groups = { ...stored.groups, ...credentials.groups };
+  saveCollection(STORAGE_KEYS.REQUESTS, getAllRequests());
+  getAllGroups('requests').forEach(groupName => {
+    const { auth } = getGroupSettings('requests', groupName);
+    if (auth) saveGroupSettings('requests', groupName, { auth });
+  });
+}
+
+/**
+ * Registers the function that persists the credentials whenever requests or group auth are saved.
+ * @param {function(Object): boolean} handler - Receives the credentials (see getCredentials);
+ *   returns whether they were stored encrypted.
+ */
+function setCredentialsHandler(handler) {
+  credentialsHandler = handler;
+}
+
+/**
+ * Gets the encrypted credentials.
+ * @return {Object|null} { version, iv, data } or null if none are stored.
+ */
+function getEncryptedCredentials() {
+  try {
+    const jsonString = localStorage.getItem(STORAGE_KEYS.CREDENTIALS);
+    return jsonString ? JSON.parse(jsonString) : null;
+  } catch (error) {
+    console.error('Error loading encrypted credentials', error);
+    return null;
+  }
+}
+
+/**
+ * Stores the encrypted credentials.
+ * @param {Object} encrypted - { version, iv, data }
+ */
+function saveEncryptedCredentials(encrypted) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.CREDENTIALS, JSON.stringify(encrypted));
+  } catch (error) {
+    console.error('Error saving encrypted credentials', error);
+  }
+}
+
+// --- Variable Group Inheritance ---
+
+/**
+ * Gets the variable group a group inherits from.
+ * @param {string} groupName - The variable group.
+ * @return {string|null} The parent group, or null if it only inherits 'global'.
+ */
+function getParentGroup(groupName) {
+  return getGroupSettings('variables', groupName).parent || null;
+}
+
+/**
+ * Sets the variable group a group inherits from ('global' or null clears it,
+ * since every group inherits 'global').
+ * @param {string} groupName - The variable group.
+ * @param {string|null} parent - The parent group.
+ */
+function setParentGroup(groupName, parent) {
+  saveGroupSettings('variables', groupName, { parent: parent && parent !== DEFAULT_GROUP ? parent : undefined });
+}
+
+// --- Secret Variables ---
+
+/**
+ * Gets the names of the secret variables of a variable group.
+ * @param {string} groupName - The variable group.
+ * @return {Array<string>} The secret variable names.
+ */
+function getSecretKeys(groupName) {
+  return getGroupSettings('variables', groupName).secrets || [];
+}
+
+/**
+ * Marks a variable as secret, or as a normal variable again.
+ * Call saveVariableStore afterwards so its value moves to the matching store.
+ * @param {string} groupName - The variable group.
+ * @param {string} key - The variable name.
+ * @param {boolean} secret - Whether the variable is secret.
+ */
+function setSecretKey(groupName, key, secret) {
+  const keys = getSecretKeys(groupName).filter(k => k !== key);
+  if (secret) keys.push(key);
+  saveGroupSettings('variables', groupName, { secrets: keys.length > 0 ? keys : undefined });
+}
+
+/**
+ * Splits a variable store into normal values and secret values.
+ * @param {Object} variableStore - The grouped variable store.
+ * @return {{plain: Object, secrets: Object}} Both grouped like the store.
+ */
+function splitSecretValues(variableStore) {
+  const plain = {};
+  const secrets = {};
+  Object.entries(variableStore).forEach(([groupName, vars]) => {
+    const secretKeys = getSecretKeys(groupName);
+    plain[groupName] = {};
+    Object.entries(vars || {}).forEach(([key, value]) => {
+      if (secretKeys.includes(key)) {
+        if (!secrets[groupName]) secrets[groupName] = {};
+        secrets[groupName][key] = value;
+      } else {
+        plain[groupName][key] = value;
+      }
+    });
+  });
+  return { plain, secrets };
+}
+
+/**
+ * Registers the function that persists secret values on each saveVariableStore.
+ * @param {function(Object)} handler - Receives the secret values by group.
+ */
+function setSecretValuesHandler(handler) {
+  secretValuesHandler = handler;
+}
+
+/**
+ * Gets the encrypted secret values.
+ * @return {Object|null} { version, keySource, salt, iv, data } or null if none are stored.
+ */
+function getEncryptedSecrets() {
+  try {
+    const jsonString = localStorage.getItem(STORAGE_KEYS.SECRETS);
+    return jsonString ? JSON.parse(jsonString) : null;
+  } catch (error) {
+    console.error('Error loading encrypted secrets', error);
+    return null;
+  }
+}
+
+/**
+ * Stores the encrypted secret values.
+ * @param {Object} encrypted - { version, keySource, salt, iv, data }
+ */
+function saveEncryptedSecrets(encrypted) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.SECRETS, JSON.stringify(encrypted));
+  } catch (error) {
+    console.error('Error saving encrypted secrets', error);
+  }
+}
+
 /**
  * Public interface for the storage module.
  */
@@ -386,9 +920,36 @@ export {
   getAllScripts,
   saveScript,
   exportAllData,
+  saveTextFile,
   saveCollection, // Export the helper function for import logic in app.js
   getActiveGroups,
   setActiveGroup,
   getAllGroups,
-  addGroupName
+  addGroupName,
+  getHistory,
+  addHistoryEntry,
+  deleteHistoryEntry,
+  clearHistory,
+  searchHistory,
+  getGroupSettings,
+  saveGroupSettings,
+  getParentGroup,
+  setParentGroup,
+  getOAuthTokens,
+  saveOAuthToken,
+  restoreOAuthTokens,
+  setOAuthTokensHandler,
+  getEncryptedOAuthTokens,
+  saveEncryptedOAuthTokens,
+  getCredentials,
+  restoreCredentials,
+  setCredentialsHandler,
+  getEncryptedCredentials,
+  saveEncryptedCredentials,
+  getSecretKeys,
+  setSecretKey,
+  splitSecretValues,
+  setSecretValuesHandler,
+  getEncryptedSecrets,
+  saveEncryptedSecrets
 };
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Incremental reading of streaming response bodies:
+ * Server-Sent Events (text/event-stream), newline-delimited JSON and
+ * plain chunked text.
+ */
+
+/**
+ * Detects the stream format from a Content-Type header.
+ * @param {string|null} contentType - The response Content-Type.
+ * @return {string} 'sse', 'ndjson' or 'text'.
+ */
+function detectStreamFormat(contentType) {
+  const type = (contentType || '').toLowerCase();
+  if (type.includes('text/event-stream')) return 'sse';
+  if (type.includes('ndjson') || type.includes('jsonl') || type.includes('json-seq')) return 'ndjson';
+  return 'text';
+}
+
+/**
+ * Checks whether a Content-Type always calls for streaming.
+ * @param {string|null} contentType - The response Content-Type.
+ * @return {boolean} True for SSE and NDJSON responses.
+ */
+function isStreamingContentType(contentType) {
+  return detectStreamFormat(contentType) !== 'text';
+}
+
+/**
+ * Creates an incremental text/event-stream parser.
+ * Follows the WHATWG rules: fields are "name: value" lines, comments start
+ * with ":", multiple data lines are joined with "\n" and a blank line
+ * dispatches the event. The last event ID persists across events.
+ * @param {function(Object)} onEvent - Called with {event, id, data, retry}.
+ * @return {{push: function(string), flush: function()}} The parser.
+ */
+function createEventStreamParser(onEvent) {
+  let buffer = '';
+  let lastEventId = '';
+  let eventType = '';
+  let dataLines = [];
+  let retry;
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      const record = { event: eventType || 'message', id: lastEventId, data: dataLines.join('\n') };
+      if (retry !== undefined) record.retry = retry;
+      onEvent(record);
+    }
+    eventType = '';
+    dataLines = [];
+    retry = undefined;
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) {
+      return; // Comment / keep-alive
+    }
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') dataLines.push(value);
+    else if (field === 'event') eventType = value;
+    else if (field === 'id' && !value.includes('\0')) lastEventId = value;
+    else if (field === 'retry' && /^\d+$/.test(value)) retry = Number(value);
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      let match;
+      while ((match = /\r\n|\n|\r/.exec(buffer)) !== null) {
+        // A trailing "\r" may be the first half of "\r\n"; wait for more data
+        if (match[0] === '\r' && match.index === buffer.length - 1) break;
+        processLine(buffer.slice(0, match.index));
+        buffer = buffer.slice(match.index + match[0].length);
+      }
+    },
+    flush() {
+      if (buffer) processLine(buffer.replace(/\r$/, ''));
+      buffer = '';
+      // Lenient: an unterminated final event is still reported
+      dispatch();
+    }
+  };
+}
+
+/**
+ * Creates an incremental newline-delimited JSON parser.
+ * Lines that are not valid JSON are passed through as text.
+ * @param {function(Object)} onEvent - Called with {data}.
+ * @return {{push: function(string), flush: function()}} The parser.
+ */
+function createLineParser(onEvent) {
+  let buffer = '';
+  const processLine = (line) => {
+    const trimmed = line.replace(/^\x1e/, '').trim(); // json-seq record separator
+    if (!trimmed) return;
+    try {
+      onEvent({ data: JSON.parse(trimmed) });
+    } catch (e) {
+      onEvent({ data: trimmed });
+    }
+  };
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+    flush() {
+      processLine(buffer);
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Reads a streaming response body incrementally.
+ * Each parsed record is timestamped and passed to onEvent as it arrives.
+ * Reading stops when the body ends or the signal is aborted; an abort is
+ * not an error, the records received so far are returned.
+ * @param {Response} response - A fetch Response with a readable body.
+ * @param {Object} options - Reading options.
+ * @param {function(Object)} options.onEvent - Called with each timestamped record.
+ * @param {AbortSignal} options.signal - Aborts reading (optional).
+ * @return {{events: Array<Object>, format: string, stopped: boolean}} The collected records.
+ */
+async function readStream(response, options = {}) {
+  const format = detectStreamFormat(response.headers.get('content-type'));
+  const events = [];
+  const record = (event) => {
+    const timestamped = { timestamp: new Date().toISOString(), ...event };
+    events.push(timestamped);
+    if (typeof options.onEvent === 'function') options.onEvent(timestamped);
+  };
+
+  const parser = format === 'sse'
+    ? createEventStreamParser(record)
+    : format === 'ndjson'
+      ? createLineParser(record)
+      : { push: (chunk) => record({ data: chunk }), flush: () => {} };
+
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    // No streaming support: parse the complete body at once
+    parser.push(await response.text());
+    parser.flush();
+    return { events, format, stopped: false };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let stopped = false;
+
+  const onAbort = () => {
+    stopped = true;
+    reader.cancel().catch(() => {});
+  };
+  if (options.signal) {
+    if (options.signal.aborted) onAbort();
+    else options.signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  try {
+    while (!stopped) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+  } catch (error) {
+    if (!stopped) throw error;
+  } finally {
+    if (options.signal) options.signal.removeEventListener('abort', onAbort);
+  }
+
+  parser.push(decoder.decode());
+  parser.flush();
+  return { events, format, stopped };
+}
+
+/**
+ * Public interface for the stream module.
+ */
+export {
+  detectStreamFormat,
+  isStreamingContentType,
+  createEventStreamParser,
+  createLineParser,
+  readStream
+};
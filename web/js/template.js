@@ -0,0 +1,208 @@
+/**
+ * @fileoverview The template engine shared by sending, code generation and the
+ * script http() helper. A {{tag}} holds an expression:
+ *   {{name}}                  a variable; values may contain {{tags}} themselves
+ *   {{user.address.city}}     a path into a JSON-valued variable ({{items[0].id}})
+ *   {{port ?? 8080}}          a default for missing variables
+ *   {{token | base64}}        filters, applied left to right
+ *   {{$uuid}}                 a dynamic variable (see dynamicvars.js)
+ * Tags that cannot be resolved are left as they are.
+ */
+
+import { getFlattenedVariables } from './variable.js';
+import { resolveDynamicVariable } from './dynamicvars.js';
+import { utils } from './scriptutils.js';
+
+// Filters available after "|"; each receives the resolved value (string or JSON value)
+const FILTERS = {
+  base64: (value) => utils.base64Encode(toText(value)),
+  urlencode: (value) => encodeURIComponent(toText(value)),
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  trim: (value) => toText(value).trim(),
+  json: (value) => JSON.stringify(value)
+};
+
+/**
+ * Converts a resolved value to the text inserted into the template.
+ * Objects (e.g. from JSON data-file rows) are inserted as JSON.
+ * @param {*} value - The value.
+ * @return {string} The text.
+ */
+function toText(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Splits an expression at a separator that is not inside quotes.
+ * @param {string} text - The expression.
+ * @param {string} separator - e.g. '|' or '??'.
+ * @param {number} limit - The maximum number of parts (optional).
+ * @return {Array<string>} The parts.
+ */
+function splitOutsideQuotes(text, separator, limit = Infinity) {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (text.startsWith(separator, i) && parts.length < limit - 1) {
+      parts.push(text.slice(start, i));
+      start = i + separator.length;
+      i += separator.length - 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Parses a default value: quoted text, or the literal text as written.
+ * @param {string} text - e.g. '8080' or '"hello world"'.
+ * @return {string} The value.
+ */
+function parseLiteral(text) {
+  const match = text.match(/^(["'])(.*)\1$/);
+  return match ? match[2] : text;
+}
+
+/**
+ * Parses a path such as user.address.city, items[0].id or map["a.b"].
+ * @param {string} path - The path.
+ * @return {Array<string|number>|null} The segments, or null if it is not a path.
+ */
+function parsePath(path) {
+  const token = /(?:^|\.)([^.[\]\s"']+)|\[(-?\d+)\]|\[(["'])(.*?)\3\]/y;
+  const segments = [];
+  let index = 0;
+  while (index < path.length) {
+    token.lastIndex = index;
+    const match = token.exec(path);
+    if (!match) return null;
+    segments.push(match[1] !== undefined ? match[1] : (match[2] !== undefined ? Number(match[2]) : match[4]));
+    index = token.lastIndex;
+  }
+  return segments.length > 0 && typeof segments[0] === 'string' ? segments : null;
+}
+
+/**
+ * Reads a path segment from a value; JSON text is parsed first.
+ * @param {*} value - The current value.
+ * @param {string|number} segment - The property name or index (negative counts from the end).
+ * @return {*} The value at the segment, or undefined.
+ */
+function readSegment(value, segment) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return undefined;
+    }
+  }
+  if (value === null || typeof value !== 'object') return undefined;
+  if (Array.isArray(value) && typeof segment === 'number' && segment < 0) {
+    return value[value.length + segment];
+  }
+  return Object.prototype.hasOwnProperty.call(value, segment) ? value[segment] : undefined;
+}
+
+/**
+ * Renders a template against a set of variables.
+ * @param {string} template - The text containing {{tags}}.
+ * @param {Object} variables - Flat map of variable names to values.
+ * @param {Object} trace - Collects what happened (optional):
+ *   dynamicValues receives { name, value } per dynamic variable used and
+ *   warnings receives messages about circular references and unknown filters.
+ * @return {string} The rendered text.
+ */
+function renderTemplate(template, variables, trace = {}) {
+  const warn = (message) => {
+    if (trace.warnings && !trace.warnings.includes(message)) trace.warnings.push(message);
+  };
+
+  // Resolves a variable by name, rendering any tags in its value
+  const resolveVariable = (name, stack) => {
+    if (stack.includes(name)) {
+      warn(`Circular variable reference: ${[...stack.slice(stack.indexOf(name)), name].join(' → ')}`);
+      return undefined;
+    }
+    const value = variables[name];
+    return typeof value === 'string' && value.includes('{{') ? render(value, [...stack, name]) : value;
+  };
+
+  const lookup = (reference, stack) => {
+    if (reference.startsWith('$')) {
+      const value = resolveDynamicVariable(reference);
+      if (value !== undefined) {
+        if (trace.dynamicValues) trace.dynamicValues.push({ name: reference, value });
+        return value;
+      }
+    }
+    // Names containing dots (e.g. imported "api.url") win over paths
+    if (Object.prototype.hasOwnProperty.call(variables, reference)) {
+      return resolveVariable(reference, stack);
+    }
+    const segments = parsePath(reference);
+    if (!segments || !Object.prototype.hasOwnProperty.call(variables, segments[0])) return undefined;
+    let value = resolveVariable(segments[0], stack);
+    for (const segment of segments.slice(1)) {
+      if (value === undefined) break;
+      value = readSegment(value, segment);
+    }
+    return value;
+  };
+
+  const evaluate = (expression, stack) => {
+    const [head, ...filters] = splitOutsideQuotes(expression, '|');
+    const [reference, fallback] = splitOutsideQuotes(head, '??', 2);
+    let value = lookup(reference.trim(), stack);
+    if (value === undefined && fallback !== undefined) {
+      value = parseLiteral(fallback.trim());
+    }
+    if (value === undefined) return undefined;
+
+    for (const filter of filters.map(f => f.trim())) {
+      if (!FILTERS[filter]) {
+        warn(`Unknown filter "${filter}" in {{${expression.trim()}}} (available: ${Object.keys(FILTERS).join(', ')})`);
+        return undefined;
+      }
+      value = FILTERS[filter](value);
+    }
+    return value;
+  };
+
+  const render = (text, stack) => text.replace(/{{(.*?)}}/g, (match, expression) => {
+    const value = evaluate(expression, stack);
+    return value === undefined ? match : toText(value);
+  });
+
+  return render(template, []);
+}
+
+/**
+ * Replaces all {{tags}} in a string using the flattened variable store
+ * (global + active group + the current data-file row).
+ * @param {string} templateString - The string containing template tags.
+ * @param {string} activeGroup - The active group for variables (optional).
+ * @param {Object} trace - Collects dynamic values and warnings (optional, see renderTemplate).
+ * @return {string} The string with variables substituted.
+ */
+function applyTemplate(templateString, activeGroup = undefined, trace = undefined) {
+  if (!templateString) {
+    return templateString;
+  }
+  return renderTemplate(templateString, getFlattenedVariables(activeGroup), trace);
+}
+
+/**
+ * Public interface for the template module.
+ */
+export {
+  FILTERS,
+  renderTemplate,
+  applyTemplate
+};
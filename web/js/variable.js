@@ -1,9 +1,16 @@
 /**
  * @fileoverview Manages the global variable store, ensuring it is initialized
  * from localStorage via the storage module.
- * Now supports grouped variables with a global scope.
+ * Now supports grouped variables with a global scope. A group may inherit from
+ * a parent group (e.g. staging-eu → staging → global).
+ * Values keep their type: strings, numbers, booleans and JSON objects/arrays.
  */
 
+import { getParentGroup } from './storage.js';
+
+// Variable types shown in the sidebar; 'json' covers objects, arrays and null
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'json'];
+
 // The variableStore object holds grouped key/value pairs: { groupName: { key: value } }
 let variableStore = {};
 
@@ -13,6 +20,15 @@ let saveVariableStoreFn = null;
 // Current active group for variable operations (used by scripts)
 let currentActiveGroup = 'global';
 
+// Values of the current data-file row during an iteration run (never persisted)
+let iterationVariables = {};
+
+// Variables saved with the request being sent; they apply to that request only
+let requestVariables = {};
+
+// Set by scripts with setTempVar(); they last for one send or collection run (never persisted)
+let tempVariables = {};
+
 /**
  * Initializes the variable store from storage.
  * @param {function} loadVariableStoreFn - Function to load store from persistence.
@@ -35,6 +51,78 @@ function loadInitialVariables(loadVariableStoreFn, saveVariableStoreFnArg) {
   }
 }
 
+// --- Typed Values ---
+
+/**
+ * Gets the type of a variable value.
+ * @param {*} value - The stored value.
+ * @return {string} One of VARIABLE_TYPES.
+ */
+function getValueType(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (value === null || typeof value === 'object') return 'json';
+  return 'string';
+}
+
+/**
+ * Converts a value set by a script to one that can be stored.
+ * Strings, finite numbers, booleans, null and JSON objects/arrays keep their
+ * type (objects are copied, so later changes by the script do not leak in);
+ * anything else is stored as a string.
+ * @param {*} value - The value.
+ * @return {*} The value to store.
+ * @throws {TypeError} If an object cannot be converted to JSON (e.g. it is circular).
+ */
+function toVariableValue(value) {
+  if (typeof value === 'string' || typeof value === 'boolean' || value === null) return value;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : String(value);
+  if (typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return String(value);
+}
+
+/**
+ * Parses the text entered for a variable of a given type.
+ * @param {string} text - The entered text.
+ * @param {string} type - One of VARIABLE_TYPES.
+ * @return {*} The typed value.
+ * @throws {Error} If the text is not a valid number, boolean or JSON.
+ */
+function parseVariableValue(text, type) {
+  switch (type) {
+    case 'number': {
+      const number = Number(text);
+      if (text.trim() === '' || !Number.isFinite(number)) throw new Error(`"${text}" is not a number.`);
+      return number;
+    }
+    case 'boolean':
+      if (text.trim() === 'true') return true;
+      if (text.trim() === 'false') return false;
+      throw new Error(`"${text}" is not a boolean; use true or false.`);
+    case 'json':
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+    default:
+      return text;
+  }
+}
+
+/**
+ * Formats a value as text for display and editing: strings as they are,
+ * other types as JSON.
+ * @param {*} value - The stored value.
+ * @param {number} indent - JSON indentation (optional; compact by default).
+ * @return {string} The text.
+ */
+function formatVariableValue(value, indent = undefined) {
+  if (typeof value === 'string') return value;
+  const json = JSON.stringify(value, null, indent);
+  return json === undefined ? String(value) : json;
+}
+
 /**
  * Sets the active group for variable operations (used by scripts).
  * @param {string} groupName - The group name to set as active.
@@ -47,15 +135,18 @@ function setActiveGroupForScripts(groupName) {
  * Updates or sets a variable in the current active group and persists the change.
  * This is used by scripts when they call setVar().
  * @param {string} key - The name of the variable.
- * @param {string} value - The value to assign to the variable.
+ * @param {*} value - The value to assign to the variable (see toVariableValue).
+ * @throws {TypeError} If the value cannot be stored.
  */
 function setVariable(key, value) {
+  const storedValue = toVariableValue(value);
+
   // Ensure the active group exists
   if (!variableStore[currentActiveGroup]) {
     variableStore[currentActiveGroup] = {};
   }
   
-  variableStore[currentActiveGroup][key] = String(value);
+  variableStore[currentActiveGroup][key] = storedValue;
 
   // Persist the updated store to localStorage
   if (typeof saveVariableStoreFn === 'function') {
@@ -63,6 +154,93 @@ function setVariable(key, value) {
   }
 }
 
+/**
+ * Removes a variable from the current active group and persists the change.
+ * @param {string} key - The name of the variable.
+ */
+function unsetVariable(key) {
+  if (!variableStore[currentActiveGroup] || !(key in variableStore[currentActiveGroup])) {
+    return;
+  }
+  delete variableStore[currentActiveGroup][key];
+
+  if (typeof saveVariableStoreFn === 'function') {
+    saveVariableStoreFn(variableStore);
+  }
+}
+
+/**
+ * Sets the variables of the current data-file iteration.
+ * They override group variables until cleared.
+ * @param {Object} row - Column name/value pairs of the current row.
+ */
+function setIterationVariables(row) {
+  iterationVariables = { ...(row || {}) };
+}
+
+/**
+ * Removes the iteration variables once an iteration run ends.
+ */
+function clearIterationVariables() {
+  iterationVariables = {};
+}
+
+/**
+ * Sets the variables of the request about to be sent (or shown as code).
+ * They override group variables until cleared.
+ * @param {Array<{key: string, value: string}>} variables - The request's variables.
+ */
+function setRequestVariables(variables) {
+  requestVariables = {};
+  (variables || []).filter(v => v.key).forEach(v => { requestVariables[v.key] = v.value || ''; });
+}
+
+/**
+ * Calls a function with the given request variables set, then puts back the
+ * previous ones, so showing a request as code does not clear the variables of
+ * a request being sent.
+ * @param {Array<{key: string, value: string}>} variables - The request's variables.
+ * @param {function(): *} callback - The function to call.
+ * @return {*} What the function returns.
+ */
+function withRequestVariables(variables, callback) {
+  const previous = requestVariables;
+  setRequestVariables(variables);
+  try {
+    return callback();
+  } finally {
+    requestVariables = previous;
+  }
+}
+
+/**
+ * Removes the request variables once the request is done.
+ */
+function clearRequestVariables() {
+  requestVariables = {};
+}
+
+/**
+ * Sets a temporary variable. It overrides all other variables and is
+ * dropped when the send or collection run ends (see clearTempVariables).
+ * @param {string} key - The name of the variable.
+ * @param {*} value - The value (typed as for setVariable); undefined removes the variable.
+ */
+function setTempVariable(key, value) {
+  if (value === undefined) {
+    delete tempVariables[key];
+  } else {
+    tempVariables[key] = toVariableValue(value);
+  }
+}
+
+/**
+ * Removes all temporary variables; called when a send or collection run starts and ends.
+ */
+function clearTempVariables() {
+  tempVariables = {};
+}
+
 /**
  * Returns the entire grouped variable store.
  * @return {Object} The current variable store object with structure { groupName: { key: value } }
@@ -71,19 +249,87 @@ function getVariableStore() {
   return variableStore;
 }
 
+/**
+ * Returns the groups a variable group inherits from, nearest first,
+ * e.g. ['staging-eu', 'staging', 'global']. Every chain ends with 'global';
+ * a parent that would repeat a group ends the chain.
+ * @param {string} groupName - The variable group (optional, defaults to currentActiveGroup)
+ * @return {Array<string>} The group and its ancestors.
+ */
+function getGroupChain(groupName = currentActiveGroup) {
+  const chain = [];
+  let group = groupName;
+  while (group && group !== 'global' && !chain.includes(group)) {
+    chain.push(group);
+    group = getParentGroup(group);
+  }
+  chain.push('global');
+  return chain;
+}
+
+/**
+ * Resolves each variable visible in a group to the group it comes from.
+ * @param {string} groupName - The variable group.
+ * @return {Object<string, {value: string, source: string, overrides: Array<string>}>}
+ *   The effective value by key, the group that sets it and the groups
+ *   further up the chain whose values it hides (nearest first).
+ */
+function getVariableSources(groupName = currentActiveGroup) {
+  const sources = {};
+  getGroupChain(groupName).reverse().forEach(group => {
+    Object.entries(variableStore[group] || {}).forEach(([key, value]) => {
+      const hidden = sources[key];
+      sources[key] = { value, source: group, overrides: hidden ? [hidden.source, ...hidden.overrides] : [] };
+    });
+  });
+  return sources;
+}
+
+/**
+ * Lists the variable scopes in precedence order, highest first:
+ * temporary variables, the data-file row, the request's variables, then the
+ * active group and the groups it inherits from (see getGroupChain).
+ * @param {string} activeGroup - The currently active group (optional, defaults to currentActiveGroup)
+ * @return {Array<{scope: string, label: string, variables: Object}>} The scopes,
+ *   where scope is 'temp', 'iteration', 'request' or 'group'.
+ */
+function getVariableScopes(activeGroup = currentActiveGroup) {
+  return [
+    { scope: 'temp', label: 'Temporary (setTempVar)', variables: tempVariables },
+    { scope: 'iteration', label: 'Data-file row', variables: iterationVariables },
+    { scope: 'request', label: 'Request', variables: requestVariables },
+    ...getGroupChain(activeGroup).map(group => ({
+      scope: 'group',
+      label: `Group "${group}"`,
+      variables: variableStore[group] || {}
+    }))
+  ];
+}
+
 /**
  * Returns a flattened variable store for templating.
- * Includes variables from the global group AND the current active group.
- * Active group variables override global ones if there are conflicts.
+ * Merges all scopes of getVariableScopes: temporary variables override the
+ * data-file row (during an iteration run), which overrides the request's
+ * variables, which override the active group and then its ancestors.
  * @param {string} activeGroup - The currently active group (optional, defaults to currentActiveGroup)
  * @return {Object} Flat object with all accessible variables
  */
 function getFlattenedVariables(activeGroup = currentActiveGroup) {
-  const globalVars = variableStore['global'] || {};
-  const activeVars = (activeGroup !== 'global' && variableStore[activeGroup]) ? variableStore[activeGroup] : {};
-  
-  // Merge: global variables + active group variables (active group takes precedence)
-  return { ...globalVars, ...activeVars };
+  // Merge from the lowest precedence up (later takes precedence)
+  return getVariableScopes(activeGroup)
+    .reverse()
+    .reduce((vars, scope) => ({ ...vars, ...scope.variables }), {});
+}
+
+/**
+ * Reads a variable for a script (getVar) with its type.
+ * Objects and arrays are copies, so changing them does not change the variable.
+ * @param {string} key - The name of the variable.
+ * @return {*} The value, or undefined if the variable is not set.
+ */
+function getVariable(key) {
+  const value = getFlattenedVariables()[key];
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
 }
 
 /**
@@ -91,9 +337,26 @@ function getFlattenedVariables(activeGroup = currentActiveGroup) {
  */
 export {
   variableStore, // Export the raw object for external read access (e.g., in request.js)
+  VARIABLE_TYPES,
+  getValueType,
+  toVariableValue,
+  parseVariableValue,
+  formatVariableValue,
   setVariable,
+  unsetVariable,
+  getVariable,
   getVariableStore,
   getFlattenedVariables,
+  getGroupChain,
+  getVariableSources,
+  getVariableScopes,
   setActiveGroupForScripts,
+  setIterationVariables,
+  clearIterationVariables,
+  setRequestVariables,
+  withRequestVariables,
+  clearRequestVariables,
+  setTempVariable,
+  clearTempVariables,
   loadInitialVariables // Export initialization function for app.js to call
 };
\ No newline at end of file
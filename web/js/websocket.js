@@ -0,0 +1,148 @@
+/**
+ * @fileoverview WebSocket connections for saved WebSocket requests.
+ * Uses the Tauri WebSocket plugin when available (supports custom headers),
+ * otherwise falls back to the browser WebSocket API.
+ */
+
+// Import Tauri WebSocket plugin (will only work in Tauri app)
+let TauriWebSocket = null;
+
+try {
+  // Dynamically import Tauri WebSocket plugin if available
+  const websocketModule = await import('@tauri-apps/plugin-websocket');
+  TauriWebSocket = window.__TAURI__ ? websocketModule.default : null;
+} catch (e) {
+  // Not in Tauri or plugin not available, use browser WebSocket
+  TauriWebSocket = null;
+}
+
+/**
+ * Parses a comma-separated subprotocol list.
+ * @param {string} subprotocols - e.g. "graphql-ws, json".
+ * @return {Array<string>} The trimmed, non-empty subprotocols.
+ */
+function parseSubprotocols(subprotocols) {
+  return (subprotocols || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses an incoming text frame as JSON when possible.
+ * @param {string} text - The frame payload.
+ * @return {*} The parsed JSON value, or the original text.
+ */
+function parseMessageData(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Opens a WebSocket connection.
+ * @param {string} url - The (already templated) ws:// or wss:// URL.
+ * @param {Object} options - Connection options.
+ * @param {Object} options.headers - Extra handshake headers (Tauri only).
+ * @param {Array<string>} options.protocols - Requested subprotocols.
+ * @param {Object} handlers - Event callbacks.
+ * @param {function} handlers.onOpen - Called once the connection is open.
+ * @param {function(string)} handlers.onMessage - Called with each incoming text frame.
+ * @param {function({code: number, reason: string})} handlers.onClose - Called when the connection closes.
+ * @param {function(string)} handlers.onNotice - Called with informational or error messages.
+ * @return {Object} A connection with send(text) and close() methods.
+ * @throws {Error} If the URL is not a ws:// or wss:// URL or the connection fails.
+ */
+async function connectWebSocket(url, options = {}, handlers = {}) {
+  if (!/^wss?:\/\//i.test(url || '')) {
+    throw new Error(`WebSocket URL must start with ws:// or wss:// (got "${url}")`);
+  }
+
+  const headers = options.headers || {};
+  const protocols = options.protocols || [];
+  const notice = handlers.onNotice || (() => {});
+
+  // Tauri: native connection with custom handshake headers
+  if (TauriWebSocket) {
+    const handshakeHeaders = { ...headers };
+    if (protocols.length > 0) {
+      handshakeHeaders['Sec-WebSocket-Protocol'] = protocols.join(', ');
+    }
+
+    const socket = await TauriWebSocket.connect(url, { headers: handshakeHeaders });
+    let closed = false;
+    const close = (frame) => {
+      if (closed) return;
+      closed = true;
+      if (handlers.onClose) handlers.onClose(frame || { code: 1000, reason: '' });
+    };
+
+    socket.addListener((message) => {
+      if (message.type === 'Text') {
+        if (handlers.onMessage) handlers.onMessage(message.data);
+      } else if (message.type === 'Binary') {
+        if (handlers.onMessage) handlers.onMessage(`[binary ${message.data.length} bytes]`);
+      } else if (message.type === 'Close') {
+        close(message.data);
+      }
+    });
+    if (handlers.onOpen) handlers.onOpen();
+
+    return {
+      send: (text) => socket.send(text),
+      close: async () => {
+        await socket.disconnect();
+        close({ code: 1000, reason: 'Closed by client' });
+      }
+    };
+  }
+
+  // Browser: handshake headers cannot be set
+  if (Object.keys(headers).length > 0) {
+    notice('Custom headers are not supported by browser WebSockets and were not sent (use the desktop app).');
+  }
+
+  return new Promise((resolve, reject) => {
+    let opened = false;
+    const socket = protocols.length > 0 ? new WebSocket(url, protocols) : new WebSocket(url);
+
+    socket.onopen = () => {
+      opened = true;
+      if (socket.protocol) {
+        notice(`Negotiated subprotocol: ${socket.protocol}`);
+      }
+      if (handlers.onOpen) handlers.onOpen();
+      resolve({
+        send: (text) => socket.send(text),
+        close: () => socket.close(1000, 'Closed by client')
+      });
+    };
+    socket.onmessage = (event) => {
+      const text = typeof event.data === 'string' ? event.data : `[binary ${event.data.size || event.data.byteLength} bytes]`;
+      if (handlers.onMessage) handlers.onMessage(text);
+    };
+    socket.onerror = () => {
+      if (!opened) {
+        reject(new Error(`Could not connect to ${url}`));
+      } else {
+        notice('WebSocket error');
+      }
+    };
+    socket.onclose = (event) => {
+      if (opened && handlers.onClose) {
+        handlers.onClose({ code: event.code, reason: event.reason });
+      }
+    };
+  });
+}
+
+/**
+ * Public interface for the WebSocket module.
+ */
+export {
+  connectWebSocket,
+  parseSubprotocols,
+  parseMessageData
+};